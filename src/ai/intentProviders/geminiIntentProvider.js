@@ -10,6 +10,9 @@ import {
 } from "@google/generative-ai";
 // Ensure geminiApiKey is configured and exported from your config file
 import { geminiApiKey } from '../../config.js';
+import { createLogger } from '../../utils/logger.js';
+
+const log = createLogger('Gemini Intent Provider');
 
 // --- Constants ---
 // Adjust model name as needed. Consider newer models like gemini-1.5-flash-latest if available/suitable.
@@ -33,7 +36,6 @@ const defaultErrorResponse = { intent: null, confidence: 0, suggestedWorkspace:
  * @returns {Promise<{ intent: string | null, confidence: number, suggestedWorkspace: string | null }>}
  */
 export async function detectIntent(query, availableIntents = [], availableWorkspaces = []) {
-	console.log( availableWorkspaces );
     // --- 1. Check Configuration ---
     if (!geminiApiKey) {
         console.error("[Gemini Intent Provider] Error: GEMINI_API_KEY is not configured in src/config.js or environment variables.");
@@ -80,7 +82,7 @@ User Query: "${query}"
 JSON Response:
 `;
 
-	console.log( prompt );
+    log.debug(`Prompt built (${availableWorkspaces.length} workspaces)`, { prompt });
 
     // --- 4. Call Gemini API ---
     let responseText = '';
@@ -89,7 +91,7 @@ JSON Response:
         const result = await model.generateContent(prompt);
         // Access the response text safely
         responseText = result?.response?.text ? result.response.text() : '';
-        console.log("[Gemini Intent Provider] Raw response received:", responseText);
+        log.debug("Raw response received", { response: responseText });
 
         // Check for empty response which might indicate blocked content or other issues
         if (!responseText) {
@@ -151,7 +153,7 @@ JSON Response:
         }
     } catch (parseError) {
         // Log if JSON parsing fails
-        console.error("[Gemini Intent Provider] Failed to parse JSON response from Gemini:", parseError, "\nRaw text received:", responseText);
+        log.error(`Failed to parse JSON response from Gemini: ${parseError.message}`, { response: responseText });
         return defaultErrorResponse;
     }
 }
@@ -3,23 +3,60 @@
 
 import express from 'express';
 import morgan from 'morgan'; // Optional: HTTP request logger
-import { dispatchSlackEvent, dispatchSlackInteraction } from './core/dispatcher.js';
-import { slackClient, slackEvents } from './services/slackService.js'; // Import Slack clients/adapters
+import { dispatchSlackEvent, dispatchSlackInteraction, getSlackRetry } from './core/dispatcher.js';
+import { slackClient, slackEvents, withSlackTeam } from './services/slackService.js'; // Import Slack clients/adapters
 import { handleAppHomeOpened } from './handlers/interactionHandler.js'; // Import the App Home handler
+import { captureRawBody, slackSignatureMiddleware } from './core/slackRequestVerifier.js';
+import { slackTransport } from './config.js';
+import { metricsRegistry } from './services/metricsService.js';
+import { getLiveness, getReadiness } from './services/healthService.js';
+import { isOAuthEnabled, createInstallUrl, completeInstall } from './services/installationService.js';
 
 const app = express();
 
 // --- Middleware ---
 app.use(morgan('tiny')); // Log HTTP requests (optional)
 
-// Health Check
+// Health Check (kept for existing monitors; prefer /healthz and /readyz)
 app.get('/', (req, res) => res.send(`OK`));
 
+// Liveness: process is up (no dependency checks)
+app.get('/healthz', (req, res) => res.json(getLiveness()));
+
+// Readiness: per-dependency status, 503 only if a required dependency (Slack, LLM) fails
+app.get('/readyz', async (req, res) => {
+    try {
+        const readiness = await getReadiness();
+        res.status(readiness.status === 'fail' ? 503 : 200).json(readiness);
+    } catch (error) {
+        console.error('[App] Readiness check failed unexpectedly:', error);
+        res.status(503).json({ status: 'fail', error: error.message });
+    }
+});
+
+// Prometheus metrics (see services/metricsService.js)
+app.get('/metrics', async (req, res) => {
+    try {
+        res.set('Content-Type', metricsRegistry.contentType);
+        res.end(await metricsRegistry.metrics());
+    } catch (error) {
+        console.error('[App] Failed to collect metrics:', error);
+        res.status(500).end();
+    }
+});
+
 // --- Slack Routes ---
 
+// In Socket Mode, events/commands/interactions arrive over the WebSocket (core/socketModeTransport.js),
+// so the HTTP Slack endpoints are not mounted.
+const httpTransportEnabled = slackTransport === 'http';
+if (!httpTransportEnabled) {
+    console.log(`[App] Slack transport is '${slackTransport}'. HTTP Slack endpoints (/slack/events, /slack/interactions) not mounted.`);
+}
+
 // Slack Events API endpoint
 // IMPORTANT: The slackEvents adapter from slackService MUST handle body parsing and signature verification.
-if (slackEvents?.requestListener) {
+if (httpTransportEnabled && slackEvents?.requestListener) {
     // Mount the event adapter middleware FIRST
     app.use('/slack/events', slackEvents.requestListener());
     console.log("[App] Slack Event listener mounted via SDK Adapter at /slack/events.");
@@ -27,15 +64,18 @@ if (slackEvents?.requestListener) {
     // NOTE: Event listeners (`slackEvents.on`) should now call the dispatcher function,
     // passing the *full request body* received by the adapter.
     // The adapter provides the body in its event callback.
-    slackEvents.on('message', (event, body) => dispatchSlackEvent(body));
-    slackEvents.on('app_mention', (event, body) => dispatchSlackEvent(body));
+    // The adapter acknowledges every delivery; the dispatcher skips Slack retries of events it already has.
+    slackEvents.on('message', (event, body, headers) => dispatchSlackEvent(body, getSlackRetry(headers)));
+    slackEvents.on('app_mention', (event, body, headers) => dispatchSlackEvent(body, getSlackRetry(headers)));
+    slackEvents.on('app_uninstalled', (event, body, headers) => dispatchSlackEvent(body, getSlackRetry(headers)));
+    slackEvents.on('tokens_revoked', (event, body, headers) => dispatchSlackEvent(body, getSlackRetry(headers)));
 
     // --- App Home Handler Registration ---
     // Register the App Home event listener to use the imported handler
     slackEvents.on('app_home_opened', (event, body) => {
         // The event adapter might pass the raw body, the handler expects the parsed event object.
         // Pass the event object directly which is usually the first argument.
-        handleAppHomeOpened(event); // Call the imported handler
+        withSlackTeam(body?.team_id, () => handleAppHomeOpened(event)); // Call the imported handler with the team's client
     });
     // --- End App Home Handler Registration ---
 
@@ -47,7 +87,7 @@ if (slackEvents?.requestListener) {
          if (error.response) console.error('  Response Status:', error.response.status);
     });
 
-} else {
+} else if (httpTransportEnabled) {
      console.error("[App] Slack Events Adapter not initialized! /slack/events endpoint WILL NOT WORK.");
      // Provide a fallback route that indicates the error
      app.post('/slack/events', (req, res) => {
@@ -60,13 +100,58 @@ if (slackEvents?.requestListener) {
 // Slack Interactions endpoint (Buttons, Slash Commands, Modals)
 // Use urlencoded parser for Slash Commands and interaction payloads initially.
 // Dispatcher will handle JSON parsing if needed (for interaction payloads).
-// TODO: ADD SLACK SIGNATURE VERIFICATION MIDDLEWARE HERE!
-app.post('/slack/interactions', express.urlencoded({ extended: true, limit: '5mb' }), (req, res) => {
-    // Signature verification should happen *before* this handler ideally.
-    // Assuming verification passed...
-    console.log("[App] Received POST on /slack/interactions");
-    dispatchSlackInteraction(req, res); // Pass request and response to dispatcher
-});
+// The raw body is kept (captureRawBody) so the signature can be verified before dispatching.
+if (httpTransportEnabled) {
+    app.post('/slack/interactions',
+        express.urlencoded({ extended: true, limit: '5mb', verify: captureRawBody }),
+        slackSignatureMiddleware,
+        (req, res) => {
+            console.log("[App] Received POST on /slack/interactions");
+            dispatchSlackInteraction(req, res); // Pass request and response to dispatcher
+        }
+    );
+}
+
+
+// Slack OAuth install flow (multi-team distribution, see services/installationService.js)
+// Works with both transports: Slack redirects the installing user's browser here.
+if (isOAuthEnabled()) {
+    // "Add to Slack": redirect to Slack's authorize page with a one-time state
+    app.get('/slack/install', async (req, res) => {
+        try {
+            res.redirect(await createInstallUrl());
+        } catch (error) {
+            console.error('[App] Failed to start Slack install:', error.message);
+            res.status(500).send('Could not start the installation. Please try again later.');
+        }
+    });
+
+    // Slack redirects here with ?code&state (or ?error if the user cancelled)
+    app.get('/slack/oauth_redirect', async (req, res) => {
+        if (req.query.error) {
+            console.warn(`[App] Slack install not completed: ${req.query.error}`);
+            res.status(400).send('Installation cancelled.');
+            return;
+        }
+        try {
+            const { teamName } = await completeInstall(req.query.code, req.query.state);
+            res.send(`Orbit was installed to ${escapeHtml(teamName || 'your workspace')}. You can close this page and mention @Orbit in Slack.`);
+        } catch (error) {
+            console.error('[App] Slack install failed:', error.data?.error || error.message);
+            res.status(400).send(`Installation failed: ${escapeHtml(error.message)}`);
+        }
+    });
+    console.log("[App] Slack OAuth install routes mounted at /slack/install and /slack/oauth_redirect.");
+}
+
+/**
+ * Escapes text for the plain HTML responses of the install routes.
+ * @param {string} text - Text to escape.
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
 
 
 // --- Top-level Error Handler ---
@@ -0,0 +1,299 @@
+// src/core/commandRegistry.js
+// Declarative registry of Orbit commands. Each command declares its syntax (keywords after the `gh:` prefix and/or a
+// slash command), its arguments, the permissions it needs, its rate limit class and its handler once; the message
+// handler, the slash command handler and the dispatcher's rate limiting all resolve commands through here, so every
+// entry point parses the same syntax and reports the same usage errors.
+
+import { COMMAND_PREFIX, githubToken, ADMIN_USER_IDS } from '../config.js';
+import { getSlackTeam } from '../services/slackService.js';
+import { getInstallation } from '../services/installationService.js';
+import { recordCommand } from '../services/metricsService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Command Registry');
+
+// Registered commands, in registration order
+const commands = [];
+
+/**
+ * =============================================================================
+ * ARGUMENT TYPES
+ * =============================================================================
+ */
+
+/**
+ * Parses a GitHub reference ('owner/repo#123' or '#123').
+ * @param {string} value - Matched text.
+ * @returns {{owner: string | null, repo: string | null, number: number}} Owner/repo are null when omitted.
+ */
+function parseGithubRef(value) {
+    const [, owner = null, repo = null, number] = value.match(/^(?:([\w.-]+)\/([\w.-]+))?#(\d+)$/);
+    return { owner, repo, number: parseInt(number, 10) };
+}
+
+// Argument type -> regex source, placeholder shown in usage, parser of the matched text
+const ARG_TYPES = {
+    repo: { pattern: '[\\w.-]+(?:/[\\w.-]+)?', placeholder: '<repo>', parse: value => value },
+    pullRef: { pattern: '[\\w.-]+/[\\w.-]+#\\d+', placeholder: '<owner/repo#number>', parse: parseGithubRef },
+    issueRef: { pattern: '(?:[\\w.-]+/[\\w.-]+)?#\\d+', placeholder: '[owner/repo]#<number>', parse: parseGithubRef },
+    workspace: { pattern: '#[\\w-]+', placeholder: '#<workspace>', parse: value => value.slice(1) },
+    text: { pattern: '.+', placeholder: '<text>', parse: value => value.trim() },
+};
+
+/**
+ * Builds the regex matching a command's argument text. Arguments are separated by whitespace (optional before a
+ * `#workspace`); a trailing '?' is tolerated unless the last argument is free text.
+ * @param {Array<{type: string, optional?: boolean}>} args - Argument definitions.
+ * @returns {RegExp} Regex with one named group per argument (a0, a1, ...).
+ */
+function buildArgPattern(args) {
+    const parts = args.map((arg, index) => {
+        const separator = index === 0 ? '' : arg.type === 'workspace' ? '\\s*' : '\\s+';
+        const part = `${separator}(?<a${index}>${ARG_TYPES[arg.type].pattern})`;
+        return arg.optional ? `(?:${part})?` : part;
+    });
+    const ending = args.at(-1)?.type === 'text' ? '' : '\\s*\\??';
+    return new RegExp(`^${parts.join('')}${ending}$`, 'is');
+}
+
+/**
+ * =============================================================================
+ * PERMISSIONS
+ * =============================================================================
+ */
+
+/**
+ * Whether a user may run admin commands in the team being handled: ADMIN_USER_IDS, or the user who
+ * installed Orbit in that team through OAuth.
+ * @param {string} userId - Slack user ID.
+ * @returns {Promise<boolean>}
+ */
+export async function isOrbitAdmin(userId) {
+    if (ADMIN_USER_IDS.includes(userId)) return true;
+    const { teamId, installed } = getSlackTeam();
+    if (!installed) return false;
+    return (await getInstallation(teamId))?.installed_by === userId;
+}
+
+// Permission -> check returning the denial message, or null when allowed
+const PERMISSIONS = {
+    github: async (context) => {
+        if (!githubToken) return '❌ GitHub commands are disabled (GITHUB_TOKEN not configured).';
+        if (!context.octokit) return '❌ GitHub client failed to initialize (check token/config).';
+        return null;
+    },
+    admin: async (context, command) => (await isOrbitAdmin(context.userId))
+        ? null
+        : `:lock: \`${getCommandLabel(command, context.source)}\` is limited to Orbit admins.`,
+};
+
+/**
+ * =============================================================================
+ * REGISTRATION
+ * =============================================================================
+ */
+
+/**
+ * Registers a command.
+ * @param {object} definition - Command definition.
+ * @param {string} definition.name - Command name, also used for metrics (e.g., 'gh_analyze').
+ * @param {string} definition.description - One-line description.
+ * @param {string[]} [definition.keywords=[]] - Phrases after the `gh:` prefix (e.g., ['analyze issue']). Empty for slash-only commands.
+ * @param {string | null} [definition.slash=null] - Slash command (e.g., '/gh-analyze'), or null for text-only commands.
+ * @param {Array<{name: string, type: string, optional?: boolean, label?: string}>} [definition.args=[]] - Arguments, in order.
+ *   Types: 'repo', 'pullRef', 'issueRef', 'workspace', 'text'. `label` overrides the placeholder shown in usage.
+ * @param {string[]} [definition.permissions=[]] - Required permissions ('github', 'admin').
+ * @param {string | null} [definition.rateLimitClass=null] - Rate limit command class, or null for unlimited commands.
+ * @param {string[]} [definition.examples=[]] - Example argument texts, shown by `help` after the command (e.g., '#456 #gf-core').
+ * @param {(args: object, context: object) => Promise<*>} definition.handler - Runs the command with the parsed arguments.
+ * @returns {object} The registered command.
+ * @throws {Error} If the definition is invalid or clashes with a registered command.
+ */
+export function registerCommand({ name, description, keywords = [], slash = null, args = [], permissions = [], rateLimitClass = null, examples = [], handler }) {
+    if (!name || typeof handler !== 'function') throw new Error(`Command '${name}' needs a name and a handler.`);
+    if (keywords.length === 0 && !slash) throw new Error(`Command '${name}' has no keywords or slash command.`);
+    const unknownType = args.find(arg => !ARG_TYPES[arg.type]);
+    if (unknownType) throw new Error(`Command '${name}' has argument '${unknownType.name}' of unknown type '${unknownType.type}'.`);
+    const unknownPermission = permissions.find(permission => !PERMISSIONS[permission]);
+    if (unknownPermission) throw new Error(`Command '${name}' requires unknown permission '${unknownPermission}'.`);
+    if (commands.some(c => c.name === name || (slash && c.slash === slash))) throw new Error(`Command '${name}' (${slash || 'no slash command'}) is already registered.`);
+
+    const command = {
+        name,
+        description,
+        keywords: keywords.map(keyword => keyword.toLowerCase()),
+        keywordPatterns: keywords.map(keyword => new RegExp(`^${keyword.trim().split(/\s+/).join('\\s+')}(?=\\s|$)`, 'i')),
+        slash,
+        args,
+        argPattern: buildArgPattern(args),
+        permissions,
+        rateLimitClass,
+        examples,
+        handler,
+    };
+    commands.push(command);
+    return command;
+}
+
+/**
+ * All registered commands, in registration order.
+ * @returns {object[]}
+ */
+export function getCommands() {
+    return [...commands];
+}
+
+/**
+ * =============================================================================
+ * PARSING
+ * =============================================================================
+ */
+
+/**
+ * How the command is invoked from an entry point (e.g., 'gh: analyze issue' or '/gh-analyze').
+ * @param {object} command - Registered command.
+ * @param {'text' | 'slash'} source - Entry point.
+ * @returns {string}
+ */
+export function getCommandLabel(command, source) {
+    if (source === 'slash' && command.slash) return command.slash;
+    return command.keywords.length > 0 ? `${COMMAND_PREFIX} ${command.keywords[0]}` : command.slash;
+}
+
+/**
+ * Usage line of a command for an entry point (e.g., '/gh-analyze [owner/repo]#<number> [#<workspace>] [prompt]').
+ * @param {object} command - Registered command.
+ * @param {'text' | 'slash'} source - Entry point.
+ * @returns {string}
+ */
+export function getCommandUsage(command, source) {
+    const args = command.args.map(arg => {
+        const label = arg.label || ARG_TYPES[arg.type].placeholder;
+        return arg.optional ? `[${label}]` : label;
+    });
+    return [getCommandLabel(command, source), ...args].join(' ');
+}
+
+/**
+ * Parses a command's argument text.
+ * @param {object} command - Registered command.
+ * @param {string} argText - Text after the command keywords or slash command.
+ * @param {'text' | 'slash'} source - Entry point (for the usage error).
+ * @returns {{command: object, source: string, args: object | null, error: string | null}} `error` is the usage error if the text doesn't match.
+ */
+function parseCommandArgs(command, argText, source) {
+    const match = command.argPattern.exec(argText.trim());
+    if (!match) return { command, source, args: null, error: `❌ Usage: \`${getCommandUsage(command, source)}\`` };
+    const args = Object.fromEntries(command.args.map((arg, index) => {
+        const value = match.groups[`a${index}`];
+        return [arg.name, value === undefined ? null : ARG_TYPES[arg.type].parse(value)];
+    }));
+    return { command, source, args, error: null };
+}
+
+/**
+ * Resolves a `gh:` text command.
+ * @param {string} text - Message text (bot mention removed).
+ * @returns {{command: object | null, source: 'text', args: object | null, error: string | null} | null}
+ *   Null if the text isn't a command; `command` is null for an unknown command after the prefix.
+ */
+export function matchTextCommand(text) {
+    if (!text?.toLowerCase().startsWith(COMMAND_PREFIX)) return null;
+    const rest = text.slice(COMMAND_PREFIX.length).trim();
+
+    // Longest keyword first, so 'review pr' wins over a shorter keyword sharing its first word
+    const candidates = commands
+        .flatMap(command => command.keywordPatterns.map((pattern, index) => ({ command, pattern, keyword: command.keywords[index] })))
+        .sort((a, b) => b.keyword.length - a.keyword.length);
+    for (const { command, pattern } of candidates) {
+        const match = pattern.exec(rest);
+        if (match) return parseCommandArgs(command, rest.slice(match[0].length), 'text');
+    }
+    return { command: null, source: 'text', args: null, error: null };
+}
+
+/**
+ * Resolves a slash command.
+ * @param {string} slash - Slash command (e.g., '/gh-api').
+ * @param {string} [text=''] - Text after the slash command.
+ * @returns {{command: object | null, source: 'slash', args: object | null, error: string | null}} `command` is null if it isn't registered.
+ */
+export function matchSlashCommand(slash, text = '') {
+    const command = commands.find(c => c.slash === slash);
+    if (!command) return { command: null, source: 'slash', args: null, error: null };
+    return parseCommandArgs(command, text, 'slash');
+}
+
+/**
+ * Rate limit command class of a slash command.
+ * @param {string} slash - Slash command.
+ * @returns {string | null} Null for unknown or unlimited commands.
+ */
+export function getSlashCommandRateLimitClass(slash) {
+    return commands.find(c => c.slash === slash)?.rateLimitClass || null;
+}
+
+/**
+ * Rate limit command class of a `gh:` text command (an unknown command after the prefix counts as 'github_read').
+ * @param {string} text - Message text (bot mention removed).
+ * @returns {string | null | undefined} Undefined if the text isn't a command.
+ */
+export function getTextCommandRateLimitClass(text) {
+    const match = matchTextCommand(text);
+    if (!match) return undefined;
+    return match.command ? match.command.rateLimitClass : 'github_read';
+}
+
+/**
+ * =============================================================================
+ * EXECUTION
+ * =============================================================================
+ */
+
+/**
+ * Runs a resolved command: reports unknown commands and usage errors, checks permissions, then calls the handler.
+ * @param {{command: object | null, source: string, args: object | null, error: string | null}} match - From matchTextCommand/matchSlashCommand.
+ * @param {object} context - Invocation context passed to the handler.
+ * @param {string} context.userId - Slack user ID of the caller.
+ * @param {string} context.channelId - Channel ID.
+ * @param {string} context.replyTarget - Thread TS (text commands) or channel ID (slash commands) to reply to.
+ * @param {string | null} context.threadTs - Slack thread of the conversation, or null for slash commands.
+ * @param {object | null} context.octokit - Octokit instance.
+ * @param {Promise<string | null> | string | null} context.thinkingMessage - Thinking message TS (or promise of it) to update.
+ * @param {(text: string) => Promise<*>} context.reply - Sends an error/status reply to the caller.
+ * @param {string} [context.name] - Name the caller typed, for the unknown command message.
+ * @returns {Promise<*>} The handler's result, or undefined if it didn't run.
+ */
+export async function runCommand(match, context) {
+    const { command, source } = match;
+    if (!command) {
+        // Only the command word: for text commands `name` is the whole message
+        const typed = (context.name || '').trim();
+        const typedName = (typed.toLowerCase().startsWith(COMMAND_PREFIX) ? typed.slice(COMMAND_PREFIX.length) : typed)
+            .trim().split(/\s+/)[0].slice(0, 40) || '?';
+        log.warn(`Unknown ${source} command: ${typedName}`);
+        await context.reply(source === 'slash'
+            ? `❓ Unknown command \`${context.name}\`.`
+            : `❓ Unknown command. Type \`@Orbit help\` for options.`);
+        return undefined;
+    }
+    if (match.error) {
+        log.info(`Usage error for ${command.name} (${source}).`);
+        await context.reply(match.error);
+        return undefined;
+    }
+    for (const permission of command.permissions) {
+        const denial = await PERMISSIONS[permission]({ ...context, source }, command);
+        if (denial) {
+            log.warn(`Denied ${command.name} to ${context.userId}: missing '${permission}'.`);
+            await context.reply(denial);
+            return undefined;
+        }
+    }
+
+    log.info(`Running ${command.name} (${source}).`);
+    recordCommand(command.name, source);
+    return command.handler(match.args, { ...context, source });
+}
+
+log.info("Initialized.");
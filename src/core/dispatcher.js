@@ -3,16 +3,119 @@
 // Routes incoming Slack events and interactions to the appropriate handlers.
 
 import axios from 'axios'; // For fallback interaction responses
-import { isDuplicateRedis } from '../services/redisService.js';
+import { isDuplicateEvent, forgetEvent } from '../services/dedupeService.js';
+import { registerJobHandler, enqueueJob } from '../services/jobQueueService.js';
+import { checkRateLimit } from '../services/rateLimitService.js';
+import { createLogger, withCorrelationId } from '../utils/logger.js';
+import { recordSlackEvent } from '../services/metricsService.js';
 import { handleSlackMessageEventInternal } from '../handlers/messageHandler.js';
 import { handleInteractionPayload } from '../handlers/interactionHandler.js';
 import { handleSlashCommand } from '../handlers/commandHandler.js';
-import { botUserId, githubToken } from '../config.js';
+import { matchHelpRequest } from '../features/helpCatalog.js';
+import { githubToken, RESET_CONVERSATION_COMMAND, PREVIOUS_WORKSPACE_COMMAND, FILE_CONTEXT_MAX_FILES } from '../config.js';
+import { getTextCommandRateLimitClass, getSlashCommandRateLimitClass } from './commandRegistry.js';
+import { removeInstallation } from '../services/installationService.js';
+import { trackHandler } from '../services/inFlightService.js';
 
-// Import service clients to pass down to handlers
-import { slackClient } from '../services/slackService.js';
+// Import service clients to pass down to handlers (Slack client/bot user resolved per team)
+import { withSlackTeam, getSlackClient, getBotUserId, enqueueSlackEphemeral } from '../services/slackService.js';
 import { octokit } from '../services/githubService.js';
 
+const eventLog = createLogger('Dispatcher/Event');
+const interactionLog = createLogger('Dispatcher/Interaction');
+
+
+/**
+ * =============================================================================
+ *                             JOB HANDLERS
+ * =============================================================================
+ */
+
+// Handler work runs through the durable job queue (services/jobQueueService.js) instead of
+// detached promises, so it survives restarts and is drained on shutdown.
+// Each job runs with the Slack client of the team it came from (jobs queued before multi-team support have no team).
+// Running handlers are tracked (services/inFlightService.js): shutdown waits for them and replaces the thinking
+// messages of those it can't wait for with a restart notice.
+registerJobHandler('slack_event', ({ event, teamId }) =>
+    trackHandler('slack_event', () => withSlackTeam(teamId, () => handleSlackMessageEventInternal(event, getSlackClient(), octokit))));
+
+registerJobHandler('slash_command', (body) => trackHandler('slash_command', () => withSlackTeam(body.team_id, () => handleSlashCommand(body, getSlackClient(), octokit))), {
+    onFailure: (body) => {
+        if (!body.response_url) return;
+        return axios.post(body.response_url, { replace_original: "false", text: `❌ Critical error processing \`${body.command}\`.` }).catch(()=>{});
+    }
+});
+
+registerJobHandler('interaction', (payload) => trackHandler('interaction', () => withSlackTeam(payload.team?.id, () => handleInteractionPayload(payload, getSlackClient()))));
+
+
+/**
+ * =============================================================================
+ *                             RATE LIMITING
+ * =============================================================================
+ */
+
+/**
+ * Determines the rate limit command class of a message/app_mention event.
+ * @param {object} event - The Slack event.
+ * @returns {string | null} 'llm_question', 'export', the class of a registered `gh:` command (core/commandRegistry.js), or null for unlimited commands.
+ */
+function classifyMessageEvent(event) {
+    const text = event.text.replace(`<@${getBotUserId()}>`, '').trim().toLowerCase();
+    if (!text) return FILE_CONTEXT_MAX_FILES > 0 && event.files?.length && (event.type === 'app_mention' || event.channel_type === 'im') ? 'llm_question' : null; // An upload with just a mention (or in a DM) is a question about it
+    if (text.startsWith('#delete_last_message') || text.startsWith(RESET_CONVERSATION_COMMAND) || text === PREVIOUS_WORKSPACE_COMMAND || matchHelpRequest(text) !== null) return null;
+    if (text.startsWith('#remember')) return 'export';
+    const commandClass = getTextCommandRateLimitClass(text);
+    return commandClass === undefined ? 'llm_question' : commandClass;
+}
+
+/**
+ * Builds the "slow down" message shown to rate-limited users.
+ * @param {number} retryAfterSeconds - Seconds until the next request is allowed.
+ * @returns {string}
+ */
+function rateLimitMessage(retryAfterSeconds) {
+    return `:snail: Whoa, slow down a little! Please retry in ${Math.max(1, retryAfterSeconds)}s.`;
+}
+
+/**
+ * Applies the rate limit to a message/app_mention event, telling the user (ephemerally) when they are limited.
+ * @param {object} event - The Slack event (already filtered).
+ * @returns {Promise<boolean>} True if the event may be processed.
+ */
+async function passesEventRateLimit(event) {
+    const limit = await checkRateLimit(classifyMessageEvent(event), { userId: event.user, channelId: event.channel });
+    if (limit.allowed) return true;
+    recordSlackEvent(event.type, 'rate_limited');
+    await enqueueSlackEphemeral({
+        channel: event.channel, user: event.user, thread_ts: event.thread_ts,
+        text: rateLimitMessage(limit.retryAfterSeconds)
+    }).catch(err => eventLog.warn(`Failed to post rate limit notice: ${err.data?.error || err.message}`));
+    return false;
+}
+
+
+/**
+ * =============================================================================
+ *                             SLACK RETRIES
+ * =============================================================================
+ */
+
+// Retry reasons for which Slack did deliver the original request (it only missed the 3s ack),
+// so the original is already being handled here or by another instance
+const DELIVERED_RETRY_REASONS = new Set(['http_timeout']);
+
+/**
+ * Reads Slack's retry headers of an Events API request.
+ * @param {object | undefined} headers - Request headers (lowercase keys, as passed by the Events API adapter).
+ * @returns {{num: number, reason: string} | null} Retry info, or null for a first delivery.
+ */
+export function getSlackRetry(headers) {
+    const num = parseInt(headers?.['x-slack-retry-num'], 10);
+    if (!num) return null;
+    return { num, reason: headers['x-slack-retry-reason'] || 'unknown' };
+}
+
 
 /**
  * =============================================================================
@@ -23,33 +126,89 @@ import { octokit } from '../services/githubService.js';
 /**
  * Main dispatcher for incoming Slack HTTP requests verified by the Events API Adapter.
  * Called by event listeners set up in app.js or slackService.js.
+ * The Slack event_id becomes the correlation ID for every log line of this event (including the queued handler job).
+ * The event is handled with the Slack client and bot user of its team (`team_id`, see slackService.withSlackTeam).
  * @param {object} requestBody - The full request body received from Slack.
+ * @param {{num: number, reason: string} | null} [retry=null] - Slack retry info (see getSlackRetry), null for a first delivery.
  */
-export async function dispatchSlackEvent(requestBody) {
+export async function dispatchSlackEvent(requestBody, retry = null) {
     const event = requestBody?.event;
-    if (!event) { console.warn("[Dispatcher/Event] Invalid request body: Missing 'event' field."); return; }
+    if (!event) { eventLog.warn("Invalid request body: Missing 'event' field."); return; }
 
     const eventId = requestBody.event_id || event.event_ts || `no-id:${Date.now()}-${Math.random()}`;
-    if (await isDuplicateRedis(eventId)) { console.log(`[Dispatcher/Event] Duplicate event skipped: ${eventId}`); return; }
+    const teamId = requestBody.team_id || event.team || null;
+    return withCorrelationId(eventId, () => withSlackTeam(teamId, () => routeSlackEvent(event, eventId, teamId, retry)));
+}
+
+/**
+ * Queues a Slack event for the message handler. If the enqueue fails, the event is forgotten by the dedupe cache
+ * (it was marked as seen before), so Slack's retry of it isn't skipped as a duplicate.
+ * @param {object} event - The Slack event.
+ * @param {string} eventId - The Slack event_id (also the job's idempotency key).
+ * @param {string | null} teamId - The Slack team the event came from.
+ * @throws {Error} If the job couldn't be queued.
+ */
+async function queueSlackEvent(event, eventId, teamId) {
+    try {
+        await enqueueJob('slack_event', { event, eventId, teamId }, { idempotencyKey: eventId });
+    } catch (error) {
+        await forgetEvent(eventId);
+        throw error;
+    }
+}
+
+/**
+ * Deduplicates, filters, rate limits and queues a Slack event.
+ * Retries are acknowledged without processing when the event was already seen, or when Slack says the original
+ * was delivered (DELIVERED_RETRY_REASONS); other retries are processed in case the original never arrived.
+ * @param {object} event - The Slack event.
+ * @param {string} eventId - The Slack event_id (or fallback ID).
+ * @param {string | null} teamId - The Slack team the event came from.
+ * @param {{num: number, reason: string} | null} retry - Slack retry info.
+ */
+async function routeSlackEvent(event, eventId, teamId, retry) {
+    const botUserId = getBotUserId();
+    const retryText = retry ? ` (Slack retry #${retry.num}, reason: ${retry.reason})` : '';
+    if (await isDuplicateEvent(eventId)) { eventLog.info(`Duplicate event skipped: ${eventId}${retryText}`); recordSlackEvent(event.type, 'duplicate'); return; }
+    if (retry && DELIVERED_RETRY_REASONS.has(retry.reason)) {
+        eventLog.info(`Retry of an already delivered event skipped: ${eventId}${retryText}`);
+        recordSlackEvent(event.type, 'duplicate');
+        return;
+    }
+    if (retry) eventLog.info(`Processing Slack retry of an event not seen before: ${eventId}${retryText}`);
 
     try {
         switch (event.type) {
             case 'message':
-                if (event.user === botUserId || (event.subtype && event.subtype !== 'thread_broadcast') || !event.user || typeof event.text !== 'string') { return; } // Filter
-                console.log(`[Dispatcher/Event] Processing 'message' event: User=${event.user}, Chan=${event.channel}, TS=${event.ts}`);
-                handleSlackMessageEventInternal(event, slackClient, octokit).catch(err => { console.error(`[Dispatcher/Event] Unhandled error in message handler for event ${eventId}:`, err); });
+                if (event.user === botUserId || (event.subtype && event.subtype !== 'thread_broadcast' && event.subtype !== 'file_share') || !event.user || typeof event.text !== 'string') { recordSlackEvent(event.type, 'ignored'); return; } // Filter
+                // Outside DMs, an upload that mentions Orbit also arrives as app_mention (with another event_id): answer that one only
+                if (event.subtype === 'file_share' && event.channel_type !== 'im' && event.text.includes(`<@${botUserId}>`)) { recordSlackEvent(event.type, 'ignored'); return; }
+                if (!await passesEventRateLimit(event)) { return; }
+                eventLog.info(`Queueing 'message' event: User=${event.user}, Chan=${event.channel}, TS=${event.ts}`);
+                await queueSlackEvent(event, eventId, teamId);
+                recordSlackEvent(event.type, 'queued');
                 break;
             case 'app_mention':
-                if (!event.user || typeof event.text !== 'string' || event.user === botUserId) { return; } // Filter
-                console.log(`[Dispatcher/Event] Processing 'app_mention' event: User=${event.user}, Chan=${event.channel}, TS=${event.ts}`);
-                handleSlackMessageEventInternal(event, slackClient, octokit).catch(err => { console.error(`[Dispatcher/Event] Unhandled error in app_mention handler for event ${eventId}:`, err); });
+                if (!event.user || typeof event.text !== 'string' || event.user === botUserId) { recordSlackEvent(event.type, 'ignored'); return; } // Filter
+                if (!await passesEventRateLimit(event)) { return; }
+                eventLog.info(`Queueing 'app_mention' event: User=${event.user}, Chan=${event.channel}, TS=${event.ts}`);
+                await queueSlackEvent(event, eventId, teamId);
+                recordSlackEvent(event.type, 'queued');
+                break;
+            case 'app_uninstalled':
+            case 'tokens_revoked':
+                // The team's bot token no longer works; teams installed through OAuth must install again
+                if (event.type === 'tokens_revoked' && !event.tokens?.bot?.length) { recordSlackEvent(event.type, 'ignored'); return; }
+                if (await removeInstallation(teamId)) eventLog.info(`Removed installation of team ${teamId} (${event.type}).`);
+                recordSlackEvent(event.type, 'handled');
                 break;
             // Add other event cases here
             default:
-                // console.log(`[Dispatcher/Event] Ignoring unhandled event type: ${event.type}`); // Can be noisy
+                // eventLog.debug(`Ignoring unhandled event type: ${event.type}`); // Can be noisy
+                recordSlackEvent(event.type, 'ignored');
                 break;
         }
-    } catch (error) { console.error(`[Dispatcher/Event] Critical error dispatching event type ${event?.type} (ID: ${eventId}):`, error); }
+    } catch (error) { eventLog.error(`Critical error dispatching event type ${event?.type} (ID: ${eventId})`, error); }
 }
 
 
@@ -61,41 +220,65 @@ export async function dispatchSlackEvent(requestBody) {
 
 /**
  * Main dispatcher for incoming Slack Interaction HTTP requests (Slash Commands, Buttons, Modals).
- * Assumes request signature has been verified by middleware BEFORE this is called.
+ * Request signature is verified by slackSignatureMiddleware (core/slackRequestVerifier.js) BEFORE this is called.
+ * The Slack trigger_id becomes the correlation ID for the interaction's log lines.
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  */
 export async function dispatchSlackInteraction(req, res) {
+    let triggerId = req.body?.trigger_id || null;
+    if (!triggerId && typeof req.body?.payload === 'string') {
+        try { triggerId = JSON.parse(req.body.payload).trigger_id || null; } catch { /* Reported by routeSlackInteraction */ }
+    }
+    return withCorrelationId(triggerId, () => routeSlackInteraction(req, res));
+}
+
+/**
+ * Acknowledges, rate limits and queues a slash command or interaction payload.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+async function routeSlackInteraction(req, res) {
     // --- Interaction Type Routing ---
     if (req.body.command && typeof req.body.command === 'string') { // == Slash Command ==
         const { command, response_url } = req.body; // Extract needed fields early
-        console.log(`[Dispatcher/Interaction] Received Slash Command: ${command}`);
+        interactionLog.info(`Received Slash Command: ${command}`);
         res.send(); // Acknowledge immediately
 
-        handleSlashCommand(req.body, slackClient, octokit).catch(error => {
-             console.error(`[Dispatcher/Interaction] Uncaught error in handleSlashCommand for ${command}:`, error);
+        const limit = await checkRateLimit(getSlashCommandRateLimitClass(command), { userId: req.body.user_id, channelId: req.body.channel_id });
+        if (!limit.allowed) {
+            recordSlackEvent('slash_command', 'rate_limited');
+            // response_url messages are ephemeral by default
+            axios.post(response_url, { response_type: 'ephemeral', text: rateLimitMessage(limit.retryAfterSeconds) }).catch(()=>{});
+            return;
+        }
+
+        recordSlackEvent('slash_command', 'queued');
+        enqueueJob('slash_command', { ...req.body }, { idempotencyKey: req.body.trigger_id }).catch(error => {
+             interactionLog.error(`Failed to queue ${command}`, error);
              axios.post(response_url, { replace_original: "false", text: `❌ Critical error processing \`${command}\`.` }).catch(()=>{});
         });
 
     } else if (req.body.payload) { // == Button Click, Modal Submit, etc. ==
-         console.log(`[Dispatcher/Interaction] Received Interaction Payload.`);
+         interactionLog.info(`Received Interaction Payload.`);
          try {
              const payload = JSON.parse(req.body.payload);
-             console.log(`[Dispatcher/Interaction] Payload type: ${payload.type}`);
+             interactionLog.info(`Payload type: ${payload.type}`);
              res.send(); // Acknowledge immediately
 
-             handleInteractionPayload(payload, slackClient).catch(error => {
-                 console.error(`[Dispatcher/Interaction] Uncaught error in handleInteractionPayload for type ${payload.type}:`, error);
+             recordSlackEvent('interaction', 'queued');
+             enqueueJob('interaction', payload, { idempotencyKey: payload.trigger_id }).catch(error => {
+                 interactionLog.error(`Failed to queue interaction of type ${payload.type}`, error);
                  // Cannot easily respond via response_url here, error is logged.
              });
          } catch (e) {
-              console.error("[Dispatcher/Interaction] Failed to parse interaction payload:", e);
+              interactionLog.error("Failed to parse interaction payload", e);
               res.status(400).send('Invalid payload format'); // Synchronous error response
          }
     } else {
-        console.warn("[Dispatcher/Interaction] Received unknown POST format to interactions endpoint");
+        interactionLog.warn("Received unknown POST format to interactions endpoint");
         res.status(400).send("Unsupported request format");
     }
 }
 
-console.log("[Dispatcher] Initialized.");
+createLogger('Dispatcher').info("Initialized.");
@@ -0,0 +1,87 @@
+// src/core/slackRequestVerifier.js
+// Express middleware that verifies Slack request signatures (X-Slack-Signature) before dispatching.
+
+import crypto from 'crypto';
+import { signingSecret, SLACK_REQUEST_MAX_AGE_SECONDS } from '../config.js';
+
+/** @type {string} Version prefix used by Slack when building the signature base string. */
+const SIGNATURE_VERSION = 'v0';
+
+/**
+ * Body parser `verify` hook that keeps the raw request body on the request.
+ * Slack signs the exact bytes it sent, so verification must use the raw body, not the parsed one.
+ * Pass as `express.urlencoded({ verify: captureRawBody })`.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Buffer} buf - The raw body buffer.
+ */
+export function captureRawBody(req, res, buf) {
+    req.rawBody = buf?.length ? buf.toString('utf8') : '';
+}
+
+/**
+ * Computes the expected Slack signature for a request.
+ * @param {string} secret - The Slack signing secret.
+ * @param {string} timestamp - Value of the X-Slack-Request-Timestamp header.
+ * @param {string} rawBody - The raw request body.
+ * @returns {string} The signature in Slack's `v0=<hex>` format.
+ */
+export function computeSlackSignature(secret, timestamp, rawBody) {
+    const baseString = `${SIGNATURE_VERSION}:${timestamp}:${rawBody}`;
+    const digest = crypto.createHmac('sha256', secret).update(baseString, 'utf8').digest('hex');
+    return `${SIGNATURE_VERSION}=${digest}`;
+}
+
+/**
+ * Checks a Slack signature/timestamp pair against the raw body.
+ * @param {object} params - Parameters object.
+ * @param {string | undefined} params.signature - Value of the X-Slack-Signature header.
+ * @param {string | undefined} params.timestamp - Value of the X-Slack-Request-Timestamp header.
+ * @param {string} params.rawBody - The raw request body.
+ * @param {string} [params.secret=signingSecret] - The Slack signing secret.
+ * @param {number} [params.maxAgeSeconds=SLACK_REQUEST_MAX_AGE_SECONDS] - Replay window in seconds.
+ * @param {number} [params.nowSeconds] - Current UNIX time in seconds (defaults to now).
+ * @returns {{ valid: boolean, reason?: string }} Verification result with a rejection reason when invalid.
+ */
+export function verifySlackSignature({ signature, timestamp, rawBody, secret = signingSecret, maxAgeSeconds = SLACK_REQUEST_MAX_AGE_SECONDS, nowSeconds = Math.floor(Date.now() / 1000) }) {
+    if (!secret) return { valid: false, reason: 'signing secret not configured' };
+    if (!signature || !timestamp) return { valid: false, reason: 'missing signature headers' };
+
+    const requestTime = parseInt(timestamp, 10);
+    if (isNaN(requestTime)) return { valid: false, reason: `invalid timestamp "${timestamp}"` };
+    if (Math.abs(nowSeconds - requestTime) > maxAgeSeconds) {
+        return { valid: false, reason: `stale timestamp (${nowSeconds - requestTime}s old, window ${maxAgeSeconds}s)` };
+    }
+
+    const expected = Buffer.from(computeSlackSignature(secret, timestamp, rawBody || ''), 'utf8');
+    const received = Buffer.from(String(signature), 'utf8');
+    // timingSafeEqual throws on length mismatch, so check first
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, reason: 'signature mismatch' };
+    }
+    return { valid: true };
+}
+
+/**
+ * Express middleware rejecting requests that do not carry a valid Slack signature.
+ * Must run after a body parser configured with `captureRawBody`. Requests the parser skipped (other content types,
+ * empty bodies) have no raw body: it is verified as '', so they are rejected with 401 unless signed as empty.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {Function} next - Express next callback.
+ */
+export function slackSignatureMiddleware(req, res, next) {
+    const result = verifySlackSignature({
+        signature: req.get('X-Slack-Signature'),
+        timestamp: req.get('X-Slack-Request-Timestamp'),
+        rawBody: typeof req.rawBody === 'string' ? req.rawBody : ''
+    });
+
+    if (!result.valid) {
+        console.warn(`[Slack Verifier] Rejected ${req.method} ${req.originalUrl} from ${req.ip}: ${result.reason}`);
+        return res.status(401).send('Invalid Slack signature');
+    }
+    next();
+}
+
+console.log("[Slack Verifier] Initialized.");
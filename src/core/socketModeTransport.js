@@ -0,0 +1,119 @@
+// src/core/socketModeTransport.js
+// Slack Socket Mode transport: receives events, slash commands and interactions over a WebSocket
+// and feeds them into the same dispatcher functions used by the HTTP routes in app.js.
+
+import { SocketModeClient, LogLevel } from '@slack/socket-mode';
+import { appToken } from '../config.js';
+import { dispatchSlackEvent, dispatchSlackInteraction } from './dispatcher.js';
+import { handleAppHomeOpened } from '../handlers/interactionHandler.js';
+import { withSlackTeam } from '../services/slackService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Socket Mode');
+
+/** @type {SocketModeClient | null} The active Socket Mode client (null until started). */
+export let socketModeClient = null;
+
+/**
+ * Builds minimal Express-like req/res objects so Socket Mode envelopes can reuse dispatchSlackInteraction.
+ * The dispatcher acknowledges through `res.send()` / `res.status().send()`, which map to the envelope ack.
+ * @param {object} body - Value to expose as `req.body`.
+ * @param {Function} ack - The Socket Mode ack function for the envelope.
+ * @returns {{ req: object, res: object }}
+ */
+function createInteractionShim(body, ack) {
+    let acked = false;
+    const send = () => {
+        if (acked) return;
+        acked = true;
+        // Socket Mode has no HTTP status; error text is just logged on Slack's side, so ack without payload.
+        ack().catch(err => log.error(`Failed to ack envelope: ${err.message}`));
+    };
+    const res = {
+        send,
+        status: () => res,
+    };
+    return { req: { body, headers: {} }, res };
+}
+
+/**
+ * Creates the Socket Mode client, registers listeners and opens the WebSocket connection.
+ * @returns {Promise<SocketModeClient | null>} The started client, or null if it could not be started.
+ */
+export async function startSocketMode() {
+    if (!appToken) {
+        log.error("SLACK_APP_TOKEN missing. Socket Mode transport cannot start.");
+        return null;
+    }
+
+    const client = new SocketModeClient({ appToken, logLevel: LogLevel.WARN });
+
+    // The client doesn't await listeners, so each one logs its own errors instead of leaving a rejection unhandled.
+
+    // --- Events API envelopes ---
+    client.on('events_api', async ({ ack, body, retry_num: retryNum, retry_reason: retryReason }) => {
+        try {
+            await ack(); // Acknowledge immediately, same as the HTTP adapter
+            const event = body?.event;
+            if (!event) { log.warn("events_api envelope without event payload."); return; }
+            if (retryNum) log.info(`Slack retry #${retryNum} for event ${body.event_id}`);
+
+            if (event.type === 'app_home_opened') {
+                // Same as app.js: render the home tab with the client of the team it was opened in
+                await withSlackTeam(body.team_id || event.team || null, () => handleAppHomeOpened(event));
+                return;
+            }
+            await dispatchSlackEvent(body, retryNum ? { num: retryNum, reason: retryReason || 'unknown' } : null);
+        } catch (error) {
+            log.error(`Failed to handle event ${body?.event_id || 'unknown'} (${body?.event?.type || 'no type'}): ${error.message || error}`);
+        }
+    });
+
+    // --- Slash Commands ---
+    client.on('slash_commands', async ({ ack, body }) => {
+        const { req, res } = createInteractionShim(body, ack);
+        await dispatchSlackInteraction(req, res)
+            .catch(error => log.error(`Failed to handle slash command ${body?.command || 'unknown'}: ${error.message || error}`));
+    });
+
+    // --- Interactive components (buttons, modals) ---
+    client.on('interactive', async ({ ack, body }) => {
+        // The HTTP route receives interactions as a urlencoded `payload` JSON string; mirror that shape.
+        const { req, res } = createInteractionShim({ payload: JSON.stringify(body) }, ack);
+        await dispatchSlackInteraction(req, res)
+            .catch(error => log.error(`Failed to handle interaction ${body?.type || 'unknown'}: ${error.message || error}`));
+    });
+
+    client.on('connected', () => log.info("Connected to Slack."));
+    client.on('disconnected', () => log.warn("Disconnected from Slack."));
+    client.on('reconnecting', () => log.info("Reconnecting..."));
+    client.on('error', (error) => log.error(`Client error: ${error.message || error}`));
+
+    try {
+        await client.start();
+        socketModeClient = client;
+        log.info("Transport started.");
+        return client;
+    } catch (error) {
+        log.error(`Failed to start Socket Mode client: ${error.message || error}`);
+        return null;
+    }
+}
+
+/**
+ * Closes the Socket Mode connection if it was started.
+ * @returns {Promise<void>}
+ */
+export async function stopSocketMode() {
+    if (!socketModeClient) return;
+    try {
+        await socketModeClient.disconnect();
+        log.info("Connection closed.");
+    } catch (error) {
+        log.error(`Error closing connection: ${error.message || error}`);
+    } finally {
+        socketModeClient = null;
+    }
+}
+
+createLogger('Socket Mode Transport').info("Initialized.");
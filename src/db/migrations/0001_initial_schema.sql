@@ -0,0 +1,30 @@
+-- 0001_initial_schema.sql
+-- Feedback and Slack thread -> LLM thread mapping tables used by services/dbService.js.
+
+CREATE TABLE IF NOT EXISTS feedback (
+    id SERIAL PRIMARY KEY,
+    feedback_value VARCHAR(10),
+    user_id VARCHAR(50),
+    channel_id VARCHAR(50),
+    bot_message_ts VARCHAR(50),
+    original_user_message_ts VARCHAR(50),
+    action_id VARCHAR(100),
+    sphere_slug VARCHAR(100),
+    bot_message_text TEXT,
+    original_user_message_text TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Installs that followed the old README created feedback with context_slug instead of sphere_slug
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS sphere_slug VARCHAR(100);
+
+CREATE TABLE IF NOT EXISTS slack_anythingllm_threads (
+    id SERIAL PRIMARY KEY,
+    slack_channel_id VARCHAR(50) NOT NULL,
+    slack_thread_ts VARCHAR(50) NOT NULL,
+    anythingllm_workspace_slug VARCHAR(100) NOT NULL,
+    anythingllm_thread_slug VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_accessed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (slack_channel_id, slack_thread_ts)
+);
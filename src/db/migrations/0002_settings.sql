@@ -0,0 +1,21 @@
+-- 0002_settings.sql
+-- Runtime setting overrides managed with /orbit-config (services/settingsService.js) and their change history.
+
+CREATE TABLE IF NOT EXISTS settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by VARCHAR(50),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- new_value is NULL when an override was removed (back to the env default)
+CREATE TABLE IF NOT EXISTS settings_history (
+    id SERIAL PRIMARY KEY,
+    key VARCHAR(100) NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    changed_by VARCHAR(50),
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_settings_history_key ON settings_history (key, changed_at DESC);
@@ -0,0 +1,25 @@
+-- 0003_slack_installations.sql
+-- Slack workspaces (teams) that installed Orbit through the OAuth flow (services/installationService.js),
+-- and per-team runtime settings. team_id '' is the env-configured workspace (SLACK_BOT_TOKEN) and the default for all teams.
+
+CREATE TABLE IF NOT EXISTS slack_installations (
+    team_id VARCHAR(50) PRIMARY KEY,
+    team_name VARCHAR(255),
+    enterprise_id VARCHAR(50),
+    bot_token TEXT NOT NULL,
+    bot_user_id VARCHAR(50) NOT NULL,
+    bot_id VARCHAR(50),
+    scopes TEXT,
+    installed_by VARCHAR(50),
+    installed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Existing overrides become the defaults for every team
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS team_id VARCHAR(50) NOT NULL DEFAULT '';
+ALTER TABLE settings DROP CONSTRAINT IF EXISTS settings_pkey;
+ALTER TABLE settings ADD PRIMARY KEY (team_id, key);
+
+ALTER TABLE settings_history ADD COLUMN IF NOT EXISTS team_id VARCHAR(50) NOT NULL DEFAULT '';
+DROP INDEX IF EXISTS idx_settings_history_key;
+CREATE INDEX IF NOT EXISTS idx_settings_history_team_key ON settings_history (team_id, key, changed_at DESC);
@@ -1,13 +1,12 @@
 // Moved from root src/
 // Handles exporting Slack conversations to Markdown and optionally uploading to AnythingLLM.
 
-import { slackClient } from '../services/slackService.js'; // Use slackClient from service
-import FormData from 'form-data';
-import fs from 'fs';
-import path from 'path';
-import { anythingLLMBaseUrl, anythingLLMApiKey } from '../config.js'; // Use config
-import axios from 'axios';
-import process from 'process'; // Import process for cwd
+import { getSlackClient } from '../services/slackService.js'; // Client of the team being handled
+import { queryLlm, ingestLlmDocument, getLlmBackend } from '../services/llmService.js'; // Backend-agnostic LLM calls
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Export');
+const llmLog = log.child('LLM');
 
 /**
  * Fetches user info from Slack API with caching.
@@ -19,8 +18,9 @@ async function getUserInfo(userId, userInfoCache) {
      if (userInfoCache[userId]) {
         return userInfoCache[userId];
      }
+     const slackClient = getSlackClient();
      if (!slackClient) { // Check if client is available
-         console.error("Slack client not available in getUserInfo.");
+         log.error("Slack client not available in getUserInfo.");
          return { real_name: 'Unknown User (Slack Client Error)' };
      }
      try {
@@ -29,12 +29,12 @@ async function getUserInfo(userId, userInfoCache) {
             userInfoCache[userId] = result.user;
             return result.user;
         } else {
-            console.error(`Error fetching user info for ${userId}:`, result.error);
+            log.error(`Error fetching user info for ${userId}: ${result.error}`);
             userInfoCache[userId] = { real_name: `Unknown User (${userId})` };
             return userInfoCache[userId];
         }
     } catch (error) {
-        console.error(`Network/API error fetching user info for ${userId}:`, error.message);
+        log.error(`Network/API error fetching user info for ${userId}: ${error.message}`);
         userInfoCache[userId] = { real_name: 'Unknown User (Fetch Error)' };
         return userInfoCache[userId];
     }
@@ -86,7 +86,7 @@ async function formatMessageToMarkdown(message, userInfoCache) {
                 return '';
             }).join('\n').trim();
         } catch(blockError) {
-            console.error("Error processing blocks for export:", blockError);
+            log.error("Error processing blocks for export", blockError);
             messageText = message.text || ''; // Fallback to simple text
         }
     }
@@ -117,145 +117,51 @@ async function formatMessageToMarkdown(message, userInfoCache) {
 }
 
 
-/**
- * Adds an uploaded document (by its AnythingLLM path) to the 'conversations' workspace.
- * @param {string} docPath - The path of the uploaded document within AnythingLLM (e.g., 'custom-documents/user-upload.pdf').
- * @returns {Promise<object>} Response from AnythingLLM workspace update endpoint.
- * @throws {Error} If API call fails.
- */
-async function addToConversationsWorkspace(docPath) {
-    if (!anythingLLMBaseUrl || !anythingLLMApiKey) throw new Error("LLM Service not configured.");
-    if (!docPath) throw new Error("Document path is required to add to workspace.");
-
-    const workspaceSlug = 'conversations'; // Hardcoded target workspace
-    console.log(`[Export/LLM] Adding doc '${docPath}' to workspace '${workspaceSlug}'...`);
-    const updateUrl = `${anythingLLMBaseUrl}/api/v1/workspace/${workspaceSlug}/update-embeddings`;
-    const requestBody = { adds: [docPath], deletes: [] };
-
-    try {
-        const response = await axios.post(updateUrl, requestBody, {
-            headers: {
-                'Authorization': `Bearer ${anythingLLMApiKey}`,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            }
-        });
-        console.log(`[Export/LLM] Workspace '${workspaceSlug}' update successful.`);
-        return response.data;
-    } catch (error) {
-        console.error(`[Export/LLM] Error adding doc '${docPath}' to workspace '${workspaceSlug}':`, error.response?.data || error.message);
-        throw new Error(`Failed to add document to workspace ${workspaceSlug}: ${error.message}`);
-    }
-}
+/** @type {string} Workspace (and AnythingLLM document folder) that saved conversations are embedded into. */
+const CONVERSATIONS_WORKSPACE = 'conversations';
 
 /**
- * Uploads content as a file to AnythingLLM, moves it, and adds to the 'conversations' workspace.
+ * Uploads content as a document to the LLM backend and adds it to the 'conversations' workspace.
  * @param {string} content - The markdown content to upload.
  * @param {string} baseFilename - Base filename suggestion (e.g., conversation-channel-ts.md).
- * @returns {Promise<object>} Combined response from AnythingLLM including upload, move, and workspace update results.
- * @throws {Error} If any step fails.
+ * @returns {Promise<object>} Backend-specific ingestion result (AnythingLLM: upload, move, and workspace update results).
+ * @throws {Error} If ingestion fails.
  */
 async function uploadToAnythingLLM(content, baseFilename) {
-     if (!anythingLLMBaseUrl || !anythingLLMApiKey) throw new Error("LLM Service not configured.");
-
     let finalFilename = baseFilename; // Start with base name
 
     // --- Optional: Get LLM Title (Best Effort) ---
-    try {
-        const titlePrompt = 'Suggest a concise, descriptive title (max 10 words) for this Slack conversation snippet. Output ONLY the title text:';
-        // Send only a snippet to LLM for title generation to save tokens/time
-        const snippet = content.substring(0, 1500); // Send first 1500 chars
-        const titleQuery = `${titlePrompt}\n\n---\n\n${snippet}\n\n---`;
-        const chatResponse = await axios.post(
-            `${anythingLLMBaseUrl}/api/v1/workspace/all/chat`, // Use 'all' or a general workspace for titling
-            { message: titleQuery, mode: 'chat' }, // Use query mode maybe?
-            { headers: { 'Authorization': `Bearer ${anythingLLMApiKey}`, 'Content-Type': 'application/json', 'Accept': 'application/json' }, timeout: 200000 } // 20s timeout for title
-        );
-        let suggestedTitle = chatResponse.data?.textResponse?.trim();
+    const titlePrompt = 'Suggest a concise, descriptive title (max 10 words) for this Slack conversation snippet. Output ONLY the title text:';
+    // Send only a snippet to LLM for title generation to save tokens/time
+    const snippet = content.substring(0, 1500); // Send first 1500 chars
+    const titleQuery = `${titlePrompt}\n\n---\n\n${snippet}\n\n---`;
+    let suggestedTitle = (await queryLlm('all', null, titleQuery, 'chat')).trim(); // Use 'all' or a general workspace for titling; "" on failure
+    if (suggestedTitle) {
+        // Sanitize title for filename
+        suggestedTitle = suggestedTitle.replace(/[^a-zA-Z0-9-_ ]/g, '').replace(/\s+/g, '-').substring(0, 50); // Limit length
         if (suggestedTitle) {
-            // Sanitize title for filename
-            suggestedTitle = suggestedTitle.replace(/[^a-zA-Z0-9-_ ]/g, '').replace(/\s+/g, '-').substring(0, 50); // Limit length
-            if (suggestedTitle) {
-                const dateSuffix = new Date().toISOString().split('T')[0];
-                finalFilename = `${suggestedTitle}-${dateSuffix}.md`;
-                console.log(`[Export/LLM] Using LLM-suggested filename: ${finalFilename}`);
-            }
+            const dateSuffix = new Date().toISOString().split('T')[0];
+            finalFilename = `${suggestedTitle}-${dateSuffix}.md`;
+            llmLog.info(`Using LLM-suggested filename: ${finalFilename}`);
         }
-    } catch (titleError) {
-        console.warn('[Export/LLM] Error getting title from LLM, using default filename:', titleError.message);
-        // Keep default filename if titling fails
+    } else {
+        llmLog.warn('No title from LLM, using default filename.');
     }
     // --- End Optional Title ---
 
-    // Create a temporary file for upload
-    const tempDir = path.join(process.cwd(), 'temp_exports'); // Use a specific temp dir
-    if (!fs.existsSync(tempDir)) { fs.mkdirSync(tempDir, { recursive: true }); }
-    const tempFilePath = path.join(tempDir, finalFilename);
-    fs.writeFileSync(tempFilePath, content);
-    console.log(`[Export/LLM] Wrote content to temporary file: ${tempFilePath}`);
-
-    let uploadResponseData = null;
-    let docPath = null;
-
     try {
-        // --- Upload File ---
-        const form = new FormData();
-        form.append('file', fs.createReadStream(tempFilePath));
-        console.log(`[Export/LLM] Uploading '${finalFilename}' to ${anythingLLMBaseUrl}/api/v1/document/upload`);
-        const uploadResponse = await axios.post(`${anythingLLMBaseUrl}/api/v1/document/upload`, form, {
-            headers: { ...form.getHeaders(), 'Authorization': `Bearer ${anythingLLMApiKey}`, 'Accept': 'application/json' },
-            maxContentLength: Infinity, maxBodyLength: Infinity // Handle potentially large files
+        const result = await ingestLlmDocument({
+            content,
+            filename: finalFilename,
+            workspaceSlug: CONVERSATIONS_WORKSPACE,
+            folder: CONVERSATIONS_WORKSPACE
         });
-        uploadResponseData = uploadResponse.data;
-        console.log('[Export/LLM] Upload Response:', uploadResponseData);
-
-        // Check for success and the presence of the document object
-        if (!uploadResponseData.success || !uploadResponseData.document) {
-            throw new Error(`Upload failed or document object missing in response: ${JSON.stringify(uploadResponseData)}`);
-        }
-
-        // Attempt to get docPath from 'location', fallback to 'file_name'
-		const fileName =  uploadResponseData.document.file_name + '-' + uploadResponseData.document.id + '.json';
-        docPath = 'custom-documents/' + fileName;
-
-        if (!docPath) {
-            throw new Error(`Essential document path (location or file_name) not found in upload response: ${JSON.stringify(uploadResponseData.document)}`);
-        }
-        console.log(`[Export/LLM] Document uploaded successfully. Using path for move: ${docPath}`);
-        // --- End Upload File ---
-
-        // --- Move File ---
-        const targetFolder = 'conversations'; // Target folder within AnythingLLM
-        const targetPath = `${targetFolder}/${fileName}`;
-        console.log(`[Export/LLM] Moving doc from '${docPath}' to '${targetPath}'`);
-        const moveResponse = await axios.post(`${anythingLLMBaseUrl}/api/v1/document/move-files`, {
-            files: [{ from: docPath, to: targetPath }]
-        }, { headers: { 'Authorization': `Bearer ${anythingLLMApiKey}`, 'Content-Type': 'application/json', 'Accept': 'application/json' } });
-        console.log('[Export/LLM] Move Response:', moveResponse.data);
-        if (!moveResponse.data?.ok) { // Check move status if API provides it
-            console.warn(`[Export/LLM] File move might have failed (API response: ${JSON.stringify(moveResponse.data)})`);
-            // Decide if this is fatal - for now, we'll proceed to add to workspace using the *new* path
-        }
-        // --- End Move File ---
-
-        // --- Add to Workspace ---
-        const workspaceUpdateResponse = await addToConversationsWorkspace(targetPath); // Use the new target path
-        // --- End Add to Workspace ---
-
-        return { upload: uploadResponseData, move: moveResponse.data, workspace: workspaceUpdateResponse };
-
+        llmLog.info(`Document '${finalFilename}' added to workspace '${CONVERSATIONS_WORKSPACE}'.`);
+        return result;
     } catch (error) {
-         console.error('[Export/LLM] Error during upload/move/add process:', error.message);
+         llmLog.error(`Error during document ingestion: ${error.message}`);
          // Re-throw to be caught by the caller
          throw error;
-    } finally {
-        // Clean up temp file regardless of success/failure
-        if (fs.existsSync(tempFilePath)) {
-            fs.unlink(tempFilePath, (err) => {
-                if (err) console.error(`[Export/LLM] Error deleting temp file ${tempFilePath}:`, err);
-                else console.log(`[Export/LLM] Deleted temp file: ${tempFilePath}`);
-            });
-        }
     }
 }
 
@@ -268,15 +174,16 @@ async function uploadToAnythingLLM(content, baseFilename) {
  * @returns {Promise<{content: string, metadata: object, llmUploadResult?: object, llmUploadError?: string}>} Result object.
  */
 export async function exportConversationToMarkdown(channelId, threadTs, uploadToLLM = true) {
-    console.log(`[Export] Starting export for channel ${channelId}, thread ${threadTs}`);
+    log.info(`Starting export for channel ${channelId}, thread ${threadTs}`);
     let channelName = `channel-${channelId}`; // Default name
+    const slackClient = getSlackClient();
     try {
         // Get channel info (best effort)
         if (slackClient) {
             try {
                 const channelInfo = await slackClient.conversations.info({ channel: channelId });
                 channelName = channelInfo.channel?.name || channelName;
-            } catch (infoError) { console.warn(`[Export] Could not get channel info for ${channelId}:`, infoError.message); }
+            } catch (infoError) { log.warn(`Could not get channel info for ${channelId}: ${infoError.message}`); }
         }
 
         // Get conversation history
@@ -290,10 +197,10 @@ export async function exportConversationToMarkdown(channelId, threadTs, uploadTo
         do {
             fetchAttempts++;
             if (fetchAttempts > MAX_FETCH_ATTEMPTS) {
-                 console.warn(`[Export] Exceeded max pagination attempts (${MAX_FETCH_ATTEMPTS}) for thread ${threadTs}. Export may be incomplete.`);
+                 log.warn(`Exceeded max pagination attempts (${MAX_FETCH_ATTEMPTS}) for thread ${threadTs}. Export may be incomplete.`);
                  break;
             }
-            console.log(`[Export] Fetching replies page ${fetchAttempts} (cursor: ${cursor || 'start'})`);
+            log.info(`Fetching replies page ${fetchAttempts} (cursor: ${cursor || 'start'})`);
             const result = await slackClient.conversations.replies({
                 channel: channelId, ts: threadTs, limit: 200, cursor: cursor // Fetch max 200 per page
             });
@@ -301,7 +208,7 @@ export async function exportConversationToMarkdown(channelId, threadTs, uploadTo
             allMessages = allMessages.concat(result.messages);
             cursor = result.response_metadata?.next_cursor;
         } while (cursor);
-        console.log(`[Export] Fetched total ${allMessages.length} messages.`);
+        log.info(`Fetched total ${allMessages.length} messages.`);
 
         // Format messages to Markdown
         const userInfoCache = {}; // Cache for user lookups within this export
@@ -316,31 +223,31 @@ export async function exportConversationToMarkdown(channelId, threadTs, uploadTo
 
         const exportResult = { content: markdown, metadata };
 
-        // Upload to AnythingLLM if requested
-        if (uploadToLLM && anythingLLMBaseUrl && anythingLLMApiKey) {
+        // Upload to the LLM backend if requested
+        if (uploadToLLM && getLlmBackend().isConfigured()) {
             try {
                 const filename = `conversation-${metadata.channelName}-${threadTs}.md`;
-                console.log(`[Export] Attempting upload to AnythingLLM as '${filename}'...`);
+                log.info(`Attempting upload to AnythingLLM as '${filename}'...`);
                 const llmResponse = await uploadToAnythingLLM(markdown, filename);
                 exportResult.llmUploadResult = llmResponse; // Attach detailed result
-                console.log(`[Export] Upload to AnythingLLM successful.`);
+                log.info('Upload to AnythingLLM successful.');
             } catch (error) {
-                console.error('[Export] Error uploading to AnythingLLM:', error.message);
+                log.error(`Error uploading to AnythingLLM: ${error.message}`);
                 exportResult.llmUploadError = error.message || 'Unknown upload error';
             }
         } else if (uploadToLLM) {
-             console.warn("[Export] Upload to LLM requested but LLM is not configured.");
+             log.warn("Upload to LLM requested but LLM is not configured.");
              exportResult.llmUploadError = "LLM service not configured";
         }
 
-        console.log(`[Export] Finished export for ${channelId}:${threadTs}. Messages: ${metadata.messageCount}. Uploaded: ${!!exportResult.llmUploadResult}`);
+        log.info(`Finished export for ${channelId}:${threadTs}. Messages: ${metadata.messageCount}. Uploaded: ${!!exportResult.llmUploadResult}`);
         return exportResult;
 
     } catch (error) {
-        console.error(`[Export] Fatal error exporting conversation ${channelId}:${threadTs}:`, error);
+        log.error(`Fatal error exporting conversation ${channelId}:${threadTs}`, error);
         // Re-throw or return an error structure
         throw new Error(`Failed to export conversation: ${error.message}`);
     }
 }
 
-console.log("[Conversation Export] Initialized.");
+createLogger('Conversation Export').info("Initialized.");
@@ -0,0 +1,143 @@
+// src/features/fileContext.js
+// Reads the files shared with a message (PHP files, debug logs, snippets...) so their text can go into the LLM prompt.
+// Files are downloaded with the bot token; binaries, oversized files and anything beyond FILE_CONTEXT_MAX_FILES are
+// skipped, and the text of all files is kept within FILE_CONTEXT_MAX_CHARS (long files keep their start and end).
+
+import { FILE_CONTEXT_MAX_FILES, FILE_CONTEXT_MAX_FILE_BYTES, FILE_CONTEXT_MAX_CHARS } from '../config.js';
+import { downloadSlackFile } from '../services/slackService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('File Context');
+
+const BINARY_MIMETYPE_REGEX = /^(?:image|audio|video|font)\/|^application\/(?:pdf|zip|gzip|x-tar|x-7z-compressed|x-rar|vnd\.)/;
+const BINARY_SAMPLE_BYTES = 8192;
+const MAX_CONTROL_CHAR_RATIO = 0.1;
+const HEAD_SHARE = 0.4; // Share of a truncated file kept from its start; the rest comes from its end (where logs fail)
+
+/**
+ * Formats a byte count for the user ('3.2 KB').
+ * @param {number} bytes - Byte count.
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Whether downloaded content looks binary: NUL bytes, many control characters or invalid UTF-8 in its first bytes.
+ * @param {Buffer} buffer - File content.
+ * @returns {boolean}
+ */
+function isBinaryContent(buffer) {
+    const sample = buffer.subarray(0, BINARY_SAMPLE_BYTES);
+    if (sample.includes(0)) return true;
+    let controlChars = 0;
+    for (const byte of sample) {
+        if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 12 && byte !== 13 && byte !== 27) controlChars += 1;
+    }
+    if (sample.length > 0 && controlChars / sample.length > MAX_CONTROL_CHAR_RATIO) return true;
+    const decoded = sample.toString('utf8');
+    const replacements = decoded.split('\uFFFD').length - 1;
+    return replacements > Math.max(2, decoded.length * 0.01); // A cut multi-byte character at the sample end is fine
+}
+
+/**
+ * Shortens text to maxChars, keeping its start and end.
+ * @param {string} text - File text.
+ * @param {number} maxChars - Max characters.
+ * @returns {string}
+ */
+function truncateMiddle(text, maxChars) {
+    if (text.length <= maxChars) return text;
+    const head = Math.floor(maxChars * HEAD_SHARE);
+    const tail = maxChars - head;
+    return `${text.slice(0, head)}\n… ${text.length - maxChars} characters omitted …\n${text.slice(-tail)}`;
+}
+
+/**
+ * Reads one shared file.
+ * @param {object} file - Slack file object.
+ * @returns {Promise<{text: string} | {reason: string}>} The text, or why the file was skipped.
+ */
+async function readFile(file) {
+    if (file.mode === 'tombstone' || file.mode === 'hidden_by_limit') return { reason: 'not accessible' };
+    if (file.mode === 'external' || file.is_external) return { reason: 'stored outside Slack' };
+    if (BINARY_MIMETYPE_REGEX.test(file.mimetype || '')) return { reason: 'not a text file' };
+    if (file.size > FILE_CONTEXT_MAX_FILE_BYTES) return { reason: `larger than ${formatBytes(FILE_CONTEXT_MAX_FILE_BYTES)}` };
+
+    let buffer;
+    try {
+        buffer = await downloadSlackFile(file, FILE_CONTEXT_MAX_FILE_BYTES);
+    } catch (error) {
+        const tooLarge = /maxContentLength/i.test(error.message);
+        log.warn(`Failed to download ${file.id} (${file.name}): ${error.message}`);
+        return { reason: tooLarge ? `larger than ${formatBytes(FILE_CONTEXT_MAX_FILE_BYTES)}` : 'download failed' };
+    }
+    if (isBinaryContent(buffer)) return { reason: 'not a text file' };
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trim();
+    return text ? { text } : { reason: 'empty' };
+}
+
+/**
+ * Reads the files shared with a message into prompt context.
+ * @param {object[]} files - `files` of the Slack message event.
+ * @returns {Promise<{text: string, used: Array<{name: string, size: number, truncated: boolean}>, skipped: Array<{name: string, reason: string}>}>}
+ *   `text` is '' when no file could be used.
+ */
+export async function buildFileContext(files) {
+    if (FILE_CONTEXT_MAX_FILES === 0) return { text: '', used: [], skipped: [] }; // Disabled: nothing is downloaded
+    const used = [];
+    const skipped = [];
+    const read = [];
+    for (const [index, file] of files.entries()) {
+        const name = file.name || file.title || file.id;
+        if (index >= FILE_CONTEXT_MAX_FILES) { skipped.push({ name, reason: `only ${FILE_CONTEXT_MAX_FILES} files are read per message` }); continue; }
+        const result = await readFile(file);
+        if (result.reason) skipped.push({ name, reason: result.reason });
+        else read.push({ name, file, text: result.text });
+    }
+
+    // Split the budget evenly; files shorter than their share leave the rest to the others
+    const sections = [];
+    let remainingChars = FILE_CONTEXT_MAX_CHARS;
+    const byLength = [...read].sort((a, b) => a.text.length - b.text.length);
+    const budgets = new Map();
+    byLength.forEach((entry, index) => {
+        const budget = Math.min(entry.text.length, Math.floor(remainingChars / (byLength.length - index)));
+        budgets.set(entry, budget);
+        remainingChars -= budget;
+    });
+    for (const entry of read) {
+        const text = truncateMiddle(entry.text, budgets.get(entry));
+        const truncated = text.length !== entry.text.length;
+        used.push({ name: entry.name, size: entry.file.size ?? Buffer.byteLength(entry.text), truncated });
+        sections.push(`--- File: ${entry.name}${entry.file.filetype ? ` (${entry.file.filetype})` : ''}${truncated ? ', shortened' : ''} ---\n${text}\n--- End of ${entry.name} ---`);
+    }
+
+    log.info(`Read ${used.length} of ${files.length} shared file(s)${skipped.length ? `, skipped: ${skipped.map(s => `${s.name} (${s.reason})`).join(', ')}` : ''}.`);
+    return {
+        text: sections.length > 0 ? `Files shared with this message:\n\n${sections.join('\n\n')}` : '',
+        used,
+        skipped,
+    };
+}
+
+/**
+ * Tells the user which shared files went into the prompt and which were skipped.
+ * @param {{used: Array<{name: string, size: number, truncated: boolean}>, skipped: Array<{name: string, reason: string}>}} fileContext - Result of buildFileContext.
+ * @returns {string} Slack mrkdwn.
+ */
+export function describeFileContext({ used, skipped }) {
+    const parts = [];
+    if (used.length > 0) {
+        parts.push(`Reading ${used.map(f => `\`${f.name}\` (${formatBytes(f.size)}${f.truncated ? ', shortened' : ''})`).join(', ')}`);
+    }
+    if (skipped.length > 0) {
+        parts.push(`${used.length > 0 ? 'skipped' : 'Couldn\'t read'} ${skipped.map(f => `\`${f.name}\` (${f.reason})`).join(', ')}`);
+    }
+    return `:paperclip: ${parts.join('; ')}.`;
+}
+
+log.info(`Initialized. Up to ${FILE_CONTEXT_MAX_FILES} files of ${FILE_CONTEXT_MAX_FILE_BYTES} bytes, ${FILE_CONTEXT_MAX_CHARS} characters in total.`);
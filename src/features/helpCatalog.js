@@ -0,0 +1,241 @@
+// src/features/helpCatalog.js
+// `@Orbit help` / `gh: help` / `/orbit-help`: lists every command with its syntax and examples, built from the command
+// registry (so new commands show up without touching this file) plus the `#` thread commands handled by the message
+// handler, with the live knowledge workspaces and the caller's default routing. `help <command>` shows one command.
+
+import { COMMAND_PREFIX, WORKSPACE_OVERRIDE_COMMAND_PREFIX, RESET_CONVERSATION_COMMAND, PREVIOUS_WORKSPACE_COMMAND } from '../config.js';
+import { registerCommand, getCommands, getCommandLabel, getCommandUsage } from '../core/commandRegistry.js';
+import { getWorkspaces, determineWorkspace } from '../services/workspaceService.js';
+import { enqueueSlackPost, enqueueSlackEphemeral } from '../services/slackService.js';
+import { updateOrDeleteThinkingMessage } from '../services/inFlightService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Help');
+
+const MAX_LISTED_WORKSPACES = 40;
+const HELP_REGEX = /^help(?:\s+(?<topic>.+))?$/is;
+
+// Commands typed inside a thread, handled directly by the message handler (not registry commands)
+const THREAD_COMMANDS = [
+    {
+        name: '#remember',
+        usage: '#remember',
+        description: 'Saves the thread, anonymized, to the knowledge base so future answers can use it.',
+        examples: ['#remember'],
+    },
+    {
+        name: '#delete_last_message',
+        usage: '#delete_last_message',
+        description: "Deletes Orbit's last message in the thread.",
+        examples: ['#delete_last_message'],
+    },
+    {
+        name: RESET_CONVERSATION_COMMAND,
+        aliases: ['reset'],
+        usage: `${RESET_CONVERSATION_COMMAND} [${WORKSPACE_OVERRIDE_COMMAND_PREFIX}<workspace>]`,
+        description: 'Starts fresh in this thread (same workspace, or the given one); earlier messages are ignored.',
+        examples: [RESET_CONVERSATION_COMMAND, `${RESET_CONVERSATION_COMMAND} ${WORKSPACE_OVERRIDE_COMMAND_PREFIX}gravityflow`],
+    },
+    {
+        name: PREVIOUS_WORKSPACE_COMMAND,
+        aliases: ['previous', 'back'],
+        usage: PREVIOUS_WORKSPACE_COMMAND,
+        description: 'Goes back to the workspace this thread used before it last switched, continuing that conversation.',
+        examples: [PREVIOUS_WORKSPACE_COMMAND],
+    },
+    {
+        name: `${WORKSPACE_OVERRIDE_COMMAND_PREFIX}<workspace>`,
+        aliases: ['workspace', `${WORKSPACE_OVERRIDE_COMMAND_PREFIX}workspace`],
+        usage: `<question> ${WORKSPACE_OVERRIDE_COMMAND_PREFIX}<workspace>`,
+        description: 'Asks a specific knowledge workspace instead of the routed one (the thread keeps using it; a summary of the conversation so far is handed over).',
+        examples: [`does ${WORKSPACE_OVERRIDE_COMMAND_PREFIX}gravityflow support conditional logic?`],
+    },
+];
+
+/**
+ * =============================================================================
+ * TOPICS
+ * =============================================================================
+ */
+
+/**
+ * Finds the command a help topic refers to ('analyze', 'gh: analyze issue', '/gh-analyze', 'remember', ...).
+ * @param {string} topic - Text after `help`.
+ * @returns {{command?: object, threadCommand?: object} | null} The registry or thread command, or null if none matches.
+ */
+export function findHelpTopic(topic) {
+    const normalized = topic.trim().toLowerCase().replace(/\s+/g, ' ').replace(/[?.!]+$/, '');
+    const withoutPrefix = normalized.startsWith(COMMAND_PREFIX) ? normalized.slice(COMMAND_PREFIX.length).trim() : normalized;
+    if (!withoutPrefix) return null;
+
+    const command = getCommands().find(c =>
+        c.name === withoutPrefix
+        || (c.slash && (c.slash === withoutPrefix || c.slash === `/${withoutPrefix}`))
+        || c.keywords.some(keyword => keyword === withoutPrefix || keyword.split(' ')[0] === withoutPrefix));
+    if (command) return { command };
+
+    const threadCommand = THREAD_COMMANDS.find(t =>
+        t.name === withoutPrefix || t.name === `#${withoutPrefix}` || t.aliases?.includes(withoutPrefix));
+    return threadCommand ? { threadCommand } : null;
+}
+
+/**
+ * Whether a message (bot mention removed) asks for help. `help <topic>` only counts when the topic is a known
+ * command, so questions like "help me set up Stripe" still go to the LLM.
+ * @param {string} text - Message text.
+ * @returns {string | null} The topic ('' for the overview), or null if the message isn't a help request.
+ */
+export function matchHelpRequest(text) {
+    const match = text.trim().match(HELP_REGEX);
+    if (!match) return null;
+    const topic = match.groups.topic?.trim() || '';
+    return !topic || findHelpTopic(topic) ? topic : null;
+}
+
+/**
+ * =============================================================================
+ * RENDERING
+ * =============================================================================
+ */
+
+/**
+ * Renders the examples of a registry command for an entry point.
+ * @param {object} command - Registered command.
+ * @param {'text' | 'slash'} source - Entry point.
+ * @returns {string[]} Example invocations.
+ */
+function renderExamples(command, source) {
+    return command.examples.map(example => `${getCommandLabel(command, source)} ${example}`.trim());
+}
+
+/**
+ * Details of one registry command.
+ * @param {object} command - Registered command.
+ * @returns {string} Slack mrkdwn.
+ */
+function renderCommandDetails(command) {
+    const hasText = command.keywords.length > 0;
+    const lines = [`*${getCommandLabel(command, hasText ? 'text' : 'slash')}* — ${command.description}`];
+    if (hasText) {
+        const aliases = command.keywords.slice(1).map(keyword => `\`${COMMAND_PREFIX} ${keyword}\``);
+        lines.push(`• message: \`${getCommandUsage(command, 'text')}\`${aliases.length ? ` (also ${aliases.join(', ')})` : ''}`);
+    }
+    if (command.slash) lines.push(`• slash command: \`${getCommandUsage(command, 'slash')}\``);
+    if (command.permissions.includes('github')) lines.push('• needs GitHub access');
+    if (command.permissions.includes('admin')) lines.push('• Orbit admins only');
+
+    const examples = [...(hasText ? renderExamples(command, 'text') : []), ...(command.slash ? renderExamples(command, 'slash') : [])];
+    if (examples.length > 0) lines.push('*Examples*', ...examples.map(example => `• \`${example}\``));
+    return lines.join('\n');
+}
+
+/**
+ * Details of one thread command.
+ * @param {object} threadCommand - Entry of THREAD_COMMANDS.
+ * @returns {string} Slack mrkdwn.
+ */
+function renderThreadCommandDetails(threadCommand) {
+    return [
+        `*${threadCommand.name}* — ${threadCommand.description}`,
+        `• in a thread with Orbit: \`${threadCommand.usage}\``,
+        '*Examples*',
+        ...threadCommand.examples.map(example => `• \`${example}\``),
+    ].join('\n');
+}
+
+/**
+ * Knowledge workspaces and the caller's default routing.
+ * @param {string} userId - Slack user ID.
+ * @param {string} channelId - Channel ID.
+ * @returns {Promise<string>} Slack mrkdwn.
+ */
+async function renderWorkspaces(userId, channelId) {
+    const [workspaces, defaultWorkspace] = await Promise.all([
+        getWorkspaces(),
+        determineWorkspace({ suggestedWorkspace: null, userId, channelId }).catch(error => {
+            log.warn(`Failed to determine the default workspace: ${error.message}`);
+            return null;
+        }),
+    ]);
+    if (workspaces.length === 0) return '*Knowledge workspaces:* _unavailable right now._';
+
+    const listed = workspaces.slice(0, MAX_LISTED_WORKSPACES).map(slug => `\`${slug}\``).join(', ');
+    const more = workspaces.length > MAX_LISTED_WORKSPACES ? ` and ${workspaces.length - MAX_LISTED_WORKSPACES} more` : '';
+    return [
+        `*Your default workspace here:* ${defaultWorkspace ? `\`${defaultWorkspace}\`` : '_none (I will ask the fallback)_'}`,
+        `*Knowledge workspaces:* ${listed}${more} — add \`${WORKSPACE_OVERRIDE_COMMAND_PREFIX}<workspace>\` to a question to ask a specific one.`,
+    ].join('\n');
+}
+
+/**
+ * Builds the help text: the overview, or the details of one command.
+ * @param {string} topic - Command to explain, or '' for the overview.
+ * @param {{userId: string, channelId: string}} context - Caller, for the default routing.
+ * @returns {Promise<string>} Slack mrkdwn.
+ */
+export async function buildHelpText(topic, { userId, channelId }) {
+    if (topic) {
+        const found = findHelpTopic(topic);
+        if (found?.command) return renderCommandDetails(found.command);
+        if (found?.threadCommand) return renderThreadCommandDetails(found.threadCommand);
+    }
+
+    const commands = getCommands();
+    const textCommands = commands.filter(c => c.keywords.length > 0)
+        .map(c => `• \`${getCommandUsage(c, 'text')}\` — ${c.description}`);
+    const slashCommands = commands.filter(c => c.slash)
+        .map(c => `• \`${getCommandUsage(c, 'slash')}\` — ${c.description}`);
+    const threadCommands = THREAD_COMMANDS.map(t => `• \`${t.usage}\` — ${t.description}`);
+
+    return [
+        topic ? `❓ I don't know a command called \`${topic}\`. Here is everything I can do:\n` : '*Orbit help*',
+        'Mention @Orbit (or DM me) with a question; reply in the thread to keep the context.',
+        await renderWorkspaces(userId, channelId),
+        `\n*Message commands* (start with \`${COMMAND_PREFIX}\`)`, ...textCommands,
+        '\n*Slash commands*', ...slashCommands,
+        '\n*Thread commands*', ...threadCommands,
+        `\nType \`@Orbit help <command>\` for details and examples, e.g. \`@Orbit help analyze\`.`,
+    ].join('\n');
+}
+
+/**
+ * =============================================================================
+ * REPLYING
+ * =============================================================================
+ */
+
+/**
+ * Sends help to the caller: ephemerally in channels, as a normal reply in DMs (where only they can see it anyway).
+ * @param {string} topic - Command to explain, or '' for the overview.
+ * @param {{userId: string, channelId: string, replyTarget: string}} context - Caller and thread to reply in.
+ * @returns {Promise<void>}
+ */
+export async function sendHelp(topic, { userId, channelId, replyTarget }) {
+    const text = await buildHelpText(topic, { userId, channelId });
+    if (channelId.startsWith('D')) {
+        await enqueueSlackPost({ channel: channelId, thread_ts: replyTarget, text });
+    } else {
+        await enqueueSlackEphemeral({ channel: channelId, user: userId, thread_ts: replyTarget, text });
+    }
+    log.info(`Sent help${topic ? ` for '${topic}'` : ''} to ${userId} in ${channelId}.`);
+}
+
+registerCommand({
+    name: 'help',
+    description: 'Lists what Orbit can do, or explains one command.',
+    keywords: ['help'],
+    slash: '/orbit-help',
+    args: [{ name: 'topic', type: 'text', optional: true, label: 'command' }],
+    examples: ['', 'analyze'],
+    handler: async ({ topic }, ctx) => {
+        if (ctx.source === 'slash') {
+            await ctx.reply(await buildHelpText(topic || '', ctx)); // response_url replies are ephemeral
+            return true;
+        }
+        await updateOrDeleteThinkingMessage(ctx.thinkingMessage, ctx.channelId, null);
+        await sendHelp(topic || '', ctx);
+        return true;
+    },
+});
+
+createLogger('Help Catalog').info("Initialized.");
@@ -0,0 +1,212 @@
+// src/features/threadBackfill.js
+// Builds the earlier Slack discussion of a thread as context for a new AnythingLLM thread, e.g. when someone
+// mentions Orbit halfway through a long human thread. Pages through the thread, resolves mentions to names, drops
+// Orbit's status messages and messages before a `reset conversation`, and summarizes the oldest turns when the
+// transcript exceeds THREAD_BACKFILL_TOKEN_BUDGET.
+
+import { THREAD_BACKFILL_MAX_MESSAGES, THREAD_BACKFILL_TOKEN_BUDGET } from '../config.js';
+import { getSlackClient, getSlackTeam, getBotUserId, fetchSlackHistory } from '../services/slackService.js';
+import { queryLlmInScratchThread } from '../services/llmService.js';
+import { getThreadResetTs } from '../services/threadResetService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Thread Backfill');
+
+const CHARS_PER_TOKEN = 4; // Rough estimate, good enough for budgeting
+const RECENT_SHARE = 0.75; // Share of the budget kept for verbatim recent turns; the rest holds the summary
+const MAX_SUMMARY_INPUT_CHARS = THREAD_BACKFILL_TOKEN_BUDGET * CHARS_PER_TOKEN * 4;
+const USER_NAME_CACHE_MAX = 2000;
+
+// Orbit's progress/status/error messages, which say nothing about the discussion
+const STATUS_PATTERNS = [
+    /^:(?:hourglass_flowing_sand|satellite|robot_face|brain|mag|nerd_face|art|floppy_disk|arrows_counterclockwise|lock|snail|construction|paperclip):/,
+    /^(?:❌|⚠️|❓|✅|ℹ️)/u,
+    /^Was this response helpful\?$/,
+    /^I'm off duty right now/,
+];
+
+// "teamId:userId" -> display name (Map order is insertion order, oldest dropped first)
+const userNames = new Map();
+
+/**
+ * =============================================================================
+ * MESSAGE TEXT
+ * =============================================================================
+ */
+
+/**
+ * Display name of a Slack user, cached per team.
+ * @param {string} userId - Slack user ID.
+ * @returns {Promise<string>} Display name, or the user ID if it can't be looked up.
+ */
+async function getUserName(userId) {
+    if (userId === getBotUserId()) return 'Orbit';
+    const key = `${getSlackTeam().teamId || 'default'}:${userId}`;
+    if (userNames.has(key)) return userNames.get(key);
+
+    let name = userId;
+    try {
+        const { user } = await getSlackClient().users.info({ user: userId });
+        name = user?.profile?.display_name || user?.real_name || user?.name || userId;
+    } catch (error) {
+        log.warn(`Failed to look up user ${userId}: ${error.data?.error || error.message}`);
+    }
+    userNames.set(key, name);
+    if (userNames.size > USER_NAME_CACHE_MAX) userNames.delete(userNames.keys().next().value);
+    return name;
+}
+
+/**
+ * Plain text of a message: rich text blocks when present (Orbit's answers only carry a truncated `text`), else `text`.
+ * @param {object} message - Slack message.
+ * @returns {string}
+ */
+function getMessageText(message) {
+    const renderElements = (elements = []) => elements.map(el => {
+        if (el.type === 'text') return el.text;
+        if (el.type === 'link') return el.text ? `${el.text} (${el.url})` : el.url;
+        if (el.type === 'user') return `<@${el.user_id}>`;
+        if (el.type === 'channel') return `<#${el.channel_id}>`;
+        if (el.type === 'emoji') return `:${el.name}:`;
+        return '';
+    }).join('');
+
+    const fromBlocks = (message.blocks || []).map(block => {
+        if (block.type === 'section') return block.text?.text || '';
+        if (block.type !== 'rich_text') return '';
+        return (block.elements || []).map(element => {
+            if (element.type === 'rich_text_section') return renderElements(element.elements);
+            if (element.type === 'rich_text_preformatted') return `\`\`\`\n${renderElements(element.elements)}\n\`\`\``;
+            if (element.type === 'rich_text_quote') return `> ${renderElements(element.elements)}`;
+            if (element.type === 'rich_text_list') return (element.elements || []).map(item => `- ${renderElements(item.elements)}`).join('\n');
+            return '';
+        }).join('\n');
+    }).join('\n').trim();
+
+    return fromBlocks || (message.text || '').trim();
+}
+
+/**
+ * Replaces Slack markup (mentions, channel links, links, special mentions) with readable text.
+ * @param {string} text - Slack message text.
+ * @returns {Promise<string>}
+ */
+async function resolveSlackMarkup(text) {
+    const userIds = [...new Set([...text.matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g)].map(match => match[1]))];
+    const names = new Map(await Promise.all(userIds.map(async id => [id, await getUserName(id)])));
+    return text
+        .replace(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g, (_, id) => `@${names.get(id)}`)
+        .replace(/<#[A-Z0-9]+\|([^>]+)>/g, '#$1')
+        .replace(/<!(here|channel|everyone)>/g, '@$1')
+        .replace(/<(https?:[^|>]+)\|([^>]+)>/g, '$2 ($1)')
+        .replace(/<(https?:[^>]+)>/g, '$1');
+}
+
+/**
+ * Whether a message is one of Orbit's status messages (thinking, progress, errors, prompts).
+ * @param {string} text - Message text.
+ * @returns {boolean}
+ */
+function isStatusMessage(text) {
+    if (STATUS_PATTERNS.some(pattern => pattern.test(text))) return true;
+    return text.length < 120 && text.endsWith('...'); // Thinking messages ("🧠 Compiling cognitive functions...")
+}
+
+/**
+ * =============================================================================
+ * BACKFILL
+ * =============================================================================
+ */
+
+/**
+ * Summarizes older turns of the discussion with the LLM.
+ * @param {string[]} turns - "Name: text" lines, oldest first.
+ * @param {string} workspaceSlug - Workspace to ask.
+ * @param {number} maxChars - Target size of the summary.
+ * @returns {Promise<string>} The summary, or a note that the turns were left out if summarizing failed.
+ */
+async function summarizeTurns(turns, workspaceSlug, maxChars) {
+    let transcript = turns.join('\n');
+    if (transcript.length > MAX_SUMMARY_INPUT_CHARS) transcript = `(earlier messages omitted)\n${transcript.slice(-MAX_SUMMARY_INPUT_CHARS)}`;
+    const maxWords = Math.max(50, Math.floor(maxChars / CHARS_PER_TOKEN * 0.75));
+    const prompt = `Summarize this earlier part of a Slack discussion in at most ${maxWords} words. Keep who said what, facts established, decisions and open questions. Output ONLY the summary.\n\n---\n${transcript}\n---`;
+
+    // A throwaway thread keeps the transcript out of the workspace's shared chat history
+    const summary = (await queryLlmInScratchThread(workspaceSlug, prompt, 'chat')).trim(); // "" on failure
+    if (!summary) {
+        log.warn(`Summarizing ${turns.length} older message(s) failed; leaving them out.`);
+        return `(${turns.length} earlier message(s) not included)`;
+    }
+    return summary.length > maxChars ? `${summary.slice(0, maxChars)}…` : summary;
+}
+
+/**
+ * Builds the earlier discussion of a Slack thread as context for the first prompt of a new AnythingLLM thread.
+ * The newest turns are kept verbatim within THREAD_BACKFILL_TOKEN_BUDGET; older turns are summarized.
+ * @param {object} params - Parameters.
+ * @param {string} params.channelId - Channel ID.
+ * @param {string} params.threadTs - Thread root TS.
+ * @param {string} params.beforeTs - TS of the current message; it and later messages are left out.
+ * @param {string} params.workspaceSlug - Workspace used to summarize older turns.
+ * @returns {Promise<{text: string, messageCount: number, summarizedCount: number} | null>} Null if there is no earlier discussion.
+ */
+export async function buildThreadBackfill({ channelId, threadTs, beforeTs, workspaceSlug }) {
+    const [messages, resetTs] = await Promise.all([
+        fetchSlackHistory(channelId, threadTs, null, 200, true, THREAD_BACKFILL_MAX_MESSAGES),
+        getThreadResetTs(channelId, threadTs),
+    ]);
+    if (!messages) return null;
+
+    const turns = [];
+    for (const message of messages) {
+        if (parseFloat(message.ts) >= parseFloat(beforeTs)) continue;
+        if (resetTs && parseFloat(message.ts) <= parseFloat(resetTs)) continue;
+        if (message.subtype && message.subtype !== 'bot_message' && message.subtype !== 'thread_broadcast') continue;
+
+        const isOrbit = message.user === getBotUserId();
+        const text = getMessageText(message);
+        if (!text || (isOrbit && isStatusMessage(text))) continue;
+
+        const author = message.user ? await getUserName(message.user) : (message.bot_profile?.name || message.username || 'bot');
+        turns.push(`${author}: ${await resolveSlackMarkup(text)}`);
+    }
+    if (turns.length === 0) return null;
+
+    const budgetChars = THREAD_BACKFILL_TOKEN_BUDGET * CHARS_PER_TOKEN;
+    const totalChars = turns.reduce((sum, turn) => sum + turn.length + 1, 0);
+    let lines = turns;
+    let summarizedCount = 0;
+
+    if (totalChars > budgetChars) {
+        // Keep the newest turns verbatim, summarize the rest into the remaining budget
+        const recentChars = Math.floor(budgetChars * RECENT_SHARE);
+        const recent = [];
+        let used = 0;
+        for (let i = turns.length - 1; i >= 0; i--) {
+            const turn = turns[i];
+            if (used + turn.length + 1 > recentChars) {
+                if (recent.length === 0) recent.unshift(`${turn.slice(0, recentChars)}…`); // A single turn over budget is cut
+                break;
+            }
+            recent.unshift(turn);
+            used += turn.length + 1;
+        }
+        const older = turns.slice(0, turns.length - recent.length);
+        summarizedCount = older.length;
+        if (older.length > 0) {
+            const summary = await summarizeTurns(older, workspaceSlug, budgetChars - recentChars);
+            lines = [`Summary of the earlier discussion: ${summary}`, ...recent];
+        } else {
+            lines = recent;
+        }
+    }
+
+    log.info(`${channelId}:${threadTs}: ${turns.length} earlier message(s)${summarizedCount ? `, ${summarizedCount} summarized` : ''}${resetTs ? ` (after reset ${resetTs})` : ''}.`);
+    return {
+        text: `Earlier in this Slack thread:\n${lines.join('\n')}`,
+        messageCount: turns.length,
+        summarizedCount,
+    };
+}
+
+log.info(`Initialized. Max messages: ${THREAD_BACKFILL_MAX_MESSAGES}, token budget: ${THREAD_BACKFILL_TOKEN_BUDGET}.`);
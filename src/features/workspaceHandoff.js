@@ -0,0 +1,77 @@
+// src/features/workspaceHandoff.js
+// Builds the context hand-off when routing moves a Slack thread to another workspace: the conversation of the old
+// AnythingLLM thread is summarized into a structured brief (question, facts established, open points) that starts
+// the new thread, instead of the raw transcript. Kept within WORKSPACE_HANDOFF_TOKEN_BUDGET.
+
+import { WORKSPACE_HANDOFF_TOKEN_BUDGET } from '../config.js';
+import { queryLlmInScratchThread, getLlmThreadHistory } from '../services/llmService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Workspace Handoff');
+
+const CHARS_PER_TOKEN = 4; // Rough estimate, good enough for budgeting
+const MAX_TRANSCRIPT_CHARS = 48000; // Newest part of the old conversation sent to the summarizer
+const MAX_TURN_CHARS = 4000; // Long answers (code, logs) are cut per turn so one doesn't crowd out the rest
+
+/**
+ * Renders an AnythingLLM thread history as a transcript, newest turns kept when it is too long.
+ * @param {Array<{role: string, content: string}>} history - Messages, oldest first.
+ * @returns {string}
+ */
+function renderTranscript(history) {
+    const turns = history
+        .filter(({ role, content }) => (role === 'user' || role === 'assistant') && content?.trim())
+        .map(({ role, content }) => {
+            const text = content.trim();
+            return `${role === 'user' ? 'User' : 'Assistant'}: ${text.length > MAX_TURN_CHARS ? `${text.slice(0, MAX_TURN_CHARS)}…` : text}`;
+        });
+    const transcript = turns.join('\n\n');
+    return transcript.length > MAX_TRANSCRIPT_CHARS
+        ? `(earlier turns omitted)\n${transcript.slice(-MAX_TRANSCRIPT_CHARS)}`
+        : transcript;
+}
+
+/**
+ * Summarizes the conversation of the AnythingLLM thread a Slack thread is leaving, for the first prompt of the
+ * thread it moves to.
+ * @param {object} params - Parameters.
+ * @param {string} params.fromWorkspace - Workspace the Slack thread is leaving (also asked for the summary).
+ * @param {string} params.fromThreadSlug - AnythingLLM thread in that workspace.
+ * @param {string} params.toWorkspace - Workspace the Slack thread moves to.
+ * @returns {Promise<{text: string, messageCount: number} | null>} Null if the old thread is empty, its history is
+ *   unavailable or summarizing failed (the caller falls back to the Slack thread backfill).
+ */
+export async function buildWorkspaceHandoff({ fromWorkspace, fromThreadSlug, toWorkspace }) {
+    const history = await getLlmThreadHistory(fromWorkspace, fromThreadSlug);
+    const transcript = renderTranscript(history);
+    if (!transcript) return null;
+
+    const maxChars = WORKSPACE_HANDOFF_TOKEN_BUDGET * CHARS_PER_TOKEN;
+    const maxWords = Math.floor(WORKSPACE_HANDOFF_TOKEN_BUDGET * 0.75);
+    const prompt = [
+        `This conversation is being handed over to an assistant for the \`${toWorkspace}\` knowledge base. Write the hand-off in at most ${maxWords} words, using exactly these sections:`,
+        'Question: what the user is trying to achieve.',
+        'Facts established: bullet list of facts, answers, versions, settings and steps already tried.',
+        'Open points: bullet list of what is still unanswered or unresolved.',
+        'Output ONLY the hand-off.',
+        '',
+        '---',
+        transcript,
+        '---',
+    ].join('\n');
+
+    // Asked in a throwaway thread, so the user's conversation isn't copied into the workspace's shared chat history
+    const summary = (await queryLlmInScratchThread(fromWorkspace, prompt, 'chat')).trim(); // "" on failure
+    if (!summary) {
+        log.warn(`Summarizing ${fromWorkspace}:${fromThreadSlug} failed.`);
+        return null;
+    }
+
+    log.info(`Summarized ${history.length} message(s) of ${fromWorkspace}:${fromThreadSlug} for ${toWorkspace} (${summary.length} chars).`);
+    return {
+        text: `Hand-off from the earlier conversation in the \`${fromWorkspace}\` workspace:\n${summary.length > maxChars ? `${summary.slice(0, maxChars)}…` : summary}`,
+        messageCount: history.length,
+    };
+}
+
+log.info(`Initialized. Token budget: ${WORKSPACE_HANDOFF_TOKEN_BUDGET}.`);
@@ -1,12 +1,36 @@
 
 // src/handlers/commandHandler.js
-// Contains handlers for specific commands (`gh:`, `/gh-*`) identified by routers.
+// Contains handlers for specific commands (`gh:`, `/gh-*`, `/orbit-config`) and registers them in the command registry.
 
+import axios from 'axios';
 import { getLatestRelease, getPrDetailsForReview, getGithubIssueDetails, callGithubApi, octokit as octokitInstance } from '../services/githubService.js'; // Import octokit instance
 import { markdownToRichTextBlock, extractTextAndCode, splitMessageIntoChunks } from '../utils/formattingService.js';
-import { queryLlm } from '../services/llmService.js';
-import { githubToken, GITHUB_OWNER, githubWorkspaceSlug, formatterWorkspaceSlug } from '../config.js';
-import { slackClient } from '../services/slackService.js'; // Import for posting messages if needed directly
+import { queryLlm, isLlmAvailable, createNewAnythingLLMThread, getAnythingLLMThreadMapping, storeAnythingLLMThreadMapping } from '../services/llmService.js';
+import { githubToken, GITHUB_OWNER, githubWorkspaceSlug, formatterWorkspaceSlug, RESET_CONVERSATION_COMMAND, PREVIOUS_WORKSPACE_COMMAND } from '../config.js';
+import { enqueueSlackPost, enqueueSlackDelete, postSlackMessages } from '../services/slackService.js';
+import { determineWorkspace, getWorkspaces } from '../services/workspaceService.js';
+import { markThreadReset } from '../services/threadResetService.js';
+import { pushThreadWorkspace, popThreadWorkspace, clearThreadWorkspaceHistory } from '../services/workspaceHistoryService.js';
+import { acquireThreadLock } from '../services/threadLockService.js';
+import { createLogger, logContent } from '../utils/logger.js';
+import { recordCommand, recordError } from '../services/metricsService.js';
+import { getSetting, listSettings, setSetting, unsetSetting, getSettingChanges } from '../services/settingsService.js';
+import { updateOrDeleteThinkingMessage } from '../services/inFlightService.js';
+import strings from '../services/stringService.js';
+import { markJobCommitted } from '../services/jobQueueService.js';
+import { registerCommand, matchSlashCommand, runCommand } from '../core/commandRegistry.js';
+
+const log = createLogger('Command Handler');
+const slashLog = createLogger('Slash Command Handler');
+const utilLog = log.child('Util');
+const deleteLog = log.child('Delete');
+const resetLog = log.child('Reset');
+const previousLog = log.child('Previous');
+const releaseLog = log.child('Release');
+const prReviewLog = log.child('PR Review');
+const issueLog = log.child('Issue Analysis');
+const apiLog = log.child('API');
+const configLog = log.child('Config');
 
 /**
  * =============================================================================
@@ -15,31 +39,12 @@ import { slackClient } from '../services/slackService.js'; // Import for posting
  */
 
 /**
- * Helper function to safely update or delete the thinking message.
- * @param {Promise<string | null>} thinkingMessagePromise - Promise resolving to the message TS.
- * @param {object} slack - Slack WebClient instance.
- * @param {string} channel - Channel ID.
- * @param {object | null} [updateArgs=null] - Arguments for chat.update (text, blocks), or null/undefined to delete.
+ * Builds the error for an empty LLM reply, naming the outage when the LLM circuit breaker is open.
+ * @param {string} message - Message used when the backend is available (it really answered with nothing).
+ * @returns {Error}
  */
-async function updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, updateArgs = null) {
-    // Await the promise *only when needed*
-    let ts = null;
-    try {
-        ts = await thinkingMessagePromise; // Get the TS
-        if (!ts) {
-            // console.warn("[CH Util] No thinking message TS resolved."); // Less noisy
-            return;
-        }
-        if (updateArgs) {
-            await slack.chat.update({ channel, ts, ...updateArgs });
-             console.log(`[CH Util] Updated thinking message ${ts}.`);
-        } else {
-            await slack.chat.delete({ channel, ts });
-             console.log(`[CH Util] Deleted thinking message ${ts}.`);
-        }
-    } catch (error) {
-        console.warn(`[CH Util] Failed to ${updateArgs ? 'update' : 'delete'} thinking message ${ts || '?'}:`, error.data?.error || error.message);
-    }
+function emptyLlmReplyError(message) {
+    return new Error(isLlmAvailable() ? message : 'The knowledge base is unavailable right now. Please try again in a few minutes.');
 }
 
 /**
@@ -68,14 +73,59 @@ function resolveRepoIdentifier(identifier) {
     }
 
     if (repo) {
-        console.log(`[CH Util] Resolved repo identifier '${identifier}' to: ${owner}/${repo}`);
+        utilLog.info(`Resolved repo identifier '${identifier}' to: ${owner}/${repo}`);
         return { owner, repo };
     } else {
-        console.warn(`[CH Util] Could not resolve repository identifier: ${identifier}`);
+        utilLog.warn(`Could not resolve repository identifier: ${identifier}`);
         return null;
     }
 }
 
+/**
+ * Resolves the AnythingLLM workspace and thread for issue analysis. In a Slack thread the thread's mapping is used
+ * (an explicit workspace wins over the mapped one), or a new AnythingLLM thread is created and mapped, under the
+ * thread lock so a concurrent message can't create a second one. The lock stays held for the analysis queries: the
+ * caller must call `releaseThreadLock` when they're done. Without a Slack thread (slash commands) the explicit or
+ * routed workspace is used without a thread.
+ * @param {string | null} explicitWorkspace - Workspace given in the command, if any.
+ * @param {{userId: string, channelId: string, threadTs: string | null}} context - Command context.
+ * @returns {Promise<{workspaceSlug: string, threadSlug: string | null, releaseThreadLock: Function} | null>} Null if
+ *   an earlier message in the thread still holds the thread lock.
+ * @throws {Error} If no workspace can be determined or the thread can't be created.
+ */
+async function resolveIssueAnalysisContext(explicitWorkspace, { userId, channelId, threadTs }) {
+    const routeWorkspace = async () => {
+        issueLog.info('No mapping or explicit Ws, determining workspace...');
+        const workspaceSlug = await determineWorkspace({ suggestedWorkspace: null, userId, channelId });
+        if (!workspaceSlug) throw new Error("Could not determine target workspace for issue analysis.");
+        return workspaceSlug;
+    };
+
+    if (!threadTs) return { workspaceSlug: explicitWorkspace || await routeWorkspace(), threadSlug: null, releaseThreadLock: async () => {} };
+
+    const releaseThreadLock = await acquireThreadLock(channelId, threadTs);
+    if (!releaseThreadLock) return null;
+    try {
+        const mapping = await getAnythingLLMThreadMapping(channelId, threadTs);
+        if (mapping) {
+            const workspaceSlug = explicitWorkspace || mapping.anythingllm_workspace_slug;
+            issueLog.info(`Using context (Explicit Ws: '${explicitWorkspace || 'None'}', Mapped Ws: '${mapping.anythingllm_workspace_slug}'): Final Ws=${workspaceSlug}, Thr=${mapping.anythingllm_thread_slug}`);
+            return { workspaceSlug, threadSlug: mapping.anythingllm_thread_slug, releaseThreadLock };
+        }
+
+        const workspaceSlug = explicitWorkspace || await routeWorkspace();
+        issueLog.info(`Creating new thread in workspace: ${workspaceSlug}`);
+        const threadSlug = await createNewAnythingLLMThread(workspaceSlug);
+        if (!threadSlug) throw new Error(`Failed to create thread in ${workspaceSlug}.`);
+        await storeAnythingLLMThreadMapping(channelId, threadTs, workspaceSlug, threadSlug);
+        issueLog.info(`Created and stored new mapping: ${workspaceSlug}:${threadSlug}`);
+        return { workspaceSlug, threadSlug, releaseThreadLock };
+    } catch (error) {
+        await releaseThreadLock();
+        throw error;
+    }
+}
+
 
 /**
  * =============================================================================
@@ -85,118 +135,28 @@ function resolveRepoIdentifier(identifier) {
 
 /**
  * Entry point for handling Slash Commands dispatched from the interaction handler.
- * Parses the command text and calls the appropriate specific command handler.
+ * Resolves the command through the command registry (same syntax and usage errors as `gh:` text commands)
+ * and runs it. Errors, usage hints and denials are replied ephemerally via response_url.
  * @param {object} payload - The full payload object from the Slack Slash Command request.
  * @param {object} slack - The initialized Slack WebClient instance.
  * @param {object} octokit - The initialized Octokit instance.
  */
 export async function handleSlashCommand(payload, slack, octokit) {
-    const { command, text, user_id, channel_id, response_url } = payload;
-    const commandArgs = text.trim(); // Text after the command itself
+    const { command, text = '', user_id, channel_id, response_url } = payload;
+    const reply = (message) => axios.post(response_url, { response_type: 'ephemeral', text: message }).then(markJobCommitted)
+        .catch(error => slashLog.error(`Failed to respond via response_url for ${command}: ${error.message}`));
 
-    // Create a resolved promise with the TS of the initial "Processing..." message
-    // posted by the interaction handler/dispatcher.
-    let thinkingMessageTs = null;
-    let thinkingPromise = null;
     try {
-        // NOTE: This assumes the Interaction dispatcher ALREADY posted a thinking msg
-        // If not, this handler needs to post its own. For consistency, assume
-        // the dispatcher posts it and we just need the promise wrapper.
-        // We don't have the TS here, so we'll have to post a NEW one if needed inside handlers.
-        // Let's create a *placeholder* promise that resolves to null initially.
-        // Handlers MUST check if the promise resolved to a valid TS before updating/deleting.
-         thinkingPromise = Promise.resolve(null); // Placeholder
-         console.warn("[Slash Command Handler] Cannot access initial thinking message TS from dispatcher easily. Handlers will post new status messages.");
-         // Alternative: Post a *new* thinking message here? Seems redundant if dispatcher did.
-         // Let's proceed assuming handlers will post their own status.
-
+        // Slash commands have no thread context (replyTarget = channel_id) and no thinking message:
+        // handlers post their results as new channel messages.
+        await runCommand(matchSlashCommand(command, text), {
+            name: command, userId: user_id, channelId: channel_id, replyTarget: channel_id, threadTs: null,
+            responseUrl: response_url, slack, octokit, thinkingMessage: null, reply
+        });
     } catch (error) {
-        console.error(`[Slash Command Handler] Error posting initial message for ${command}:`, error);
-        // If we can't even post the initial message, report via response_url
-        await axios.post(response_url, { replace_original: "false", text: `❌ Error starting command processing.` }).catch(()=>{});
-        return;
-    }
-
-     // --- Check GitHub Token ---
-     if (!githubToken) {
-         console.warn("[Slash Command Handler] GitHub command received, but GITHUB_TOKEN is missing.");
-         // Use response_url to notify user since we already ACKed
-         await axios.post(response_url, { replace_original: "false", text: `❌ GitHub features are disabled (missing configuration).` }).catch(()=>{});
-         return;
-     }
-     if (!octokit) { // Also check if Octokit instance is valid
-          console.warn("[Slash Command Handler] GitHub command received, but Octokit failed to initialize.");
-         await axios.post(response_url, { replace_original: "false", text: `❌ GitHub client failed to initialize (check token/config).` }).catch(()=>{});
-         return;
-     }
-     // --- End Check ---
-
-
-    // --- Route based on command name ---
-    try {
-        let commandHandled = false; // Track if any handler runs
-        switch (command) {
-            case '/gh-latest': {
-                const repoIdentifier = commandArgs;
-                if (repoIdentifier) {
-                    // Note: Slash commands don't have inherent thread context (replyTarget = channel_id)
-                    commandHandled = await handleReleaseInfoCommand(repoIdentifier, channel_id, slack, octokit, thinkingPromise, channel_id);
-                } else {
-                    await slack.chat.postMessage({ channel: channel_id, text: `❌ Usage: \`/gh-latest <repo>\`` });
-                    commandHandled = true; // Error reported
-                }
-                break;
-            }
-            case '/gh-review': {
-                const reviewPattern = /([\w.-]+)\/([\w.-]+)#(\d+)\s+#([\w-]+)/i;
-                const match = commandArgs.match(reviewPattern);
-                if (match) {
-                    const [_, owner, repo, pr_number, workspace_slug] = match;
-                    commandHandled = await handlePrReviewCommand(owner, repo, parseInt(pr_number), workspace_slug, channel_id, channel_id, slack, octokit, thinkingPromise);
-                } else {
-                    await slack.chat.postMessage({ channel: channel_id, text: `❌ Usage: \`/gh-review owner/repo#number #workspace\`` });
-                    commandHandled = true; // Error reported
-                }
-                break;
-            }
-            case '/gh-analyze': {
-                const issuePattern = /(?:([\w.-]+)\/([\w.-]+))?#(\d+)\s+#([\w-]+)(?:\s+(.+))?/i;
-                const match = commandArgs.match(issuePattern);
-                if (match) {
-                    const [_, owner = GITHUB_OWNER, repo = 'backlog', issue_number, workspace_slug, user_prompt] = match;
-                    // Pass explicit workspace, null for thread context
-                    commandHandled = await handleIssueAnalysisCommand( owner, repo, parseInt(issue_number), user_prompt || null, channel_id, channel_id, slack, octokit, thinkingPromise, workspace_slug, null );
-                } else {
-                    await slack.chat.postMessage({ channel: channel_id, text: `❌ Usage: \`/gh-analyze [owner/repo]#number #workspace [prompt]\`` });
-                    commandHandled = true; // Error reported
-                }
-                break;
-            }
-             case '/gh-api': {
-                const apiQuery = commandArgs;
-                if (apiQuery) {
-                    commandHandled = await handleGithubApiCommand(apiQuery, channel_id, channel_id, slack, thinkingPromise, githubWorkspaceSlug, formatterWorkspaceSlug);
-                } else {
-                    await slack.chat.postMessage({ channel: channel_id, text: `❌ Usage: \`/gh-api <your query>\`` });
-                    commandHandled = true; // Error reported
-                }
-                break;
-            }
-            default:
-                console.warn(`[Slash Command Handler] Unknown command: ${command}`);
-                 await slack.chat.postMessage({ channel: channel_id, text: `❓ Unknown command: \`${command}\`.` });
-                 commandHandled = true; // Error reported
-        }
-         // If somehow no handler ran for a known command structure
-         if (!commandHandled && ['/gh-latest', '/gh-review', '/gh-analyze', '/gh-api'].includes(command)) {
-            console.warn(`[Slash Command Handler] Handler for ${command} did not complete as expected.`);
-            await updateOrDeleteThinkingMessage(thinkingPromise, slack, channel_id, null); // Attempt cleanup
-         }
-    } catch (error) {
-         console.error(`[Slash Command Handler] Error executing handler for ${command}:`, error);
-         // Report error via response_url as fallback
-         await axios.post(response_url, { replace_original: "false", text: `❌ Error executing command ${command}: ${error.message}` }).catch(()=>{});
-          await updateOrDeleteThinkingMessage(thinkingPromise, slack, channel_id, null); // Cleanup thinking message on error
+         slashLog.error(`Error executing handler for ${command}`, error);
+         recordError('handler');
+         await reply(`❌ Error executing command ${command}: ${error.message}`);
     }
 }
 
@@ -212,24 +172,120 @@ export async function handleSlashCommand(payload, slack, octokit) {
  */
 export async function handleDeleteLastMessageCommand(channel, replyTarget, botUserId, slack) {
     // ... (Implementation is complete and correct in previous response) ...
-    console.log(`[CH - Delete] Handling #delete_last_message in channel ${channel}`);
+    deleteLog.info(`Handling #delete_last_message in channel ${channel}`);
     try {
         const historyResult = await slack.conversations.replies({ channel, ts: replyTarget, limit: 20 });
          if (historyResult.ok && historyResult.messages) {
              const lastBotMessage = historyResult.messages.slice().reverse().find(msg => msg.user === botUserId && !msg.text?.includes('✅') && !msg.text?.includes('❌'));
              if (lastBotMessage) {
                  try {
-                     await slack.chat.delete({ channel, ts: lastBotMessage.ts });
-                     console.log(`[CH - Delete] Deleted message ${lastBotMessage.ts}`);
-                     const confirmMsg = await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: "✅ Last message deleted." });
-                     setTimeout(async () => { try { await slack.chat.delete({ channel, ts: confirmMsg.ts }); } catch (e) {} }, 5000);
-                 } catch (deleteError) { console.error('[CH - Delete] Error deleting:', deleteError.data?.error); await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: "❌ Couldn't delete message." }).catch(() => {}); }
-             } else { await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: "❌ Couldn't find my last message." }).catch(() => {}); }
+                     await enqueueSlackDelete({ channel, ts: lastBotMessage.ts });
+                     deleteLog.info(`Deleted message ${lastBotMessage.ts}`);
+                     const confirmMsg = await enqueueSlackPost({ channel, thread_ts: replyTarget, text: "✅ Last message deleted." });
+                     setTimeout(async () => { try { await enqueueSlackDelete({ channel, ts: confirmMsg.ts }); } catch (e) {} }, 5000);
+                 } catch (deleteError) { deleteLog.error(`Error deleting: ${deleteError.data?.error}`); await enqueueSlackPost({ channel, thread_ts: replyTarget, text: "❌ Couldn't delete message." }).catch(() => {}); }
+             } else { await enqueueSlackPost({ channel, thread_ts: replyTarget, text: "❌ Couldn't find my last message." }).catch(() => {}); }
          } else { throw new Error(`Failed fetch history: ${historyResult.error}`); }
-    } catch (error) { console.error('[CH - Delete] Error:', error); await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: "❌ Error during delete." }).catch(() => {}); }
+    } catch (error) { deleteLog.error('Delete failed', error); await enqueueSlackPost({ channel, thread_ts: replyTarget, text: "❌ Error during delete." }).catch(() => {}); }
     return true; // Indicate handled
 }
 
+/**
+ * Handles `reset conversation [#workspace]` (invoked directly from the message router): starts a new AnythingLLM
+ * thread for the Slack thread, in the current workspace or the given one, and rebinds the thread mapping to it.
+ * Messages up to the reset are left out of history later sent to the LLM for this thread.
+ * @param {string} channel - Channel ID.
+ * @param {string} replyTarget - Thread TS (the mapping key).
+ * @param {string} resetTs - TS of the reset message.
+ * @param {string | null} requestedWorkspace - Workspace given with the command, or null to keep the current one.
+ * @returns {Promise<boolean>} True once a reply was sent.
+ */
+export async function handleResetConversationCommand(channel, replyTarget, resetTs, requestedWorkspace) {
+    resetLog.info(`Handling reset in ${channel}:${replyTarget} (requested Ws: ${requestedWorkspace || 'keep'})`);
+    const reply = (text) => enqueueSlackPost({ channel, thread_ts: replyTarget, text })
+        .catch(error => resetLog.error(`Failed to post reply: ${error.data?.error || error.message}`));
+
+    // Hold the thread lock so an answer still being generated doesn't write to the old mapping afterwards
+    const releaseThreadLock = await acquireThreadLock(channel, replyTarget);
+    if (!releaseThreadLock) { await reply(strings.threadBusyMessage); return true; }
+    try {
+        const mapping = await getAnythingLLMThreadMapping(channel, replyTarget);
+        const workspaceSlug = requestedWorkspace || mapping?.anythingllm_workspace_slug;
+        if (!workspaceSlug) {
+            await reply(`ℹ️ There's no conversation to reset here yet. Ask me something to start one, or use \`${RESET_CONVERSATION_COMMAND} #workspace\` to pick a workspace first.`);
+            return true;
+        }
+        if (requestedWorkspace && !(await getWorkspaces()).includes(requestedWorkspace)) {
+            await reply(`❌ Unknown workspace \`${requestedWorkspace}\`. Type \`@Orbit help\` to see the available ones.`);
+            return true;
+        }
+
+        const threadSlug = await createNewAnythingLLMThread(workspaceSlug);
+        if (!threadSlug) throw emptyLlmReplyError(`Failed to create a new thread in ${workspaceSlug}.`);
+        if (!await storeAnythingLLMThreadMapping(channel, replyTarget, workspaceSlug, threadSlug)) {
+            throw new Error('Could not save the new thread mapping (database unavailable?).');
+        }
+        await markThreadReset(channel, replyTarget, resetTs);
+        await clearThreadWorkspaceHistory(channel, replyTarget); // A fresh start has nothing to go back to
+        resetLog.info(`Rebound ${channel}:${replyTarget} from ${mapping ? `${mapping.anythingllm_workspace_slug}:${mapping.anythingllm_thread_slug}` : 'none'} to ${workspaceSlug}:${threadSlug}`);
+
+        const oldContext = mapping ? `\`${mapping.anythingllm_workspace_slug}\` (thread \`${mapping.anythingllm_thread_slug}\`)` : '_none_';
+        await reply(`:arrows_counterclockwise: Conversation reset. Old context: ${oldContext} → new context: \`${workspaceSlug}\` (thread \`${threadSlug}\`). I'll ignore the earlier messages in this thread.`);
+        return true;
+    } catch (error) {
+        resetLog.error(`Error resetting ${channel}:${replyTarget}`, error);
+        await reply(`❌ Error resetting the conversation: ${error.message}`);
+        return true;
+    } finally {
+        await releaseThreadLock();
+    }
+}
+
+/**
+ * Handles `#previous` (invoked directly from the message router): rebinds the Slack thread to the workspace and
+ * AnythingLLM thread it used before routing last moved it, so that conversation continues where it stopped.
+ * @param {string} channel - Channel ID.
+ * @param {string} replyTarget - Thread TS (the mapping key).
+ * @returns {Promise<boolean>} True once a reply was sent.
+ */
+export async function handlePreviousWorkspaceCommand(channel, replyTarget) {
+    previousLog.info(`Handling ${PREVIOUS_WORKSPACE_COMMAND} in ${channel}:${replyTarget}`);
+    const reply = (text) => enqueueSlackPost({ channel, thread_ts: replyTarget, text })
+        .catch(error => previousLog.error(`Failed to post reply: ${error.data?.error || error.message}`));
+
+    // Hold the thread lock so an answer still being generated doesn't write to the mapping afterwards
+    const releaseThreadLock = await acquireThreadLock(channel, replyTarget);
+    if (!releaseThreadLock) { await reply(strings.threadBusyMessage); return true; }
+    let previous = null;
+    try {
+        previous = await popThreadWorkspace(channel, replyTarget);
+        if (!previous) {
+            await reply(`ℹ️ This thread hasn't switched workspaces, so there's no previous one to go back to.`);
+            return true;
+        }
+        if (!(await getWorkspaces()).includes(previous.workspaceSlug)) {
+            await reply(`❌ The previous workspace \`${previous.workspaceSlug}\` is no longer available.`);
+            return true;
+        }
+
+        const mapping = await getAnythingLLMThreadMapping(channel, replyTarget);
+        if (!await storeAnythingLLMThreadMapping(channel, replyTarget, previous.workspaceSlug, previous.threadSlug)) {
+            throw new Error('Could not save the thread mapping (database unavailable?).');
+        }
+        previousLog.info(`Rebound ${channel}:${replyTarget} from ${mapping ? `${mapping.anythingllm_workspace_slug}:${mapping.anythingllm_thread_slug}` : 'none'} to ${previous.workspaceSlug}:${previous.threadSlug}`);
+
+        await reply(`:arrows_counterclockwise: Back to \`${previous.workspaceSlug}\` (thread \`${previous.threadSlug}\`), continuing the conversation we had there${mapping ? ` before switching to \`${mapping.anythingllm_workspace_slug}\`` : ''}.`);
+        return true;
+    } catch (error) {
+        previousLog.error(`Error switching back in ${channel}:${replyTarget}`, error);
+        if (previous) await pushThreadWorkspace(channel, replyTarget, previous); // Keep it for another try
+        await reply(`❌ Error switching back to the previous workspace: ${error.message}`);
+        return true;
+    } finally {
+        await releaseThreadLock();
+    }
+}
+
 /**
  * Handles the 'gh: latest' command / '/gh-latest' slash command.
  * @param {string} repoIdentifier - Repo name, abbreviation, or owner/repo.
@@ -241,36 +297,36 @@ export async function handleDeleteLastMessageCommand(channel, replyTarget, botUs
  * @returns {Promise<boolean>} True if handled.
  */
 export async function handleReleaseInfoCommand(repoIdentifier, replyTarget, slack, octokit, thinkingMessagePromise, channel) {
-    console.log(`[CH - Latest] Handling for identifier: ${repoIdentifier}`);
+    releaseLog.info(`Handling for identifier: ${repoIdentifier}`);
     const resolved = resolveRepoIdentifier(repoIdentifier); // Use helper
     if (!resolved) {
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `❌ Couldn't resolve repo '${repoIdentifier}'.` });
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `❌ Couldn't resolve repo '${repoIdentifier}'.` });
         return true;
     }
     const { owner, repo } = resolved;
 
     if (!githubToken || !octokit) {
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `❌ GitHub not configured.` });
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `❌ GitHub not configured.` });
         return true;
     }
 
     try {
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `:satellite: Fetching release ${owner}/${repo}...` });
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `:satellite: Fetching release ${owner}/${repo}...` });
         const releaseInfo = await getLatestRelease(owner, repo); // Uses service function
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, null); // Delete before post
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, null); // Delete before post
 
         if (releaseInfo) {
             const publishedDate = new Date(releaseInfo.publishedAt).toLocaleDateString();
             const messageText = `Latest release *${owner}/${repo}*: <${releaseInfo.url}|*${releaseInfo.tagName}*> (Published ${publishedDate}).`;
             const block = markdownToRichTextBlock(messageText);
-            await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: `Release ${owner}/${repo}: ${releaseInfo.tagName}`, blocks: block ? [block] : undefined });
+            await enqueueSlackPost({ channel, thread_ts: replyTarget, text: `Release ${owner}/${repo}: ${releaseInfo.tagName}`, blocks: block ? [block] : undefined });
         } else {
-            await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: `No releases found for ${owner}/${repo}.` });
+            await enqueueSlackPost({ channel, thread_ts: replyTarget, text: `No releases found for ${owner}/${repo}.` });
         }
         return true;
     } catch (error) {
-        console.error(`[CH - Release] Error for ${owner}/${repo}:`, error);
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `❌ Error fetching release: ${error.message}` });
+        releaseLog.error(`Error for ${owner}/${repo}`, error);
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `❌ Error fetching release: ${error.message}` });
         return true;
     }
 }
@@ -290,14 +346,14 @@ export async function handleReleaseInfoCommand(repoIdentifier, replyTarget, slac
  * @returns {Promise<boolean>} True if handled.
  */
 export async function handlePrReviewCommand(owner, repo, prNumber, workspaceSlug, replyTarget, channel, slack, octokit, thinkingMessagePromise) {
-    console.log(`[CH - PR Review] Handling for ${owner}/${repo}#${prNumber} in workspace ${workspaceSlug}`);
-    if (!githubToken || !octokit) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `❌ GitHub not configured.` }); return true; }
+    prReviewLog.info(`Handling for ${owner}/${repo}#${prNumber} in workspace ${workspaceSlug}`);
+    if (!githubToken || !octokit) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `❌ GitHub not configured.` }); return true; }
 
     try {
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `:robot_face: Fetching PR ${owner}/${repo}#${prNumber}...` });
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `:robot_face: Fetching PR ${owner}/${repo}#${prNumber}...` });
         const prDetails = await getPrDetailsForReview(owner, repo, prNumber); // Uses service function
 
-        if (!prDetails) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `❌ Couldn't fetch PR ${owner}/${repo}#${prNumber}.` }); return true; }
+        if (!prDetails) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `❌ Couldn't fetch PR ${owner}/${repo}#${prNumber}.` }); return true; }
 
         // --- Construct PR context (limited size) ---
         let prContext = `**PR:** ${owner}/${repo}#${prNumber}\n**Title:** ${prDetails.title}\n**Desc:**\n${(prDetails.body || '').substring(0, 1000)}\n\n**Changes:**\n`;
@@ -308,24 +364,23 @@ export async function handlePrReviewCommand(owner, repo, prNumber, workspaceSlug
         // --- End Context ---
 
         const reviewPrompt = `Review PR ${owner}/${repo}#${prNumber}. Focus: quality, bugs, security, best practices. Provide actionable feedback. Context (may be truncated):\n${prContext}`;
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `:brain: Asking LLM in \`${workspaceSlug}\` to review...` });
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `:brain: Asking LLM in \`${workspaceSlug}\` to review...` });
 
         const analysisResponse = await queryLlm(workspaceSlug, null, reviewPrompt, 'chat'); // Uses llmService function
-        if (!analysisResponse) throw new Error('LLM review analysis empty.');
+        if (!analysisResponse) throw emptyLlmReplyError('LLM review analysis empty.');
 
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, null); // Delete thinking
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, null); // Delete thinking
 
         const responseChunks = splitMessageIntoChunks(analysisResponse);
-        for (let i = 0; i < responseChunks.length; i++) { /* ... post chunks ... */
-             const chunk = responseChunks[i]; const block = markdownToRichTextBlock(chunk);
-             await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: `PR Review ${i + 1}`, ...(block ? { blocks: [block] } : { text: chunk }) });
-             if (responseChunks.length > 1 && i < responseChunks.length - 1) await new Promise(r => setTimeout(r, 500));
-        }
+        await postSlackMessages(channel, replyTarget, responseChunks.map((chunk, i) => {
+             const block = markdownToRichTextBlock(chunk);
+             return { text: `PR Review ${i + 1}`, ...(block ? { blocks: [block] } : { text: chunk }) };
+        }));
         return true;
 
     } catch (error) {
-        console.error(`[CH - PR Review] Error for ${owner}/${repo}#${prNumber}:`, error);
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `❌ Error reviewing PR ${prNumber}: ${error.message}` });
+        prReviewLog.error(`Error for ${owner}/${repo}#${prNumber}`, error);
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `❌ Error reviewing PR ${prNumber}: ${error.message}` });
         return true;
     }
 }
@@ -347,17 +402,17 @@ export async function handlePrReviewCommand(owner, repo, prNumber, workspaceSlug
  * @returns {Promise<boolean>} True if handled.
  */
 export async function handleIssueAnalysisCommand(owner, repo, issueNumber, userPrompt, replyTarget, channel, slack, octokit, thinkingMessagePromise, workspaceSlugForLlm, anythingLLMThreadSlug) {
-    console.log(`[CH - Issue Analysis] Handling ${owner}/${repo}#${issueNumber}. LLM Ws: ${workspaceSlugForLlm}, Thread: ${anythingLLMThreadSlug || 'N/A'}`);
+    issueLog.info(`Handling ${owner}/${repo}#${issueNumber}. LLM Ws: ${workspaceSlugForLlm}, Thread: ${anythingLLMThreadSlug || 'N/A'}`);
 
     // Validate necessary inputs for this handler
-    if (!workspaceSlugForLlm) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `❌ Cannot analyze issue: Target LLM workspace is unknown.` }); return true; }
-    if (!githubToken || !octokit) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `❌ GitHub not configured.` }); return true; }
+    if (!workspaceSlugForLlm) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `❌ Cannot analyze issue: Target LLM workspace is unknown.` }); return true; }
+    if (!githubToken || !octokit) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `❌ GitHub not configured.` }); return true; }
 
     try {
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `:robot_face: Fetching issue ${owner}/${repo}#${issueNumber}...` });
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `:robot_face: Fetching issue ${owner}/${repo}#${issueNumber}...` });
         const issueDetails = await getGithubIssueDetails(issueNumber, owner, repo); // Uses service
 
-        if (!issueDetails) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `❌ Couldn't fetch issue ${owner}/${repo}#${issueNumber}.` }); return true; }
+        if (!issueDetails) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `❌ Couldn't fetch issue ${owner}/${repo}#${issueNumber}.` }); return true; }
 
         // --- Construct Context ---
         let issueContext = `**Issue:** ${owner}/${repo}#${issueNumber}\n**Title:** ${issueDetails.title}\n**URL:** <${issueDetails.url}|View>\n**State:** ${issueDetails.state}\n**Body:**\n${(issueDetails.body || '').substring(0, 2000)}\n\n`;
@@ -365,38 +420,35 @@ export async function handleIssueAnalysisCommand(owner, repo, issueNumber, userP
         if (issueDetails.comments && issueDetails.comments.length > 0) { /* ... format comments ... */ issueContext += `**Recent Comments (${Math.min(issueDetails.comments.length, MAX_COMMENTS_ISSUE)}):**\n`; issueDetails.comments.slice(-MAX_COMMENTS_ISSUE).forEach(c => { issueContext += `*${c.user}:* ${(c.body || '').substring(0, MAX_COMMENT_LENGTH)}\n---\n`; }); }
         // --- End Context ---
 
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `:mag: Summarizing issue #${issueNumber}...` });
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `:mag: Summarizing issue #${issueNumber}...` });
         const summarizePrompt = `Summarize GitHub issue ${owner}/${repo}#${issueNumber}:\n\n${issueContext}`;
         const summaryResponse = await queryLlm(workspaceSlugForLlm, anythingLLMThreadSlug, summarizePrompt); // Use provided workspace/thread
-        if (!summaryResponse) throw new Error('LLM failed summary.');
+        if (!summaryResponse) throw emptyLlmReplyError('LLM failed summary.');
 
         const summaryBlock = markdownToRichTextBlock(`*Summary for issue #${issueNumber}:*\n${summaryResponse}`);
-		console.log( '----BLOCK DATA------' );
-		console.log( summaryBlock );
-		console.log( '----BLOCK DATA------' );
+        issueLog.debug('Summary block', { blocks: summaryBlock });
 
-        await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: `Summary issue #${issueNumber}:`, blocks: summaryBlock ? [summaryBlock] : undefined });
+        await enqueueSlackPost({ channel, thread_ts: replyTarget, text: `Summary issue #${issueNumber}:`, blocks: summaryBlock ? [summaryBlock] : undefined });
 
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `:brain: Analyzing issue #${issueNumber}...` });
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `:brain: Analyzing issue #${issueNumber}...` });
         let analyzePrompt = `Based on summary ("${summaryResponse.substring(0, 300)}...") and context, analyze issue ${owner}/${repo}#${issueNumber}`;
         if (userPrompt) { analyzePrompt += ` addressing: "${userPrompt}"`; } else { analyzePrompt += `. Key points, causes, next steps?`; }
         analyzePrompt += `\n\n**Full Context:**\n${issueContext}`;
         const analysisResponse = await queryLlm(workspaceSlugForLlm, anythingLLMThreadSlug, analyzePrompt); // Use provided workspace/thread
-        if (!analysisResponse) throw new Error('LLM failed analysis.');
+        if (!analysisResponse) throw emptyLlmReplyError('LLM failed analysis.');
 
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, null); // Delete thinking
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, null); // Delete thinking
 
         const analysisChunks = splitMessageIntoChunks(analysisResponse);
-        for (let i = 0; i < analysisChunks.length; i++) { /* ... post chunks ... */
-            const chunk = analysisChunks[i]; const block = markdownToRichTextBlock(chunk);
-            await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: `Analysis ${i + 1}`, ...(block ? { blocks: [block] } : { text: chunk }) });
-            if (analysisChunks.length > 1 && i < analysisChunks.length - 1) await new Promise(r => setTimeout(r, 500));
-        }
+        await postSlackMessages(channel, replyTarget, analysisChunks.map((chunk, i) => {
+            const block = markdownToRichTextBlock(chunk);
+            return { text: `Analysis ${i + 1}`, ...(block ? { blocks: [block] } : { text: chunk }) };
+        }));
         return true;
 
     } catch (error) {
-        console.error(`[CH - Issue Analysis] Error for ${owner}/${repo}#${issueNumber}:`, error);
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `❌ Error analyzing issue #${issueNumber}: ${error.message}` });
+        issueLog.error(`Error for ${owner}/${repo}#${issueNumber}`, error);
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `❌ Error analyzing issue #${issueNumber}: ${error.message}` });
         return true;
     }
 }
@@ -413,51 +465,206 @@ export async function handleIssueAnalysisCommand(owner, repo, issueNumber, userP
  * @returns {Promise<boolean>} True if handled.
  */
 export async function handleGithubApiCommand(apiQuery, replyTarget, channel, slack, thinkingMessagePromise, githubWsSlug, formatterWsSlug) {
-    console.log(`[CH - API] Handling 'gh: api' query: "${apiQuery}"`);
+    apiLog.info(`Handling 'gh: api' query: ${logContent(apiQuery)}`);
 
-    if (!githubToken) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: "❌ GitHub token not configured." }); return true; }
-    if (!githubWsSlug) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: "❌ GitHub API workspace not configured." }); return true; }
+    if (!githubToken) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: "❌ GitHub token not configured." }); return true; }
+    if (!githubWsSlug) { await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: "❌ GitHub API workspace not configured." }); return true; }
 
     try {
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `:nerd_face: Generating API call for: "${apiQuery.substring(0, 50)}..."` });
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `:nerd_face: Generating API call for: "${apiQuery.substring(0, 50)}..."` });
         const llmPrompt = `Based on request, generate JSON for GitHub REST API 'fetch'. ONLY output JSON. Request: ${apiQuery}`;
         const llmResponse = await queryLlm(githubWsSlug, null, llmPrompt, 'chat'); // Use GitHub LLM workspace
-        if (!llmResponse) throw new Error('GitHub workspace LLM returned empty.');
+        if (!llmResponse) throw emptyLlmReplyError('GitHub workspace LLM returned empty.');
 
         let cleanedJsonString = llmResponse.trim(); /* ... clean ```json ... ``` etc ... */
          const jsonMatch = cleanedJsonString.match(/```json\s*([\s\S]*?)\s*```/); if (jsonMatch && jsonMatch[1]) cleanedJsonString = jsonMatch[1].trim(); else if (!cleanedJsonString.startsWith('{') || !cleanedJsonString.endsWith('}')) throw new Error(`LLM response not JSON: ${llmResponse}`);
         let apiDetails; try { apiDetails = JSON.parse(cleanedJsonString); if (!apiDetails.endpoint) throw new Error("Missing 'endpoint'."); } catch (e) { throw new Error(`Failed parse LLM JSON: ${e.message}. Raw: ${llmResponse}`); }
 
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `:satellite: Calling GitHub: ${apiDetails.method || 'GET'} ${apiDetails.endpoint}` });
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `:satellite: Calling GitHub: ${apiDetails.method || 'GET'} ${apiDetails.endpoint}` });
         const githubResponse = await callGithubApi(apiDetails); // Uses service function
-        console.log("[CH - API] Received GitHub response.");
+        apiLog.info("Received GitHub response.");
 
         let finalResponseText = ''; const rawJsonString = JSON.stringify(githubResponse, null, 2);
         if (formatterWsSlug) { /* ... Format using formatterWsSlug ... */
-            await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `:art: Formatting response...` });
+            await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `:art: Formatting response...` });
             const formatPrompt = `Format API JSON into Markdown:\n\n\`\`\`json\n${rawJsonString}\n\`\`\``;
             try {
                 const formatted = await queryLlm(formatterWsSlug, null, formatPrompt, 'chat');
                 if (formatted?.trim()) { let cleaned = formatted.trim(); if (cleaned.startsWith('```markdown')) cleaned = cleaned.substring(11); else if (cleaned.startsWith('```')) cleaned = cleaned.substring(3); if (cleaned.endsWith('```')) cleaned = cleaned.substring(0, cleaned.length - 3); finalResponseText = cleaned.trim(); }
                 else { throw new Error("Formatter empty."); }
-            } catch (formatError) { console.error('[CH - API] Formatter Error:', formatError); finalResponseText = `(Formatting Error)\n\nRaw:\n\`\`\`json\n${rawJsonString}\n\`\`\``; }
+            } catch (formatError) { apiLog.error('Formatter Error', formatError); finalResponseText = `(Formatting Error)\n\nRaw:\n\`\`\`json\n${rawJsonString}\n\`\`\``; }
         } else { finalResponseText = `Raw Response:\n\`\`\`json\n${rawJsonString}\n\`\`\``; }
 
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, null); // Delete thinking
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, null); // Delete thinking
 
         const chunks = splitMessageIntoChunks(finalResponseText);
-        for (let i = 0; i < chunks.length; i++) { /* ... post chunks ... */
-             const chunk = chunks[i]; const block = markdownToRichTextBlock(chunk);
-             await slack.chat.postMessage({ channel, thread_ts: replyTarget, text: chunk.substring(0,200)+'...', ...(block ? { blocks: [block] } : { text: chunk }) });
-             if (chunks.length > 1 && i < chunks.length - 1) await new Promise(r => setTimeout(r, 500));
-        }
+        await postSlackMessages(channel, replyTarget, chunks.map(chunk => {
+             const block = markdownToRichTextBlock(chunk);
+             return { text: chunk.substring(0,200)+'...', ...(block ? { blocks: [block] } : { text: chunk }) };
+        }));
         return true;
 
     } catch (error) {
-        console.error('[CH - API] Error:', error);
-        await updateOrDeleteThinkingMessage(thinkingMessagePromise, slack, channel, { text: `❌ Error processing \`gh: api\`: ${error.message}` });
+        apiLog.error('Query failed', error);
+        await updateOrDeleteThinkingMessage(thinkingMessagePromise, channel, { text: `❌ Error processing \`gh: api\`: ${error.message}` });
         return true;
     }
 }
 
-console.log("[Command Handler] Initialized.");
+/**
+ * Formats a setting value for Slack.
+ * @param {*} value - Setting value.
+ * @returns {string}
+ */
+function formatSettingValue(value) {
+    return value === null || value === undefined ? '_(default)_' : `\`${JSON.stringify(value)}\``;
+}
+
+/**
+ * Handles `/orbit-config get|set|unset|list|history`. Replies ephemerally via response_url.
+ * Admin-only: the command registry checks the 'admin' permission before calling this.
+ * Settings are read and changed for the team the command comes from.
+ * @param {string} commandArgs - Text after the command (e.g., 'set BOT_ON_BREAK true').
+ * @param {string} userId - Slack user ID of the caller.
+ * @param {string} responseUrl - Slash command response_url.
+ * @returns {Promise<boolean>} True once a reply was sent.
+ */
+export async function handleOrbitConfigCommand(commandArgs, userId, responseUrl) {
+    const respond = (text) => axios.post(responseUrl, { response_type: 'ephemeral', text }).then(markJobCommitted)
+        .catch(error => configLog.error(`Failed to respond via response_url: ${error.message}`));
+
+    const [subcommand = 'list', key, ...valueParts] = commandArgs.split(/\s+/).filter(Boolean);
+    const rawValue = valueParts.join(' ');
+    const usage = 'Usage: `/orbit-config list` | `get <KEY>` | `set <KEY> <value>` | `unset <KEY>` | `history [KEY]`';
+
+    try {
+        switch (subcommand.toLowerCase()) {
+            case 'list': {
+                const settings = await listSettings();
+                const sourceLabels = { override: s => `_(set by <@${s.updatedBy}>)_`, inherited: s => `_(set for all teams by <@${s.updatedBy}>)_`, default: () => '_(default)_' };
+                const lines = settings.map(s => `• \`${s.key}\` (${s.type}) = \`${JSON.stringify(s.value)}\` ${sourceLabels[s.source](s)}\n      ${s.description}`);
+                await respond(`*Orbit settings*\n${lines.join('\n')}`);
+                break;
+            }
+            case 'get': {
+                if (!key) { await respond(usage); break; }
+                await respond(`\`${key.toUpperCase()}\` = \`${JSON.stringify(await getSetting(key))}\``);
+                break;
+            }
+            case 'set': {
+                if (!key || !rawValue) { await respond(usage); break; }
+                const result = await setSetting(key, rawValue, userId);
+                configLog.info(`${userId} set ${result.key}.`);
+                await respond(`:white_check_mark: \`${result.key}\`: \`${JSON.stringify(result.oldValue)}\` → \`${JSON.stringify(result.value)}\``);
+                break;
+            }
+            case 'unset': {
+                if (!key) { await respond(usage); break; }
+                const result = await unsetSetting(key, userId);
+                configLog.info(`${userId} unset ${result.key}.`);
+                await respond(`:white_check_mark: \`${result.key}\` is back to \`${JSON.stringify(result.value)}\`.`);
+                break;
+            }
+            case 'history': {
+                const changes = await getSettingChanges(key || null, 10);
+                if (changes.length === 0) { await respond(`No setting changes recorded${key ? ` for \`${key.toUpperCase()}\`` : ''}.`); break; }
+                const lines = changes.map(c => `• ${new Date(c.changed_at).toISOString()} <@${c.changed_by}> \`${c.key}\`: ${formatSettingValue(c.old_value)} → ${formatSettingValue(c.new_value)}`);
+                await respond(`*Latest setting changes*\n${lines.join('\n')}`);
+                break;
+            }
+            default:
+                await respond(`❓ Unknown subcommand \`${subcommand}\`. ${usage}`);
+        }
+    } catch (error) {
+        configLog.error(`/orbit-config ${subcommand} failed: ${error.message}`);
+        await respond(`❌ ${error.message}`);
+    }
+    return true;
+}
+
+
+/**
+ * =============================================================================
+ *                         COMMAND REGISTRY
+ * =============================================================================
+ */
+
+// Commands available as `gh:` text commands and/or slash commands (see core/commandRegistry.js).
+// Handlers receive the parsed arguments and the invocation context built by the entry point.
+
+registerCommand({
+    name: 'gh_latest',
+    description: 'Latest release of a repository (name, abbreviation or owner/repo).',
+    keywords: ['latest'],
+    slash: '/gh-latest',
+    args: [{ name: 'repo', type: 'repo' }],
+    permissions: ['github'],
+    rateLimitClass: 'github_read',
+    examples: ['gravityforms', 'stripe', 'gravityflow/gravityflow'],
+    handler: ({ repo }, ctx) => handleReleaseInfoCommand(repo, ctx.replyTarget, ctx.slack, ctx.octokit, ctx.thinkingMessage, ctx.channelId),
+});
+
+registerCommand({
+    name: 'gh_review',
+    description: 'AI review of a pull request, using the given workspace.',
+    keywords: ['review pr'],
+    slash: '/gh-review',
+    args: [{ name: 'pr', type: 'pullRef' }, { name: 'workspace', type: 'workspace' }],
+    permissions: ['github'],
+    rateLimitClass: 'github_read',
+    examples: ['gravityforms/gravityforms#123 #gf-code-review'],
+    handler: ({ pr, workspace }, ctx) => handlePrReviewCommand(pr.owner, pr.repo, pr.number, workspace, ctx.replyTarget, ctx.channelId, ctx.slack, ctx.octokit, ctx.thinkingMessage),
+});
+
+registerCommand({
+    name: 'gh_analyze',
+    description: `AI summary and analysis of an issue (defaults to ${GITHUB_OWNER}/backlog), optionally answering a prompt.`,
+    keywords: ['analyze issue', 'summarize issue', 'explain issue'],
+    slash: '/gh-analyze',
+    args: [{ name: 'issue', type: 'issueRef' }, { name: 'workspace', type: 'workspace', optional: true }, { name: 'prompt', type: 'text', optional: true, label: 'prompt' }],
+    permissions: ['github'],
+    rateLimitClass: 'github_read',
+    examples: ['#456', 'gravityforms/gravityflow#789 #gravityflow what is the root cause?'],
+    handler: async ({ issue, workspace, prompt }, ctx) => {
+        const owner = issue.owner || GITHUB_OWNER;
+        const repo = issue.repo || 'backlog';
+        let llmContext;
+        try {
+            llmContext = await resolveIssueAnalysisContext(workspace, ctx);
+        } catch (contextError) {
+            issueLog.error("Context/Thread Setup Error", contextError);
+            await ctx.reply(`❌ Error setting up context for issue analysis: ${contextError.message}`);
+            return true;
+        }
+        if (!llmContext) { await ctx.reply(strings.threadBusyMessage); return true; }
+        try {
+            return await handleIssueAnalysisCommand(owner, repo, issue.number, prompt, ctx.replyTarget, ctx.channelId, ctx.slack, ctx.octokit, ctx.thinkingMessage, llmContext.workspaceSlug, llmContext.threadSlug);
+        } finally {
+            await llmContext.releaseThreadLock(); // Held through both queries so the thread's messages stay in order
+        }
+    },
+});
+
+registerCommand({
+    name: 'gh_api',
+    description: 'GitHub REST API call generated from a plain-English request.',
+    keywords: ['api'],
+    slash: '/gh-api',
+    args: [{ name: 'query', type: 'text', label: '<query>' }],
+    permissions: ['github'],
+    rateLimitClass: 'github_write', // Generic API calls may mutate GitHub state
+    examples: ['list open issues labeled "bug" in the gravityforms repo'],
+    handler: ({ query }, ctx) => handleGithubApiCommand(query, ctx.replyTarget, ctx.channelId, ctx.slack, ctx.thinkingMessage, githubWorkspaceSlug, formatterWorkspaceSlug),
+});
+
+registerCommand({
+    name: 'orbit_config',
+    description: 'View and change Orbit settings for this workspace (admins only).',
+    slash: '/orbit-config',
+    args: [{ name: 'subcommand', type: 'text', optional: true, label: 'list | get <KEY> | set <KEY> <value> | unset <KEY> | history [KEY]' }],
+    permissions: ['admin'],
+    examples: ['list', 'set BOT_ON_BREAK true', 'history WORKSPACE_MAPPING'],
+    handler: ({ subcommand }, ctx) => handleOrbitConfigCommand(subcommand || '', ctx.userId, ctx.responseUrl),
+});
+
+log.info("Initialized.");
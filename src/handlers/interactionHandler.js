@@ -3,7 +3,7 @@
 
 // Import necessary services and config
 import { storeFeedback, dbPool } from '../services/dbService.js';
-import { slackClient } from '../services/slackService.js'; // Use the initialized client
+import { getSlackClient, enqueueSlackUpdate, enqueueSlackEphemeral } from '../services/slackService.js'; // Client of the team being handled
 import { databaseUrl } from '../config.js'; // To check if DB is enabled
 
 // --- App Home Handler ---
@@ -57,7 +57,7 @@ export const handleAppHomeOpened = async (event) => {
         };
 
         // Publish the view to the App Home tab
-        await slackClient.views.publish(homeView);
+        await getSlackClient().views.publish(homeView);
         console.log(`[AppHomeHandler] Successfully published home view for user ${userId}.`);
 
     } catch (error) {
@@ -175,7 +175,7 @@ async function processBlockAction(payload, slack) {
                     updatedBlocks.push(contextBlock); // Append if not found
                 }
 
-                await slack.chat.update({
+                await enqueueSlackUpdate({
                     channel: channel.id, ts: message.ts,
                     text: (message.text || '') + `\n${thanksText}`, // Append thanks to fallback text
                     blocks: updatedBlocks
@@ -183,11 +183,11 @@ async function processBlockAction(payload, slack) {
                 console.log(`[Interaction Handler/Feedback] Updated original message ${message.ts}.`);
             } else {
                 console.warn("[Interaction Handler/Feedback] Original message had no blocks to update.");
-                await slack.chat.postEphemeral({ channel: channel.id, user: user.id, text: `🙏 Thanks for the feedback!` }).catch(()=>{});
+                await enqueueSlackEphemeral({ channel: channel.id, user: user.id, text: `🙏 Thanks for the feedback!` }).catch(()=>{});
             }
         } catch (updateError) {
             console.warn("[Interaction Handler/Feedback] Failed update original message:", updateError.data?.error || updateError.message);
-            await slack.chat.postEphemeral({ channel: channel.id, user: user.id, text: `Error updating message, but feedback was received! (${updateError.data?.error || 'unknown'})` }).catch(()=>{});
+            await enqueueSlackEphemeral({ channel: channel.id, user: user.id, text: `Error updating message, but feedback was received! (${updateError.data?.error || 'unknown'})` }).catch(()=>{});
         }
         // --- End Update UI ---
     }
@@ -213,11 +213,11 @@ async function processBlockAction(payload, slack) {
             //       // handleLlmQuery({ ...originalEvent details ..., suggestedWorkspace }).catch(...)
             //    } // etc.
             // Update the confirmation message
-             await slack.chat.update({ channel: channel.id, ts: message.ts, text: ":white_check_mark: Okay, proceeding with your request...", blocks: [] });
+             await enqueueSlackUpdate({ channel: channel.id, ts: message.ts, text: ":white_check_mark: Okay, proceeding with your request...", blocks: [] });
 
         } else { // 'no'
             // Update the confirmation message
-             await slack.chat.update({ channel: channel.id, ts: message.ts, text: ":negative_squared_cross_mark: Okay, request cancelled. Please rephrase or try again.", blocks: [] });
+             await enqueueSlackUpdate({ channel: channel.id, ts: message.ts, text: ":negative_squared_cross_mark: Okay, request cancelled. Please rephrase or try again.", blocks: [] });
         }
         // NOTE: The actual execution logic for confirmed intents needs implementation based on stored context retrieval (Redis) and mapping intents to handlers.
         console.warn("[Interaction Handler] Intent confirmation 'yes'/'no' logic needs full implementation (Redis get/del, handler mapping).");
@@ -237,7 +237,7 @@ async function processBlockAction(payload, slack) {
      else {
          console.log(`[Interaction Handler/BlockAction] Received unhandled action ID: ${actionId}`);
          // Optionally post an ephemeral message if it's unexpected
-         await slack.chat.postEphemeral({ channel: channel.id, user: user.id, text: `Action \`${actionId}\` is not handled yet.`}).catch(()=>{});
+         await enqueueSlackEphemeral({ channel: channel.id, user: user.id, text: `Action \`${actionId}\` is not handled yet.`}).catch(()=>{});
      }
 }
 
@@ -2,31 +2,41 @@
 // Handles regular messages and app mentions, routing to commands or LLM fallback.
 
 import {
-	botUserId,
-	githubWorkspaceSlug,
-	formatterWorkspaceSlug,
 	MIN_SUBSTANTIVE_RESPONSE_LENGTH,
-	GITHUB_OWNER,
-	githubToken,
 	COMMAND_PREFIX,
 	WORKSPACE_OVERRIDE_COMMAND_PREFIX,
-	FEEDBACK_SYSTEM_ENABLED,
+	RESET_CONVERSATION_COMMAND,
+	PREVIOUS_WORKSPACE_COMMAND,
 	// Import new config flags for intent routing
 	intentRoutingEnabled,
-	intentConfidenceThreshold, fallbackWorkspace,
-	BOT_ON_BREAK
+	fallbackWorkspace,
+	LLM_STREAMING_ENABLED,
+	STREAM_UPDATE_INTERVAL_MS,
+	MAX_SLACK_BLOCK_TEXT_LENGTH,
+	FILE_CONTEXT_MAX_FILES
 } from '../config.js';
 
 // --- Service Imports ---
 import {
-    slackClient, // Needed for helper function
+    getBotUserId,
     getAnythingLLMThreadMapping,
     storeAnythingLLMThreadMapping,
     queryLlm,
+    streamLlm,
     createNewAnythingLLMThread,
     determineWorkspace,
     detectIntentAndWorkspace,
-	getWorkspaces
+	getWorkspaces,
+    getSetting,
+    trackThinkingMessage,
+    releaseThinkingMessage,
+    updateOrDeleteThinkingMessage,
+    enqueueSlackPost,
+    enqueueSlackUpdate,
+    enqueueSlackDelete,
+    acquireThreadLock,
+    isLlmAvailable,
+    pushThreadWorkspace
 } from '../services/index.js';
 
 // --- Utility Imports ---
@@ -39,65 +49,157 @@ import {
 // Assume specific intent handlers might live here or in a dedicated file later
 import {
     handleDeleteLastMessageCommand,
-    handleReleaseInfoCommand,
-    handlePrReviewCommand,
-    handleIssueAnalysisCommand,
-    handleGithubApiCommand,
+    handleResetConversationCommand,
+    handlePreviousWorkspaceCommand,
     // --- Placeholder Intent Handlers (to be created) ---
     // handleGithubLookupIntent,
     // handleFaqIntent,
-} from './commandHandler.js'; // Or import from './intentHandler.js' later
+} from './commandHandler.js'; // Or import from './intentHandler.js' later (also registers the gh: commands)
+import { matchTextCommand, runCommand } from '../core/commandRegistry.js';
 import { exportConversationToMarkdown } from '../features/conversationExport.js';
+import { matchHelpRequest, sendHelp } from '../features/helpCatalog.js';
+import { buildThreadBackfill } from '../features/threadBackfill.js';
+import { buildWorkspaceHandoff } from '../features/workspaceHandoff.js';
+import { buildFileContext, describeFileContext } from '../features/fileContext.js';
 
 import strings from '../services/stringService.js';
+import { createLogger, logContent } from '../utils/logger.js';
+import { recordCommand, recordError } from '../services/metricsService.js';
 // --- Command Patterns ---
-
-const CMD_PREFIX = COMMAND_PREFIX.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // Escape prefix
-const RELEASE_REGEX = new RegExp(`^${CMD_PREFIX}\\s*latest\\s+(?<repo_id>[\\w.-]+(?:\\/[\\w.-]+)?)\\s*\\??$`, 'i');
-const PR_REVIEW_REGEX = new RegExp(`^${CMD_PREFIX}\\s*review\\s+pr\\s+(?<owner>[\\w.-]+)\\/(?<repo>[\\w.-]+)#(?<pr_number>\\d+)\\s+#(?<workspace_slug>[\\w-]+)\\s*$`, 'i');
-const ISSUE_ANALYSIS_REGEX = new RegExp(`^${CMD_PREFIX}\\s*(?:analyze|summarize|explain)\\s+issue\\s+(?:(?<owner>[\\w.-]+)\\/(?<repo>[\\w.-]+))?#(?<issue_number>\\d+)(?:\\s*#(?<workspace_slug>[\\w-]+))?(?:\\s+(?<user_prompt>.+))?\\s*$`, 'i');
-const GENERIC_API_REGEX = new RegExp(`^${CMD_PREFIX}\\s*api\\s+(?<api_query>.+)\\s*$`, 'i');
+// `gh:` commands are parsed by the command registry (core/commandRegistry.js)
 const WORKSPACE_OVERRIDE_REGEX = new RegExp(`\\${WORKSPACE_OVERRIDE_COMMAND_PREFIX}(\\S+)`);
+const RESET_CONVERSATION_REGEX = new RegExp(`^${RESET_CONVERSATION_COMMAND.split(/\s+/).join('\\s+')}(?:\\s+\\${WORKSPACE_OVERRIDE_COMMAND_PREFIX}(?<workspace>[\\w-]+))?\\s*[.!]?$`, 'i');
+const PREVIOUS_WORKSPACE_REGEX = new RegExp(`^${PREVIOUS_WORKSPACE_COMMAND}\\s*[.!]?$`, 'i');
+// Question used when a message only shares files (and mentions Orbit)
+const FILES_ONLY_QUERY = "Please look at the shared file(s). What stands out, and is anything wrong?";
+
+const log = createLogger('Msg Handler');
+const streamLog = log.child('Stream');
 
 /**
- * Helper function to create a delay.
- * @param {number} ms - Milliseconds to wait.
- * @returns {Promise<void>}
+ * Creates a throttled updater that renders partial LLM output into the thinking message while streaming.
+ * Updates are serialized and sent at most once per `intervalMs`; only the latest text is sent.
+ * @param {string} channel - Channel ID.
+ * @param {Promise<string | null> | string | null} thinkingMessageTsOrPromise - TS of the message to update.
+ * @param {number} [intervalMs=STREAM_UPDATE_INTERVAL_MS] - Minimum delay between chat.update calls.
+ * @returns {{ push: (fullText: string) => void, flush: () => Promise<void> }}
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function createStreamingUpdater(channel, thinkingMessageTsOrPromise, intervalMs = STREAM_UPDATE_INTERVAL_MS) {
+    let latestText = null;  // Most recent text not yet sent
+    let lastSentAt = 0;
+    let timer = null;
+    let chain = Promise.resolve(); // Serializes chat.update calls
+    let disabled = false;   // Set when the thinking message can no longer be updated
+
+    const send = () => {
+        timer = null;
+        if (latestText === null || disabled) return chain;
+        let preview = latestText;
+        latestText = null;
+        // Show the tail of long answers; the full answer is posted when the stream completes
+        if (preview.length > MAX_SLACK_BLOCK_TEXT_LENGTH) preview = '…' + preview.slice(-(MAX_SLACK_BLOCK_TEXT_LENGTH - 50));
+        lastSentAt = Date.now();
+        chain = chain.then(async () => {
+            const ts = await Promise.resolve(thinkingMessageTsOrPromise);
+            if (!ts) { disabled = true; return; }
+            try {
+                await enqueueSlackUpdate({ channel, ts, text: `${preview} :writing_hand:` });
+            } catch (error) {
+                const code = error?.data?.error;
+                if (code === 'message_not_found' || code === 'cant_update_message') disabled = true;
+                streamLog.warn(`Failed to update streaming message ${ts}: ${code || error.message}`);
+            }
+        });
+        return chain;
+    };
+
+    return {
+        push(fullText) {
+            if (disabled || !fullText) return;
+            latestText = fullText;
+            if (timer) return;
+            const wait = Math.max(0, intervalMs - (Date.now() - lastSentAt));
+            timer = setTimeout(send, wait);
+        },
+        async flush() {
+            if (timer) { clearTimeout(timer); timer = null; }
+            latestText = null; // Final content is rendered by postReplySegments
+            await chain;
+        }
+    };
 }
 
 /**
- * Helper to update or delete the initial "Processing..." message.
- * Uses the imported slackClient instance.
- * @param {Promise<string | null> | string | null} thinkingMessageTsOrPromise - TS string or Promise resolving to it.
- * @param {object} slack - Slack WebClient instance (passed down).
- * @param {string} channel - Channel ID.
- * @param {object | null} [updateArgs=null] - Arguments for chat.update (text, blocks), or null/undefined to delete.
+ * Posts an LLM reply as one message per text/code segment (see extractTextAndCode).
+ * If `replaceTs` is given, the first segment replaces that message (used to finalize a streamed answer in place).
+ * Segments are posted in order through the channel's outbound queue (which also handles Slack rate limits).
+ * @param {string} channelId - Channel ID.
+ * @param {string} replyTarget - Thread TS to reply in.
+ * @param {string} trimmedReply - The full (trimmed) reply text.
+ * @param {string | null} [replaceTs=null] - TS of an existing message to overwrite with the first segment.
+ * @returns {Promise<string | null>} TS of the last message posted/updated, or null if nothing was sent.
  */
-async function updateOrDeleteThinkingMessage(thinkingMessageTsOrPromise, slack, channel, updateArgs = null) {
-    if (!thinkingMessageTsOrPromise) return;
-    if (!slack || !channel) {
-        console.error("[Util/updateOrDeleteThinkingMessage] Missing Slack client or channel ID.");
-        return;
-    }
-    let ts = null;
-    try {
-        ts = await Promise.resolve(thinkingMessageTsOrPromise);
-        if (!ts) return;
-		await sleep( 100 );
-        if (updateArgs && typeof updateArgs === 'object') {
-            const updatePayload = { channel: channel, ts: ts, text: updateArgs.text || "Processing...", ...updateArgs };
-            await slack.chat.update(updatePayload);
-        } else {
-            await slack.chat.delete({ channel: channel, ts: ts });
+async function postReplySegments(channelId, replyTarget, trimmedReply, replaceTs = null) {
+    let pendingReplaceTs = replaceTs;
+    let lastMessageTs = null;
+
+    // Sends one message, overwriting the replaceable message first if there is one
+    const send = async (args) => {
+        if (pendingReplaceTs) {
+            const ts = pendingReplaceTs;
+            pendingReplaceTs = null;
+            releaseThinkingMessage(ts); // Becomes (or gives way to) the answer
+            try {
+                await enqueueSlackUpdate({ channel: channelId, ts, ...args });
+                return ts;
+            } catch (e) {
+                log.warn(`Failed to finalize message ${ts} in place, posting instead: ${e.data?.error || e.message}`);
+                await enqueueSlackDelete({ channel: channelId, ts }).catch(() => {});
+            }
         }
-    } catch (error) {
-        if (error?.data?.error !== 'message_not_found' && error?.data?.error !== 'cant_update_message') {
-            console.warn(`[Util] Failed to ${updateArgs ? 'update' : 'delete'} thinking message ${ts || '?'}:`, error.data?.error || error.message);
+        const res = await enqueueSlackPost({ channel: channelId, thread_ts: replyTarget, ...args });
+        return res?.ts;
+    };
+
+    const segments = extractTextAndCode(trimmedReply);
+
+    if (segments.length === 0) {
+        log.warn("No segments extracted from non-empty reply, posting raw trimmed reply.");
+        const block = markdownToRichTextBlock(trimmedReply);
+        lastMessageTs = await send({
+            text: block ? trimmedReply.substring(0, 200) + (trimmedReply.length > 200 ? '...' : '') : trimmedReply,
+            ...(block ? { blocks: [block] } : {})
+        });
+    } else {
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            let segmentText = '';
+            let fallbackText = '...';
+            if (segment.type === 'text' && segment.content?.trim()) {
+                segmentText = segment.content.trim();
+                fallbackText = segmentText.substring(0, 200) + (segmentText.length > 200 ? '...' : '');
+            } else if (segment.type === 'code' && segment.content?.trim()) {
+                const lang = segment.language || '';
+                segmentText = '```' + lang + '\n' + segment.content.trim() + '\n```';
+                fallbackText = `Code block (${lang || 'unknown'})`;
+            }
+            if (!segmentText) continue;
+            const block = markdownToRichTextBlock(segmentText);
+            try {
+                const postArgs = { text: fallbackText };
+                if (block) { postArgs.blocks = [block]; }
+                else { log.warn(`Failed block for seg ${i+1}. Posting raw.`); postArgs.text = segmentText; }
+                lastMessageTs = await send(postArgs);
+            } catch (e) {
+                log.error(`Error posting seg ${i+1} (Block: ${!!block}): ${e.data?.error || e.message}`);
+                if (block) { try { lastMessageTs = await send({ text: segmentText }); } catch (e2) { /* ignore retry error */ } }
+            }
         }
     }
+
+    // Nothing replaced the streamed message (e.g. all segments failed); remove the stale preview
+    if (pendingReplaceTs) await enqueueSlackDelete({ channel: channelId, ts: pendingReplaceTs }).catch(() => {});
+    return lastMessageTs;
 }
 
 
@@ -112,216 +214,176 @@ export async function handleSlackMessageEventInternal(event, slack, octokit) {
     const handlerStartTime = Date.now();
     const { user: userId, text: originalText = '', channel: channelId, ts: originalTs, thread_ts: threadTs } = event;
 
-    if (BOT_ON_BREAK) {
-        console.log(`[Msg Handler] Bot is on break. Replying and skipping processing for event ${originalTs} in channel ${channelId}.`);
+    if (await getSetting('BOT_ON_BREAK')) {
+        log.info(`Bot is on break. Replying and skipping processing for event ${originalTs} in channel ${channelId}.`);
         try {
-            await slack.chat.postMessage({
+            await enqueueSlackPost({
                 channel: channelId,
                 thread_ts: threadTs || originalTs, // Reply in thread if possible
                 text: "I'm off duty right now, probably binge-watching error logs. Try me again in a bit?"
             });
         } catch (e) {
-            console.error("[Msg Handler] Error posting 'on break' message:", e);
+            log.error("Error posting 'on break' message", e);
         }
         return; // Stop processing immediately
     }
 
     // --- 1. Initial Processing & Context ---
     let rawQuery = originalText.trim();
+    const botUserId = getBotUserId(); // Differs per team for teams installed through OAuth
     const mentionString = `<@${botUserId}>`;
     const isMentioned = rawQuery.includes(mentionString);
     let cleanedQuery = rawQuery.replace(mentionString, '').trim();
     const replyTarget = threadTs || originalTs;
 
-    console.log(`[Msg Handler] Start: User=${userId}, Chan=${channelId}, TS=${originalTs}, Thread=${threadTs || 'None'}, Target=${replyTarget}, Mention=${isMentioned}, Query="${cleanedQuery}"`);
+    log.info(`Start: User=${userId}, Chan=${channelId}, TS=${originalTs}, Thread=${threadTs || 'None'}, Target=${replyTarget}, Mention=${isMentioned}, Query=${logContent(cleanedQuery)}`);
 
+    const sharedFiles = FILE_CONTEXT_MAX_FILES > 0 && Array.isArray(event.files) ? event.files : []; // 0 disables reading files
+    if (!cleanedQuery && sharedFiles.length > 0 && (isMentioned || event.channel_type === 'im')) {
+        cleanedQuery = FILES_ONLY_QUERY; // Just an upload and a mention (or in a DM): "what's wrong here?"
+    }
     if (!cleanedQuery) {
-        console.log("[Msg Handler] Ignoring empty message after mention removal.");
+        log.info("Ignoring empty message after mention removal.");
         return;
     }
 
     // --- 2. Handle #delete_last_message Command ---
     if (cleanedQuery.toLowerCase().startsWith('#delete_last_message')) {
-        console.log("[Msg Handler] Delete command detected.");
+        log.info("Delete command detected.");
         await handleDeleteLastMessageCommand(channelId, replyTarget, botUserId, slack);
-        console.log(`[Msg Handler] Delete handled. Duration: ${Date.now() - handlerStartTime}ms`);
+        log.info(`Delete handled. Duration: ${Date.now() - handlerStartTime}ms`);
         return;
     }
 
     // --- Handle #saveToConversations Command ---
     if (cleanedQuery.toLowerCase().startsWith('#remember')) {
-        console.log("[Msg Handler] #remember command detected.");
+        log.info("#remember command detected.");
+        recordCommand('remember');
         let savingMsgTs = null;
         try {
-            const savingMsg = await slack.chat.postMessage({ channel: channelId, thread_ts: replyTarget, text: ":floppy_disk: Saving conversation..." });
+            const savingMsg = await enqueueSlackPost({ channel: channelId, thread_ts: replyTarget, text: ":floppy_disk: Saving conversation..." });
             savingMsgTs = savingMsg?.ts;
+            trackThinkingMessage(channelId, savingMsgTs);
 
             await exportConversationToMarkdown(channelId, replyTarget, true); // true to upload to LLM
 
             if (savingMsgTs) {
-                await slack.chat.update({ channel: channelId, ts: savingMsgTs, text: "✅ Logged for future use, anonymized and secure." });
+                await enqueueSlackUpdate({ channel: channelId, ts: savingMsgTs, text: "✅ Logged for future use, anonymized and secure." });
             } else {
-                await slack.chat.postMessage({ channel: channelId, thread_ts: replyTarget, text: "✅ Logged for future use, anonymized and secure." });
+                await enqueueSlackPost({ channel: channelId, thread_ts: replyTarget, text: "✅ Logged for future use, anonymized and secure." });
             }
-            console.log(`[Msg Handler] #remember handled. Duration: ${Date.now() - handlerStartTime}ms`);
+            log.info(`#remember handled. Duration: ${Date.now() - handlerStartTime}ms`);
             return; // Command handled, stop further processing
         } catch (exportError) {
-            console.error("[Msg Handler] Error during #remember:", exportError);
+            log.error("Error during #remember", exportError);
             const errorText = `❌ Error saving conversation: ${exportError.message}`;
             if (savingMsgTs) {
-                await slack.chat.update({ channel: channelId, ts: savingMsgTs, text: errorText }).catch(e => console.error("Error updating saving message with error:", e));
+                await enqueueSlackUpdate({ channel: channelId, ts: savingMsgTs, text: errorText }).catch(e => log.error("Error updating saving message with error", e));
             } else {
-                await slack.chat.postMessage({ channel: channelId, thread_ts: replyTarget, text: errorText }).catch(e => console.error("Error posting export error message:", e));
+                await enqueueSlackPost({ channel: channelId, thread_ts: replyTarget, text: errorText }).catch(e => log.error("Error posting export error message", e));
             }
             return; // Stop further processing on error
         }
     }
 
-    // --- 3. Post Initial Thinking Message ---
-    let thinkingMessageTs = null;
-    try {
-        const thinkingMsg = await slack.chat.postMessage({ channel: channelId, thread_ts: replyTarget, text: ":hourglass_flowing_sand: Processing..." });
-        thinkingMessageTs = thinkingMsg?.ts;
-        if (!thinkingMessageTs) { throw new Error("Failed to get timestamp from thinking message response."); }
-    } catch (err) {
-        console.error("[Msg Handler] Failed post initial thinking message:", err.data?.error || err.message);
+    // --- Handle reset conversation Command ---
+    const resetMatch = cleanedQuery.match(RESET_CONVERSATION_REGEX);
+    if (resetMatch) {
+        log.info("Reset conversation command detected.");
+        recordCommand('reset_conversation');
+        await handleResetConversationCommand(channelId, replyTarget, originalTs, resetMatch.groups.workspace || null);
+        log.info(`Reset handled. Duration: ${Date.now() - handlerStartTime}ms`);
         return;
     }
 
-    // --- 4. Check for Specific `gh:` Commands ---
-    let commandHandled = false; // Flag for explicit commands
-    const isPotentialGhCommand = cleanedQuery.toLowerCase().startsWith(COMMAND_PREFIX);
-
-    if (isPotentialGhCommand) {
-        // Check GitHub configuration
-        if (!githubToken) {
-             await updateOrDeleteThinkingMessage(thinkingMessageTs, slack, channelId, { text: `❌ GitHub commands disabled (GITHUB_TOKEN not configured).` });
-             return;
-        }
-        if (!octokit) {
-            await updateOrDeleteThinkingMessage(thinkingMessageTs, slack, channelId, { text: `❌ GitHub client failed to initialize (check token/config).` });
-            return;
-        }
-
-        let match;
-
-        // --- Release Command ---
-        match = cleanedQuery.match(RELEASE_REGEX);
-        if (match?.groups?.repo_id) {
-            console.log("[Msg Handler] Matched 'gh: latest'.");
-            commandHandled = await handleReleaseInfoCommand(match.groups.repo_id, replyTarget, slack, octokit, thinkingMessageTs, channelId);
-        }
-
-        // --- PR Review Command ---
-        if (!commandHandled) {
-            match = cleanedQuery.match(PR_REVIEW_REGEX);
-            if (match?.groups) {
-                 console.log("[Msg Handler] Matched 'gh: review pr'.");
-                 const { owner, repo, pr_number, workspace_slug } = match.groups;
-                 const prNum = parseInt(pr_number, 10);
-                 if (owner && repo && !isNaN(prNum) && workspace_slug) {
-                     commandHandled = await handlePrReviewCommand( owner, repo, prNum, workspace_slug, replyTarget, channelId, slack, octokit, thinkingMessageTs );
-                 } else {
-                     console.warn("[Msg Handler] Invalid PR Review params:", match.groups);
-                     await updateOrDeleteThinkingMessage(thinkingMessageTs, slack, channelId, { text: `❌ Invalid format. Use: \`gh: review pr owner/repo#number #workspace\`` });
-                     commandHandled = true;
-                 }
-            }
-        }
+    // --- Handle #previous Command ---
+    if (PREVIOUS_WORKSPACE_REGEX.test(cleanedQuery)) {
+        log.info("Previous workspace command detected.");
+        recordCommand('previous_workspace');
+        await handlePreviousWorkspaceCommand(channelId, replyTarget);
+        log.info(`Previous workspace handled. Duration: ${Date.now() - handlerStartTime}ms`);
+        return;
+    }
 
-        // --- Issue Analysis Command ---
-        if (!commandHandled) {
-            match = cleanedQuery.match(ISSUE_ANALYSIS_REGEX);
-            if (match?.groups) {
-                 console.log("[Msg Handler] Matched 'gh: analyze issue'.");
-                 const { owner = GITHUB_OWNER, repo = 'backlog', issue_number, workspace_slug: explicitWs, user_prompt } = match.groups;
-                 const issueNum = parseInt(issue_number, 10);
-
-                 if (!isNaN(issueNum)) {
-                    let llmWs = null;
-                    let llmThread = null;
-                    try {
-                        const mapping = await getAnythingLLMThreadMapping(channelId, replyTarget);
-                        if (mapping) {
-                            llmWs = explicitWs || mapping.anythingllm_workspace_slug;
-                            llmThread = mapping.anythingllm_thread_slug;
-                            console.log(`[Msg Handler - Issue Cmd] Using context (Explicit Ws: '${explicitWs || 'None'}', Mapped Ws: '${mapping.anythingllm_workspace_slug}'): Final Ws=${llmWs}, Thr=${llmThread}`);
-                        } else {
-                            if (explicitWs) {
-                                llmWs = explicitWs;
-                                console.log(`[Msg Handler - Issue Cmd] No mapping found, using explicit Ws: ${llmWs}`);
-                            } else {
-                                console.log(`[Msg Handler - Issue Cmd] No mapping or explicit Ws, determining workspace...`);
-                                llmWs = await determineWorkspace({ suggestedWorkspace: null, userId, channelId });
-                                console.log(`[Msg Handler - Issue Cmd] Determined Ws: ${llmWs}`);
-                            }
-                            if (!llmWs) throw new Error("Could not determine target workspace for issue analysis.");
-                            llmThread = null; // Flag to trigger creation
-                        }
-                        if (!llmThread && llmWs) {
-                             console.log(`[Msg Handler - Issue Cmd] Creating new thread in workspace: ${llmWs}`);
-                             llmThread = await createNewAnythingLLMThread(llmWs);
-                             if (!llmThread) throw new Error(`Failed to create thread in ${llmWs}.`);
-                             await storeAnythingLLMThreadMapping(channelId, replyTarget, llmWs, llmThread);
-                             console.log(`[Msg Handler - Issue Cmd] Created and stored new mapping: ${llmWs}:${llmThread}`);
-                        } else if (!llmWs) {
-                            throw new Error("Workspace could not be determined for thread creation.");
-                        }
-                        commandHandled = await handleIssueAnalysisCommand( owner, repo, issueNum, user_prompt || null, replyTarget, channelId, slack, octokit, thinkingMessageTs, llmWs, llmThread );
-                    } catch (contextError) {
-                         console.error("[Msg Handler-IssueCmd] Context/Thread Setup Error:", contextError);
-                         await updateOrDeleteThinkingMessage(thinkingMessageTs, slack, channelId, { text: `❌ Error setting up context for issue analysis: ${contextError.message}` });
-                         commandHandled = true;
-                    }
-                 } else {
-                     console.warn("[Msg Handler] Invalid Issue Analysis number:", match.groups.issue_number);
-                     await updateOrDeleteThinkingMessage(thinkingMessageTs, slack, channelId, { text: `❌ Invalid issue number. Use format: \`gh: analyze issue [#123 | owner/repo#123] [#optional-ws]\`` });
-                     commandHandled = true;
-                 }
-            }
+    // --- Handle help Command (`gh: help` and `/orbit-help` go through the command registry) ---
+    const helpTopic = matchHelpRequest(cleanedQuery);
+    if (helpTopic !== null) {
+        log.info("Help command detected.");
+        recordCommand('help');
+        try {
+            await sendHelp(helpTopic, { userId, channelId, replyTarget });
+        } catch (helpError) {
+            log.error(`Error sending help: ${helpError.data?.error || helpError.message}`);
         }
+        return;
+    }
 
-        // --- Generic API Command ---
-        if (!commandHandled) {
-            match = cleanedQuery.match(GENERIC_API_REGEX);
-            if (match?.groups?.api_query) {
-                console.log("[Msg Handler] Matched generic 'gh: api'.");
-                commandHandled = await handleGithubApiCommand( match.groups.api_query, replyTarget, channelId, slack, thinkingMessageTs, githubWorkspaceSlug, formatterWorkspaceSlug );
-            }
+    // --- 3. Serialize the LLM Path per Slack Thread ---
+    // Mapping lookup/creation and the LLM query run one message at a time. Taken before anything is posted: while
+    // the thread is busy the job is deferred (JobDeferredError) and runs again later without a duplicate post.
+    const commandMatch = matchTextCommand(cleanedQuery);
+    let releaseThreadLock = null;
+    if (!commandMatch && isLlmAvailable()) {
+        releaseThreadLock = await acquireThreadLock(channelId, replyTarget);
+        if (!releaseThreadLock) {
+            await enqueueSlackPost({ channel: channelId, thread_ts: replyTarget, text: strings.threadBusyMessage });
+            return;
         }
+    }
 
-        // --- Unknown gh: Command ---
-        if (isPotentialGhCommand && !commandHandled) {
-             console.warn(`[Msg Handler] Unknown command starting with '${COMMAND_PREFIX}': ${cleanedQuery}`);
-             await updateOrDeleteThinkingMessage(thinkingMessageTs, slack, channelId, { text: `❓ Unknown command. Type \`@Orbit help\` for options.` });
-             // No return here, might fall through to intent/LLM
-        }
-    } // End of `if (isPotentialGhCommand)`
+    // --- 4. Post Initial Thinking Message ---
+    let thinkingMessageTs = null;
+    try {
+        const thinkingMsg = await enqueueSlackPost({ channel: channelId, thread_ts: replyTarget, text: ":hourglass_flowing_sand: Processing..." });
+        thinkingMessageTs = thinkingMsg?.ts;
+        if (!thinkingMessageTs) { throw new Error("Failed to get timestamp from thinking message response."); }
+        trackThinkingMessage(channelId, thinkingMessageTs); // Replaced with a restart notice if shutdown can't wait for this handler
+    } catch (err) {
+        // Nothing was posted yet, so the job queue can safely retry the whole message
+        log.error(`Failed post initial thinking message: ${err.data?.error || err.message}`);
+        await releaseThreadLock?.();
+        throw err;
+    }
 
-    // --- 5. Workspace Override & Intent Detection / LLM Fallback ---
-    if (commandHandled) {
-        console.log(`[Msg Handler] Explicit gh: command handled. Duration: ${Date.now() - handlerStartTime}ms`);
-        return; // Explicit gh: command was handled, stop.
+    // --- 5. Check for Specific `gh:` Commands (resolved through the command registry) ---
+    if (commandMatch) {
+        if (!commandMatch.command) log.warn(`Unknown command starting with '${COMMAND_PREFIX}': ${logContent(cleanedQuery)}`);
+        await runCommand(commandMatch, {
+            name: cleanedQuery, userId, channelId, replyTarget, threadTs: replyTarget, slack, octokit,
+            thinkingMessage: thinkingMessageTs,
+            reply: (text) => updateOrDeleteThinkingMessage(thinkingMessageTs, channelId, { text })
+        });
+        log.info(`Explicit ${COMMAND_PREFIX} command handled. Duration: ${Date.now() - handlerStartTime}ms`);
+        return;
     }
 
-    if (!commandHandled) {
-        console.log("[Msg Handler] No command matched. Proceeding with Intent Detection -> Routing -> LLM query.");
+    // --- 6. Workspace Override & Intent Detection / LLM Fallback ---
+    if (!commandMatch) {
+        log.info("No command matched. Proceeding with Intent Detection -> Routing -> LLM query.");
 
         let finalWorkspaceSlug = null;
         let anythingLLMThreadSlug = null;
         let intentDetectionResult = null;
         let intentHandled = false; // Flag to track if a specific intent handler ran
 
+        // Degraded mode: don't wait on an LLM backend that is known to be down (no thread lock was taken, see step 3)
+        if (!releaseThreadLock) {
+            log.warn("LLM backend unavailable (circuit open). Skipping LLM query.");
+            await updateOrDeleteThinkingMessage(thinkingMessageTs, channelId, { text: strings.llmUnavailableMessage });
+            return;
+        }
+
         try {
-            // --- Step 5a: Intent Detection ---
-            console.log("[Msg Handler] Running Intent Detection...");
+            // --- Step 6a: Intent Detection ---
+            log.info("Running Intent Detection...");
 			const availableWorkSpaces = await getWorkspaces( true );
             intentDetectionResult = await detectIntentAndWorkspace(cleanedQuery, [], availableWorkSpaces );
             const { intent, confidence, suggestedWorkspace } = intentDetectionResult;
-			console.log({ intent, confidence, suggestedWorkspace } );
-            // --- Step 5b: Intent-Based Routing ---
+            log.debug('Intent detection result', { intent, confidence, suggestedWorkspace });
+            const intentConfidenceThreshold = await getSetting('INTENT_CONFIDENCE_THRESHOLD');
+            // --- Step 6b: Intent-Based Routing ---
             if (intentRoutingEnabled && intent && confidence >= intentConfidenceThreshold) {
-                console.log(`[Msg Handler] Intent detected: '${intent}' (Confidence: ${confidence.toFixed(2)}). Attempting routing.`);
+                log.info(`Intent detected: '${intent}' (Confidence: ${confidence.toFixed(2)}). Attempting routing.`);
                 // Prepare context for potential intent handlers
                 const intentContext = {
                     query: cleanedQuery,
@@ -332,42 +394,42 @@ export async function handleSlackMessageEventInternal(event, slack, octokit) {
 
                 switch (intent) {
                     case 'github_issue_lookup': // Example Intent
-                        console.log(`[Msg Handler] Routing to 'github_issue_lookup' handler.`);
+                        log.info("Routing to 'github_issue_lookup' handler.");
                         // Placeholder: You need to create and import handleGithubLookupIntent
                         // intentHandled = await handleGithubLookupIntent(intentContext);
-                        console.warn("Placeholder: `handleGithubLookupIntent` not implemented.");
-                        await updateOrDeleteThinkingMessage(thinkingMessageTs, slack, channelId, { text: `🚧 Intent '${intent}' handler not implemented yet.`});
+                        log.warn("Placeholder: `handleGithubLookupIntent` not implemented.");
+                        await updateOrDeleteThinkingMessage(thinkingMessageTs, channelId, { text: `🚧 Intent '${intent}' handler not implemented yet.`});
                         intentHandled = true; // Mark as handled (even if stubbed) to prevent fallback
                         break;
                     case 'ask_faq': // Example Intent
-                         console.log(`[Msg Handler] Routing to 'ask_faq' handler.`);
+                         log.info("Routing to 'ask_faq' handler.");
                          // Placeholder: You need to create and import handleFaqIntent
                          // intentHandled = await handleFaqIntent(intentContext);
-                         console.warn("Placeholder: `handleFaqIntent` not implemented.");
-                         await updateOrDeleteThinkingMessage(thinkingMessageTs, slack, channelId, { text: `🚧 Intent '${intent}' handler not implemented yet.`});
+                         log.warn("Placeholder: `handleFaqIntent` not implemented.");
+                         await updateOrDeleteThinkingMessage(thinkingMessageTs, channelId, { text: `🚧 Intent '${intent}' handler not implemented yet.`});
                          intentHandled = true; // Mark as handled
                          break;
                     // Add cases for other specific intents you want to handle directly
                     default:
-                        console.log(`[Msg Handler] Intent '${intent}' detected but no specific handler defined. Proceeding to LLM.`);
+                        log.info(`Intent '${intent}' detected but no specific handler defined. Proceeding to LLM.`);
                         intentHandled = false; // Fall through to default LLM query
                 }
             } else {
                  // Intent routing disabled, no intent detected, or confidence too low
                  if (intent) {
-                     console.log(`[Msg Handler] Intent detected: '${intent}' (Confidence: ${confidence.toFixed(2)}), but routing conditions not met (Enabled: ${intentRoutingEnabled}, Threshold: ${intentConfidenceThreshold}). Proceeding to LLM.`);
+                     log.info(`Intent detected: '${intent}' (Confidence: ${confidence.toFixed(2)}), but routing conditions not met (Enabled: ${intentRoutingEnabled}, Threshold: ${intentConfidenceThreshold}). Proceeding to LLM.`);
                  } else {
-                     console.log(`[Msg Handler] No specific intent detected or routing disabled. Proceeding to LLM.`);
+                     log.info('No specific intent detected or routing disabled. Proceeding to LLM.');
                  }
                  intentHandled = false;
             }
 
-            // --- Step 5c: Default LLM Query Path (if no specific intent was handled) ---
+            // --- Step 6c: Default LLM Query Path (if no specific intent was handled) ---
             if (!intentHandled) {
-                console.log("[Msg Handler] Determining workspace for LLM query...");
+                log.info("Determining workspace for LLM query...");
                 // Determine workspace using suggestion from intent detection (even if intent wasn't routed)
                 finalWorkspaceSlug = await determineWorkspace({
-                    suggestedWorkspace: suggestedWorkspace, // Use suggestion from step 5a
+                    suggestedWorkspace: suggestedWorkspace, // Use suggestion from step 6a
                     userId,
                     channelId
                 });
@@ -375,10 +437,10 @@ export async function handleSlackMessageEventInternal(event, slack, octokit) {
                 if (!finalWorkspaceSlug) {
                     throw new Error("Could not determine a valid workspace. Check configuration (mappings, fallback) and LLM workspace availability.");
                 }
-                console.log(`[Msg Handler] Final workspace determined for LLM: ${finalWorkspaceSlug}`);
+                log.info(`Final workspace determined for LLM: ${finalWorkspaceSlug}`);
 
                 // Get/Create Thread Mapping
-                console.log("[Msg Handler] Checking/Updating thread mapping for LLM query...");
+                log.info("Checking/Updating thread mapping for LLM query...");
                 const mapping = await getAnythingLLMThreadMapping(channelId, replyTarget);
                 let historyForLlm = "";
                 let llmInputText = cleanedQuery.replace(WORKSPACE_OVERRIDE_REGEX, '').trim();
@@ -387,137 +449,123 @@ export async function handleSlackMessageEventInternal(event, slack, octokit) {
                 if (mapping && mapping.anythingllm_workspace_slug === finalWorkspaceSlug) {
                     // If using existing thread in same workspace - the LLM API maintains history
                     anythingLLMThreadSlug = mapping.anythingllm_thread_slug;
-                    console.log(`[Msg Handler] Using existing thread mapping for LLM: ${finalWorkspaceSlug}:${anythingLLMThreadSlug}`);
+                    log.info(`Using existing thread mapping for LLM: ${finalWorkspaceSlug}:${anythingLLMThreadSlug}`);
 
                     // Just send the clean message without history, User: prefix, or instruction
-                    console.log(`[Msg Handler] Querying LLM with existing thread: Ws=${finalWorkspaceSlug}, Thr=${anythingLLMThreadSlug}, Input Length=${llmInputText.length}`);
+                    log.info(`Querying LLM with existing thread: Ws=${finalWorkspaceSlug}, Thr=${anythingLLMThreadSlug}, Input Length=${llmInputText.length}`);
 
                 } else if (mapping && finalWorkspaceSlug === fallbackWorkspace) {
                     // Reset to original mapping if consequent questions were marked as fallback, unless intentionally (Add check)
                     anythingLLMThreadSlug = mapping.anythingllm_thread_slug;
                     finalWorkspaceSlug = mapping.anythingllm_workspace_slug;
-                    console.log(`[Msg Handler] Resting to existing thread mapping for LLM: ${finalWorkspaceSlug}:${anythingLLMThreadSlug}`);
+                    log.info(`Resting to existing thread mapping for LLM: ${finalWorkspaceSlug}:${anythingLLMThreadSlug}`);
 
                     // Just send the clean message without history, User: prefix, or instruction
-                    console.log(`[Msg Handler] Querying LLM with existing thread: Ws=${finalWorkspaceSlug}, Thr=${anythingLLMThreadSlug}, Input Length=${llmInputText.length}`);
+                    log.info(`Querying LLM with existing thread: Ws=${finalWorkspaceSlug}, Thr=${anythingLLMThreadSlug}, Input Length=${llmInputText.length}`);
 
                 } else {
                     // Creating a new thread (due to workspace change or first message)
                     if (mapping) {
-                        console.log(`[Msg Handler] Workspace changed for LLM (Mapped: ${mapping.anythingllm_workspace_slug}, Determined: ${finalWorkspaceSlug}). Creating new thread.`);
+                        log.info(`Workspace changed for LLM (Mapped: ${mapping.anythingllm_workspace_slug}, Determined: ${finalWorkspaceSlug}). Creating new thread.`);
                     } else {
-                        console.log(`[Msg Handler] No existing thread mapping found for LLM. Creating new thread.`);
+                        log.info('No existing thread mapping found for LLM. Creating new thread.');
                     }
 
-                    // --- Fetch History for Context ---
-                    // Only fetch history if this is a reply in a thread (not a brand new conversation)
-                    // and there was a workspace change (mapping exists)
-                    if (threadTs && mapping) {
+                    // --- Hand Off the Previous Workspace's Conversation ---
+                    // The thread moves to another workspace: the new AnythingLLM thread starts with a structured
+                    // summary of the old one (see features/workspaceHandoff.js)
+                    if (mapping) {
                         try {
-                            console.log(`[Msg Handler] Fetching history for new thread context from channel ${channelId}, thread ${replyTarget}`);
-                            const historyResult = await slack.conversations.replies({
-                                channel: channelId,
-                                ts: replyTarget,
-                                limit: 20 // Fetch last 20 messages in the thread
-                            });
-                            if (historyResult.ok && historyResult.messages && historyResult.messages.length > 1) {
-                                // Skip the first message (thread starter) and format the rest
-                                // Filter out "Processing..." messages and format the others
-                                historyForLlm = historyResult.messages.slice(1)
-                                    .filter(msg => !(msg.text || '').includes(':hourglass_flowing_sand: Processing'))
-                                    .map(msg => {
-                                        const prefix = (msg.user === botUserId || msg.bot_id) ? "Assistant:" : "User:";
-                                        // Extract text, handling potential blocks structure later if needed
-                                        const msgText = (msg.text || '').replace(/<@[^>]+>/g, '').trim(); // Basic mention removal
-                                        return `${prefix} ${msgText}`;
-                                    }).join("\n");
-                                console.log(`[Msg Handler] Fetched ${historyResult.messages.length - 1} history messages. Total length: ${historyForLlm.length}`);
-                                // Add the current user's message to history with User: prefix
-                                historyForLlm += "\n\nUser: " + llmInputText;
-                                // Use the history as the input
-                                llmInputText = historyForLlm;
-                            } else {
-                               console.warn("[Msg Handler] Could not fetch significant history for new thread:", historyResult.error || 'No messages found');
+                            const handoff = await buildWorkspaceHandoff({ fromWorkspace: mapping.anythingllm_workspace_slug, fromThreadSlug: mapping.anythingllm_thread_slug, toWorkspace: finalWorkspaceSlug });
+                            if (handoff) {
+                                historyForLlm = handoff.text;
+                                llmInputText = `${historyForLlm}\n\nCurrent message:\n${llmInputText}`;
+                                log.info(`Handed off ${handoff.messageCount} message(s) from ${mapping.anythingllm_workspace_slug}. Total length: ${historyForLlm.length}`);
+                            }
+                        } catch (handoffError) {
+                            log.error("Error building workspace hand-off", handoffError);
+                            // Fall back to the Slack thread backfill below
+                        }
+                    }
+
+                    // --- Backfill the Earlier Slack Discussion ---
+                    // A reply in a thread (Orbit joining a discussion, or a switch without a hand-off): the new
+                    // AnythingLLM thread starts with what was said so far (see features/threadBackfill.js)
+                    if (historyForLlm) {
+                        log.info('Skipping history backfill, the hand-off carries the context.');
+                    } else if (threadTs) {
+                        try {
+                            const backfill = await buildThreadBackfill({ channelId, threadTs: replyTarget, beforeTs: originalTs, workspaceSlug: finalWorkspaceSlug });
+                            if (backfill) {
+                                historyForLlm = backfill.text;
+                                llmInputText = `${historyForLlm}\n\nCurrent message:\n${llmInputText}`;
+                                log.info(`Backfilled ${backfill.messageCount} earlier message(s) (${backfill.summarizedCount} summarized). Total length: ${historyForLlm.length}`);
                             }
                         } catch (histError) {
-                            console.error("[Msg Handler] Error fetching thread history:", histError);
-                            // Proceed without history if fetching fails
+                            log.error("Error backfilling thread history", histError);
+                            // Proceed without history if backfilling fails
                         }
                     } else {
-                        console.log(`[Msg Handler] Skipping history fetch for brand new thread (Thread TS: ${threadTs ? 'exists' : 'none'}, Mapping: ${mapping ? 'exists' : 'none'})`);
+                        log.info('Skipping history backfill for a new top-level conversation.');
                     }
                     // --- End History Fetch ---
 
                     anythingLLMThreadSlug = await createNewAnythingLLMThread(finalWorkspaceSlug);
                     if (!anythingLLMThreadSlug) { throw new Error(`Failed to create new thread in workspace ${finalWorkspaceSlug}. Check LLM API status and workspace slug validity.`); }
 
-                    await storeAnythingLLMThreadMapping(channelId, replyTarget, finalWorkspaceSlug, anythingLLMThreadSlug);
-                    console.log(`[Msg Handler] Created/Updated thread mapping for LLM: ${finalWorkspaceSlug}:${anythingLLMThreadSlug}`);
+                    const mappingStored = await storeAnythingLLMThreadMapping(channelId, replyTarget, finalWorkspaceSlug, anythingLLMThreadSlug);
+                    log.info(`Created/Updated thread mapping for LLM: ${finalWorkspaceSlug}:${anythingLLMThreadSlug}`);
+                    if (mapping && mappingStored) {
+                        // Lets `#previous` rebind the thread to the workspace it just left
+                        await pushThreadWorkspace(channelId, replyTarget, { workspaceSlug: mapping.anythingllm_workspace_slug, threadSlug: mapping.anythingllm_thread_slug });
+                    }
+
+                    log.info(`Querying LLM with new thread: Ws=${finalWorkspaceSlug}, Thr=${anythingLLMThreadSlug}, Input Length=${llmInputText.length} (History included: ${!!historyForLlm})`);
+                }
 
-                    console.log(`[Msg Handler] Querying LLM with new thread: Ws=${finalWorkspaceSlug}, Thr=${anythingLLMThreadSlug}, Input Length=${llmInputText.length} (History included: ${!!historyForLlm})`);
+                // --- Add Shared Files ---
+                // Text of the files uploaded with this message goes after the question (see features/fileContext.js)
+                if (sharedFiles.length > 0) {
+                    await updateOrDeleteThinkingMessage(thinkingMessageTs, channelId, { text: `:paperclip: Reading ${sharedFiles.length} shared file(s)...` });
+                    const fileContext = await buildFileContext(sharedFiles);
+                    if (fileContext.text) llmInputText = `${llmInputText}\n\n${fileContext.text}`;
+                    await enqueueSlackPost({ channel: channelId, thread_ts: replyTarget, text: describeFileContext(fileContext) })
+                        .catch(e => log.warn(`Failed to post the shared files note: ${e.data?.error || e.message}`));
+                    log.info(`Added ${fileContext.used.length} shared file(s) to the prompt. Input Length=${llmInputText.length}`);
                 }
 
-                // --- Step 5d: Query LLM (common for all scenarios) ---
-                await updateOrDeleteThinkingMessage(thinkingMessageTs, slack, channelId, { text: strings.getWorkplaceThinkingString(finalWorkspaceSlug) });
+                // --- Step 6d: Query LLM (common for all scenarios) ---
+                await updateOrDeleteThinkingMessage(thinkingMessageTs, channelId, { text: strings.getWorkplaceThinkingString(finalWorkspaceSlug) });
 
-                rawReply = await queryLlm(finalWorkspaceSlug, anythingLLMThreadSlug, llmInputText);
+                let streamedTs = null; // Thinking message TS holding the streamed preview (finalized in place)
+                if (LLM_STREAMING_ENABLED) {
+                    const updater = createStreamingUpdater(channelId, thinkingMessageTs);
+                    rawReply = await streamLlm(finalWorkspaceSlug, anythingLLMThreadSlug, llmInputText, { onText: updater.push });
+                    await updater.flush();
+                    streamedTs = await Promise.resolve(thinkingMessageTs);
+                } else {
+                    rawReply = await queryLlm(finalWorkspaceSlug, anythingLLMThreadSlug, llmInputText);
+                }
                 trimmedReply = typeof rawReply === 'string' ? rawReply.trim() : "";
 
-                // --- Step 5e: Process & Post LLM Response ---
+                // --- Step 6e: Process & Post LLM Response ---
                 if (!trimmedReply) {
-                    console.log("[Msg Handler] LLM returned empty response.");
-                    await slack.chat.postMessage({ channel: channelId, thread_ts: replyTarget, text: "_(I received an empty response. Please try rephrasing your query.)_" });
+                    log.info("LLM returned empty response.");
+                    // An empty reply right after the breaker opened means the backend failed, not that it had nothing to say
+                    const emptyText = isLlmAvailable() ? "_(I received an empty response. Please try rephrasing your query.)_" : strings.llmUnavailableMessage;
+                    await enqueueSlackPost({ channel: channelId, thread_ts: replyTarget, text: emptyText });
                     // No return needed here, flow ends
                 } else {
-                    console.log(`[Msg Handler] LLM raw response length: ${rawReply.length}, Trimmed: ${trimmedReply.length}`);
+                    log.info(`LLM raw response length: ${rawReply.length}, Trimmed: ${trimmedReply.length}`);
                     let isSubstantive = trimmedReply.length >= MIN_SUBSTANTIVE_RESPONSE_LENGTH;
-                    if (isSubstantive) { console.log("[Msg Handler] Response deemed substantive."); } else { console.log("[Msg Handler] Response deemed non-substantive."); }
-
-                    const segments = extractTextAndCode(trimmedReply);
+                    if (isSubstantive) { log.info("Response deemed substantive."); } else { log.info("Response deemed non-substantive."); }
 
-                    let lastMessageTs = null;
-
-                    if (segments.length === 0) {
-                        console.warn("[Msg Handler] No segments extracted from non-empty reply, posting raw trimmed reply.");
-                        const block = markdownToRichTextBlock(trimmedReply);
-                        const result = await slack.chat.postMessage({
-                            channel: channelId, thread_ts: replyTarget,
-                            text: trimmedReply.substring(0, 200) + (trimmedReply.length > 200 ? '...' : ''),
-                            ...(block ? { blocks: [block] } : { text: trimmedReply })
-                        });
-                        lastMessageTs = result?.ts;
-                    } else {
-                        for (let i = 0; i < segments.length; i++) {
-                            // (Segment posting logic remains the same as previous version)
-                            const segment = segments[i];
-                            let segmentText = '';
-                            let fallbackText = '...';
-                            if (segment.type === 'text' && segment.content?.trim()) {
-                                segmentText = segment.content.trim();
-                                fallbackText = segmentText.substring(0, 200) + (segmentText.length > 200 ? '...' : '');
-                            } else if (segment.type === 'code' && segment.content?.trim()) {
-                                const lang = segment.language || '';
-                                segmentText = '```' + lang + '\n' + segment.content.trim() + '\n```';
-                                fallbackText = `Code block (${lang || 'unknown'})`;
-                            }
-                            if (!segmentText) continue;
-                            const block = markdownToRichTextBlock(segmentText);
-                            try {
-                                const postArgs = { channel: channelId, thread_ts: replyTarget, text: fallbackText };
-                                if (block) { postArgs.blocks = [block]; }
-                                else { console.warn(`[Msg Handler] Failed block for seg ${i+1}. Posting raw.`); postArgs.text = segmentText; }
-                                const res = await slack.chat.postMessage(postArgs);
-                                lastMessageTs = res?.ts;
-                            } catch (e) {
-                                console.error(`[Msg Handler] Error posting seg ${i+1} (Block: ${!!block}):`, e.data?.error || e.message);
-                                if (block) { try { const res = await slack.chat.postMessage({ channel: channelId, thread_ts: replyTarget, text: segmentText }); lastMessageTs = res?.ts; } catch (e2) { /* ignore retry error */ } }
-                            }
-                            if (segments.length > 1 && i < segments.length - 1) { await new Promise(resolve => setTimeout(resolve, 500)); }
-                        }
-                    }
+                    // When streaming, the thinking message already shows the answer, so it becomes the first segment
+                    const lastMessageTs = await postReplySegments(channelId, replyTarget, trimmedReply, streamedTs);
+                    if (streamedTs) thinkingMessageTs = null; // Consumed by postReplySegments (updated or deleted)
 
-                    // --- Step 5f: Post Feedback Buttons ---
-                    if (lastMessageTs && isSubstantive && FEEDBACK_SYSTEM_ENABLED ) {
+                    // --- Step 6f: Post Feedback Buttons ---
+                    if (lastMessageTs && isSubstantive && await getSetting('FEEDBACK_SYSTEM_ENABLED')) {
                         try {
                             const feedbackButtons = [
                                  { type: "button", text: { type: "plain_text", text: "👎", emoji: true }, style: "danger", value: "bad", action_id: "feedback_bad" },
@@ -528,32 +576,36 @@ export async function handleSlackMessageEventInternal(event, slack, octokit) {
                                  { type: "divider" },
                                  { type: "actions", block_id: `feedback_${originalTs}_${finalWorkspaceSlug}`, elements: feedbackButtons }
                             ];
-                            await slack.chat.postMessage({ channel: channelId, thread_ts: replyTarget, text: "Was this response helpful?", blocks: feedbackBlock });
-                        } catch (e) { console.warn("[Msg Handler] Failed post feedback buttons:", e.data?.error || e.message); }
+                            await enqueueSlackPost({ channel: channelId, thread_ts: replyTarget, text: "Was this response helpful?", blocks: feedbackBlock });
+                        } catch (e) { log.warn(`Failed post feedback buttons: ${e.data?.error || e.message}`); }
                     }
                 } // End if (!trimmedReply)
 
-                await updateOrDeleteThinkingMessage(thinkingMessageTs, slack, channelId, null); // Delete thinking message
+                await updateOrDeleteThinkingMessage(thinkingMessageTs, channelId, null); // Delete thinking message
                 thinkingMessageTs = null; // Mark as deleted
 
             } // End if (!intentHandled)
 
         } catch (error) { // Catch errors from context setup or LLM query/response path
-            console.error('[Msg Handler Error - Intent/LLM Path]', error);
+            log.error('Error in intent/LLM path', error);
+            recordError('handler');
+            // If the LLM breaker opened during this request (e.g., thread creation failed), say so plainly
+            const errorText = isLlmAvailable() ? `⚠️ Oops! An error occurred: ${error.message}` : strings.llmUnavailableMessage;
             if (thinkingMessageTs) { // Check if thinking message still exists
-                 await updateOrDeleteThinkingMessage(thinkingMessageTs, slack, channelId, { text: `⚠️ Oops! An error occurred: ${error.message}` });
+                 await updateOrDeleteThinkingMessage(thinkingMessageTs, channelId, { text: errorText });
                  thinkingMessageTs = null; // Mark as handled
             } else {
-                 await slack.chat.postMessage({ channel: channelId, thread_ts: replyTarget, text: `⚠️ Oops! An error occurred: ${error.message}` }).catch(()=>{});
+                 await enqueueSlackPost({ channel: channelId, thread_ts: replyTarget, text: errorText }).catch(()=>{});
             }
         } finally {
             // Final cleanup for thinking message if it somehow wasn't deleted
             if (thinkingMessageTs) {
-                 await updateOrDeleteThinkingMessage(thinkingMessageTs, slack, channelId, null);
+                 await updateOrDeleteThinkingMessage(thinkingMessageTs, channelId, null);
             }
-            console.log(`[Msg Handler] LLM Fallback processing complete. Duration: ${Date.now() - handlerStartTime}ms`);
+            await releaseThreadLock();
+            log.info(`LLM Fallback processing complete. Duration: ${Date.now() - handlerStartTime}ms`);
         }
     }
 }
 
-console.log("[Message Handler] Initialized.");
+createLogger('Message Handler').info("Initialized.");
@@ -0,0 +1,35 @@
+// src/scripts/migrate.js
+// CLI for database migrations: `npm run migrate` applies pending migrations, `npm run migrate:status` only reports.
+
+import process from 'process';
+import { dbPool } from '../services/dbService.js';
+import { runMigrations, checkSchema } from '../services/migrationService.js';
+
+const command = process.argv[2] || 'up';
+
+/**
+ * Prints the schema check result.
+ * @param {{ok: boolean, problems: string[], applied: string[], pending: string[]}} result - checkSchema() result.
+ */
+function printStatus(result) {
+    console.log(`[Migrate] Applied: ${result.applied.length > 0 ? result.applied.join(', ') : '(none)'}`);
+    console.log(`[Migrate] Pending: ${result.pending.length > 0 ? result.pending.join(', ') : '(none)'}`);
+    if (result.ok) {
+        console.log('[Migrate] Schema OK.');
+    } else {
+        result.problems.forEach(problem => console.error(`[Migrate] Problem: ${problem}`));
+    }
+}
+
+try {
+    if (!['up', 'status'].includes(command)) throw new Error(`Unknown command '${command}'. Use 'up' or 'status'.`);
+    if (command === 'up') await runMigrations();
+    const result = await checkSchema();
+    printStatus(result);
+    process.exitCode = result.ok ? 0 : 1;
+} catch (error) {
+    console.error('[Migrate] Failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    await dbPool.end?.();
+}
@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+// src/scripts/orbitSim.js
+// Chat simulator (`npm run sim`, `orbit-sim`): sends synthetic Slack `message` / `app_mention` events through the real
+// message pipeline (handleSlackMessageEventInternal) using an in-memory Slack client, and prints Orbit's replies.
+// Runs offline by default: the LLM and GitHub are replaced by stand-ins (src/sim/standIns.js), Redis and Postgres are not used.
+//
+// Usage: orbit-sim [--llm echo|live|<module>] [--github fixtures|live|<module>] [--channel C123] [--user U123]
+//                  [--mention] [--logs] ["message"]
+// With a message, sends it once and exits; without, starts a REPL (type /help).
+
+import process from 'process';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { pathToFileURL } from 'url';
+
+const USAGE = `Usage: orbit-sim [options] ["message"]
+
+Options:
+  --llm echo|live|<module>         LLM backend: echo stand-in (default), the configured LLM_BACKEND, or a module
+                                   whose default export implements the backend interface (services/llmService.js)
+  --github fixtures|live|<module>  GitHub client: fixture data (default), GITHUB_TOKEN, or a module whose default
+                                   export is an Octokit-compatible client
+  --channel <id>                   Channel ID (default CSIM; IDs starting with D are DMs). WORKSPACE_MAPPING applies.
+  --user <id>                      Sender user ID (default USIMUSER)
+  --mention                        Send app_mention events (the bot mention is added to the text)
+  --logs                           Print Orbit's log lines (stderr) instead of buffering them (see /logs)
+  -h, --help                       Show this help`;
+
+const REPL_HELP = `Commands:
+  /mention <text>      Send one message as an app_mention
+  /file <path> [text]  Send a message sharing a local file (Orbit reads it like a Slack upload)
+  /channel <id>        Switch channel                  /user <id>       Switch sender
+  /thread new|<ts>     Start a new thread / reply in a thread (messages stay in the current thread)
+  /history             Show the current thread         /calls [n]       Show the last n Slack API calls
+  /logs [n]            Show the last n log lines       /quit            Exit
+Anything else is sent as a message.`;
+
+const MAX_BUFFERED_LOG_LINES = 500;
+
+/**
+ * =============================================================================
+ * OPTIONS & ENVIRONMENT
+ * =============================================================================
+ */
+
+/**
+ * Parses command line arguments.
+ * @param {string[]} args - process.argv without node and script.
+ * @returns {{llm: string, github: string, channel: string, user: string, mention: boolean, logs: boolean, help: boolean, message: string | null}}
+ * @throws {Error} On unknown options or missing option values.
+ */
+function parseArgs(args) {
+    const options = { llm: 'echo', github: 'fixtures', channel: 'CSIM', user: 'USIMUSER', mention: false, logs: false, help: false, message: null };
+    const words = [];
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) throw new Error(`Missing value for ${arg}.`);
+            return args[++i];
+        };
+        if (arg === '--llm') options.llm = value();
+        else if (arg === '--github') options.github = value();
+        else if (arg === '--channel') options.channel = value();
+        else if (arg === '--user') options.user = value();
+        else if (arg === '--mention') options.mention = true;
+        else if (arg === '--logs') options.logs = true;
+        else if (arg === '-h' || arg === '--help') options.help = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}.`);
+        else words.push(arg);
+    }
+    options.message = words.length > 0 ? words.join(' ') : null;
+    return options;
+}
+
+/**
+ * Keeps the simulator off real Slack, Redis and Postgres. Must run before config.js is imported
+ * (dotenv doesn't override variables that are already set, even to '').
+ * @param {{llm: string, github: string}} options - Parsed options.
+ */
+function prepareEnvironment(options) {
+    for (const key of ['SLACK_BOT_TOKEN', 'SLACK_APP_TOKEN', 'SLACK_CLIENT_ID', 'SLACK_CLIENT_SECRET', 'REDIS_URL', 'DATABASE_URL']) {
+        process.env[key] = '';
+    }
+    if (options.llm !== 'live') process.env.INTENT_PROVIDER = 'none'; // Intent detection would call Gemini
+    if (options.github !== 'live') process.env.GITHUB_TOKEN = 'sim-github-token'; // Enables gh: commands; calls go to the stand-in
+}
+
+/**
+ * Imports a user-supplied stand-in module (its default export, or the module namespace).
+ * @param {string} modulePath - Path relative to the working directory.
+ * @returns {Promise<object>}
+ */
+async function importStandIn(modulePath) {
+    const loaded = await import(pathToFileURL(path.resolve(modulePath)).href);
+    return loaded.default || loaded;
+}
+
+/**
+ * =============================================================================
+ * OUTPUT
+ * =============================================================================
+ */
+
+// The console bridge replaces console.*, so the simulator writes to stdout directly
+const print = (text = '') => process.stdout.write(`${text}\n`);
+const indent = (text) => text.split('\n').map(line => `    ${line}`).join('\n');
+
+/**
+ * Prints a recorded Slack API call that changes what the user sees.
+ * @param {{method: string, args: object, result: object | null, error: Error | null}} call - Recorded call.
+ * @param {(message: object) => string} renderMessage - Block renderer.
+ */
+function printCall(call, renderMessage) {
+    const { method, args, result, error } = call;
+    if (error) {
+        print(`  ✖ ${method} failed: ${error.data?.error || error.message}`);
+        return;
+    }
+    switch (method) {
+        case 'chat.postMessage':
+            print(`\nOrbit · ${result.ts}${args.thread_ts ? ` (thread ${args.thread_ts})` : ''}`);
+            print(indent(renderMessage(args)));
+            break;
+        case 'chat.update':
+            print(`\nOrbit · ${args.ts} (edited)`);
+            print(indent(renderMessage(args)));
+            break;
+        case 'chat.delete':
+            print(`  (Orbit deleted ${args.ts})`);
+            break;
+        case 'chat.postEphemeral':
+            print(`\nOrbit · only visible to ${args.user}`);
+            print(indent(renderMessage(args)));
+            break;
+        case 'views.open':
+        case 'views.publish':
+            print(`\nOrbit · ${method === 'views.open' ? 'opened a modal' : 'published App Home'}`);
+            print(indent(renderMessage({ blocks: args.view?.blocks || [] })));
+            break;
+        default:
+            break; // Reads (history, replies, users.info, ...) only show up in /calls
+    }
+}
+
+/**
+ * Short one-line summary of a call's arguments for /calls.
+ * @param {object} args - Call arguments.
+ * @returns {string}
+ */
+function summarizeArgs(args) {
+    const { blocks, view, ...rest } = args || {};
+    const text = JSON.stringify(rest);
+    const extras = [blocks ? `${blocks.length} block(s)` : null, view ? 'view' : null].filter(Boolean).join(', ');
+    return `${text.length > 160 ? `${text.slice(0, 160)}…` : text}${extras ? ` + ${extras}` : ''}`;
+}
+
+/**
+ * =============================================================================
+ * MAIN
+ * =============================================================================
+ */
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    process.exit(1);
+}
+if (options.help) {
+    print(USAGE);
+    process.exit(0);
+}
+
+prepareEnvironment(options);
+
+// Logger first, so module startup logs go to the buffer and not into the conversation
+const { setLogWriter, withCorrelationId, installConsoleBridge } = await import('../utils/logger.js');
+installConsoleBridge();
+const logLines = [];
+setLogWriter((level, line) => {
+    if (options.logs) {
+        process.stderr.write(`${line}\n`);
+        return;
+    }
+    logLines.push(line);
+    if (logLines.length > MAX_BUFFERED_LOG_LINES) logLines.shift();
+});
+
+const config = await import('../config.js');
+const services = await import('../services/index.js');
+const { withSlackClient, setLlmBackendOverride, setOctokitOverride } = services;
+const { handleSlackMessageEventInternal } = await import('../handlers/messageHandler.js');
+const { createSimSlackClient } = await import('../sim/simSlackClient.js');
+const { renderMessage } = await import('../sim/renderBlocks.js');
+const { createEchoLlmBackend, createFixtureGithubClient } = await import('../sim/standIns.js');
+
+// --- Stand-ins ---
+try {
+    if (options.llm === 'echo') {
+        setLlmBackendOverride(createEchoLlmBackend({
+            workspaces: [
+                config.fallbackWorkspace,
+                ...Object.keys(config.llmWorkspaceConfig),
+                ...Object.values(config.workspaceMapping),
+                ...Object.values(config.userWorkspaceMapping),
+            ],
+            githubWorkspace: config.githubWorkspaceSlug,
+            formatterWorkspace: config.formatterWorkspaceSlug,
+            githubOwner: config.GITHUB_OWNER,
+        }));
+    } else if (options.llm !== 'live') {
+        setLlmBackendOverride(await importStandIn(options.llm));
+    }
+
+    if (options.github === 'fixtures') setOctokitOverride(createFixtureGithubClient());
+    else if (options.github !== 'live') setOctokitOverride(await importStandIn(options.github));
+    // Live mode keeps the client githubService created from GITHUB_TOKEN (null without a token)
+} catch (error) {
+    process.stderr.write(`[Orbit Sim] Failed to load stand-in: ${error.message}\n`);
+    process.exit(1);
+}
+const botUserId = config.botUserId || 'USIMORBIT';
+const slack = createSimSlackClient({ botUserId, onCall: (call) => printCall(call, renderMessage) });
+
+const state = { channel: options.channel, user: options.user, threadTs: null, newThread: true };
+
+const FILE_MIMETYPES = { txt: 'text/plain', log: 'text/plain', md: 'text/markdown', php: 'text/x-php', js: 'text/javascript', json: 'application/json', html: 'text/html', css: 'text/css', csv: 'text/csv', xml: 'text/xml', png: 'image/png', jpg: 'image/jpeg', gif: 'image/gif', pdf: 'application/pdf', zip: 'application/zip' };
+let fileCount = 0;
+
+/**
+ * Builds a Slack file object for a local file; its download URL is a data: URL holding the content.
+ * @param {string} filePath - Local file path.
+ * @returns {object} File object as found in message events.
+ */
+function createSimFile(filePath) {
+    const content = fs.readFileSync(filePath);
+    const filetype = path.extname(filePath).slice(1).toLowerCase() || 'text';
+    const mimetype = FILE_MIMETYPES[filetype] || 'application/octet-stream';
+    fileCount += 1;
+    return {
+        id: `FSIM${fileCount}`, name: path.basename(filePath), title: path.basename(filePath), mimetype, filetype,
+        size: content.length, mode: 'hosted', url_private_download: `data:${mimetype};base64,${content.toString('base64')}`,
+    };
+}
+
+/**
+ * Sends one user message through the message pipeline and waits for Orbit to finish.
+ * Without an open thread, the message is a new top-level message and starts one (Orbit replies in threads).
+ * @param {string} text - Message text.
+ * @param {boolean} mention - Send as app_mention (adds the bot mention).
+ * @param {object[]} [files=[]] - Files shared with the message (see createSimFile).
+ */
+async function sendMessage(text, mention, files = []) {
+    const messageText = mention ? `<@${botUserId}> ${text}`.trim() : text;
+    const threadTs = state.newThread ? undefined : state.threadTs;
+    const message = slack.addUserMessage({ channel: state.channel, user: state.user, text: messageText, thread_ts: threadTs, files });
+    if (state.newThread) {
+        state.threadTs = message.ts;
+        state.newThread = false;
+    }
+
+    const event = {
+        type: mention ? 'app_mention' : 'message',
+        channel: state.channel,
+        channel_type: state.channel.startsWith('D') ? 'im' : 'channel',
+        user: state.user,
+        text: messageText,
+        ts: message.ts,
+        event_ts: message.ts,
+        ...(threadTs ? { thread_ts: threadTs } : {}),
+        ...(files.length ? { files, ...(mention ? {} : { subtype: 'file_share' }) } : {}),
+    };
+
+    print(`\n${state.user} · ${message.ts}${threadTs ? ` (thread ${threadTs})` : ''}`);
+    print(indent(messageText));
+    files.forEach(file => print(indent(`📎 ${file.name} (${file.mimetype}, ${file.size} bytes)`)));
+    const startedAt = Date.now();
+    try {
+        await withCorrelationId(`sim-${message.ts}`, () =>
+            withSlackClient({ client: slack, botUserId, teamId: 'TSIM' }, () => handleSlackMessageEventInternal(event, slack, services.octokit)));
+    } catch (error) {
+        print(`  ✖ Handler threw: ${error.stack || error.message}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 50)); // Let fire-and-forget Slack calls settle
+    print(`  (handled in ${Date.now() - startedAt}ms)`);
+}
+
+/**
+ * Runs a REPL command (a line starting with '/').
+ * @param {string} line - Input line.
+ * @returns {Promise<boolean>} False to exit.
+ */
+async function runCommand(line) {
+    const [command, ...rest] = line.slice(1).split(/\s+/);
+    const argument = rest.join(' ').trim();
+    switch (command) {
+        case 'quit':
+        case 'exit':
+            return false;
+        case 'help':
+            print(REPL_HELP);
+            break;
+        case 'mention':
+            if (argument) await sendMessage(argument, true);
+            else print('Usage: /mention <text>');
+            break;
+        case 'file': {
+            const [filePath, ...words] = argument.split(/\s+/);
+            if (!filePath) { print('Usage: /file <path> [text]'); break; }
+            let file;
+            try { file = createSimFile(filePath); } catch (error) { print(`Can't read ${filePath}: ${error.message}`); break; }
+            await sendMessage(words.join(' '), options.mention, [file]);
+            break;
+        }
+        case 'channel':
+            if (argument) Object.assign(state, { channel: argument, threadTs: null, newThread: true });
+            print(`Channel: ${state.channel}`);
+            break;
+        case 'user':
+            if (argument) state.user = argument;
+            print(`User: ${state.user}`);
+            break;
+        case 'thread':
+            if (argument === 'new') Object.assign(state, { threadTs: null, newThread: true });
+            else if (argument) Object.assign(state, { threadTs: argument, newThread: false });
+            print(state.newThread ? 'The next message starts a new thread.' : `Thread: ${state.threadTs}`);
+            break;
+        case 'history':
+            if (!state.threadTs) { print('No thread yet.'); break; }
+            for (const message of slack.getThread(state.channel, state.threadTs)) {
+                print(`${message.user === botUserId ? 'Orbit' : message.user} · ${message.ts}`);
+                print(indent(renderMessage(message)));
+            }
+            break;
+        case 'calls': {
+            const count = parseInt(argument, 10) || 20;
+            slack.calls.slice(-count).forEach(call => print(`${call.error ? '✖' : '✓'} ${call.method} ${summarizeArgs(call.args)}`));
+            break;
+        }
+        case 'logs': {
+            const count = parseInt(argument, 10) || 40;
+            print(options.logs ? 'Logs are printed live (--logs).' : logLines.slice(-count).join('\n'));
+            break;
+        }
+        default:
+            print(`Unknown command /${command}. Type /help.`);
+    }
+    return true;
+}
+
+if (options.message) {
+    await sendMessage(options.message, options.mention);
+    process.exit(0);
+}
+
+print(`Orbit simulator · LLM: ${options.llm} · GitHub: ${options.github} · channel ${state.channel} as ${state.user}. Type /help.`);
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '› ' });
+rl.prompt();
+for await (const input of rl) {
+    const line = input.trim();
+    if (line) {
+        const keepGoing = line.startsWith('/') ? await runCommand(line) : (await sendMessage(line, options.mention), true);
+        if (!keepGoing) break;
+    }
+    rl.prompt();
+}
+rl.close();
+process.exit(0);
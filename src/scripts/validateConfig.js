@@ -0,0 +1,33 @@
+// src/scripts/validateConfig.js
+// CLI for `npm run validate-config`: prints every config key with its (masked) value, source and problems.
+// Exits with 1 if there are errors, so it can gate deploys.
+
+import process from 'process';
+import { getConfigReport } from '../config.js';
+
+const STATUS_LABELS = { ok: 'ok', warning: 'WARN', error: 'ERROR' };
+
+/**
+ * Pads a column value to a fixed width.
+ * @param {string} text - Cell text.
+ * @param {number} width - Column width.
+ * @returns {string}
+ */
+function pad(text, width) {
+    return String(text).padEnd(width);
+}
+
+const { entries, errors, warnings } = getConfigReport();
+const keyWidth = Math.max(3, ...entries.map(entry => entry.key.length));
+const sourceWidth = Math.max(6, ...entries.map(entry => entry.source.length));
+
+console.log(`${pad('KEY', keyWidth)}  ${pad('SOURCE', sourceWidth)}  ${pad('STATUS', 6)}  VALUE`);
+for (const entry of entries) {
+    const status = entry.problems.some(problem => problem.level === 'error') ? 'error'
+        : entry.problems.length > 0 ? 'warning' : 'ok';
+    console.log(`${pad(entry.key, keyWidth)}  ${pad(entry.source, sourceWidth)}  ${pad(STATUS_LABELS[status], 6)}  ${entry.value}`);
+    entry.problems.forEach(problem => console.log(`${' '.repeat(keyWidth + 2)}↳ ${problem.level}: ${problem.message}`));
+}
+
+console.log(`\n[Config] ${entries.length} keys checked: ${errors.length} error(s), ${warnings.length} warning(s).`);
+process.exitCode = errors.length > 0 ? 1 : 0;
@@ -2,9 +2,15 @@
 // Main application entry point. Initializes services, starts the server, handles shutdown.
 
 import process from 'process';
+import './utils/consoleBridge.js'; // Must load first: routes the console output of modules not using createLogger through the logger
 import app from './app.js'; // Import the configured Express app
-import { port, validateConfig } from './config.js';
+import { port, validateConfig, slackTransport, JOB_DRAIN_TIMEOUT_MS, SHUTDOWN_TIMEOUT_MS, SHUTDOWN_NOTICE_RESERVE_MS } from './config.js';
 import { shutdownServices } from './services/shutdown.js';
+import { startSocketMode, stopSocketMode } from './core/socketModeTransport.js';
+import { startJobWorkers, drainJobWorkers, abandonCommittedJobs } from './services/jobQueueService.js';
+import { markShuttingDown } from './services/healthService.js';
+import { drainInFlightHandlers } from './services/inFlightService.js';
+import { ensureDatabaseSchema } from './services/migrationService.js';
 // Import the new initializer and the getter from the services index
 import { initializeKeywordMapService, getDynamicWorkspaceKeywordMap } from './services/index.js';
 
@@ -12,6 +18,15 @@ import { initializeKeywordMapService, getDynamicWorkspaceKeywordMap } from './se
 // This will exit if critical variables are missing.
 validateConfig();
 
+// 1a. Database Schema
+// Applies pending migrations (unless DB_MIGRATE_ON_STARTUP=false) and refuses to start on a schema mismatch.
+const schemaCheck = await ensureDatabaseSchema();
+if (!schemaCheck.ok) {
+    console.error("❌ Database schema does not match this version of Orbit. Process cannot start.");
+    schemaCheck.problems.forEach(problem => console.error(`   - ${problem}`));
+    process.exit(1);
+}
+
 // Call the keyword map initializer and then trigger a background cache warming
 (async () => {
     try {
@@ -61,6 +76,18 @@ const server = app.listen(port, () => {
     console.log(`-----------------------------------------`);
 });
 
+// 3a. Start job queue workers (handlers for queued Slack work are registered by the dispatcher)
+startJobWorkers();
+
+// 3b. Start Socket Mode transport if selected (HTTP server still serves health checks)
+if (slackTransport === 'socket') {
+    startSocketMode().then(client => {
+        if (!client) {
+            console.error('[Server] Socket Mode transport failed to start. Orbit will not receive Slack traffic.');
+        }
+    });
+}
+
 server.on('error', (error) => {
     console.error('[Server] Failed to start server:', error);
     if (error.syscall !== 'listen') throw error;
@@ -75,12 +102,29 @@ server.on('error', (error) => {
 // 4. Graceful Shutdown Handler
 async function gracefulShutdown(signal) {
     console.log(`\n[Server] ${signal} received. Starting graceful shutdown...`);
+    // Handlers are waited for until this point; the rest of the budget is for restart notices and closing Redis/DB
+    const handlerDeadline = Date.now() + SHUTDOWN_TIMEOUT_MS - SHUTDOWN_NOTICE_RESERVE_MS;
+
+    // Fail /readyz so the orchestrator stops routing traffic here
+    markShuttingDown();
+
+    // Stop receiving Socket Mode traffic (no-op for the HTTP transport)
+    await stopSocketMode();
 
     // Prevent new connections
     server.close(async (err) => {
         if (err) { console.error('[Server] Error closing HTTP server:', err); process.exit(1); }
         console.log('[Server] HTTP server closed.');
 
+        // Let in-flight jobs finish before closing Redis/DB (queued jobs stay in Redis for the next instance)
+        await drainJobWorkers(Math.max(0, Math.min(JOB_DRAIN_TIMEOUT_MS, handlerDeadline - Date.now())));
+
+        // Handlers still running get their thinking messages replaced with "Orbit is restarting, please ask again"
+        await drainInFlightHandlers(handlerDeadline);
+        // ...and their jobs must not be recovered by another instance, or those users would also get a late answer.
+        // Jobs that haven't written to Slack yet (no notice either) stay in the processing list and are recovered.
+        await abandonCommittedJobs('Abandoned at shutdown after the restart notice');
+
         // Shutdown external services
         await shutdownServices(signal);
 
@@ -89,7 +133,7 @@ async function gracefulShutdown(signal) {
     });
 
     // Force exit after timeout
-    setTimeout(() => { console.error('[Server] Graceful shutdown timed out. Forcing exit.'); process.exit(1); }, 15000);
+    setTimeout(() => { console.error('[Server] Graceful shutdown timed out. Forcing exit.'); process.exit(1); }, SHUTDOWN_TIMEOUT_MS);
 }
 
 // 5. Attach Signal Listeners
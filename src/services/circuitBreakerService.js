@@ -0,0 +1,154 @@
+// src/services/circuitBreakerService.js
+// Circuit breakers for outbound dependencies (LLM backend, GitHub). After a run of consecutive failures a breaker
+// opens and calls fail fast; once the reset timeout has passed one probe call is let through (half-open), and its
+// outcome closes or re-opens the breaker. State is per instance and reported on /readyz and /metrics.
+
+import { CIRCUIT_BREAKER_FAILURE_THRESHOLD, CIRCUIT_BREAKER_RESET_MS } from '../config.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Circuit Breaker');
+
+// All breakers by name, for health reporting
+const breakers = new Map();
+
+/**
+ * Thrown instead of calling the dependency while its breaker is open.
+ */
+export class CircuitOpenError extends Error {
+    /**
+     * @param {string} name - Breaker name.
+     * @param {string} label - Dependency name shown in the message.
+     * @param {number} retryAfterMs - Time until the next probe is allowed.
+     */
+    constructor(name, label, retryAfterMs) {
+        super(`${label} is unavailable (circuit open, retry in ${Math.ceil(retryAfterMs / 1000)}s).`);
+        this.name = 'CircuitOpenError';
+        this.breakerName = name;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * =============================================================================
+ * BREAKER
+ * =============================================================================
+ */
+
+/**
+ * Creates (and registers) a circuit breaker.
+ * @param {string} name - Breaker name ('llm', 'github'), used in logs, errors and health output.
+ * @param {object} [options={}] - Options.
+ * @param {string} [options.label=name] - Dependency name used in error messages (e.g., 'GitHub').
+ * @param {number} [options.failureThreshold=CIRCUIT_BREAKER_FAILURE_THRESHOLD] - Consecutive failures that open the breaker.
+ * @param {number} [options.resetTimeoutMs=CIRCUIT_BREAKER_RESET_MS] - Time an open breaker fails fast before a probe.
+ * @param {(error: Error) => boolean} [options.isFailure] - Whether an error counts as a dependency failure
+ *   (default: all errors). Errors that don't count (e.g. 404s) are rethrown without affecting the breaker.
+ * @returns {{name: string, run: Function, isAvailable: Function, getState: Function, recordSuccess: Function, recordFailure: Function}}
+ */
+export function createCircuitBreaker(name, {
+    label = name,
+    failureThreshold = CIRCUIT_BREAKER_FAILURE_THRESHOLD,
+    resetTimeoutMs = CIRCUIT_BREAKER_RESET_MS,
+    isFailure = () => true,
+} = {}) {
+    let state = 'closed'; // 'closed' | 'open' | 'half_open'
+    let consecutiveFailures = 0;
+    let openedAt = null;
+    let lastError = null;
+    let probeInFlight = false;
+
+    const retryAfterMs = () => Math.max(0, openedAt + resetTimeoutMs - Date.now());
+
+    /**
+     * Marks a successful call: closes the breaker.
+     */
+    function recordSuccess() {
+        if (state !== 'closed') log.info(`'${name}' closed after a successful probe.`);
+        state = 'closed';
+        consecutiveFailures = 0;
+        openedAt = null;
+        probeInFlight = false;
+    }
+
+    /**
+     * Marks a failed call: opens the breaker at the threshold, or re-opens it after a failed probe.
+     * @param {Error} error - The failure.
+     */
+    function recordFailure(error) {
+        consecutiveFailures += 1;
+        lastError = error?.message || String(error);
+        probeInFlight = false;
+        if (state === 'half_open' || (state === 'closed' && consecutiveFailures >= failureThreshold)) {
+            log.warn(`'${name}' opened after ${consecutiveFailures} consecutive failure(s). Failing fast for ${resetTimeoutMs}ms. Last error: ${lastError}`);
+            state = 'open';
+            openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Whether a call would currently be attempted (closed, or open with a probe due).
+     * @returns {boolean}
+     */
+    function isAvailable() {
+        if (state === 'closed') return true;
+        return !probeInFlight && retryAfterMs() === 0;
+    }
+
+    /**
+     * Runs a call through the breaker.
+     * @param {Function} fn - Async call to the dependency.
+     * @returns {Promise<*>} The call's result.
+     * @throws {CircuitOpenError} If the breaker is open (or a probe is already running).
+     */
+    async function run(fn) {
+        if (state !== 'closed') {
+            if (!isAvailable()) throw new CircuitOpenError(name, label, retryAfterMs());
+            state = 'half_open';
+            probeInFlight = true;
+            log.info(`'${name}' half-open, sending a probe call.`);
+        }
+        try {
+            const result = await fn();
+            recordSuccess();
+            return result;
+        } catch (error) {
+            if (isFailure(error)) recordFailure(error);
+            else if (state === 'half_open') recordSuccess(); // The dependency answered, just not with what we asked for
+            throw error;
+        }
+    }
+
+    /**
+     * Current state, for health output.
+     * @returns {{state: string, consecutiveFailures: number, openedAt: string | null, retryInMs: number, lastError: string | null}}
+     */
+    function getState() {
+        return {
+            state,
+            consecutiveFailures,
+            openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+            retryInMs: state === 'closed' ? 0 : retryAfterMs(),
+            lastError,
+        };
+    }
+
+    const breaker = { name, run, isAvailable, getState, recordSuccess, recordFailure };
+    breakers.set(name, breaker);
+    return breaker;
+}
+
+/**
+ * =============================================================================
+ * REPORTING
+ * =============================================================================
+ */
+
+/**
+ * States of all registered breakers.
+ * @returns {Record<string, object>} Breaker name -> state (see getState).
+ */
+export function getCircuitBreakerStates() {
+    return Object.fromEntries([...breakers].map(([name, breaker]) => [name, breaker.getState()]));
+}
+
+createLogger('Circuit Breaker Service').info(`Initialized. Threshold: ${CIRCUIT_BREAKER_FAILURE_THRESHOLD} failures, reset after ${CIRCUIT_BREAKER_RESET_MS}ms.`);
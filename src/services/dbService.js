@@ -163,4 +163,132 @@ export async function storeAnythingLLMThreadMapping(channelId, slackThreadTs, wo
     }
 }
 
+
+// === Settings Repository Logic ===
+
+/**
+ * Retrieves all runtime setting overrides, grouped by team.
+ * @returns {Promise<Record<string, Record<string, {value: *, updated_by: string | null, updated_at: Date}>>>}
+ *   team_id ('' = all teams) -> key -> override row.
+ * @throws {Error} If the DB is unavailable or the query fails (callers fall back to defaults).
+ */
+export async function getSettingOverrides() {
+    if (!dbPool || !databaseUrl) throw new Error("Database unavailable (DATABASE_URL not set).");
+    const result = await dbPool.query(`SELECT team_id, key, value, updated_by, updated_at FROM settings;`);
+    const overrides = {};
+    for (const row of result.rows) {
+        overrides[row.team_id] = overrides[row.team_id] || {};
+        overrides[row.team_id][row.key] = { value: row.value, updated_by: row.updated_by, updated_at: row.updated_at };
+    }
+    return overrides;
+}
+
+/**
+ * Sets (or removes) a runtime setting override and records the change in settings_history, in one transaction.
+ * @param {string} teamId - Slack team ID the override applies to ('' = all teams).
+ * @param {string} key - Setting key.
+ * @param {* | null} value - New value (JSON-serializable), or null to remove the override.
+ * @param {string} userId - Slack user ID making the change.
+ * @returns {Promise<{oldValue: * | null}>} The previous override value (null if there was none).
+ * @throws {Error} If the DB is unavailable or the write fails.
+ */
+export async function storeSettingOverride(teamId, key, value, userId) {
+    if (!dbPool || !databaseUrl) throw new Error("Database unavailable (DATABASE_URL not set).");
+    const client = await dbPool.connect();
+    try {
+        await client.query('BEGIN;');
+        const existing = await client.query(`SELECT value FROM settings WHERE team_id = $1 AND key = $2 FOR UPDATE;`, [teamId, key]);
+        const oldValue = existing.rows[0]?.value ?? null;
+        if (value === null) {
+            await client.query(`DELETE FROM settings WHERE team_id = $1 AND key = $2;`, [teamId, key]);
+        } else {
+            await client.query(`
+                INSERT INTO settings (team_id, key, value, updated_by, updated_at) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+                ON CONFLICT (team_id, key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP;`,
+                [teamId, key, JSON.stringify(value), userId]);
+        }
+        await client.query(
+            `INSERT INTO settings_history (team_id, key, old_value, new_value, changed_by) VALUES ($1, $2, $3, $4, $5);`,
+            [teamId, key, oldValue === null ? null : JSON.stringify(oldValue), value === null ? null : JSON.stringify(value), userId]);
+        await client.query('COMMIT;');
+        console.log(`[DB Service/Settings] ${value === null ? 'Removed' : 'Stored'} override for ${key}${teamId ? ` (team ${teamId})` : ''} (by ${userId}).`);
+        return { oldValue };
+    } catch (err) {
+        await client.query('ROLLBACK;').catch(() => {});
+        console.error(`[DB Service/Settings] DB Error storing ${key}:`, err.message, err.detail);
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Retrieves the latest setting changes of a team, newest first.
+ * @param {string} teamId - Slack team ID ('' = changes that apply to all teams).
+ * @param {string | null} [key=null] - Only changes of this key, or all keys if null.
+ * @param {number} [limit=10] - Max rows.
+ * @returns {Promise<Array<{key: string, old_value: *, new_value: *, changed_by: string, changed_at: Date}>>}
+ * @throws {Error} If the DB is unavailable or the query fails.
+ */
+export async function getSettingHistory(teamId, key = null, limit = 10) {
+    if (!dbPool || !databaseUrl) throw new Error("Database unavailable (DATABASE_URL not set).");
+    const result = await dbPool.query(
+        `SELECT key, old_value, new_value, changed_by, changed_at FROM settings_history
+         WHERE team_id = $1 AND ($2::text IS NULL OR key = $2) ORDER BY changed_at DESC, id DESC LIMIT $3;`,
+        [teamId, key, limit]);
+    return result.rows;
+}
+
+
+// === Slack Installation Repository Logic ===
+
+/**
+ * Retrieves the OAuth installation of a Slack team.
+ * @param {string} teamId - Slack team ID.
+ * @returns {Promise<{team_id: string, team_name: string | null, bot_token: string, bot_user_id: string, bot_id: string | null, scopes: string | null, installed_by: string | null} | null>}
+ *   The installation, or null if the team didn't install Orbit through OAuth.
+ * @throws {Error} If the DB is unavailable or the query fails.
+ */
+export async function getSlackInstallation(teamId) {
+    if (!dbPool || !databaseUrl) throw new Error("Database unavailable (DATABASE_URL not set).");
+    const result = await dbPool.query(
+        `SELECT team_id, team_name, enterprise_id, bot_token, bot_user_id, bot_id, scopes, installed_by, installed_at
+         FROM slack_installations WHERE team_id = $1;`,
+        [teamId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * Stores (or replaces, on re-install) the OAuth installation of a Slack team.
+ * @param {object} installation - { teamId, teamName, enterpriseId, botToken, botUserId, botId, scopes, installedBy }.
+ * @returns {Promise<void>}
+ * @throws {Error} If the DB is unavailable or the write fails.
+ */
+export async function storeSlackInstallation(installation) {
+    if (!dbPool || !databaseUrl) throw new Error("Database unavailable (DATABASE_URL not set).");
+    const { teamId, teamName, enterpriseId, botToken, botUserId, botId, scopes, installedBy } = installation;
+    await dbPool.query(`
+        INSERT INTO slack_installations (team_id, team_name, enterprise_id, bot_token, bot_user_id, bot_id, scopes, installed_by, installed_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT (team_id) DO UPDATE SET
+            team_name = EXCLUDED.team_name, enterprise_id = EXCLUDED.enterprise_id, bot_token = EXCLUDED.bot_token,
+            bot_user_id = EXCLUDED.bot_user_id, bot_id = EXCLUDED.bot_id, scopes = EXCLUDED.scopes,
+            installed_by = EXCLUDED.installed_by, updated_at = CURRENT_TIMESTAMP;`,
+        [teamId, teamName || null, enterpriseId || null, botToken, botUserId, botId || null, scopes || null, installedBy || null]);
+    console.log(`[DB Service/Installations] Stored installation for team ${teamId} (${teamName || 'unknown name'}).`);
+}
+
+/**
+ * Deletes the installation of a Slack team (app uninstalled or token revoked).
+ * @param {string} teamId - Slack team ID.
+ * @returns {Promise<boolean>} True if an installation was deleted.
+ * @throws {Error} If the DB is unavailable or the query fails.
+ */
+export async function deleteSlackInstallation(teamId) {
+    if (!dbPool || !databaseUrl) throw new Error("Database unavailable (DATABASE_URL not set).");
+    const result = await dbPool.query(`DELETE FROM slack_installations WHERE team_id = $1;`, [teamId]);
+    if (result.rowCount > 0) console.log(`[DB Service/Installations] Deleted installation for team ${teamId}.`);
+    return result.rowCount > 0;
+}
+
 console.log(`[DB Service] Initialized. DB Pool ${dbPool ? 'Created' : 'Disabled'}`);
@@ -0,0 +1,64 @@
+// src/services/dedupeService.js
+// Slack event deduplication: a bounded in-memory LRU/TTL cache that is always on, complemented by Redis
+// (redisService.isDuplicateRedis) so instances sharing Redis also skip events another instance already took.
+
+import { DUPLICATE_EVENT_TTL, DUPLICATE_EVENT_MEMORY_MAX } from '../config.js';
+import { isDuplicateRedis, forgetEventRedis } from './redisService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Dedupe');
+
+// Event IDs seen by this instance: eventId -> expiresAt. Map order is recency (least recently seen first).
+const seenEvents = new Map();
+
+/**
+ * Records an event ID in the memory cache, dropping expired and least recently seen entries beyond the limit.
+ * @param {string} eventId - Slack event ID.
+ * @param {number} expiresAt - Epoch ms when the entry expires.
+ */
+function rememberEvent(eventId, expiresAt) {
+    seenEvents.delete(eventId); // Re-insert to mark as most recently seen
+    seenEvents.set(eventId, expiresAt);
+
+    const now = Date.now();
+    for (const [oldestId, oldestExpiresAt] of seenEvents) {
+        if (seenEvents.size <= DUPLICATE_EVENT_MEMORY_MAX && oldestExpiresAt > now) break;
+        seenEvents.delete(oldestId);
+    }
+}
+
+/**
+ * Checks whether an event was already received, and records it if not.
+ * The memory cache answers first (works without Redis, and catches concurrent deliveries to this instance);
+ * events new to this instance are then checked in Redis when it is available.
+ * @param {string} eventId - Slack event ID.
+ * @returns {Promise<boolean>} True if the event is a duplicate.
+ */
+export async function isDuplicateEvent(eventId) {
+    if (!eventId) return false;
+
+    const expiresAt = seenEvents.get(eventId);
+    if (expiresAt && expiresAt > Date.now()) {
+        rememberEvent(eventId, expiresAt); // Keep the original expiry, like the Redis key
+        log.info(`Duplicate event (memory): ${eventId}`);
+        return true;
+    }
+
+    // Recorded before awaiting Redis, so a concurrent redelivery is caught by the memory check
+    rememberEvent(eventId, Date.now() + DUPLICATE_EVENT_TTL * 1000);
+    return isDuplicateRedis(eventId);
+}
+
+/**
+ * Forgets an event recorded by isDuplicateEvent (memory and Redis), so Slack's retry of it is processed. Used when
+ * the event couldn't be queued after it was marked as seen.
+ * @param {string} eventId - Slack event ID.
+ * @returns {Promise<void>}
+ */
+export async function forgetEvent(eventId) {
+    if (!eventId) return;
+    seenEvents.delete(eventId);
+    await forgetEventRedis(eventId);
+}
+
+createLogger('Dedupe Service').info(`Initialized. In-memory cache: ${DUPLICATE_EVENT_MEMORY_MAX} events, TTL ${DUPLICATE_EVENT_TTL}s.`);
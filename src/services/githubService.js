@@ -2,9 +2,28 @@
 import { Octokit } from '@octokit/rest';
 import fetch from 'node-fetch';
 import { githubToken, GITHUB_OWNER } from '../config.js';
+import { logContent } from '../utils/logger.js';
+import { recordGithubRequest } from './metricsService.js';
+import { createCircuitBreaker, CircuitOpenError } from './circuitBreakerService.js';
+
+/**
+ * Whether a GitHub error means the API is down or refusing us (no response, 5xx, rate limited),
+ * as opposed to a bad request (e.g., 404 for an unknown issue).
+ * @param {Error} error - Octokit RequestError or fetch error (with optional `status`).
+ * @returns {boolean}
+ */
+function isGithubOutage(error) {
+    const status = error.status;
+    if (!status || status >= 500 || status === 429) return true;
+    return status === 403 && String(error.response?.headers?.['x-ratelimit-remaining']) === '0';
+}
+
+// Opens after repeated outages so GitHub commands fail fast with a clear message
+const githubBreaker = createCircuitBreaker('github', { label: 'GitHub', isFailure: isGithubOutage });
 
 // --- Octokit Client Setup ---
 export let octokit = null; // Initialize as null
+let octokitOverridden = false; // setOctokitOverride() was used
 
 if (githubToken) {
     try {
@@ -16,6 +35,21 @@ if (githubToken) {
         });
         console.log("[GitHub Service] Octokit client initialized successfully.");
 
+        // Record latency, outcome and remaining rate limit of every Octokit request
+        octokit.hook.wrap('request', async (request, options) => {
+            const route = `${options.method} ${options.url}`; // URL template, e.g. GET /repos/{owner}/{repo}/pulls/{pull_number}
+            const startedAt = process.hrtime.bigint();
+            const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+            try {
+                const response = await githubBreaker.run(() => request(options));
+                recordGithubRequest(route, 'success', elapsed(), response.headers);
+                return response;
+            } catch (error) {
+                if (!(error instanceof CircuitOpenError)) recordGithubRequest(route, 'error', elapsed(), error.response?.headers);
+                throw error;
+            }
+        });
+
         // Optional: Test authentication on startup
         octokit.rest.users.getAuthenticated()
             .then(user => console.log(`[GitHub Service] Authenticated as GitHub user: ${user.data.login}`))
@@ -29,6 +63,17 @@ if (githubToken) {
     console.warn("[GitHub Service] GITHUB_TOKEN not set. Octokit not initialized. GitHub features requiring authentication will fail.");
 }
 
+/**
+ * Replaces the Octokit client with another Octokit-compatible object (e.g., the chat simulator's offline stand-in).
+ * While an override is set, callGithubApi goes through its `request(route, parameters)` instead of fetch.
+ * @param {object | null} client - Octokit-compatible client, or null to disable GitHub calls.
+ */
+export function setOctokitOverride(client) {
+    octokit = client;
+    octokitOverridden = Boolean(client);
+    console.log(`[GitHub Service] Octokit override ${client ? 'set' : 'cleared'}.`);
+}
+
 // --- GitHub API Functions ---
 
 /**
@@ -226,10 +271,25 @@ export async function callGithubApi(apiDetails) {
     }
 
     console.log(`[GitHub Service/Generic] Request: ${options.method} ${url.toString()}`);
-    if (options.body) console.log(`[GitHub Service/Generic] Body: ${options.body.substring(0, 200)}...`);
+    if (options.body) console.log(`[GitHub Service/Generic] Body: ${logContent(options.body)}`);
 
+    if (octokitOverridden) {
+        const { data } = await octokit.request(`${upperMethod} ${decodeURIComponent(url.pathname)}`, parameters);
+        return data;
+    }
+
+    const startedAt = process.hrtime.bigint();
+    let response = null;
     try {
-        const response = await fetch(url.toString(), options);
+        response = await githubBreaker.run(async () => {
+            const res = await fetch(url.toString(), options);
+            if (res.status >= 500 || res.status === 429) {
+                recordGithubRequest('generic_api', 'error', Number(process.hrtime.bigint() - startedAt) / 1e9, res.headers);
+                throw Object.assign(new Error(`GitHub API request failed: ${res.status} - ${res.statusText}`), { status: res.status });
+            }
+            return res;
+        });
+        recordGithubRequest('generic_api', response.ok ? 'success' : 'error', Number(process.hrtime.bigint() - startedAt) / 1e9, response.headers);
         const contentType = response.headers.get('content-type');
         let responseBody;
 
@@ -265,6 +325,7 @@ export async function callGithubApi(apiDetails) {
 
     } catch (error) {
         // Handle network errors or errors thrown above
+        if (!response && !error.status && !(error instanceof CircuitOpenError)) recordGithubRequest('generic_api', 'error', Number(process.hrtime.bigint() - startedAt) / 1e9);
         console.error('[GitHub Service/Generic] Network/processing error:', error);
         throw new Error(`Failed to call GitHub API (${options.method} ${endpoint}): ${error.message}`);
     }
@@ -0,0 +1,163 @@
+// src/services/healthService.js
+// Liveness and readiness reporting for GET /healthz and GET /readyz (served by app.js).
+// Readiness checks every dependency; optional ones (DB, Redis, GitHub) only degrade the result when they fail.
+// Open circuit breakers (circuitBreakerService) are reported alongside and also degrade the result.
+
+import { botToken, databaseUrl, redisUrl, githubToken, HEALTH_CHECK_TIMEOUT_MS, READINESS_CACHE_TTL_MS } from '../config.js';
+import { dbPool } from './dbService.js';
+import { redisClient } from './redisService.js';
+import { octokit } from './githubService.js';
+import { slackClient } from './slackService.js';
+import { pingLlmBackend } from './llmService.js';
+import { getCircuitBreakerStates } from './circuitBreakerService.js';
+
+const startedAt = Date.now();
+let shuttingDown = false;
+
+// Last readiness result (or the running check), shared by concurrent probes
+let cachedReadiness = null; // { at: number, promise: Promise<object> }
+
+/**
+ * Dependencies checked by GET /readyz.
+ * `required`: a failure makes Orbit not ready (503). Optional failures are reported as 'degraded'.
+ * `enabled`: false skips the check (status 'disabled'), e.g. when the feature isn't configured.
+ */
+const DEPENDENCIES = [
+    {
+        name: 'slack',
+        required: true,
+        enabled: () => Boolean(botToken),
+        check: async () => {
+            const result = await slackClient.auth.test();
+            if (!result?.ok) throw new Error(result?.error || 'auth.test failed');
+        },
+    },
+    {
+        name: 'llm',
+        required: true,
+        enabled: () => true,
+        check: () => pingLlmBackend(HEALTH_CHECK_TIMEOUT_MS),
+    },
+    {
+        name: 'database',
+        required: false,
+        enabled: () => Boolean(databaseUrl),
+        check: () => dbPool.query('SELECT 1'),
+    },
+    {
+        name: 'redis',
+        required: false,
+        enabled: () => Boolean(redisUrl),
+        check: async () => {
+            if (!redisClient?.isReady) throw new Error('Redis client not connected');
+            await redisClient.ping();
+        },
+    },
+    {
+        name: 'github',
+        required: false,
+        enabled: () => Boolean(githubToken),
+        check: async () => {
+            if (!octokit) throw new Error('Octokit client not initialized');
+            await octokit.rest.rateLimit.get(); // Authenticated call that doesn't count against the rate limit
+        },
+    },
+];
+
+/**
+ * =============================================================================
+ * CHECKS
+ * =============================================================================
+ */
+
+/**
+ * Rejects if the promise doesn't settle within the timeout.
+ * @param {Promise<*>} promise - The check.
+ * @param {number} timeoutMs - Timeout.
+ * @returns {Promise<*>}
+ */
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs one dependency check.
+ * @param {object} dependency - Entry of DEPENDENCIES.
+ * @returns {Promise<{status: 'ok' | 'degraded' | 'fail' | 'disabled', required: boolean, latencyMs?: number, error?: string}>}
+ */
+async function runCheck(dependency) {
+    if (!dependency.enabled()) return { status: 'disabled', required: dependency.required };
+    const checkStartedAt = Date.now();
+    try {
+        await withTimeout(Promise.resolve().then(dependency.check), HEALTH_CHECK_TIMEOUT_MS);
+        return { status: 'ok', required: dependency.required, latencyMs: Date.now() - checkStartedAt };
+    } catch (error) {
+        console.warn(`[Health Service] Readiness check '${dependency.name}' failed: ${error.message}`);
+        return {
+            status: dependency.required ? 'fail' : 'degraded',
+            required: dependency.required,
+            latencyMs: Date.now() - checkStartedAt,
+            error: error.message,
+        };
+    }
+}
+
+/**
+ * Runs all dependency checks in parallel.
+ * @returns {Promise<{status: 'ok' | 'degraded' | 'fail', checkedAt: string, checks: Record<string, object>}>}
+ */
+async function runReadinessChecks() {
+    const results = await Promise.all(DEPENDENCIES.map(runCheck));
+    const checks = Object.fromEntries(DEPENDENCIES.map((dependency, i) => [dependency.name, results[i]]));
+    const statuses = results.map(result => result.status);
+    const status = statuses.includes('fail') ? 'fail' : statuses.includes('degraded') ? 'degraded' : 'ok';
+    return { status, checkedAt: new Date().toISOString(), checks };
+}
+
+/**
+ * =============================================================================
+ * PUBLIC API
+ * =============================================================================
+ */
+
+/**
+ * Liveness: the process is up and the event loop responds. Never checks dependencies.
+ * @returns {{status: 'ok', uptimeSeconds: number}}
+ */
+export function getLiveness() {
+    return { status: 'ok', uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) };
+}
+
+/**
+ * Readiness: per-dependency status plus the current circuit breaker states. Check results are reused for
+ * READINESS_CACHE_TTL_MS (breaker states are always current).
+ * Overall status is 'fail' if a required dependency fails (or shutdown has started),
+ * 'degraded' if only optional ones fail or a circuit breaker is not closed, else 'ok'.
+ * @returns {Promise<{status: 'ok' | 'degraded' | 'fail', checkedAt: string, checks: Record<string, object>, circuitBreakers: Record<string, object>, shuttingDown?: boolean}>}
+ */
+export async function getReadiness() {
+    const circuitBreakers = getCircuitBreakerStates();
+    if (shuttingDown) return { status: 'fail', shuttingDown: true, checkedAt: new Date().toISOString(), checks: {}, circuitBreakers };
+
+    const now = Date.now();
+    if (!cachedReadiness || now - cachedReadiness.at >= READINESS_CACHE_TTL_MS) {
+        cachedReadiness = { at: now, promise: runReadinessChecks() };
+    }
+    const readiness = await cachedReadiness.promise;
+    const breakerOpen = Object.values(circuitBreakers).some(breaker => breaker.state !== 'closed');
+    const status = readiness.status === 'ok' && breakerOpen ? 'degraded' : readiness.status;
+    return { ...readiness, status, circuitBreakers };
+}
+
+/**
+ * Marks the instance as shutting down so /readyz fails and the orchestrator stops routing traffic to it.
+ */
+export function markShuttingDown() {
+    shuttingDown = true;
+}
+
+console.log("[Health Service] Initialized.");
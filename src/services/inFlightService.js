@@ -0,0 +1,130 @@
+// src/services/inFlightService.js
+// Tracks the Slack handlers running on this instance (wrapped by the dispatcher) and the "thinking" messages they posted,
+// so graceful shutdown can wait for them and tell users to ask again instead of leaving a stale "Processing..." behind.
+// Also home of the shared helper handlers use to update or remove their thinking message.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { getSlackClient, enqueueSlackUpdate, enqueueSlackDelete } from './slackService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('In-Flight');
+
+const RESTART_NOTICE = ':arrows_counterclockwise: Orbit is restarting, please ask again.';
+
+// Handler of the current async call chain: { label, startedAt, thinkingMessages: Map<ts, {channel, client}> }
+const handlerContext = new AsyncLocalStorage();
+const inFlightHandlers = new Map(); // handler record -> promise
+
+/**
+ * =============================================================================
+ * TRACKING
+ * =============================================================================
+ */
+
+/**
+ * Runs a handler and tracks it until it settles.
+ * @param {string} label - Shown in shutdown logs (e.g., 'slack_event').
+ * @param {Function} fn - Handler to run (its result is returned).
+ * @returns {Promise<*>}
+ */
+export function trackHandler(label, fn) {
+    const handler = { label, startedAt: Date.now(), thinkingMessages: new Map() };
+    const promise = handlerContext.run(handler, async () => fn())
+        .finally(() => inFlightHandlers.delete(handler));
+    inFlightHandlers.set(handler, promise);
+    return promise;
+}
+
+/**
+ * Registers a thinking/progress message posted by the current handler. If the handler is still running when
+ * shutdown gives up waiting, the message is replaced with the restart notice. No-op outside tracked handlers.
+ * @param {string} channel - Channel ID.
+ * @param {string | null | undefined} ts - Message TS.
+ */
+export function trackThinkingMessage(channel, ts) {
+    const handler = handlerContext.getStore();
+    if (!handler || !channel || !ts) return;
+    handler.thinkingMessages.set(ts, { channel, client: getSlackClient() });
+}
+
+/**
+ * Unregisters a thinking message once it was deleted or replaced by the answer.
+ * @param {string | null | undefined} ts - Message TS.
+ */
+export function releaseThinkingMessage(ts) {
+    if (ts) handlerContext.getStore()?.thinkingMessages.delete(ts);
+}
+
+/**
+ * Updates the thinking message (e.g., with progress or an error), or deletes it and stops tracking it.
+ * Goes through the outbound queue; failures are logged, not thrown.
+ * @param {Promise<string | null> | string | null} thinkingMessageTsOrPromise - TS string or Promise resolving to it.
+ * @param {string} channel - Channel ID.
+ * @param {object | null} [updateArgs=null] - Arguments for chat.update (text, blocks), or null/undefined to delete.
+ * @returns {Promise<void>}
+ */
+export async function updateOrDeleteThinkingMessage(thinkingMessageTsOrPromise, channel, updateArgs = null) {
+    if (!thinkingMessageTsOrPromise || !channel) return;
+    let ts = null;
+    try {
+        ts = await Promise.resolve(thinkingMessageTsOrPromise);
+        if (!ts) return;
+        if (updateArgs && typeof updateArgs === 'object') {
+            await enqueueSlackUpdate({ channel, ts, text: updateArgs.text || "Processing...", ...updateArgs });
+        } else {
+            releaseThinkingMessage(ts);
+            await enqueueSlackDelete({ channel, ts });
+        }
+    } catch (error) {
+        if (error?.data?.error !== 'message_not_found' && error?.data?.error !== 'cant_update_message') {
+            log.warn(`Failed to ${updateArgs ? 'update' : 'delete'} thinking message ${ts || '?'}: ${error.data?.error || error.message}`);
+        }
+    }
+}
+
+/**
+ * Number of handlers currently running.
+ * @returns {number}
+ */
+export function getInFlightHandlerCount() {
+    return inFlightHandlers.size;
+}
+
+/**
+ * =============================================================================
+ * DRAINING
+ * =============================================================================
+ */
+
+/**
+ * Waits for running handlers until the deadline, then replaces the thinking messages of those still running
+ * with the restart notice.
+ * @param {number} deadline - Epoch ms after which handlers are no longer waited for.
+ * @returns {Promise<void>}
+ */
+export async function drainInFlightHandlers(deadline) {
+    if (inFlightHandlers.size === 0) { log.info('No running handlers to drain.'); return; }
+
+    const waitMs = Math.max(0, deadline - Date.now());
+    log.info(`Waiting up to ${waitMs}ms for ${inFlightHandlers.size} running handler(s)...`);
+    let timer;
+    await Promise.race([
+        Promise.allSettled([...inFlightHandlers.values()]),
+        new Promise(resolve => { timer = setTimeout(resolve, waitMs); })
+    ]);
+    clearTimeout(timer);
+
+    if (inFlightHandlers.size === 0) { log.info('All handlers finished.'); return; }
+
+    const unfinished = [...inFlightHandlers.keys()];
+    log.warn(`${unfinished.length} handler(s) still running: ${unfinished.map(h => `${h.label} (${Date.now() - h.startedAt}ms)`).join(', ')}. Posting restart notices.`);
+    // Sent directly, not through the outbound queue: the channel's queue may be held up by the very handler being abandoned
+    const notices = unfinished.flatMap(handler => [...handler.thinkingMessages].map(([ts, { channel, client }]) =>
+        client.chat.update({ channel, ts, text: RESTART_NOTICE, blocks: [] })
+            .catch(error => log.warn(`Failed to post restart notice in ${channel} (${ts}): ${error.data?.error || error.message}`))
+    ));
+    await Promise.allSettled(notices);
+    log.info(`Replaced ${notices.length} thinking message(s) with the restart notice.`);
+}
+
+createLogger('In-Flight Service').info("Initialized.");
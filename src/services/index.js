@@ -4,21 +4,57 @@
 // Export items from redisService
 export { redisClient, isRedisReady, isDuplicateRedis } from './redisService.js';
 
+// Export items from dedupeService
+export { isDuplicateEvent } from './dedupeService.js';
+
 // Export items from dbService
-export { dbPool, storeFeedback, getAnythingLLMThreadMapping, storeAnythingLLMThreadMapping } from './dbService.js';
+export { dbPool, storeFeedback, getAnythingLLMThreadMapping, storeAnythingLLMThreadMapping, getSettingOverrides, storeSettingOverride, getSettingHistory, getSlackInstallation, storeSlackInstallation, deleteSlackInstallation } from './dbService.js';
 
 // Export items from githubService
-export { octokit, getLatestRelease, getPrDetailsForReview, getGithubIssueDetails, callGithubApi } from './githubService.js';
+export { octokit, setOctokitOverride, getLatestRelease, getPrDetailsForReview, getGithubIssueDetails, callGithubApi } from './githubService.js';
+
+// Export items from llmService (backend-agnostic thread/query/workspace/document calls)
+export { queryLlm, queryLlmInScratchThread, streamLlm, createNewAnythingLLMThread, getLlmThreadHistory, listLlmWorkspaces, ingestLlmDocument, getLlmBackend, setLlmBackendOverride, pingLlmBackend, isLlmAvailable } from './llmService.js';
 
-// Export items from llmService (Refactored - only thread/query)
-export { queryLlm, createNewAnythingLLMThread } from './llmService.js';
+// Export items from circuitBreakerService
+export { CircuitOpenError, getCircuitBreakerStates } from './circuitBreakerService.js';
 
 // Export items from slackService
-export { slackClient, slackEvents, postSlackMessage, updateSlackMessage, deleteSlackMessage, fetchSlackHistory } from './slackService.js';
+export { slackClient, slackEvents, withSlackTeam, withSlackClient, getSlackClient, getBotUserId, getSlackTeam, enqueueSlackPost, enqueueSlackUpdate, enqueueSlackDelete, enqueueSlackEphemeral, postSlackMessages, postSlackMessage, updateSlackMessage, deleteSlackMessage, fetchSlackHistory, downloadSlackFile } from './slackService.js';
+
+// Export items from installationService
+export { isOAuthEnabled, getInstallation, removeInstallation, createInstallUrl, completeInstall } from './installationService.js';
 
 // Export items from workspaceService (New)
 export { determineWorkspace, getWorkspaces } from './workspaceService.js';
 
+// Export items from jobQueueService
+export { enqueueJob, registerJobHandler, startJobWorkers, drainJobWorkers, getJobQueueStats, markJobCommitted, captureJobCommit, abandonCommittedJobs, JobDeferredError, canDeferJob } from './jobQueueService.js';
+
+// Export items from inFlightService
+export { trackHandler, trackThinkingMessage, releaseThinkingMessage, updateOrDeleteThinkingMessage, getInFlightHandlerCount, drainInFlightHandlers } from './inFlightService.js';
+
+// Export items from threadLockService
+export { acquireThreadLock } from './threadLockService.js';
+
+// Export items from threadResetService
+export { markThreadReset, getThreadResetTs } from './threadResetService.js';
+
+// Export items from workspaceHistoryService
+export { pushThreadWorkspace, popThreadWorkspace, clearThreadWorkspaceHistory } from './workspaceHistoryService.js';
+
+// Export items from metricsService
+export { metricsRegistry, recordSlackEvent, recordCommand, recordError, recordRoutingOutcome, startLlmTimer, recordGithubRequest } from './metricsService.js';
+
+// Export items from settingsService
+export { getSetting, listSettings, setSetting, unsetSetting, getSettingChanges } from './settingsService.js';
+
+// Export items from migrationService
+export { runMigrations, checkSchema, ensureDatabaseSchema } from './migrationService.js';
+
+// Export items from healthService
+export { getLiveness, getReadiness, markShuttingDown } from './healthService.js';
+
 // Export shutdown function
 export { shutdownServices } from './shutdown.js';
 
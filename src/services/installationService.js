@@ -0,0 +1,173 @@
+// src/services/installationService.js
+// Slack OAuth v2 install flow for other workspaces (teams) and lookup of their installations (bot token, bot user ID).
+// Teams without an installation are served by the env-configured SLACK_BOT_TOKEN.
+
+import crypto from 'crypto';
+import { WebClient } from '@slack/web-api';
+import {
+    slackClientId,
+    slackClientSecret,
+    slackOAuthRedirectUrl,
+    SLACK_OAUTH_SCOPES,
+    SLACK_OAUTH_STATE_TTL,
+    SLACK_OAUTH_STATE_REDIS_PREFIX,
+    SLACK_INSTALLATION_CACHE_TTL,
+    databaseUrl
+} from '../config.js';
+import { redisClient, isRedisReady } from './redisService.js';
+import { getSlackInstallation, storeSlackInstallation, deleteSlackInstallation } from './dbService.js';
+
+const SLACK_AUTHORIZE_URL = 'https://slack.com/oauth/v2/authorize';
+
+// Installations by team ID (null = no installation), so events don't hit the DB. Tokens are never cached in Redis.
+const installationCache = new Map(); // teamId -> { installation, expiresAt }
+
+// Pending OAuth states when Redis is unavailable
+const memoryStates = new Map(); // state -> expiresAt
+
+/**
+ * Whether the OAuth install flow is configured (SLACK_CLIENT_ID + SLACK_CLIENT_SECRET + DATABASE_URL).
+ * @returns {boolean}
+ */
+export function isOAuthEnabled() {
+    return Boolean(slackClientId && slackClientSecret && databaseUrl);
+}
+
+/**
+ * =============================================================================
+ * INSTALLATIONS
+ * =============================================================================
+ */
+
+/**
+ * Returns the OAuth installation of a team (cached for SLACK_INSTALLATION_CACHE_TTL).
+ * @param {string | null | undefined} teamId - Slack team ID.
+ * @returns {Promise<{team_id: string, team_name: string | null, bot_token: string, bot_user_id: string, bot_id: string | null, scopes: string | null, installed_by: string | null} | null>}
+ *   null if the team has no installation (it is served by SLACK_BOT_TOKEN) or the DB is unavailable.
+ */
+export async function getInstallation(teamId) {
+    if (!teamId || !databaseUrl) return null;
+
+    const cached = installationCache.get(teamId);
+    if (cached && cached.expiresAt > Date.now()) return cached.installation;
+
+    try {
+        const installation = await getSlackInstallation(teamId);
+        installationCache.set(teamId, { installation, expiresAt: Date.now() + SLACK_INSTALLATION_CACHE_TTL * 1000 });
+        return installation;
+    } catch (error) {
+        console.error(`[Installation Service] Failed to load installation for team ${teamId}, using ${cached ? 'last known value' : 'the default bot token'}:`, error.message);
+        return cached ? cached.installation : null;
+    }
+}
+
+/**
+ * Deletes a team's installation (app uninstalled / bot token revoked).
+ * @param {string} teamId - Slack team ID.
+ * @returns {Promise<boolean>} True if an installation was deleted.
+ */
+export async function removeInstallation(teamId) {
+    installationCache.delete(teamId);
+    if (!teamId || !databaseUrl) return false;
+    try {
+        return await deleteSlackInstallation(teamId);
+    } catch (error) {
+        console.error(`[Installation Service] Failed to delete installation for team ${teamId}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * =============================================================================
+ * OAUTH FLOW
+ * =============================================================================
+ */
+
+/**
+ * Stores a one-time OAuth state (Redis, or memory without Redis).
+ * @param {string} state - Random state value.
+ */
+async function saveState(state) {
+    if (isRedisReady && redisClient) {
+        await redisClient.set(`${SLACK_OAUTH_STATE_REDIS_PREFIX}${state}`, '1', { EX: SLACK_OAUTH_STATE_TTL });
+        return;
+    }
+    const now = Date.now();
+    for (const [pending, expiresAt] of memoryStates) if (expiresAt <= now) memoryStates.delete(pending);
+    memoryStates.set(state, now + SLACK_OAUTH_STATE_TTL * 1000);
+}
+
+/**
+ * Consumes an OAuth state. Each state is valid once, until it expires.
+ * @param {string} state - State returned by Slack.
+ * @returns {Promise<boolean>} True if the state was issued by this app and not used yet.
+ */
+async function consumeState(state) {
+    if (!state || typeof state !== 'string') return false;
+    if (isRedisReady && redisClient) {
+        return (await redisClient.del(`${SLACK_OAUTH_STATE_REDIS_PREFIX}${state}`)) === 1;
+    }
+    const expiresAt = memoryStates.get(state);
+    memoryStates.delete(state);
+    return Boolean(expiresAt && expiresAt > Date.now());
+}
+
+/**
+ * Builds the Slack "Add to Slack" authorize URL with a fresh state (GET /slack/install redirects here).
+ * @returns {Promise<string>}
+ * @throws {Error} If OAuth installs are not configured.
+ */
+export async function createInstallUrl() {
+    if (!isOAuthEnabled()) throw new Error('OAuth installs are not configured (SLACK_CLIENT_ID, SLACK_CLIENT_SECRET, DATABASE_URL).');
+    const state = crypto.randomBytes(16).toString('hex');
+    await saveState(state);
+
+    const url = new URL(SLACK_AUTHORIZE_URL);
+    url.searchParams.set('client_id', slackClientId);
+    url.searchParams.set('scope', SLACK_OAUTH_SCOPES.join(','));
+    url.searchParams.set('state', state);
+    if (slackOAuthRedirectUrl) url.searchParams.set('redirect_uri', slackOAuthRedirectUrl);
+    return url.toString();
+}
+
+/**
+ * Completes an install (GET /slack/oauth_redirect): checks the state, exchanges the code for a bot token
+ * and stores the installation. Re-installing replaces the team's previous installation.
+ * @param {string} code - OAuth code from Slack.
+ * @param {string} state - OAuth state from Slack.
+ * @returns {Promise<{teamId: string, teamName: string | null}>}
+ * @throws {Error} If the state is invalid/expired, the code exchange fails, or the installation can't be stored.
+ */
+export async function completeInstall(code, state) {
+    if (!isOAuthEnabled()) throw new Error('OAuth installs are not configured.');
+    if (!await consumeState(state)) throw new Error('Invalid or expired install link. Please start the installation again.');
+    if (!code) throw new Error('Missing OAuth code.');
+
+    const oauthClient = new WebClient();
+    const access = await oauthClient.oauth.v2.access({
+        client_id: slackClientId,
+        client_secret: slackClientSecret,
+        code,
+        ...(slackOAuthRedirectUrl ? { redirect_uri: slackOAuthRedirectUrl } : {}),
+    });
+    if (!access.ok || !access.access_token || !access.team?.id) throw new Error(`Slack OAuth exchange failed: ${access.error || 'no bot token returned'}`);
+
+    // oauth.v2.access doesn't return the bot ID; auth.test also confirms the new token works
+    const identity = await new WebClient(access.access_token).auth.test();
+
+    await storeSlackInstallation({
+        teamId: access.team.id,
+        teamName: access.team.name,
+        enterpriseId: access.enterprise?.id,
+        botToken: access.access_token,
+        botUserId: access.bot_user_id || identity.user_id,
+        botId: identity.bot_id,
+        scopes: access.scope,
+        installedBy: access.authed_user?.id,
+    });
+    installationCache.delete(access.team.id);
+    console.log(`[Installation Service] Orbit installed to team ${access.team.id} (${access.team.name}) by ${access.authed_user?.id}.`);
+    return { teamId: access.team.id, teamName: access.team.name || null };
+}
+
+console.log(`[Installation Service] Initialized. OAuth installs: ${isOAuthEnabled() ? 'enabled' : 'disabled'}`);
@@ -0,0 +1,594 @@
+// src/services/jobQueueService.js
+// Durable job queue for Slack handler work (events, slash commands, interactions).
+// Jobs live in Redis so a deploy or crash does not lose them; an in-memory queue is used while Redis is unavailable.
+
+import crypto from 'crypto';
+import os from 'os';
+import { AsyncLocalStorage } from 'async_hooks';
+import {
+    JOB_CONCURRENCY,
+    JOB_MAX_ATTEMPTS,
+    JOB_BACKOFF_BASE_MS,
+    JOB_BACKOFF_MAX_MS,
+    JOB_POLL_INTERVAL_MS,
+    JOB_DRAIN_TIMEOUT_MS,
+    JOB_DEAD_LETTER_MAX,
+    JOB_STATE_TTL,
+    JOB_QUEUE_REDIS_PREFIX
+} from '../config.js';
+import { redisClient, isRedisReady } from './redisService.js';
+import { createLogger, withCorrelationId, getCorrelationId } from '../utils/logger.js';
+import { recordError, setInFlightProvider } from './metricsService.js';
+
+const log = createLogger('Job Queue');
+
+/**
+ * Redis layout (all keys prefixed with JOB_QUEUE_REDIS_PREFIX):
+ *   waiting:<type>          LIST  jobs ready to run (LPUSH in, RPOPLPUSH out)
+ *   processing:<instance>   LIST  jobs claimed by a worker instance
+ *   delayed                 ZSET  jobs waiting for a retry (or deferred), scored by run-at time (ms)
+ *   dead                    LIST  jobs that exhausted their attempts
+ *   workers                 HASH  instance id -> last heartbeat (ms), used to recover jobs of dead instances
+ *   state:<idempotency key> STRING 'committed' once the job wrote to Slack, 'done' once it finished (expires after JOB_STATE_TTL)
+ *
+ * Handlers are not idempotent (a re-run posts the thinking message and the answer again), so a job is only
+ * retried or recovered while it has not written anything yet: the first Slack write marks it committed
+ * (markJobCommitted), and a committed or done job is never run again.
+ *
+ * A handler that can't run yet (e.g., its Slack thread is busy) throws JobDeferredError before writing anything:
+ * the job goes back to the delayed set without using up an attempt, so it doesn't hold a worker while it waits.
+ */
+const KEYS = {
+    waiting: (type) => `${JOB_QUEUE_REDIS_PREFIX}waiting:${type}`,
+    processing: (instance) => `${JOB_QUEUE_REDIS_PREFIX}processing:${instance}`,
+    delayed: `${JOB_QUEUE_REDIS_PREFIX}delayed`,
+    dead: `${JOB_QUEUE_REDIS_PREFIX}dead`,
+    workers: `${JOB_QUEUE_REDIS_PREFIX}workers`,
+    state: (key) => `${JOB_QUEUE_REDIS_PREFIX}state:${key}`,
+};
+
+const JOB_STATE = { COMMITTED: 'committed', DONE: 'done' };
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+const HEARTBEAT_INTERVAL_MS = 10000;
+const WORKER_STALE_MS = 60000; // Instances silent for this long are considered dead
+
+// --- Worker State ---
+const handlers = new Map();      // type -> { handler, concurrency, maxAttempts, onFailure }
+const activeCounts = new Map();  // type -> running job count
+const inFlight = new Set();      // Promises of running jobs (awaited by drain)
+const memoryQueues = new Map();  // type -> [job] (fallback while Redis is unavailable)
+const memoryRetryTimers = new Set();
+const memoryJobStates = new Map(); // idempotency key -> { state, expiresAt } (fallback while Redis is unavailable)
+const runningJobs = new Map();   // job id -> context ({ job, raw, committed, abandoned }) of jobs running on this instance
+const jobContext = new AsyncLocalStorage();
+let running = false;
+let ticking = false;
+let pollTimer = null;
+let heartbeatTimer = null;
+
+/**
+ * Thrown by a job handler that can't run yet. The job is run again after `delayMs`, without counting as a failed
+ * attempt, provided it hasn't written to Slack (see canDeferJob); otherwise it is handled like any other failure.
+ */
+export class JobDeferredError extends Error {
+    /**
+     * @param {string} message - Why the job is deferred (logged).
+     * @param {number} delayMs - Delay before the job runs again.
+     */
+    constructor(message, delayMs) {
+        super(message);
+        this.name = 'JobDeferredError';
+        this.delayMs = delayMs;
+    }
+}
+
+/**
+ * Returns true if Redis can currently be used for the queue.
+ * @returns {boolean}
+ */
+function useRedis() {
+    return isRedisReady && redisClient;
+}
+
+/**
+ * Computes the retry delay after a failed attempt.
+ * @param {number} attempt - The attempt number that just failed (1-based).
+ * @returns {number} Delay in milliseconds.
+ */
+function backoffDelay(attempt) {
+    return Math.min(JOB_BACKOFF_BASE_MS * 2 ** (attempt - 1), JOB_BACKOFF_MAX_MS);
+}
+
+/**
+ * =============================================================================
+ * JOB STATE (IDEMPOTENCY)
+ * =============================================================================
+ */
+
+/**
+ * Reads the recorded state of a job.
+ * @param {object} job - Job object.
+ * @returns {Promise<'committed' | 'done' | null>}
+ */
+async function getJobState(job) {
+    const key = job.idempotencyKey || job.id;
+    if (useRedis()) {
+        try {
+            const state = await redisClient.get(KEYS.state(key));
+            if (state) return state;
+        } catch (error) {
+            log.error(`Failed to read state of job ${job.id} from Redis: ${error.message}`);
+        }
+    }
+    const entry = memoryJobStates.get(key);
+    if (entry && entry.expiresAt <= Date.now()) memoryJobStates.delete(key);
+    return memoryJobStates.get(key)?.state || null;
+}
+
+/**
+ * Records the state of a job (in Redis, and in memory as fallback).
+ * @param {object} job - Job object.
+ * @param {'committed' | 'done'} state - New state.
+ * @returns {Promise<void>}
+ */
+async function setJobState(job, state) {
+    const key = job.idempotencyKey || job.id;
+    const now = Date.now();
+    for (const [stateKey, entry] of memoryJobStates) if (entry.expiresAt <= now) memoryJobStates.delete(stateKey);
+    memoryJobStates.set(key, { state, expiresAt: now + JOB_STATE_TTL * 1000 });
+    if (!useRedis()) return;
+    try {
+        await redisClient.set(KEYS.state(key), state, { EX: JOB_STATE_TTL });
+    } catch (error) {
+        log.error(`Failed to store state '${state}' of job ${job.id} in Redis: ${error.message}`);
+    }
+}
+
+/**
+ * Marks a running job as committed. No-op outside a job or when the job is already committed.
+ * @param {{job: object, committed: boolean} | undefined} context - The job's context.
+ * @returns {Promise<void>}
+ */
+async function commitJob(context) {
+    if (!context || context.committed) return;
+    context.committed = true; // Set synchronously so concurrent writes of the same job only record it once
+    await setJobState(context.job, JOB_STATE.COMMITTED);
+}
+
+/**
+ * Marks the job running in the current async context as committed: it has written to Slack, so it must not be
+ * retried or recovered from now on. Call right after each user-visible side effect.
+ * @returns {Promise<void>}
+ */
+export function markJobCommitted() {
+    return commitJob(jobContext.getStore());
+}
+
+/**
+ * Captures the job running in the current async context, for writes that complete outside of it (e.g., queued calls).
+ * @returns {() => Promise<void>} Marks that job as committed.
+ */
+export function captureJobCommit() {
+    const context = jobContext.getStore();
+    return () => commitJob(context);
+}
+
+/**
+ * Whether the job running in the current async context may still be deferred (JobDeferredError): it hasn't written
+ * to Slack yet and was first enqueued less than maxAgeMs ago.
+ * @param {number} maxAgeMs - Longest time since the job was first enqueued.
+ * @returns {boolean} False outside a job.
+ */
+export function canDeferJob(maxAgeMs) {
+    const context = jobContext.getStore();
+    return Boolean(context) && !context.committed && !context.abandoned && Date.now() - context.job.enqueuedAt < maxAgeMs;
+}
+
+/**
+ * =============================================================================
+ * REGISTRATION & ENQUEUE
+ * =============================================================================
+ */
+
+/**
+ * Registers the function that runs jobs of a given type.
+ * @param {string} type - Job type (e.g., 'slash_command').
+ * @param {(data: object, job: object) => Promise<void>} handler - Runs the job. Throwing marks the attempt as failed.
+ * @param {object} [options={}] - Handler options.
+ * @param {number} [options.concurrency] - Max parallel jobs of this type (defaults to JOB_CONCURRENCY[type] or 1).
+ * @param {number} [options.maxAttempts=JOB_MAX_ATTEMPTS] - Attempts before dead-lettering.
+ * @param {(data: object, error: Error) => (void | Promise<void>)} [options.onFailure] - Called once when a job is dead-lettered.
+ */
+export function registerJobHandler(type, handler, { concurrency = JOB_CONCURRENCY[type] || 1, maxAttempts = JOB_MAX_ATTEMPTS, onFailure = null } = {}) {
+    handlers.set(type, { handler, concurrency, maxAttempts, onFailure });
+    activeCounts.set(type, activeCounts.get(type) || 0);
+    log.info(`Registered handler for '${type}' (concurrency ${concurrency}, max attempts ${maxAttempts}).`);
+}
+
+/**
+ * Adds a job to the queue. Uses Redis when ready, otherwise the in-memory fallback.
+ * @param {string} type - Job type (must have a registered handler to run).
+ * @param {object} data - JSON-serializable job payload.
+ * @param {object} [options={}] - Enqueue options.
+ * @param {string} [options.idempotencyKey] - Key the job's committed/done state is recorded under (e.g., the Slack
+ *   event_id), so the same work enqueued twice only runs once. Defaults to the job ID.
+ * @returns {Promise<string>} The job ID.
+ */
+export async function enqueueJob(type, data, { idempotencyKey } = {}) {
+    const id = crypto.randomUUID();
+    // Keep the caller's correlation ID (Slack event_id / trigger_id) so the worker's logs can be followed
+    const job = { id, type, data, attempts: 0, enqueuedAt: Date.now(), lastError: null, correlationId: getCorrelationId() || id, idempotencyKey: idempotencyKey || id };
+    if (!handlers.has(type)) log.warn(`Enqueued job ${job.id} for unregistered type '${type}'.`);
+
+    let stored = false;
+    if (useRedis()) {
+        try {
+            await redisClient.lPush(KEYS.waiting(type), JSON.stringify(job));
+            stored = true;
+        } catch (error) {
+            log.error(`Redis enqueue failed for ${type} job ${job.id}, using memory queue: ${error.message}`);
+        }
+    }
+    if (!stored) pushMemoryJob(job);
+
+    scheduleTick();
+    return job.id;
+}
+
+/**
+ * Adds a job to the in-memory fallback queue.
+ * @param {object} job - Job object.
+ */
+function pushMemoryJob(job) {
+    if (!memoryQueues.has(job.type)) memoryQueues.set(job.type, []);
+    memoryQueues.get(job.type).push(job);
+}
+
+/**
+ * =============================================================================
+ * WORKER LOOP
+ * =============================================================================
+ */
+
+/**
+ * Runs a worker tick on the next turn of the event loop (used after enqueue/completion).
+ */
+function scheduleTick() {
+    if (running) setImmediate(() => { tick().catch(err => log.error('Worker tick failed', err)); });
+}
+
+/**
+ * Claims the next job of a type: Redis first, then the in-memory fallback.
+ * @param {string} type - Job type.
+ * @returns {Promise<{job: object, raw: string | null} | null>} The claimed job (raw is the Redis entry), or null.
+ */
+async function claimJob(type) {
+    if (useRedis()) {
+        try {
+            const raw = await redisClient.rPopLPush(KEYS.waiting(type), KEYS.processing(INSTANCE_ID));
+            if (raw) return { job: JSON.parse(raw), raw };
+        } catch (error) {
+            log.error(`Failed to claim ${type} job from Redis: ${error.message}`);
+        }
+    }
+    const job = memoryQueues.get(type)?.shift();
+    return job ? { job, raw: null } : null;
+}
+
+/**
+ * One pass of the worker loop: promotes due retries and starts jobs up to each type's concurrency limit.
+ * @returns {Promise<void>}
+ */
+async function tick() {
+    if (!running || ticking) return;
+    ticking = true;
+    try {
+        await promoteDelayedJobs();
+        for (const [type, { concurrency }] of handlers) {
+            while (running && activeCounts.get(type) < concurrency) {
+                const claimed = await claimJob(type);
+                if (!claimed) break;
+                startJob(claimed);
+            }
+        }
+    } finally {
+        ticking = false;
+    }
+}
+
+/**
+ * Runs a claimed job in the background and tracks it for draining.
+ * @param {{job: object, raw: string | null}} claimed - The claimed job.
+ */
+function startJob({ job, raw }) {
+    const { type } = job;
+    activeCounts.set(type, activeCounts.get(type) + 1);
+    const attempt = job.attempts + 1;
+    const startedAt = Date.now();
+
+    const context = { job, raw, committed: false, abandoned: false };
+    runningJobs.set(job.id, context);
+
+    const promise = withCorrelationId(job.correlationId || job.id, () => jobContext.run(context, async () => {
+        const state = await getJobState(job);
+        if (state === JOB_STATE.DONE) {
+            log.warn(`${type} job ${job.id} (${job.idempotencyKey}) already completed. Skipping.`);
+            await acknowledgeJob(raw);
+            return;
+        }
+        if (state === JOB_STATE.COMMITTED) {
+            // An earlier attempt already wrote to Slack; running it again would post a second reply
+            log.error(`${type} job ${job.id} (${job.idempotencyKey}) already replied before it was interrupted. Not re-running it.`);
+            await acknowledgeJob(raw);
+            await deadLetterJob({ ...job, attempts: attempt, lastError: 'Interrupted after replying; not re-run' });
+            return;
+        }
+        try {
+            await handlers.get(type).handler(job.data, { id: job.id, type, attempt });
+            log.info(`${type} job ${job.id} completed (attempt ${attempt}, ${Date.now() - startedAt}ms).`);
+            await setJobState(job, JOB_STATE.DONE);
+            await acknowledgeJob(raw);
+        } catch (error) {
+            if (error instanceof JobDeferredError && !context.committed && !context.abandoned) {
+                log.info(`${type} job ${job.id} deferred for ${error.delayMs}ms: ${error.message}`);
+                await acknowledgeJob(raw);
+                await scheduleJob(job, error.delayMs);
+                return;
+            }
+            log.error(`${type} job ${job.id} failed (attempt ${attempt})`, error);
+            if (!context.abandoned) await failJob(job, raw, error, context.committed); // Abandoned jobs are already dead-lettered
+        }
+    })).finally(() => {
+        activeCounts.set(type, activeCounts.get(type) - 1);
+        runningJobs.delete(job.id);
+        inFlight.delete(promise);
+        scheduleTick();
+    });
+    inFlight.add(promise);
+}
+
+/**
+ * Removes a finished job from this instance's Redis processing list.
+ * @param {string | null} raw - The raw Redis entry (null for in-memory jobs).
+ * @returns {Promise<void>}
+ */
+async function acknowledgeJob(raw) {
+    if (!raw || !useRedis()) return;
+    try {
+        await redisClient.lRem(KEYS.processing(INSTANCE_ID), 1, raw);
+    } catch (error) {
+        log.error(`Failed to acknowledge job in Redis: ${error.message}`);
+    }
+}
+
+/**
+ * Moves a job to the dead-letter list (Redis only; in-memory jobs are just logged).
+ * @param {object} failed - The job, with its final attempts/lastError.
+ * @returns {Promise<void>}
+ */
+async function deadLetterJob(failed) {
+    recordError('job');
+    if (!useRedis()) return;
+    try {
+        await redisClient.lPush(KEYS.dead, JSON.stringify({ ...failed, failedAt: Date.now() }));
+        await redisClient.lTrim(KEYS.dead, 0, JOB_DEAD_LETTER_MAX - 1);
+    } catch (redisError) {
+        log.error(`Failed to store dead-lettered job ${failed.id}: ${redisError.message}`);
+    }
+}
+
+/**
+ * Handles a failed attempt: schedules a retry with backoff or moves the job to the dead-letter list.
+ * A job that already wrote to Slack is dead-lettered right away (a retry would repeat its replies), without onFailure.
+ * @param {object} job - The job that failed.
+ * @param {string | null} raw - The raw Redis entry (null for in-memory jobs or recovered jobs).
+ * @param {Error} error - The failure.
+ * @param {boolean} [committed] - Whether the attempt wrote to Slack. Read from the recorded job state when omitted (recovered jobs).
+ * @returns {Promise<void>}
+ */
+async function failJob(job, raw, error, committed) {
+    await acknowledgeJob(raw);
+    const config = handlers.get(job.type);
+    const maxAttempts = config?.maxAttempts ?? JOB_MAX_ATTEMPTS;
+    const failed = { ...job, attempts: job.attempts + 1, lastError: String(error?.message || error).substring(0, 500) };
+
+    if (committed ?? (await getJobState(job)) !== null) {
+        log.error(`${job.type} job ${job.id} failed after replying. Moving to dead-letter list without retrying.`);
+        await deadLetterJob(failed);
+        return;
+    }
+
+    if (failed.attempts < maxAttempts) {
+        const delay = backoffDelay(failed.attempts);
+        log.warn(`Retrying ${job.type} job ${job.id} in ${delay}ms (attempt ${failed.attempts + 1}/${maxAttempts}).`);
+        await scheduleJob(failed, delay);
+        return;
+    }
+
+    log.error(`${job.type} job ${job.id} exhausted ${maxAttempts} attempt(s). Moving to dead-letter list.`);
+    await deadLetterJob(failed);
+    if (config?.onFailure) {
+        try { await config.onFailure(job.data, error); }
+        catch (cbError) { log.error(`onFailure callback for ${job.type} failed: ${cbError.message}`); }
+    }
+}
+
+/**
+ * Runs a job again after a delay: in Redis' delayed set when available, otherwise from an in-memory timer.
+ * @param {object} job - The job (with its updated attempts/lastError).
+ * @param {number} delayMs - Delay before it is runnable again.
+ * @returns {Promise<void>}
+ */
+async function scheduleJob(job, delayMs) {
+    if (useRedis()) {
+        try {
+            await redisClient.zAdd(KEYS.delayed, { score: Date.now() + delayMs, value: JSON.stringify(job) });
+            return;
+        } catch (redisError) {
+            log.error(`Failed to schedule ${job.type} job ${job.id} in Redis, scheduling in memory: ${redisError.message}`);
+        }
+    }
+    const timer = setTimeout(() => {
+        memoryRetryTimers.delete(timer);
+        pushMemoryJob(job);
+        scheduleTick();
+    }, delayMs);
+    memoryRetryTimers.add(timer);
+}
+
+/**
+ * Moves retries whose backoff has elapsed from the delayed set back to their waiting lists.
+ * @returns {Promise<void>}
+ */
+async function promoteDelayedJobs() {
+    if (!useRedis()) return;
+    try {
+        const due = await redisClient.zRangeByScore(KEYS.delayed, 0, Date.now(), { LIMIT: { offset: 0, count: 50 } });
+        for (const raw of due) {
+            // ZREM succeeds for exactly one instance, so each retry is promoted once
+            if (await redisClient.zRem(KEYS.delayed, raw) === 1) {
+                const { type } = JSON.parse(raw);
+                await redisClient.lPush(KEYS.waiting(type), raw);
+            }
+        }
+    } catch (error) {
+        log.error(`Failed to promote delayed jobs: ${error.message}`);
+    }
+}
+
+/**
+ * =============================================================================
+ * HEARTBEAT & RECOVERY
+ * =============================================================================
+ */
+
+/**
+ * Records this instance's heartbeat and recovers jobs left in the processing lists of dead instances.
+ * A job interrupted by a crash or forced exit counts as a failed attempt; it is only retried if it had not written
+ * to Slack yet (see failJob).
+ * @returns {Promise<void>}
+ */
+async function heartbeatAndRecover() {
+    if (!useRedis()) return;
+    try {
+        await redisClient.hSet(KEYS.workers, INSTANCE_ID, String(Date.now()));
+        const workers = await redisClient.hGetAll(KEYS.workers);
+        for (const [instance, lastSeen] of Object.entries(workers)) {
+            if (instance === INSTANCE_ID || Date.now() - Number(lastSeen) < WORKER_STALE_MS) continue;
+            let raw;
+            let recovered = 0;
+            // RPOP is atomic, so concurrent recoverers never handle the same job twice
+            while ((raw = await redisClient.rPop(KEYS.processing(instance)))) {
+                const job = JSON.parse(raw);
+                await failJob(job, null, new Error(`Interrupted: worker ${instance} stopped while running the job`));
+                recovered++;
+            }
+            await redisClient.hDel(KEYS.workers, instance);
+            if (recovered > 0) log.warn(`Recovered ${recovered} interrupted job(s) from stale worker ${instance}.`);
+        }
+    } catch (error) {
+        log.error(`Heartbeat/recovery failed: ${error.message}`);
+    }
+}
+
+/**
+ * =============================================================================
+ * LIFECYCLE
+ * =============================================================================
+ */
+
+/**
+ * Starts polling for jobs. Safe to call more than once.
+ */
+export function startJobWorkers() {
+    if (running) return;
+    running = true;
+    pollTimer = setInterval(() => { tick().catch(err => log.error('Worker tick failed', err)); }, JOB_POLL_INTERVAL_MS);
+    heartbeatTimer = setInterval(heartbeatAndRecover, HEARTBEAT_INTERVAL_MS);
+    heartbeatAndRecover();
+    scheduleTick();
+    log.info(`Workers started (instance ${INSTANCE_ID}).`);
+}
+
+/**
+ * Stops claiming new jobs and waits for in-flight jobs to finish.
+ * Jobs still waiting in Redis stay there for the next instance; jobs still running after the timeout
+ * remain in this instance's processing list and are recovered once its heartbeat goes stale.
+ * @param {number} [timeoutMs=JOB_DRAIN_TIMEOUT_MS] - Max time to wait for running jobs.
+ * @returns {Promise<void>}
+ */
+export async function drainJobWorkers(timeoutMs = JOB_DRAIN_TIMEOUT_MS) {
+    running = false;
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    pollTimer = heartbeatTimer = null;
+
+    const pendingMemory = [...memoryQueues.values()].reduce((n, q) => n + q.length, 0) + memoryRetryTimers.size;
+    if (pendingMemory > 0) log.warn(`${pendingMemory} in-memory job(s) not started will be lost (Redis unavailable when enqueued).`);
+    memoryRetryTimers.forEach(clearTimeout);
+    memoryRetryTimers.clear();
+
+    if (inFlight.size === 0) { log.info('No in-flight jobs to drain.'); return; }
+    log.info(`Draining ${inFlight.size} in-flight job(s) (timeout ${timeoutMs}ms)...`);
+    let timer;
+    const timedOut = await Promise.race([
+        Promise.allSettled([...inFlight]).then(() => false),
+        new Promise(resolve => { timer = setTimeout(() => resolve(true), timeoutMs); })
+    ]);
+    clearTimeout(timer);
+    if (timedOut) {
+        log.warn(`Drain timed out with ${inFlight.size} job(s) still running.`);
+    } else {
+        log.info('All in-flight jobs finished.');
+        // Clean exit: nothing left to recover for this instance
+        if (useRedis()) await redisClient.hDel(KEYS.workers, INSTANCE_ID).catch(() => {});
+    }
+}
+
+/**
+ * Gives up on the jobs still running on this instance that already wrote to Slack: they are removed from its
+ * processing list and kept in the dead-letter list instead of being recovered once its heartbeat goes stale.
+ * Called at shutdown after their thinking messages were replaced with the restart notice, so users who were told
+ * to ask again don't also get a late answer from another instance. Jobs that wrote nothing yet stay recoverable.
+ * @param {string} reason - Why the jobs were abandoned (stored as lastError).
+ * @returns {Promise<number>} Number of jobs abandoned.
+ */
+export async function abandonCommittedJobs(reason) {
+    let abandoned = 0;
+    for (const context of runningJobs.values()) {
+        if (!context.committed || context.abandoned) continue;
+        context.abandoned = true;
+        await acknowledgeJob(context.raw);
+        await deadLetterJob({ ...context.job, attempts: context.job.attempts + 1, lastError: reason });
+        abandoned++;
+    }
+    if (abandoned > 0) log.warn(`Abandoned ${abandoned} running job(s) that already replied: ${reason}`);
+    return abandoned;
+}
+
+/**
+ * Returns queue statistics for this instance (and Redis list lengths when available).
+ * @returns {Promise<{instance: string, backend: string, active: Record<string, number>, waiting: Record<string, number>, delayed: number | null, dead: number | null}>}
+ */
+export async function getJobQueueStats() {
+    const stats = { instance: INSTANCE_ID, backend: useRedis() ? 'redis' : 'memory', active: {}, waiting: {}, delayed: null, dead: null };
+    for (const type of handlers.keys()) {
+        stats.active[type] = activeCounts.get(type) || 0;
+        stats.waiting[type] = memoryQueues.get(type)?.length || 0;
+    }
+    if (useRedis()) {
+        try {
+            for (const type of handlers.keys()) stats.waiting[type] += await redisClient.lLen(KEYS.waiting(type));
+            stats.delayed = await redisClient.zCard(KEYS.delayed);
+            stats.dead = await redisClient.lLen(KEYS.dead);
+        } catch (error) {
+            log.error(`Failed to read queue stats from Redis: ${error.message}`);
+        }
+    }
+    return stats;
+}
+
+setInFlightProvider(() => Object.fromEntries(activeCounts));
+
+log.info(`Initialized. Instance: ${INSTANCE_ID}`);
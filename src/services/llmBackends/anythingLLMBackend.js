@@ -0,0 +1,234 @@
+// src/services/llmBackends/anythingLLMBackend.js
+// LLM backend adapter for the AnythingLLM REST API (workspaces, threads, chat, document ingestion).
+
+import axios from 'axios';
+import FormData from 'form-data';
+import { anythingLLMBaseUrl, anythingLLMApiKey, LLM_STREAM_IDLE_TIMEOUT_MS } from '../../config.js';
+import { readSseStream } from '../../utils/sseParser.js';
+import { createLogger } from '../../utils/logger.js';
+
+const log = createLogger('AnythingLLM Backend');
+
+/** @type {string} Backend identifier (matches the key in llmService.js). */
+export const name = 'anythingllm';
+
+/**
+ * Builds the standard headers for AnythingLLM API calls.
+ * @param {object} [extra={}] - Additional headers.
+ * @returns {object}
+ */
+function authHeaders(extra = {}) {
+    return { Authorization: `Bearer ${anythingLLMApiKey}`, 'Accept': 'application/json', ...extra };
+}
+
+/**
+ * Whether the backend has the configuration it needs.
+ * @returns {boolean}
+ */
+export function isConfigured() {
+    return Boolean(anythingLLMBaseUrl && anythingLLMApiKey);
+}
+
+/**
+ * Sends a chat message to a workspace, or to a thread within it.
+ * @param {object} params - Parameters object.
+ * @param {string} params.workspaceSlug - Workspace slug.
+ * @param {string | null} params.threadSlug - Thread slug, or null for workspace-level chat.
+ * @param {string} params.message - The prompt text.
+ * @param {string} [params.mode='chat'] - 'chat' or 'query'.
+ * @param {Array} [params.attachments=[]] - Ignored; file context is part of `message` (see features/fileContext.js).
+ * @returns {Promise<string>} The textResponse (may be an empty string).
+ * @throws {Error} On HTTP/network failure or an unexpected response structure.
+ */
+export async function chat({ workspaceSlug, threadSlug, message, mode = 'chat', attachments = [] }) {
+    const endpointUrl = threadSlug
+        ? `${anythingLLMBaseUrl}/api/v1/workspace/${workspaceSlug}/thread/${threadSlug}/chat`
+        : `${anythingLLMBaseUrl}/api/v1/workspace/${workspaceSlug}/chat`;
+
+    const requestBody = { message, mode };
+
+    const response = await axios.post(endpointUrl, requestBody, {
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        timeout: 90000, // 90s timeout
+    });
+
+    // Check specifically for textResponse, allowing it to be an empty string
+    if (response.status === 200 && response.data?.textResponse !== undefined && response.data?.textResponse !== null) {
+        return String(response.data.textResponse);
+    }
+    throw new Error(`Unexpected chat response structure (status ${response.status}): ${JSON.stringify(response.data).substring(0, 200)}`);
+}
+
+/**
+ * Streams a chat response via the stream-chat SSE endpoint.
+ * Events look like `{ type: 'textResponseChunk', textResponse, close, error }`.
+ * @param {object} params - Same as chat(), plus:
+ * @param {(delta: string, fullText: string) => void} params.onChunk - Called for every received text delta.
+ * @returns {Promise<string>} The full concatenated response text.
+ * @throws {Error} On HTTP/network failure or an error/abort event in the stream.
+ */
+export async function streamChat({ workspaceSlug, threadSlug, message, mode = 'chat', attachments = [], onChunk }) {
+    const endpointUrl = threadSlug
+        ? `${anythingLLMBaseUrl}/api/v1/workspace/${workspaceSlug}/thread/${threadSlug}/stream-chat`
+        : `${anythingLLMBaseUrl}/api/v1/workspace/${workspaceSlug}/stream-chat`;
+
+    const response = await axios.post(endpointUrl, { message, mode }, {
+        headers: authHeaders({ 'Content-Type': 'application/json', 'Accept': 'text/event-stream' }),
+        responseType: 'stream',
+        timeout: 90000, // Time to first byte; a stalled stream is aborted by readSseStream's idle timeout
+    });
+
+    let fullText = '';
+    let streamError = null;
+    await readSseStream(response.data, (data) => {
+        let event;
+        try { event = JSON.parse(data); } catch { return true; } // Ignore non-JSON keep-alives
+        if (event.error || event.type === 'abort') {
+            streamError = new Error(`Stream aborted: ${event.error || 'unknown error'}`);
+            return false;
+        }
+        if (typeof event.textResponse === 'string' && event.textResponse.length > 0 && event.type !== 'finalizeResponseStream') {
+            fullText += event.textResponse;
+            onChunk?.(event.textResponse, fullText);
+        }
+        return !event.close;
+    }, { idleTimeoutMs: LLM_STREAM_IDLE_TIMEOUT_MS });
+
+    if (streamError) throw streamError;
+    return fullText;
+}
+
+/**
+ * Creates a new thread in a workspace.
+ * @param {string} workspaceSlug - Workspace slug.
+ * @returns {Promise<string>} The new thread slug.
+ * @throws {Error} On HTTP/network failure or a missing slug in the response.
+ */
+export async function createThread(workspaceSlug) {
+    const url = `${anythingLLMBaseUrl}/api/v1/workspace/${workspaceSlug}/thread/new`;
+    const response = await axios.post(url, {}, { // Empty body for new thread endpoint
+        headers: authHeaders(),
+        timeout: 15000 // 15 second timeout
+    });
+
+    if (response.status === 200 && response.data?.thread?.slug) {
+        return response.data.thread.slug;
+    }
+    throw new Error(`Unexpected thread response structure or missing slug: ${JSON.stringify(response.data).substring(0, 200)}`);
+}
+
+/**
+ * Deletes a thread and its chat history.
+ * @param {object} params - Parameters object.
+ * @param {string} params.workspaceSlug - Workspace slug.
+ * @param {string} params.threadSlug - Thread slug.
+ * @returns {Promise<void>}
+ * @throws {Error} On HTTP/network failure.
+ */
+export async function deleteThread({ workspaceSlug, threadSlug }) {
+    const url = `${anythingLLMBaseUrl}/api/v1/workspace/${workspaceSlug}/thread/${threadSlug}`;
+    await axios.delete(url, { headers: authHeaders(), timeout: 15000 });
+}
+
+/**
+ * Fetches the chat history of a thread.
+ * @param {object} params - Parameters object.
+ * @param {string} params.workspaceSlug - Workspace slug.
+ * @param {string} params.threadSlug - Thread slug.
+ * @returns {Promise<Array<{role: string, content: string}>>} Messages, oldest first.
+ * @throws {Error} On HTTP/network failure or an unexpected response structure.
+ */
+export async function getThreadHistory({ workspaceSlug, threadSlug }) {
+    const url = `${anythingLLMBaseUrl}/api/v1/workspace/${workspaceSlug}/thread/${threadSlug}/chats`;
+    const response = await axios.get(url, { headers: authHeaders(), timeout: 15000 });
+
+    if (response.status === 200 && Array.isArray(response.data?.history)) {
+        return response.data.history.map(({ role, content }) => ({ role, content: String(content ?? '') }));
+    }
+    throw new Error(`Unexpected thread history response structure: ${JSON.stringify(response.data).substring(0, 200)}`);
+}
+
+/**
+ * Lists the workspace slugs known to AnythingLLM.
+ * @returns {Promise<string[]>} Workspace slugs.
+ * @throws {Error} On HTTP/network failure or an invalid response structure.
+ */
+export async function listWorkspaces() {
+    const response = await axios.get(`${anythingLLMBaseUrl}/api/v1/workspaces`, {
+        headers: authHeaders(),
+        timeout: 10000, // 10 second timeout
+    });
+
+    if (!Array.isArray(response.data?.workspaces)) {
+        throw new Error(`Invalid workspaces response structure: ${JSON.stringify(response.data).substring(0, 200)}`);
+    }
+    return response.data.workspaces
+        .map(ws => ws.slug)
+        .filter(slug => typeof slug === 'string' && slug.trim()); // Ensure slugs are valid strings
+}
+
+/**
+ * Checks that AnythingLLM is reachable and accepts the API key (used by GET /readyz).
+ * @param {number} timeoutMs - Request timeout.
+ * @returns {Promise<void>}
+ * @throws {Error} On HTTP/network failure.
+ */
+export async function ping(timeoutMs) {
+    await axios.get(`${anythingLLMBaseUrl}/api/v1/workspaces`, { headers: authHeaders(), timeout: timeoutMs });
+}
+
+/**
+ * Uploads a document, moves it into a folder and embeds it into a workspace.
+ * @param {object} params - Parameters object.
+ * @param {string} params.content - Document text content.
+ * @param {string} params.filename - Filename to upload as.
+ * @param {string} params.workspaceSlug - Workspace to embed the document into.
+ * @param {string} [params.folder='custom-documents'] - Target document folder within AnythingLLM.
+ * @returns {Promise<{upload: object, move: object | null, workspace: object, documentPath: string}>}
+ * @throws {Error} If the upload or embedding step fails.
+ */
+export async function ingestDocument({ content, filename, workspaceSlug, folder = 'custom-documents' }) {
+    // --- Upload File ---
+    const form = new FormData();
+    form.append('file', Buffer.from(content, 'utf8'), { filename, contentType: 'text/markdown' });
+    log.info(`Uploading '${filename}' to ${anythingLLMBaseUrl}/api/v1/document/upload`);
+    const uploadResponse = await axios.post(`${anythingLLMBaseUrl}/api/v1/document/upload`, form, {
+        headers: authHeaders(form.getHeaders()),
+        maxContentLength: Infinity, maxBodyLength: Infinity // Handle potentially large files
+    });
+    const uploadData = uploadResponse.data;
+    if (!uploadData?.success || !uploadData.document) {
+        throw new Error(`Upload failed or document object missing in response: ${JSON.stringify(uploadData)}`);
+    }
+
+    // AnythingLLM stores uploads as custom-documents/<file_name>-<id>.json
+    const storedName = `${uploadData.document.file_name}-${uploadData.document.id}.json`;
+    let documentPath = `custom-documents/${storedName}`;
+
+    // --- Move File ---
+    let moveData = null;
+    if (folder && folder !== 'custom-documents') {
+        const targetPath = `${folder}/${storedName}`;
+        log.info(`Moving doc from '${documentPath}' to '${targetPath}'`);
+        const moveResponse = await axios.post(`${anythingLLMBaseUrl}/api/v1/document/move-files`, {
+            files: [{ from: documentPath, to: targetPath }]
+        }, { headers: authHeaders({ 'Content-Type': 'application/json' }) });
+        moveData = moveResponse.data;
+        if (!moveData?.ok) {
+            // Proceed with the new path; AnythingLLM does not always report ok for successful moves
+            log.warn(`File move might have failed (API response: ${JSON.stringify(moveData)})`);
+        }
+        documentPath = targetPath;
+    }
+
+    // --- Add to Workspace ---
+    log.info(`Adding doc '${documentPath}' to workspace '${workspaceSlug}'...`);
+    const updateResponse = await axios.post(`${anythingLLMBaseUrl}/api/v1/workspace/${workspaceSlug}/update-embeddings`,
+        { adds: [documentPath], deletes: [] },
+        { headers: authHeaders({ 'Content-Type': 'application/json' }) }
+    );
+
+    return { upload: uploadData, move: moveData, workspace: updateResponse.data, documentPath };
+}
+
+log.info("Initialized.");
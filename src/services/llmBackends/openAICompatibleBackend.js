@@ -0,0 +1,394 @@
+// src/services/llmBackends/openAICompatibleBackend.js
+// LLM backend adapter for OpenAI-compatible chat completion servers (Ollama, vLLM, LM Studio, ...).
+// "Workspaces" are defined locally in LLM_WORKSPACES: a system prompt plus an optional folder of
+// documents used for simple keyword retrieval. Thread history is kept in Redis (or memory).
+
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import {
+    anythingLLMBaseUrl,
+    anythingLLMApiKey,
+    llmModel,
+    llmWorkspaceConfig,
+    fallbackWorkspace,
+    LLM_THREAD_REDIS_PREFIX,
+    LLM_THREAD_HISTORY_TTL,
+    LLM_STREAM_IDLE_TIMEOUT_MS
+} from '../../config.js';
+import { redisClient, isRedisReady } from '../redisService.js';
+import { readSseStream } from '../../utils/sseParser.js';
+import { createLogger } from '../../utils/logger.js';
+
+const log = createLogger('OpenAI Backend');
+
+/** @type {string} Backend identifier (matches the key in llmService.js). */
+export const name = 'openai';
+
+const DEFAULT_TOP_K = 4;
+const DEFAULT_HISTORY_LIMIT = 20; // Messages (user + assistant) replayed per request
+const CHUNK_SIZE = 1500; // Characters per retrieval chunk
+const DOCUMENT_EXTENSIONS = new Set(['.md', '.txt', '.php', '.js', '.json', '.html', '.css']);
+
+// In-memory stores (thread history fallback when Redis is unavailable, and per-workspace document chunks)
+const memoryThreads = new Map(); // threadSlug -> [{ role, content }]
+const documentChunks = new Map(); // workspaceSlug -> [{ source, text, terms: Set<string> }]
+const loadedDocumentDirs = new Set();
+
+/**
+ * Returns the configuration for a workspace, with defaults for unknown slugs.
+ * @param {string} workspaceSlug - Workspace slug.
+ * @returns {{systemPrompt: string, model: string, documentsDir: string | null, topK: number, historyLimit: number}}
+ */
+function getWorkspaceSettings(workspaceSlug) {
+    const ws = llmWorkspaceConfig[workspaceSlug] || {};
+    return {
+        systemPrompt: ws.systemPrompt || 'You are Orbit, a helpful assistant for Gravity Forms developers.',
+        model: ws.model || llmModel,
+        documentsDir: ws.documentsDir ? path.resolve(ws.documentsDir) : null,
+        topK: Number.isInteger(ws.topK) ? ws.topK : DEFAULT_TOP_K,
+        historyLimit: Number.isInteger(ws.historyLimit) ? ws.historyLimit : DEFAULT_HISTORY_LIMIT,
+    };
+}
+
+/**
+ * Whether the backend has the configuration it needs.
+ * @returns {boolean}
+ */
+export function isConfigured() {
+    return Boolean(anythingLLMBaseUrl && llmModel);
+}
+
+/**
+ * =============================================================================
+ * RETRIEVAL
+ * =============================================================================
+ */
+
+/**
+ * Lower-cases and tokenizes text into a set of terms (3+ characters).
+ * @param {string} text - Input text.
+ * @returns {Set<string>}
+ */
+function toTerms(text) {
+    return new Set((text || '').toLowerCase().match(/[a-z0-9_]{3,}/g) || []);
+}
+
+/**
+ * Splits document content into chunks and adds them to a workspace's store.
+ * @param {string} workspaceSlug - Workspace slug.
+ * @param {string} source - Source label (filename).
+ * @param {string} content - Document text.
+ * @returns {number} Number of chunks added.
+ */
+function addDocumentChunks(workspaceSlug, source, content) {
+    const chunks = documentChunks.get(workspaceSlug) || [];
+    let added = 0;
+    for (let i = 0; i < content.length; i += CHUNK_SIZE) {
+        const text = content.substring(i, i + CHUNK_SIZE);
+        if (!text.trim()) continue;
+        chunks.push({ source, text, terms: toTerms(text) });
+        added++;
+    }
+    documentChunks.set(workspaceSlug, chunks);
+    return added;
+}
+
+/**
+ * Loads a workspace's documentsDir into the chunk store once per process.
+ * @param {string} workspaceSlug - Workspace slug.
+ * @param {string | null} documentsDir - Absolute directory path, or null.
+ */
+function ensureDocumentsLoaded(workspaceSlug, documentsDir) {
+    if (!documentsDir || loadedDocumentDirs.has(workspaceSlug)) return;
+    loadedDocumentDirs.add(workspaceSlug);
+    if (!fs.existsSync(documentsDir)) {
+        log.warn(`documentsDir for '${workspaceSlug}' does not exist: ${documentsDir}`);
+        return;
+    }
+    let files = 0;
+    for (const entry of fs.readdirSync(documentsDir, { withFileTypes: true })) {
+        if (!entry.isFile() || !DOCUMENT_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) continue;
+        try {
+            addDocumentChunks(workspaceSlug, entry.name, fs.readFileSync(path.join(documentsDir, entry.name), 'utf8'));
+            files++;
+        } catch (err) {
+            log.error(`Failed to read document ${entry.name}: ${err.message}`);
+        }
+    }
+    log.info(`Loaded ${files} document(s) for workspace '${workspaceSlug}' from ${documentsDir}.`);
+}
+
+/**
+ * Returns the top-K chunks for a query by term overlap.
+ * @param {string} workspaceSlug - Workspace slug.
+ * @param {string} query - Query text.
+ * @param {number} topK - Max chunks to return.
+ * @returns {Array<{source: string, text: string}>}
+ */
+function retrieveChunks(workspaceSlug, query, topK) {
+    const chunks = documentChunks.get(workspaceSlug);
+    if (!chunks?.length || topK <= 0) return [];
+    const queryTerms = toTerms(query);
+    if (queryTerms.size === 0) return [];
+
+    return chunks
+        .map(chunk => {
+            let score = 0;
+            for (const term of queryTerms) if (chunk.terms.has(term)) score++;
+            return { chunk, score };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK)
+        .map(({ chunk }) => ({ source: chunk.source, text: chunk.text }));
+}
+
+/**
+ * =============================================================================
+ * THREAD HISTORY
+ * =============================================================================
+ */
+
+/**
+ * Loads a thread's chat history.
+ * @param {string} threadSlug - Thread slug.
+ * @returns {Promise<Array<{role: string, content: string}>>}
+ */
+async function loadThreadHistory(threadSlug) {
+    if (isRedisReady && redisClient) {
+        try {
+            const cached = await redisClient.get(`${LLM_THREAD_REDIS_PREFIX}${threadSlug}`);
+            if (cached) return JSON.parse(cached);
+        } catch (err) { log.error(`Redis get thread history failed: ${err.message}`); }
+    }
+    return memoryThreads.get(threadSlug) || [];
+}
+
+/**
+ * Saves a thread's chat history.
+ * @param {string} threadSlug - Thread slug.
+ * @param {Array<{role: string, content: string}>} history - Messages.
+ */
+async function saveThreadHistory(threadSlug, history) {
+    memoryThreads.set(threadSlug, history);
+    if (isRedisReady && redisClient) {
+        try {
+            await redisClient.set(`${LLM_THREAD_REDIS_PREFIX}${threadSlug}`, JSON.stringify(history), { EX: LLM_THREAD_HISTORY_TTL });
+        } catch (err) { log.error(`Redis set thread history failed: ${err.message}`); }
+    }
+}
+
+/**
+ * =============================================================================
+ * BACKEND INTERFACE
+ * =============================================================================
+ */
+
+/**
+ * Builds the chat completion messages (system prompt + retrieved context + thread history + user message).
+ * @param {string} workspaceSlug - Workspace slug.
+ * @param {string | null} threadSlug - Thread slug, or null for a stateless request.
+ * @param {string} message - The prompt text.
+ * @param {string} mode - 'chat' or 'query'.
+ * @returns {Promise<{settings: object, history: Array<{role: string, content: string}>, messages: Array<{role: string, content: string}>}>}
+ */
+async function buildChatRequest(workspaceSlug, threadSlug, message, mode) {
+    const settings = getWorkspaceSettings(workspaceSlug);
+    ensureDocumentsLoaded(workspaceSlug, settings.documentsDir);
+
+    let systemPrompt = settings.systemPrompt;
+    const context = retrieveChunks(workspaceSlug, message, settings.topK);
+    if (context.length > 0) {
+        systemPrompt += `\n\nUse the following context when relevant:\n` +
+            context.map((c, i) => `[${i + 1}] (${c.source})\n${c.text}`).join('\n\n');
+    }
+    if (mode === 'query') {
+        systemPrompt += context.length > 0
+            ? `\n\nAnswer ONLY from the context above. If it does not contain the answer, say so.`
+            : `\n\nNo relevant context was found. Say that you do not have information about this.`;
+    }
+
+    const history = threadSlug ? await loadThreadHistory(threadSlug) : [];
+    const messages = [
+        { role: 'system', content: systemPrompt },
+        ...history.slice(-settings.historyLimit),
+        { role: 'user', content: message }
+    ];
+    return { settings, history, messages };
+}
+
+/**
+ * Builds request headers for the chat completions endpoint.
+ * @param {string} accept - Accept header value.
+ * @returns {object}
+ */
+function completionHeaders(accept) {
+    return {
+        'Content-Type': 'application/json',
+        'Accept': accept,
+        ...(anythingLLMApiKey ? { Authorization: `Bearer ${anythingLLMApiKey}` } : {})
+    };
+}
+
+/**
+ * Sends a chat message using the workspace's system prompt, retrieved context and thread history.
+ * @param {object} params - Parameters object.
+ * @param {string} params.workspaceSlug - Workspace slug.
+ * @param {string | null} params.threadSlug - Thread slug, or null for a stateless request.
+ * @param {string} params.message - The prompt text.
+ * @param {string} [params.mode='chat'] - 'chat' or 'query' ('query' answers only from retrieved context).
+ * @param {Array} [params.attachments=[]] - Ignored; file context is part of `message` (see features/fileContext.js).
+ * @returns {Promise<string>} The assistant's reply (may be an empty string).
+ * @throws {Error} On HTTP/network failure or an unexpected response structure.
+ */
+export async function chat({ workspaceSlug, threadSlug, message, mode = 'chat', attachments = [] }) {
+    const { settings, history, messages } = await buildChatRequest(workspaceSlug, threadSlug, message, mode);
+
+    const response = await axios.post(`${anythingLLMBaseUrl}/chat/completions`, {
+        model: settings.model,
+        messages,
+        stream: false
+    }, {
+        headers: completionHeaders('application/json'),
+        timeout: 90000, // 90s timeout, same as AnythingLLM
+    });
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (content === undefined || content === null) {
+        throw new Error(`Unexpected chat completion structure (status ${response.status}): ${JSON.stringify(response.data).substring(0, 200)}`);
+    }
+
+    if (threadSlug) {
+        await saveThreadHistory(threadSlug, [...history, { role: 'user', content: message }, { role: 'assistant', content: String(content) }]);
+    }
+    return String(content);
+}
+
+/**
+ * Streams a chat completion (`stream: true`), calling onChunk for every content delta.
+ * @param {object} params - Same as chat(), plus:
+ * @param {(delta: string, fullText: string) => void} params.onChunk - Called for every received text delta.
+ * @returns {Promise<string>} The full concatenated response text.
+ * @throws {Error} On HTTP/network failure or an error event in the stream.
+ */
+export async function streamChat({ workspaceSlug, threadSlug, message, mode = 'chat', attachments = [], onChunk }) {
+    const { settings, history, messages } = await buildChatRequest(workspaceSlug, threadSlug, message, mode);
+
+    const response = await axios.post(`${anythingLLMBaseUrl}/chat/completions`, {
+        model: settings.model,
+        messages,
+        stream: true
+    }, {
+        headers: completionHeaders('text/event-stream'),
+        responseType: 'stream',
+        timeout: 90000, // Time to first byte; a stalled stream is aborted by readSseStream's idle timeout
+    });
+
+    let fullText = '';
+    let streamError = null;
+    await readSseStream(response.data, (data) => {
+        if (data === '[DONE]') return false;
+        let event;
+        try { event = JSON.parse(data); } catch { return true; }
+        if (event.error) {
+            streamError = new Error(`Stream error: ${event.error.message || JSON.stringify(event.error)}`);
+            return false;
+        }
+        const delta = event.choices?.[0]?.delta?.content;
+        if (typeof delta === 'string' && delta.length > 0) {
+            fullText += delta;
+            onChunk?.(delta, fullText);
+        }
+        return true;
+    }, { idleTimeoutMs: LLM_STREAM_IDLE_TIMEOUT_MS });
+
+    if (streamError) throw streamError;
+    if (threadSlug) {
+        await saveThreadHistory(threadSlug, [...history, { role: 'user', content: message }, { role: 'assistant', content: fullText }]);
+    }
+    return fullText;
+}
+
+/**
+ * Creates a new (empty) thread.
+ * @param {string} workspaceSlug - Workspace slug.
+ * @returns {Promise<string>} The new thread slug.
+ */
+export async function createThread(workspaceSlug) {
+    const threadSlug = `${workspaceSlug}-${crypto.randomUUID()}`;
+    await saveThreadHistory(threadSlug, []);
+    return threadSlug;
+}
+
+/**
+ * Deletes a thread's chat history.
+ * @param {object} params - Parameters object.
+ * @param {string} params.threadSlug - Thread slug.
+ * @returns {Promise<void>}
+ */
+export async function deleteThread({ threadSlug }) {
+    memoryThreads.delete(threadSlug);
+    if (isRedisReady && redisClient) {
+        try {
+            await redisClient.del(`${LLM_THREAD_REDIS_PREFIX}${threadSlug}`);
+        } catch (err) { log.error(`Redis delete thread history failed: ${err.message}`); }
+    }
+}
+
+/**
+ * Returns the chat history of a thread.
+ * @param {object} params - Parameters object.
+ * @param {string} params.threadSlug - Thread slug.
+ * @returns {Promise<Array<{role: string, content: string}>>} Messages, oldest first.
+ */
+export async function getThreadHistory({ threadSlug }) {
+    return loadThreadHistory(threadSlug);
+}
+
+/**
+ * Checks that the completions server is reachable and accepts the API key (used by GET /readyz).
+ * @param {number} timeoutMs - Request timeout.
+ * @returns {Promise<void>}
+ * @throws {Error} On HTTP/network failure.
+ */
+export async function ping(timeoutMs) {
+    await axios.get(`${anythingLLMBaseUrl}/models`, { headers: completionHeaders('application/json'), timeout: timeoutMs });
+}
+
+/**
+ * Lists the configured workspace slugs (falls back to the fallback workspace if none are configured).
+ * @returns {Promise<string[]>}
+ */
+export async function listWorkspaces() {
+    const slugs = Object.keys(llmWorkspaceConfig);
+    return slugs.length > 0 ? slugs : [fallbackWorkspace].filter(Boolean);
+}
+
+/**
+ * Adds a document to a workspace's retrieval store, persisting it to documentsDir if configured.
+ * @param {object} params - Parameters object.
+ * @param {string} params.content - Document text content.
+ * @param {string} params.filename - Filename.
+ * @param {string} params.workspaceSlug - Target workspace.
+ * @param {string} [params.folder] - Ignored (AnythingLLM folder concept).
+ * @returns {Promise<{workspace: string, chunks: number, documentPath: string | null}>}
+ */
+export async function ingestDocument({ content, filename, workspaceSlug }) {
+    const settings = getWorkspaceSettings(workspaceSlug);
+    ensureDocumentsLoaded(workspaceSlug, settings.documentsDir);
+
+    let documentPath = null;
+    if (settings.documentsDir) {
+        fs.mkdirSync(settings.documentsDir, { recursive: true });
+        documentPath = path.join(settings.documentsDir, path.basename(filename));
+        fs.writeFileSync(documentPath, content);
+    } else {
+        log.warn(`Workspace '${workspaceSlug}' has no documentsDir. Document '${filename}' is kept in memory only.`);
+    }
+    const chunks = addDocumentChunks(workspaceSlug, filename, content);
+    return { workspace: workspaceSlug, chunks, documentPath };
+}
+
+log.info("Initialized.");
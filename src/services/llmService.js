@@ -1,61 +1,145 @@
 // src/services/llmService.js
-// Handles interactions with the AnythingLLM API for querying and thread management.
+// Entry point for LLM interactions (chat, threads, workspaces, document ingestion).
+// Delegates to the configured backend adapter (AnythingLLM or OpenAI-compatible).
 
-import axios from 'axios';
-import {
-    anythingLLMBaseUrl,
-    anythingLLMApiKey
-} from '../config.js';
+import { llmBackend as configuredBackend } from '../config.js';
 // Import DB functions directly used for thread mapping
 import { getAnythingLLMThreadMapping as dbGetMapping, storeAnythingLLMThreadMapping as dbStoreMapping } from './dbService.js';
+import { startLlmTimer, recordError } from './metricsService.js';
+import { createCircuitBreaker, CircuitOpenError } from './circuitBreakerService.js';
+import { createLogger, logContent } from '../utils/logger.js';
+
+// --- Backend Imports ---
+// Each backend exports: name, isConfigured, chat, createThread, listWorkspaces, ingestDocument, ping,
+// and optionally streamChat (used by streamLlm, falls back to chat when missing), getThreadHistory
+// (used by getLlmThreadHistory) and deleteThread (used by queryLlmInScratchThread).
+import * as anythingLLMBackend from './llmBackends/anythingLLMBackend.js';
+import * as openAICompatibleBackend from './llmBackends/openAICompatibleBackend.js';
+
+const log = createLogger('LLM Service');
+const errorLog = createLogger('LLM Error');
+const threadLog = log.child('createThread');
+const historyLog = log.child('threadHistory');
+const queryLog = log.child('queryLlm');
+const streamLog = log.child('streamLlm');
+const scratchLog = log.child('scratchThread');
+
+// --- Backend Registry ---
+// Maps configuration keys (LLM_BACKEND) to the imported backend modules.
+const backends = {
+    anythingllm: anythingLLMBackend,
+    openai: openAICompatibleBackend,
+    // Register other LLM backends here
+};
+
+// Backend replacing the configured one (set by the chat simulator, scripts/orbitSim.js)
+let backendOverride = null;
+
+/**
+ * Replaces the configured backend with another object implementing the backend interface (see above).
+ * Pass null to go back to LLM_BACKEND.
+ * @param {object | null} backend - Backend module/object, or null.
+ */
+export function setLlmBackendOverride(backend) {
+    backendOverride = backend;
+    log.info(`Backend override ${backend ? `set: ${backend.name}` : 'cleared'}.`);
+}
+
+/**
+ * Returns the configured backend module (or the override), falling back to AnythingLLM for unknown keys.
+ * @returns {object} The backend module.
+ */
+export function getLlmBackend() {
+    if (backendOverride) return backendOverride;
+    const backend = backends[configuredBackend];
+    if (!backend) {
+        log.warn(`Configured backend '${configuredBackend}' is not registered. Falling back to 'anythingllm'.`);
+        return backends.anythingllm;
+    }
+    return backend;
+}
+
+/**
+ * Whether an LLM error means the backend is down (no response, timeout, 5xx) rather than a rejected request.
+ * @param {Error} error - The caught error.
+ * @returns {boolean}
+ */
+function isLlmOutage(error) {
+    return !error.response || error.response.status >= 500;
+}
+
+// Opens after repeated outages so questions fail fast instead of each waiting for the request timeout
+const llmBreaker = createCircuitBreaker('llm', { label: 'LLM backend', isFailure: isLlmOutage });
+
+/**
+ * Whether the LLM backend is currently accepting calls (its circuit breaker is closed or due for a probe).
+ * Handlers use it to tell users the knowledge base is unavailable instead of reporting an empty answer.
+ * @returns {boolean}
+ */
+export function isLlmAvailable() {
+    return llmBreaker.isAvailable();
+}
+
+/**
+ * Turns an axios/network error into a short description and logs response details.
+ * @param {Error} error - The caught error.
+ * @returns {string} Human-readable error details.
+ */
+function describeLlmError(error) {
+    const status = error.response?.status;
+    if (error.response && typeof error.response.data?.pipe === 'function') {
+        // Streaming requests (responseType: 'stream') carry an unread body stream instead of parsed data
+        error.response.data.destroy?.();
+        errorLog.error(`Status ${status}: (streamed response body not read)`);
+        return `Status ${status}: ${error.response.statusText || 'stream request failed'}`;
+    }
+    if (error.response) {
+        // Log detailed error response data if available (the body may echo the prompt, so it is logged as content)
+        errorLog.error(`Status ${status}`, { response: error.response.data });
+        return `Status ${status}: ${error.response.data?.message || error.response.data?.error?.message || logContent(error.response.data)}`;
+    } else if (error.request) {
+        // Error occurred during the request setup or no response was received
+        errorLog.error('No response received from LLM server.');
+        return 'No response from LLM server (check network or API URL).';
+    }
+    // Other errors (e.g., setup issues, unexpected structure)
+    errorLog.error(error.message);
+    return error.message;
+}
 
 /**
  * =============================================================================
- * ANYTHINGLLM THREAD MANAGEMENT
+ * THREAD MANAGEMENT
  * =============================================================================
  */
 
 /**
- * Creates a new thread in a specific AnythingLLM workspace via API.
+ * Creates a new thread in a specific workspace via the configured backend.
  * @param {string} workspaceSlug - The target workspace slug.
  * @returns {Promise<string | null>} The new thread slug, or null on error.
  */
 export async function createNewAnythingLLMThread(workspaceSlug) {
     if (!workspaceSlug) {
-        console.error("[LLM Service/createThread] Workspace slug required.");
+        threadLog.error("Workspace slug required.");
         return null;
     }
-    if (!anythingLLMBaseUrl || !anythingLLMApiKey) {
-        console.error("[LLM Service/createThread] LLM API URL or Key not configured.");
+    const backend = getLlmBackend();
+    if (!backend.isConfigured()) {
+        threadLog.error(`LLM backend '${backend.name}' not configured.`);
         return null;
     }
 
-    console.log(`[LLM Service/createThread] Creating thread in workspace: ${workspaceSlug}...`);
-    const url = `${anythingLLMBaseUrl}/api/v1/workspace/${workspaceSlug}/thread/new`;
+    threadLog.info(`Creating thread in workspace: ${workspaceSlug} (backend: ${backend.name})...`);
     try {
-        const response = await axios.post(url, {}, { // Empty body for new thread endpoint
-            headers: {
-                Authorization: `Bearer ${anythingLLMApiKey}`,
-                'Accept': 'application/json'
-            },
-            timeout: 15000 // 15 second timeout
-        });
-
-        // Validate successful response and presence of thread slug
-        if (response.status === 200 && response.data?.thread?.slug) {
-            console.log(`[LLM Service/createThread] Created thread slug: ${response.data.thread.slug}`);
-            return response.data.thread.slug;
-        } else {
-            console.error('[LLM Service/createThread] Unexpected successful response structure or missing slug:', response.data);
-            return null;
-        }
+        const threadSlug = await llmBreaker.run(() => backend.createThread(workspaceSlug));
+        threadLog.info(`Created thread slug: ${threadSlug}`);
+        return threadSlug;
     } catch (error) {
-         // Log detailed error information
-         const status = error.response?.status;
-         const errorMsg = error.response?.data?.message || error.response?.data || error.message;
-         console.error(`[LLM Error - Create Thread - Workspace: ${workspaceSlug}] Status: ${status || 'N/A'}, Message: ${errorMsg}`);
-         return null; // Return null on any error during thread creation
-     }
+        if (error instanceof CircuitOpenError) { threadLog.warn(error.message); return null; }
+        const errorMsg = describeLlmError(error);
+        threadLog.error(`Failed in workspace ${workspaceSlug}: ${errorMsg}`);
+        return null; // Return null on any error during thread creation
+    }
 }
 
 /**
@@ -86,6 +170,28 @@ export async function storeAnythingLLMThreadMapping(channelId, slackThreadTs, wo
     return dbStoreMapping(channelId, slackThreadTs, workspaceSlug, anythingLLMThreadSlug);
 }
 
+/**
+ * Fetches the chat history of a thread from the configured backend.
+ * @param {string} workspaceSlug - Workspace slug.
+ * @param {string} threadSlug - Thread slug.
+ * @returns {Promise<Array<{role: string, content: string}>>} Messages, oldest first. Empty if the backend doesn't
+ *   keep thread history, on error, or while the LLM circuit breaker is open.
+ */
+export async function getLlmThreadHistory(workspaceSlug, threadSlug) {
+    const backend = getLlmBackend();
+    if (typeof backend.getThreadHistory !== 'function' || !backend.isConfigured()) {
+        historyLog.warn(`Backend '${backend.name}' can't provide thread history.`);
+        return [];
+    }
+    try {
+        return await llmBreaker.run(() => backend.getThreadHistory({ workspaceSlug, threadSlug }));
+    } catch (error) {
+        if (error instanceof CircuitOpenError) { historyLog.warn(error.message); return []; }
+        historyLog.error(`Failed for ${workspaceSlug}:${threadSlug}: ${describeLlmError(error)}`);
+        return [];
+    }
+}
+
 
 /**
  * =============================================================================
@@ -94,85 +200,196 @@ export async function storeAnythingLLMThreadMapping(channelId, slackThreadTs, wo
  */
 
 /**
- * Queries the AnythingLLM API (workspace chat or thread chat).
+ * Queries the configured LLM backend (workspace chat or thread chat).
  * @param {string} workspaceSlug - Workspace slug (required).
  * @param {string | null} threadSlug - Thread slug (optional). If provided, chat happens in thread.
  * @param {string} inputText - The user query/prompt (required).
  * @param {string} [mode='chat'] - LLM mode ('chat' or 'query').
- * @param {Array} [attachments=[]] - Attachments (currently unused, placeholder for future).
- * @returns {Promise<string>} The text response from the LLM. Returns empty string "" if no textResponse found or on error.
+ * @param {Array} [attachments=[]] - Passed to the backend, which ignores it: the text of files shared in Slack travels
+ *   in `inputText` (see features/fileContext.js).
+ * @returns {Promise<string>} The text response from the LLM. Returns empty string "" if no textResponse found or on error
+ *   (including fast failures while the LLM circuit breaker is open, see isLlmAvailable).
  */
 export async function queryLlm(workspaceSlug, threadSlug, inputText, mode = 'chat', attachments = []) {
-    console.log(`[LLM Service/queryLlm] Query: Ws=${workspaceSlug}, Thr=${threadSlug || 'None'}, Mode=${mode}`);
+    const backend = getLlmBackend();
+    queryLog.info(`Query: Backend=${backend.name}, Ws=${workspaceSlug}, Thr=${threadSlug || 'None'}, Mode=${mode}`);
 
     // --- Input Validation ---
-    if (!anythingLLMBaseUrl || !anythingLLMApiKey) {
-        console.error('[LLM Service/queryLlm] LLM Service API URL or Key not configured.');
+    if (!backend.isConfigured()) {
+        queryLog.error(`LLM backend '${backend.name}' not configured.`);
         return ""; // Return empty string if essential config is missing
     }
     if (!workspaceSlug) {
-         console.error('[LLM Service/queryLlm] Workspace slug is required for LLM query.');
+         queryLog.error('Workspace slug is required for LLM query.');
          return "";
     }
     if (!inputText || typeof inputText !== 'string' || !inputText.trim()) {
-         console.warn('[LLM Service/queryLlm] Input text is empty or invalid.');
+         queryLog.warn('Input text is empty or invalid.');
          return ""; // Return empty string for empty/invalid input
     }
 
-    // --- Determine Endpoint ---
-    const endpointUrl = threadSlug
-        ? `${anythingLLMBaseUrl}/api/v1/workspace/${workspaceSlug}/thread/${threadSlug}/chat`
-        : `${anythingLLMBaseUrl}/api/v1/workspace/${workspaceSlug}/chat`;
+    // --- Backend Call ---
+    const stopTimer = startLlmTimer(workspaceSlug, backend.name);
+    try {
+        const reply = await llmBreaker.run(() => backend.chat({ workspaceSlug, threadSlug, message: inputText, mode, attachments }));
+        stopTimer(reply ? 'success' : 'empty');
+        return reply;
+    } catch (error) {
+        if (error instanceof CircuitOpenError) { queryLog.warn(error.message); return ""; }
+        stopTimer('error');
+        recordError('llm');
+        const eMsg = `LLM query failed Ws=${workspaceSlug} Thr=${threadSlug || 'None'}: ${describeLlmError(error)}`;
+        queryLog.error(eMsg);
 
-    // --- Prepare Request ---
-    const requestBody = { message: inputText, mode: mode };
-    // Future: Handle attachments if/when API supports them
-    // if (attachments && attachments.length > 0) { requestBody.attachments = attachments; }
+        // Return empty string on error to prevent downstream crashes, error is logged.
+        return "";
+    }
+}
 
-    // --- API Call ---
+/**
+ * Queries the LLM in a throwaway thread of the workspace, deleted afterwards. For one-off prompts (summaries of
+ * Slack threads or earlier conversations) that must not end up in the workspace's shared default chat history,
+ * where queryLlm without a thread would store them.
+ * @param {string} workspaceSlug - Workspace slug (required).
+ * @param {string} inputText - The prompt (required).
+ * @param {string} [mode='chat'] - LLM mode ('chat' or 'query').
+ * @returns {Promise<string>} The text response, or "" on error (also when the thread can't be created: the prompt
+ *   is never sent to the workspace chat instead).
+ */
+export async function queryLlmInScratchThread(workspaceSlug, inputText, mode = 'chat') {
+    const threadSlug = await createNewAnythingLLMThread(workspaceSlug);
+    if (!threadSlug) {
+        scratchLog.warn(`No thread in ${workspaceSlug}, not sending the prompt.`);
+        return "";
+    }
     try {
-        const llmResponse = await axios.post(endpointUrl, requestBody, {
-            headers: {
-                Authorization: `Bearer ${anythingLLMApiKey}`,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            timeout: 90000, // 90s timeout
-        });
-
-        // --- Process Response ---
-        // Check specifically for textResponse, allowing it to be an empty string
-        if (llmResponse.status === 200 && (llmResponse.data?.textResponse !== undefined && llmResponse.data?.textResponse !== null)) {
-             // Ensure the response is treated as a string before returning
-             return String(llmResponse.data.textResponse);
+        return await queryLlm(workspaceSlug, threadSlug, inputText, mode);
+    } finally {
+        const backend = getLlmBackend();
+        if (typeof backend.deleteThread === 'function') {
+            await backend.deleteThread({ workspaceSlug, threadSlug })
+                .catch(error => scratchLog.warn(`Failed to delete ${workspaceSlug}:${threadSlug}: ${describeLlmError(error)}`));
         } else {
-             // Log unexpected successful response structure
-             console.warn(`[LLM Service/queryLlm] LLM response status ${llmResponse.status} missing textResponse field or has unexpected structure.`, llmResponse.data);
-             return ""; // Return empty string for missing response field or unexpected structure
+            scratchLog.warn(`Backend '${backend.name}' can't delete threads, ${workspaceSlug}:${threadSlug} is left behind.`);
         }
+    }
+}
 
-    } catch (error) {
-        // --- Error Handling ---
-        let eDetails = error.message;
-        const status = error.response?.status;
-        if (error.response) {
-            // Log detailed error response data if available
-            console.error(`[LLM Error Data ${status}]:`, error.response.data);
-            eDetails = `Status ${status}: ${error.response.data?.message || JSON.stringify(error.response.data)}`;
-        } else if (error.request) {
-            // Error occurred during the request setup or no response was received
-            console.error('[LLM Error Req]: No response received from LLM server.');
-            eDetails = 'No response from LLM server (check network or API URL).';
-        } else {
-            // Other errors (e.g., setup issues)
-            console.error('[LLM Error Msg]:', error.message);
-        }
-        const eMsg = `LLM query failed Ws=${workspaceSlug} Thr=${threadSlug || 'None'}: ${eDetails}`;
-        console.error(`[LLM Error Full Context]`, eMsg);
+/**
+ * Queries the configured LLM backend and streams the answer as it is generated.
+ * Backends without streaming support are queried normally and reported through a single onText call.
+ * @param {string} workspaceSlug - Workspace slug (required).
+ * @param {string | null} threadSlug - Thread slug (optional). If provided, chat happens in thread.
+ * @param {string} inputText - The user query/prompt (required).
+ * @param {object} [options={}] - Streaming options.
+ * @param {(fullText: string) => void} [options.onText] - Called with the accumulated text after each received chunk.
+ * @param {string} [options.mode='chat'] - LLM mode ('chat' or 'query').
+ * @param {Array} [options.attachments=[]] - Passed to the backend, which ignores it: the text of files shared in
+ *   Slack travels in `inputText` (see features/fileContext.js).
+ * @returns {Promise<string>} The full text response. Returns empty string "" on error (partial text is discarded)
+ *   or while the LLM circuit breaker is open.
+ */
+export async function streamLlm(workspaceSlug, threadSlug, inputText, { onText, mode = 'chat', attachments = [] } = {}) {
+    const backend = getLlmBackend();
+    if (typeof backend.streamChat !== 'function') {
+        const reply = await queryLlm(workspaceSlug, threadSlug, inputText, mode, attachments);
+        if (reply) onText?.(reply);
+        return reply;
+    }
+    streamLog.info(`Stream: Backend=${backend.name}, Ws=${workspaceSlug}, Thr=${threadSlug || 'None'}, Mode=${mode}`);
 
-        // Return empty string on error to prevent downstream crashes, error is logged.
+    // --- Input Validation ---
+    if (!backend.isConfigured()) {
+        streamLog.error(`LLM backend '${backend.name}' not configured.`);
         return "";
     }
+    if (!workspaceSlug) {
+        streamLog.error('Workspace slug is required for LLM query.');
+        return "";
+    }
+    if (!inputText || typeof inputText !== 'string' || !inputText.trim()) {
+        streamLog.warn('Input text is empty or invalid.');
+        return "";
+    }
+
+    // --- Backend Call ---
+    const stopTimer = startLlmTimer(workspaceSlug, backend.name);
+    try {
+        const reply = await llmBreaker.run(() => backend.streamChat({
+            workspaceSlug, threadSlug, message: inputText, mode, attachments,
+            onChunk: (delta, fullText) => {
+                // A failing progress callback must not abort the stream
+                try { onText?.(fullText); } catch (cbError) { streamLog.error(`onText callback error: ${cbError.message}`); }
+            }
+        }));
+        stopTimer(reply ? 'success' : 'empty');
+        return reply;
+    } catch (error) {
+        if (error instanceof CircuitOpenError) { streamLog.warn(error.message); return ""; }
+        stopTimer('error');
+        recordError('llm');
+        const eMsg = `LLM stream failed Ws=${workspaceSlug} Thr=${threadSlug || 'None'}: ${describeLlmError(error)}`;
+        streamLog.error(eMsg);
+        return "";
+    }
+}
+
+
+/**
+ * =============================================================================
+ * WORKSPACES & DOCUMENTS
+ * =============================================================================
+ */
+
+/**
+ * Checks that the configured backend is reachable (used by the readiness check).
+ * @param {number} timeoutMs - Request timeout.
+ * @returns {Promise<void>}
+ * @throws {Error} If the backend is not configured or unreachable.
+ */
+export async function pingLlmBackend(timeoutMs) {
+    const backend = getLlmBackend();
+    if (!backend.isConfigured()) throw new Error(`LLM backend '${backend.name}' not configured.`);
+    try {
+        await backend.ping(timeoutMs);
+    } catch (error) {
+        throw new Error(`LLM backend '${backend.name}' unreachable: ${describeLlmError(error)}`);
+    }
+}
+
+/**
+ * Lists workspace slugs from the configured backend (uncached, see workspaceService.getWorkspaces).
+ * @returns {Promise<string[]>} Workspace slugs.
+ * @throws {Error} If the backend is not configured or the call fails.
+ */
+export async function listLlmWorkspaces() {
+    const backend = getLlmBackend();
+    if (!backend.isConfigured()) throw new Error(`LLM backend '${backend.name}' not configured.`);
+    try {
+        return await llmBreaker.run(() => backend.listWorkspaces());
+    } catch (error) {
+        throw new Error(`Failed to list workspaces: ${error instanceof CircuitOpenError ? error.message : describeLlmError(error)}`);
+    }
+}
+
+/**
+ * Ingests a text document into a workspace's knowledge via the configured backend.
+ * @param {object} params - Parameters object.
+ * @param {string} params.content - Document text content.
+ * @param {string} params.filename - Filename for the document.
+ * @param {string} params.workspaceSlug - Target workspace.
+ * @param {string} [params.folder] - Optional document folder (AnythingLLM only).
+ * @returns {Promise<object>} Backend-specific ingestion result.
+ * @throws {Error} If the backend is not configured or ingestion fails.
+ */
+export async function ingestLlmDocument({ content, filename, workspaceSlug, folder }) {
+    const backend = getLlmBackend();
+    if (!backend.isConfigured()) throw new Error(`LLM backend '${backend.name}' not configured.`);
+    try {
+        return await llmBreaker.run(() => backend.ingestDocument({ content, filename, workspaceSlug, folder }));
+    } catch (error) {
+        throw new Error(`Failed to ingest document into ${workspaceSlug}: ${error instanceof CircuitOpenError ? error.message : describeLlmError(error)}`);
+    }
 }
 
-console.log(`[LLM Service] Initialized.`);
+log.info(`Initialized. Backend: ${getLlmBackend().name}`);
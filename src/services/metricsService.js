@@ -0,0 +1,186 @@
+// src/services/metricsService.js
+// Prometheus metrics (prom-client): counters, histograms and gauges exposed on GET /metrics by app.js.
+
+import client from 'prom-client';
+import { databaseUrl } from '../config.js';
+import { redisClient, isRedisReady } from './redisService.js';
+import { dbPool } from './dbService.js';
+import { getCircuitBreakerStates } from './circuitBreakerService.js';
+
+/** @type {client.Registry} Registry holding all Orbit metrics (served by app.js). */
+export const metricsRegistry = new client.Registry();
+client.collectDefaultMetrics({ register: metricsRegistry, prefix: 'orbit_' });
+
+// Providers for gauges owned by other modules (registered lazily to avoid import cycles)
+let inFlightProvider = () => ({});
+
+/**
+ * =============================================================================
+ * METRIC DEFINITIONS
+ * =============================================================================
+ */
+
+const slackEventsTotal = new client.Counter({
+    name: 'orbit_slack_events_total',
+    help: 'Slack events and interactions received, by type and outcome (queued, handled, duplicate, rate_limited, ignored).',
+    labelNames: ['type', 'outcome'],
+    registers: [metricsRegistry],
+});
+
+const commandsTotal = new client.Counter({
+    name: 'orbit_commands_total',
+    help: 'Commands executed, by command and source (text or slash).',
+    labelNames: ['command', 'source'],
+    registers: [metricsRegistry],
+});
+
+const errorsTotal = new client.Counter({
+    name: 'orbit_errors_total',
+    help: 'Errors by type (llm, github, handler, job).',
+    labelNames: ['type'],
+    registers: [metricsRegistry],
+});
+
+const routingOutcomesTotal = new client.Counter({
+    name: 'orbit_workspace_routing_total',
+    help: 'Workspace routing decisions from determineWorkspace, by workspace and rule (suggested, user_map, channel_map, fallback, none).',
+    labelNames: ['workspace', 'source'],
+    registers: [metricsRegistry],
+});
+
+const llmQueryDuration = new client.Histogram({
+    name: 'orbit_llm_query_duration_seconds',
+    help: 'LLM query latency per workspace (queryLlm / streamLlm).',
+    labelNames: ['workspace', 'backend', 'outcome'],
+    buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 60, 90],
+    registers: [metricsRegistry],
+});
+
+const githubRequestDuration = new client.Histogram({
+    name: 'orbit_github_request_duration_seconds',
+    help: 'GitHub API call latency by route template and outcome.',
+    labelNames: ['route', 'outcome'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [metricsRegistry],
+});
+
+const githubRateLimitRemaining = new client.Gauge({
+    name: 'orbit_github_rate_limit_remaining',
+    help: 'Remaining GitHub API requests in the current rate limit window (from x-ratelimit-remaining).',
+    registers: [metricsRegistry],
+});
+
+new client.Gauge({
+    name: 'orbit_redis_ready',
+    help: '1 if the Redis client is connected and ready, else 0.',
+    registers: [metricsRegistry],
+    collect() { this.set(isRedisReady ? 1 : 0); },
+});
+
+new client.Gauge({
+    name: 'orbit_db_ready',
+    help: '1 if the database answers SELECT 1, else 0 (always 0 without DATABASE_URL).',
+    registers: [metricsRegistry],
+    async collect() {
+        if (!databaseUrl || !dbPool) { this.set(0); return; }
+        try { await dbPool.query('SELECT 1'); this.set(1); } catch { this.set(0); }
+    },
+});
+
+const CIRCUIT_STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+new client.Gauge({
+    name: 'orbit_circuit_breaker_state',
+    help: 'Circuit breaker state per dependency: 0 closed, 1 half-open, 2 open.',
+    labelNames: ['breaker'],
+    registers: [metricsRegistry],
+    collect() {
+        for (const [breaker, { state }] of Object.entries(getCircuitBreakerStates())) this.set({ breaker }, CIRCUIT_STATE_VALUES[state]);
+    },
+});
+
+new client.Gauge({
+    name: 'orbit_inflight_handlers',
+    help: 'Handler jobs currently running, by job type.',
+    labelNames: ['type'],
+    registers: [metricsRegistry],
+    collect() {
+        this.reset();
+        for (const [type, count] of Object.entries(inFlightProvider())) this.set({ type }, count);
+    },
+});
+
+/**
+ * =============================================================================
+ * RECORDING HELPERS
+ * =============================================================================
+ */
+
+/**
+ * Counts a received Slack event/interaction.
+ * @param {string} type - Event type (e.g., 'message', 'app_mention', 'slash_command', 'interaction').
+ * @param {string} outcome - 'queued', 'handled' (processed inline, e.g. app_uninstalled), 'duplicate', 'rate_limited' or 'ignored'.
+ */
+export function recordSlackEvent(type, outcome) {
+    slackEventsTotal.inc({ type: type || 'unknown', outcome });
+}
+
+/**
+ * Counts an executed command.
+ * @param {string} command - Command name ('gh_latest', 'gh_review', 'gh_analyze', 'gh_api', 'help', 'remember').
+ * @param {'text' | 'slash'} [source='text'] - Whether it came from a message or a slash command.
+ */
+export function recordCommand(command, source = 'text') {
+    commandsTotal.inc({ command, source });
+}
+
+/**
+ * Counts an error.
+ * @param {string} type - Error type ('llm', 'github', 'handler', 'job').
+ */
+export function recordError(type) {
+    errorsTotal.inc({ type });
+}
+
+/**
+ * Counts a workspace routing decision.
+ * @param {string | null} workspace - The chosen workspace (null if none could be determined).
+ * @param {string} source - Rule that decided ('suggested', 'user_map', 'channel_map', 'fallback', 'none').
+ */
+export function recordRoutingOutcome(workspace, source) {
+    routingOutcomesTotal.inc({ workspace: workspace || 'none', source });
+}
+
+/**
+ * Starts an LLM latency timer.
+ * @param {string} workspace - Workspace slug.
+ * @param {string} backend - LLM backend name.
+ * @returns {(outcome: 'success' | 'empty' | 'error') => void} Stops the timer with the outcome.
+ */
+export function startLlmTimer(workspace, backend) {
+    const end = llmQueryDuration.startTimer({ workspace: workspace || 'none', backend });
+    return (outcome) => end({ outcome });
+}
+
+/**
+ * Records a GitHub API call.
+ * @param {string} route - Route template (e.g., 'GET /repos/{owner}/{repo}/releases/latest').
+ * @param {'success' | 'error'} outcome - Call outcome.
+ * @param {number} durationSeconds - Call duration in seconds.
+ * @param {object} [headers] - Response headers; x-ratelimit-remaining updates the rate limit gauge.
+ */
+export function recordGithubRequest(route, outcome, durationSeconds, headers) {
+    githubRequestDuration.observe({ route, outcome }, durationSeconds);
+    const remaining = typeof headers?.get === 'function' ? headers.get('x-ratelimit-remaining') : headers?.['x-ratelimit-remaining'];
+    if (remaining !== undefined && remaining !== null && !isNaN(Number(remaining))) githubRateLimitRemaining.set(Number(remaining));
+    if (outcome === 'error') recordError('github');
+}
+
+/**
+ * Registers the function reporting running handler jobs per type (used by the in-flight gauge).
+ * @param {() => Record<string, number>} provider - Returns { jobType: runningCount }.
+ */
+export function setInFlightProvider(provider) {
+    inFlightProvider = provider;
+}
+
+console.log("[Metrics Service] Initialized.");
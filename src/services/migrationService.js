@@ -0,0 +1,190 @@
+// src/services/migrationService.js
+// Versioned SQL migrations (src/db/migrations/NNNN_name.sql) tracked in the schema_migrations table,
+// plus the startup schema check that keeps Orbit from running against a database it doesn't match.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { databaseUrl, DB_MIGRATE_ON_STARTUP } from '../config.js';
+import { dbPool } from './dbService.js';
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../db/migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([\w-]+)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock so concurrently starting instances don't migrate at the same time
+const MIGRATION_LOCK_KEY = 7402113;
+
+/**
+ * Columns the services query, per table. Checked at startup in addition to the migration history,
+ * so hand-made or partially applied schemas are caught before the first request fails.
+ */
+const REQUIRED_COLUMNS = {
+    feedback: ['id', 'feedback_value', 'user_id', 'channel_id', 'bot_message_ts', 'original_user_message_ts', 'action_id', 'sphere_slug', 'bot_message_text', 'original_user_message_text', 'created_at'],
+    slack_anythingllm_threads: ['slack_channel_id', 'slack_thread_ts', 'anythingllm_workspace_slug', 'anythingllm_thread_slug', 'created_at', 'last_accessed_at'],
+    settings: ['team_id', 'key', 'value', 'updated_by', 'updated_at'],
+    settings_history: ['id', 'team_id', 'key', 'old_value', 'new_value', 'changed_by', 'changed_at'],
+    slack_installations: ['team_id', 'team_name', 'enterprise_id', 'bot_token', 'bot_user_id', 'bot_id', 'scopes', 'installed_by', 'installed_at', 'updated_at'],
+};
+
+/**
+ * =============================================================================
+ * MIGRATION FILES
+ * =============================================================================
+ */
+
+/**
+ * Reads the migration files in version order.
+ * @returns {Array<{version: string, name: string, sql: string, checksum: string}>}
+ * @throws {Error} If two files share a version.
+ */
+export function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+            return { version: match[1], name: match[2], sql, checksum: crypto.createHash('sha256').update(sql).digest('hex') };
+        })
+        .sort((a, b) => a.version.localeCompare(b.version));
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version} (${migrations[i - 1].name}, ${migrations[i].name}).`);
+        }
+    }
+    return migrations;
+}
+
+/**
+ * Creates the schema_migrations table if needed and returns the applied migrations.
+ * @param {object} client - pg client or pool.
+ * @returns {Promise<Map<string, {name: string, checksum: string, applied_at: Date}>>} version -> row
+ */
+async function getAppliedMigrations(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(10) PRIMARY KEY,
+            name VARCHAR(200) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );`);
+    const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version;');
+    return new Map(rows.map(row => [row.version, row]));
+}
+
+/**
+ * =============================================================================
+ * RUNNER
+ * =============================================================================
+ */
+
+/**
+ * Applies pending migrations in order, each in its own transaction.
+ * Holds a Postgres advisory lock so only one instance migrates at a time.
+ * @returns {Promise<string[]>} Applied migrations ("0001_initial_schema"), empty if none were pending.
+ * @throws {Error} If DATABASE_URL is not set or a migration fails (that migration is rolled back).
+ */
+export async function runMigrations() {
+    if (!databaseUrl) throw new Error('DATABASE_URL not set. Nothing to migrate.');
+    const migrations = loadMigrations();
+    const applied = [];
+
+    const client = await dbPool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1);', [MIGRATION_LOCK_KEY]);
+        const alreadyApplied = await getAppliedMigrations(client);
+
+        for (const migration of migrations) {
+            if (alreadyApplied.has(migration.version)) continue;
+            const label = `${migration.version}_${migration.name}`;
+            console.log(`[Migrations] Applying ${label}...`);
+            try {
+                await client.query('BEGIN;');
+                await client.query(migration.sql);
+                await client.query('INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3);', [migration.version, migration.name, migration.checksum]);
+                await client.query('COMMIT;');
+            } catch (error) {
+                await client.query('ROLLBACK;').catch(() => {});
+                throw new Error(`Migration ${label} failed: ${error.message}`);
+            }
+            applied.push(label);
+        }
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1);', [MIGRATION_LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+
+    console.log(applied.length > 0 ? `[Migrations] Applied ${applied.length} migration(s): ${applied.join(', ')}` : '[Migrations] Schema up to date.');
+    return applied;
+}
+
+/**
+ * =============================================================================
+ * SCHEMA CHECK
+ * =============================================================================
+ */
+
+/**
+ * Compares the database with the migration files and the columns the services need.
+ * @returns {Promise<{ok: boolean, problems: string[], applied: string[], pending: string[]}>}
+ *   `problems` lists every mismatch: pending, unknown or modified migrations and missing tables/columns.
+ * @throws {Error} If DATABASE_URL is not set or the database can't be queried.
+ */
+export async function checkSchema() {
+    if (!databaseUrl) throw new Error('DATABASE_URL not set. No schema to check.');
+    const migrations = loadMigrations();
+    const alreadyApplied = await getAppliedMigrations(dbPool);
+    const problems = [];
+
+    const known = new Set(migrations.map(m => m.version));
+    const pending = migrations.filter(m => !alreadyApplied.has(m.version)).map(m => `${m.version}_${m.name}`);
+    if (pending.length > 0) problems.push(`Pending migrations: ${pending.join(', ')} (run \`npm run migrate\`).`);
+
+    for (const [version, row] of alreadyApplied) {
+        if (!known.has(version)) problems.push(`Migration ${version}_${row.name} is applied but missing from this build (database is newer than the code?).`);
+    }
+    for (const migration of migrations) {
+        const row = alreadyApplied.get(migration.version);
+        if (row && row.checksum !== migration.checksum) problems.push(`Migration ${migration.version}_${migration.name} was modified after it was applied (checksum mismatch).`);
+    }
+
+    const { rows } = await dbPool.query(
+        `SELECT table_name, column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ANY($1);`,
+        [Object.keys(REQUIRED_COLUMNS)]
+    );
+    const existing = new Set(rows.map(row => `${row.table_name}.${row.column_name}`));
+    for (const [table, columns] of Object.entries(REQUIRED_COLUMNS)) {
+        const missing = columns.filter(column => !existing.has(`${table}.${column}`));
+        if (missing.length === columns.length) problems.push(`Table ${table} is missing.`);
+        else if (missing.length > 0) problems.push(`Table ${table} is missing column(s): ${missing.join(', ')}.`);
+    }
+
+    return { ok: problems.length === 0, problems, applied: [...alreadyApplied.values()].map(row => `${row.version}_${row.name}`), pending };
+}
+
+/**
+ * Startup step: applies pending migrations (if DB_MIGRATE_ON_STARTUP) and checks the schema.
+ * Does nothing without DATABASE_URL. An unreachable database is logged and tolerated (the DB is optional,
+ * /readyz reports it); a reachable database with a mismatching schema is not.
+ * @returns {Promise<{ok: boolean, problems: string[]}>} ok=false only on a schema mismatch.
+ */
+export async function ensureDatabaseSchema() {
+    if (!databaseUrl) return { ok: true, problems: [] };
+    try {
+        await dbPool.query('SELECT 1;');
+    } catch (error) {
+        console.error('[Migrations] Database unreachable, skipping migrations and schema check:', error.message);
+        return { ok: true, problems: [] };
+    }
+    try {
+        if (DB_MIGRATE_ON_STARTUP) await runMigrations();
+        const result = await checkSchema();
+        if (result.ok) console.log(`[Migrations] Schema check passed (${result.applied.length} migration(s) applied).`);
+        return result;
+    } catch (error) {
+        return { ok: false, problems: [error.message] };
+    }
+}
+
+console.log("[Migration Service] Initialized.");
@@ -0,0 +1,128 @@
+// src/services/rateLimitService.js
+// Token-bucket rate limiting per user and per channel, configurable per command class.
+// Uses Redis (atomic Lua script) so limits are shared across instances, with an in-memory fallback.
+
+import { RATE_LIMIT_ENABLED, RATE_LIMITS, RATE_LIMIT_REDIS_PREFIX } from '../config.js';
+import { redisClient, isRedisReady } from './redisService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Rate Limit');
+
+/**
+ * Checks every bucket and consumes one token from each only if all of them have one.
+ * KEYS: bucket keys. ARGV: now (ms), then capacity and refill-per-ms for each key.
+ * Returns { allowed (1/0), retryAfterMs }.
+ */
+const TOKEN_BUCKET_SCRIPT = `
+local now = tonumber(ARGV[1])
+local tokens = {}
+local wait = 0
+for i, key in ipairs(KEYS) do
+    local capacity = tonumber(ARGV[i * 2])
+    local rate = tonumber(ARGV[i * 2 + 1])
+    local state = redis.call('HMGET', key, 'tokens', 'ts')
+    local current = tonumber(state[1]) or capacity
+    local last = tonumber(state[2]) or now
+    current = math.min(capacity, current + (now - last) * rate)
+    tokens[i] = current
+    if current < 1 then wait = math.max(wait, math.ceil((1 - current) / rate)) end
+end
+if wait > 0 then
+    for i, key in ipairs(KEYS) do
+        redis.call('HSET', key, 'tokens', tokens[i], 'ts', now)
+    end
+    return { 0, wait }
+end
+for i, key in ipairs(KEYS) do
+    local capacity = tonumber(ARGV[i * 2])
+    local rate = tonumber(ARGV[i * 2 + 1])
+    redis.call('HSET', key, 'tokens', tokens[i] - 1, 'ts', now)
+    redis.call('PEXPIRE', key, math.ceil(capacity / rate))
+end
+return { 1, 0 }
+`;
+
+// In-memory buckets (fallback when Redis is unavailable): key -> { tokens, ts }
+const memoryBuckets = new Map();
+const MEMORY_PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Builds the bucket definitions (key, capacity, refill rate) for a request.
+ * @param {string} commandClass - Command class (key of RATE_LIMITS).
+ * @param {{userId?: string, channelId?: string}} subject - Who/where the request came from.
+ * @returns {Array<{key: string, capacity: number, ratePerMs: number}>}
+ */
+function getBuckets(commandClass, { userId, channelId }) {
+    const limits = RATE_LIMITS[commandClass];
+    const buckets = [];
+    if (userId && limits?.user) {
+        buckets.push({ key: `${RATE_LIMIT_REDIS_PREFIX}${commandClass}:user:${userId}`, capacity: limits.user.burst, ratePerMs: limits.user.perMinute / 60000 });
+    }
+    if (channelId && limits?.channel) {
+        buckets.push({ key: `${RATE_LIMIT_REDIS_PREFIX}${commandClass}:channel:${channelId}`, capacity: limits.channel.burst, ratePerMs: limits.channel.perMinute / 60000 });
+    }
+    return buckets;
+}
+
+/**
+ * In-memory equivalent of TOKEN_BUCKET_SCRIPT.
+ * @param {Array<{key: string, capacity: number, ratePerMs: number}>} buckets - Buckets to check.
+ * @param {number} now - Current time (ms).
+ * @returns {{allowed: boolean, retryAfterMs: number}}
+ */
+function consumeMemory(buckets, now) {
+    let wait = 0;
+    const tokens = buckets.map(({ key, capacity, ratePerMs }) => {
+        const state = memoryBuckets.get(key) || { tokens: capacity, ts: now };
+        const current = Math.min(capacity, state.tokens + (now - state.ts) * ratePerMs);
+        if (current < 1) wait = Math.max(wait, Math.ceil((1 - current) / ratePerMs));
+        return current;
+    });
+    const allowed = wait === 0;
+    buckets.forEach(({ key }, i) => memoryBuckets.set(key, { tokens: allowed ? tokens[i] - 1 : tokens[i], ts: now }));
+    return { allowed, retryAfterMs: wait };
+}
+
+/**
+ * Checks (and consumes) the rate limit for a command class. Uses in-memory buckets when Redis is unavailable.
+ * @param {string | null} commandClass - 'llm_question', 'github_read', 'github_write' or 'export'. Null means unlimited.
+ * @param {object} subject - Who/where the request came from.
+ * @param {string} [subject.userId] - Slack user ID.
+ * @param {string} [subject.channelId] - Slack channel ID.
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds: number}>}
+ */
+export async function checkRateLimit(commandClass, { userId, channelId } = {}) {
+    if (!RATE_LIMIT_ENABLED || !commandClass) return { allowed: true, retryAfterSeconds: 0 };
+    const buckets = getBuckets(commandClass, { userId, channelId });
+    if (buckets.length === 0) return { allowed: true, retryAfterSeconds: 0 };
+
+    const now = Date.now();
+    let result = null;
+    if (isRedisReady && redisClient) {
+        try {
+            const [allowed, retryAfterMs] = await redisClient.eval(TOKEN_BUCKET_SCRIPT, {
+                keys: buckets.map(b => b.key),
+                arguments: [String(now), ...buckets.flatMap(b => [String(b.capacity), String(b.ratePerMs)])]
+            });
+            result = { allowed: allowed === 1, retryAfterMs: Number(retryAfterMs) };
+        } catch (error) {
+            log.error(`Redis check failed for ${commandClass}, using in-memory buckets: ${error.message}`);
+        }
+    }
+    if (!result) result = consumeMemory(buckets, now);
+
+    if (!result.allowed) {
+        log.info(`Limited ${commandClass}: User=${userId || '-'}, Chan=${channelId || '-'}, retry in ${result.retryAfterMs}ms`);
+    }
+    return { allowed: result.allowed, retryAfterSeconds: Math.ceil(result.retryAfterMs / 1000) };
+}
+
+// Drop idle in-memory buckets (long since refilled)
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, state] of memoryBuckets) {
+        if (now - state.ts > MEMORY_PRUNE_INTERVAL_MS) memoryBuckets.delete(key);
+    }
+}, MEMORY_PRUNE_INTERVAL_MS).unref();
+
+createLogger('Rate Limit Service').info(`Initialized. Enabled: ${RATE_LIMIT_ENABLED}`);
@@ -47,7 +47,7 @@ if (redisUrl) {
     }
 
 } else {
-    console.warn("[Redis Service] REDIS_URL not provided. Redis features (deduplication) disabled. Using dummy client.");
+    console.warn("[Redis Service] REDIS_URL not provided. Redis features (cross-instance deduplication) disabled. Using dummy client.");
     redisClient = { // Dummy client implementation
         get: async () => null, set: async () => null, del: async () => 0,
         quit: async () => {}, isOpen: false, isReady: false,
@@ -78,4 +78,19 @@ export async function isDuplicateRedis(eventId) {
     }
 }
 
+/**
+ * Removes an event ID recorded by isDuplicateRedis, so a redelivery of the event is processed again.
+ * @param {string} eventId - The unique ID of the event.
+ * @returns {Promise<void>} Resolves once removed (errors are logged, not thrown).
+ */
+export async function forgetEventRedis(eventId) {
+    if (!isRedisReady || !redisClient || !eventId) return;
+    const key = `${DUPLICATE_EVENT_REDIS_PREFIX}${eventId}`;
+    try {
+        await redisClient.del(key);
+    } catch (error) {
+        console.error(`[Redis Dedupe] Error removing key ${key}:`, error);
+    }
+}
+
 console.log(`[Redis Service] Initialized. Redis Ready: ${isRedisReady}`);
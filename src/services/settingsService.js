@@ -0,0 +1,265 @@
+// src/services/settingsService.js
+// Runtime settings that can change without a redeploy. Each key has a type and an env default (config.js);
+// overrides live in the settings table (with history), are cached in Redis (memory without Redis) and managed with /orbit-config.
+// Overrides are per Slack team: teams installed through OAuth use their own, falling back to those of the env-configured workspace.
+
+import {
+    BOT_ON_BREAK,
+    FEEDBACK_SYSTEM_ENABLED,
+    intentConfidenceThreshold,
+    workspaceMapping,
+    userWorkspaceMapping,
+    databaseUrl,
+    SETTINGS_CACHE_KEY,
+    SETTINGS_CACHE_TTL
+} from '../config.js';
+import { redisClient, isRedisReady } from './redisService.js';
+import { getSettingOverrides, storeSettingOverride, getSettingHistory } from './dbService.js';
+import { getSlackTeam } from './slackService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Settings Service');
+
+/**
+ * Runtime setting definitions. Keys match the env vars that provide their defaults.
+ * Types: 'boolean', 'number' (optional min/max), 'mapping' (JSON object of ID -> workspace slug).
+ */
+const SETTING_DEFINITIONS = {
+    BOT_ON_BREAK: { type: 'boolean', default: BOT_ON_BREAK, description: 'Reply with the "off duty" message instead of answering.' },
+    FEEDBACK_SYSTEM_ENABLED: { type: 'boolean', default: FEEDBACK_SYSTEM_ENABLED, description: 'Add feedback buttons under substantive answers.' },
+    INTENT_CONFIDENCE_THRESHOLD: { type: 'number', min: 0, max: 1, default: intentConfidenceThreshold, description: 'Minimum intent confidence for intent-based routing.' },
+    WORKSPACE_MAPPING: { type: 'mapping', default: workspaceMapping, description: 'Channel ID -> workspace slug.' },
+    SLACK_USER_WORKSPACE_MAPPING: { type: 'mapping', default: userWorkspaceMapping, description: 'User ID -> workspace slug (needs ENABLE_USER_WORKSPACES).' },
+};
+
+// Overrides cache when Redis is unavailable, and the last successful DB read (used if the DB goes away)
+let memoryCache = null; // { overrides, expiresAt }
+let lastKnownOverrides = {};
+
+/**
+ * =============================================================================
+ * CACHE
+ * =============================================================================
+ */
+
+/**
+ * Loads the overrides of all teams from the cache, or from the DB on a miss.
+ * @returns {Promise<Record<string, Record<string, {value: *, updated_by: string | null, updated_at: string}>>>} team scope -> key -> override.
+ */
+async function loadOverrides() {
+    if (!databaseUrl) return {};
+
+    if (isRedisReady && redisClient) {
+        try {
+            const cached = await redisClient.get(SETTINGS_CACHE_KEY);
+            if (cached) return JSON.parse(cached);
+        } catch (error) {
+            log.warn(`Redis cache read failed, reading the DB: ${error.message}`);
+        }
+    } else if (memoryCache && memoryCache.expiresAt > Date.now()) {
+        return memoryCache.overrides;
+    }
+
+    try {
+        const overrides = await getSettingOverrides();
+        lastKnownOverrides = overrides;
+        if (isRedisReady && redisClient) {
+            await redisClient.set(SETTINGS_CACHE_KEY, JSON.stringify(overrides), { EX: SETTINGS_CACHE_TTL })
+                .catch(error => log.warn(`Redis cache write failed: ${error.message}`));
+        } else {
+            memoryCache = { overrides, expiresAt: Date.now() + SETTINGS_CACHE_TTL * 1000 };
+        }
+        return overrides;
+    } catch (error) {
+        log.error(`Failed to load overrides, using last known values: ${error.message}`);
+        return lastKnownOverrides;
+    }
+}
+
+/**
+ * Drops the cached overrides so the next read (on every instance sharing Redis) sees a change immediately.
+ */
+async function invalidateCache() {
+    memoryCache = null;
+    if (isRedisReady && redisClient) {
+        await redisClient.del(SETTINGS_CACHE_KEY).catch(error => log.warn(`Redis cache delete failed: ${error.message}`));
+    }
+}
+
+/**
+ * =============================================================================
+ * PARSING
+ * =============================================================================
+ */
+
+/**
+ * Returns the definition of a setting key.
+ * @param {string} key - Setting key (case-insensitive).
+ * @returns {{key: string, definition: object}}
+ * @throws {Error} If the key is unknown.
+ */
+function resolveKey(key) {
+    const normalizedKey = String(key || '').trim().toUpperCase();
+    const definition = SETTING_DEFINITIONS[normalizedKey];
+    if (!definition) throw new Error(`Unknown setting \`${key}\`. Known settings: ${Object.keys(SETTING_DEFINITIONS).join(', ')}.`);
+    return { key: normalizedKey, definition };
+}
+
+/**
+ * Returns the settings scope of the team being handled: its team ID if it installed Orbit through OAuth, else ''.
+ * @returns {string}
+ */
+function currentScope() {
+    const { teamId, installed } = getSlackTeam();
+    return installed ? teamId : '';
+}
+
+/**
+ * Finds the override of a key that applies to a scope: the team's own, else the one set for all teams ('').
+ * @param {object} overrides - Result of loadOverrides().
+ * @param {string} scope - Team scope.
+ * @param {string} key - Normalized setting key.
+ * @returns {{override: object | undefined, inherited: boolean}}
+ */
+function findOverride(overrides, scope, key) {
+    const own = overrides[scope]?.[key];
+    if (own || !scope) return { override: own, inherited: false };
+    const shared = overrides['']?.[key];
+    return { override: shared, inherited: Boolean(shared) };
+}
+
+/**
+ * Parses and validates a raw text value for a setting.
+ * @param {string} key - Normalized setting key.
+ * @param {object} definition - Setting definition.
+ * @param {string} rawValue - Value as typed by the admin.
+ * @returns {boolean | number | Record<string, string>}
+ * @throws {Error} If the value doesn't match the setting's type.
+ */
+function parseSettingValue(key, definition, rawValue) {
+    const text = String(rawValue ?? '').trim();
+    switch (definition.type) {
+        case 'boolean':
+            if (/^(true|on|yes|1)$/i.test(text)) return true;
+            if (/^(false|off|no|0)$/i.test(text)) return false;
+            throw new Error(`${key} must be true or false.`);
+        case 'number': {
+            const number = Number(text);
+            if (text === '' || isNaN(number)) throw new Error(`${key} must be a number.`);
+            if ((definition.min !== undefined && number < definition.min) || (definition.max !== undefined && number > definition.max)) {
+                throw new Error(`${key} must be between ${definition.min} and ${definition.max}.`);
+            }
+            return number;
+        }
+        case 'mapping': {
+            let mapping;
+            try { mapping = JSON.parse(text); } catch { throw new Error(`${key} must be a JSON object, e.g. {"C0123ABC":"my-workspace"}.`); }
+            if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || !Object.values(mapping).every(slug => typeof slug === 'string' && slug.trim())) {
+                throw new Error(`${key} must be a JSON object of ID -> workspace slug strings.`);
+            }
+            return mapping;
+        }
+        default:
+            throw new Error(`Setting ${key} has unsupported type '${definition.type}'.`);
+    }
+}
+
+/**
+ * =============================================================================
+ * PUBLIC API
+ * =============================================================================
+ */
+
+/**
+ * Returns the current value of a runtime setting for the team being handled (override if set, else the env default).
+ * @param {string} key - Setting key (e.g., 'BOT_ON_BREAK').
+ * @returns {Promise<*>}
+ * @throws {Error} If the key is unknown.
+ */
+export async function getSetting(key) {
+    const { key: normalizedKey, definition } = resolveKey(key);
+    const { override } = findOverride(await loadOverrides(), currentScope(), normalizedKey);
+    return override ? override.value : definition.default;
+}
+
+/**
+ * Lists all runtime settings with their current values for the team being handled.
+ * @returns {Promise<Array<{key: string, type: string, description: string, value: *, defaultValue: *, source: 'override' | 'inherited' | 'default', updatedBy: string | null, updatedAt: string | null}>>}
+ *   source 'inherited': the override set in the env-configured workspace applies (the team has none of its own).
+ */
+export async function listSettings() {
+    const overrides = await loadOverrides();
+    const scope = currentScope();
+    return Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => {
+        const { override, inherited } = findOverride(overrides, scope, key);
+        return {
+            key,
+            type: definition.type,
+            description: definition.description,
+            value: override ? override.value : definition.default,
+            defaultValue: definition.default,
+            source: !override ? 'default' : inherited ? 'inherited' : 'override',
+            updatedBy: override?.updated_by || null,
+            updatedAt: override?.updated_at ? String(override.updated_at) : null,
+        };
+    });
+}
+
+/**
+ * Returns the value a scope falls back to without its own override (the shared override, else the env default).
+ * @param {string} scope - Team scope.
+ * @param {string} key - Normalized setting key.
+ * @param {object} definition - Setting definition.
+ * @returns {Promise<*>}
+ */
+async function getFallbackValue(scope, key, definition) {
+    const shared = scope ? (await loadOverrides())['']?.[key] : undefined;
+    return shared ? shared.value : definition.default;
+}
+
+/**
+ * Stores an override for a runtime setting, for the team being handled.
+ * @param {string} key - Setting key (case-insensitive).
+ * @param {string} rawValue - Value as text ('true', '0.8', '{"C1":"ws"}').
+ * @param {string} userId - Slack user ID making the change (recorded in the history).
+ * @returns {Promise<{key: string, value: *, oldValue: *}>} oldValue is the previous effective value.
+ * @throws {Error} If the key/value is invalid or the DB is unavailable.
+ */
+export async function setSetting(key, rawValue, userId) {
+    const { key: normalizedKey, definition } = resolveKey(key);
+    const value = parseSettingValue(normalizedKey, definition, rawValue);
+    const scope = currentScope();
+    const { oldValue } = await storeSettingOverride(scope, normalizedKey, value, userId);
+    await invalidateCache();
+    return { key: normalizedKey, value, oldValue: oldValue ?? await getFallbackValue(scope, normalizedKey, definition) };
+}
+
+/**
+ * Removes the team's override of a runtime setting, so the shared override or env default applies again.
+ * @param {string} key - Setting key (case-insensitive).
+ * @param {string} userId - Slack user ID making the change.
+ * @returns {Promise<{key: string, value: *, oldValue: *}>} value is the value now in effect.
+ * @throws {Error} If the key is unknown or the DB is unavailable.
+ */
+export async function unsetSetting(key, userId) {
+    const { key: normalizedKey, definition } = resolveKey(key);
+    const scope = currentScope();
+    const { oldValue } = await storeSettingOverride(scope, normalizedKey, null, userId);
+    await invalidateCache();
+    const value = await getFallbackValue(scope, normalizedKey, definition);
+    return { key: normalizedKey, value, oldValue: oldValue ?? value };
+}
+
+/**
+ * Returns the latest changes of one or all settings of the team being handled, newest first.
+ * @param {string | null} [key=null] - Setting key, or null for all settings.
+ * @param {number} [limit=10] - Max entries.
+ * @returns {Promise<Array<{key: string, old_value: *, new_value: *, changed_by: string, changed_at: Date}>>}
+ *   new_value is null when the override was removed.
+ * @throws {Error} If the key is unknown or the DB is unavailable.
+ */
+export async function getSettingChanges(key = null, limit = 10) {
+    return getSettingHistory(currentScope(), key ? resolveKey(key).key : null, limit);
+}
+
+log.info(`Initialized. Keys: ${Object.keys(SETTING_DEFINITIONS).join(', ')}`);
@@ -1,64 +1,316 @@
 
+import { AsyncLocalStorage } from 'async_hooks';
+import axios from 'axios';
 import { WebClient } from '@slack/web-api';
 import { createEventAdapter } from '@slack/events-api';
-import { botToken, signingSecret } from '../config.js';
+import { botToken, botUserId, signingSecret, slackTransport, SLACK_OUTBOUND_MAX_RETRIES } from '../config.js';
+import { getInstallation } from './installationService.js';
+import { captureJobCommit } from './jobQueueService.js';
+import { createLogger, logContent } from '../utils/logger.js';
+
+const log = createLogger('Slack Service');
+const queueLog = log.child('Queue');
+const postLog = log.child('Post');
+const updateLog = log.child('Update');
+const deleteLog = log.child('Delete');
+const historyLog = log.child('History');
 
 // --- Slack Clients Initialization ---
 export let slackClient = null;
 export let slackEvents = null;
+// Same token, but rate-limited calls are rejected instead of retried inside the client: used by the outbound queue
+// and fetchSlackHistory, which retry them themselves (see below). Other calls keep the WebClient's own 429 retries.
+let slackQueueClient = null;
 
-if (botToken && signingSecret) {
+// Socket Mode receives events over a WebSocket (core/socketModeTransport.js), so the signing secret is only needed for HTTP.
+if (botToken && (signingSecret || slackTransport === 'socket')) {
     try {
         // Initialize WebClient for API calls
         slackClient = new WebClient(botToken);
-        console.log("[Slack Service] WebClient initialized.");
+        slackQueueClient = new WebClient(botToken, { rejectRateLimitedCalls: true });
+        log.info("WebClient initialized.");
 
-        // Initialize Events API Adapter for receiving events
-        slackEvents = createEventAdapter(signingSecret, {
-            includeBody: true, // Useful for event deduplication using event_id
-            includeHeaders: true, // Useful for debugging signature verification
-        });
-        console.log("[Slack Service] Events Adapter initialized.");
+        // Initialize Events API Adapter for receiving events (HTTP transport only)
+        if (slackTransport === 'http') {
+            slackEvents = createEventAdapter(signingSecret, {
+                includeBody: true, // Useful for event deduplication using event_id
+                includeHeaders: true, // Useful for debugging signature verification
+            });
+            log.info("Events Adapter initialized.");
+        } else {
+            log.info(`Transport is '${slackTransport}'. Events Adapter not created.`);
+        }
 
         // Optional: Verify authentication on startup
         slackClient.auth.test()
             .then(result => {
                 if (result.ok) {
-                    console.log(`[Slack Service] Auth test successful: Bot ID ${result.bot_id}, User ID ${result.user_id}, Team ${result.team}`);
+                    log.info(`Auth test successful: Bot ID ${result.bot_id}, User ID ${result.user_id}, Team ${result.team}`);
                 } else {
-                    console.error(`[Slack Service] Auth test failed: ${result.error}`);
+                    log.error(`Auth test failed: ${result.error}`);
                 }
             })
             .catch(error => {
-                 console.error("[Slack Service] Auth test API call failed:", error.message);
+                 log.error(`Auth test API call failed: ${error.message}`);
                  // Consider if this should prevent startup
             });
 
     } catch (error) {
-        console.error("[Slack Service] Failed to initialize Slack clients:", error);
+        log.error("Failed to initialize Slack clients", error);
         slackClient = null;
+        slackQueueClient = null;
         slackEvents = null;
     }
 } else {
-    console.error("[Slack Service] SLACK_BOT_TOKEN or SLACK_SIGNING_SECRET missing. Slack functionality disabled.");
+    log.error("SLACK_BOT_TOKEN or SLACK_SIGNING_SECRET missing. Slack functionality disabled.");
     // Create dummy clients to prevent null errors elsewhere, but functionality will be broken
     slackClient = {
-        chat: { postMessage: async (...args) => { console.error("Slack dummy chat.postMessage:", args); return { ok: false, error: 'client_not_initialized' }; }, update: async (...args) => { console.error("Slack dummy chat.update:", args); return { ok: false, error: 'client_not_initialized' }; }, delete: async (...args) => { console.error("Slack dummy chat.delete:", args); return { ok: false, error: 'client_not_initialized' }; } },
-        conversations: { history: async (...args) => { console.error("Slack dummy conv.history:", args); return { ok: false, error: 'client_not_initialized', messages: [] }; }, replies: async (...args) => { console.error("Slack dummy conv.replies:", args); return { ok: false, error: 'client_not_initialized', messages: [] }; }, info: async (...args) => { console.error("Slack dummy conv.info:", args); return { ok: false, error: 'client_not_initialized' }; } },
-        users: { info: async (...args) => { console.error("Slack dummy users.info:", args); return { ok: false, error: 'client_not_initialized' }; } },
-        auth: { test: async () => { console.error("Slack dummy auth.test called"); return { ok: false, error: 'client_not_initialized' }; } },
-        views: { open: async (...args) => { console.error("Slack dummy views.open:", args); return { ok: false, error: 'client_not_initialized' }; } } // Add other methods as needed
+        chat: { postMessage: async (...args) => { log.error(`Dummy chat.postMessage called: ${logContent(args)}`); return { ok: false, error: 'client_not_initialized' }; }, update: async (...args) => { log.error(`Dummy chat.update called: ${logContent(args)}`); return { ok: false, error: 'client_not_initialized' }; }, delete: async (...args) => { log.error(`Dummy chat.delete called: ${logContent(args)}`); return { ok: false, error: 'client_not_initialized' }; } },
+        conversations: { history: async (...args) => { log.error(`Dummy conv.history called: ${logContent(args)}`); return { ok: false, error: 'client_not_initialized', messages: [] }; }, replies: async (...args) => { log.error(`Dummy conv.replies called: ${logContent(args)}`); return { ok: false, error: 'client_not_initialized', messages: [] }; }, info: async (...args) => { log.error(`Dummy conv.info called: ${logContent(args)}`); return { ok: false, error: 'client_not_initialized' }; } },
+        users: { info: async (...args) => { log.error(`Dummy users.info called: ${logContent(args)}`); return { ok: false, error: 'client_not_initialized' }; } },
+        auth: { test: async () => { log.error("Dummy auth.test called"); return { ok: false, error: 'client_not_initialized' }; } },
+        views: { open: async (...args) => { log.error(`Dummy views.open called: ${logContent(args)}`); return { ok: false, error: 'client_not_initialized' }; } } // Add other methods as needed
     };
+    slackQueueClient = slackClient;
     slackEvents = { // Dummy event adapter
-        requestListener: () => (req, res) => { console.error("Slack dummy event listener called"); res.status(503).send("Slack Service Unavailable"); },
-        on: (eventName, listener) => { console.warn(`Slack dummy event adapter ignoring listener for '${eventName}'`); }
+        requestListener: () => (req, res) => { log.error("Dummy event listener called"); res.status(503).send("Slack Service Unavailable"); },
+        on: (eventName, listener) => { log.warn(`Dummy event adapter ignoring listener for '${eventName}'`); }
     };
 }
 
+// --- Per-Team Clients ---
+// Teams that installed Orbit through OAuth (services/installationService.js) get their own WebClient.
+// The client of the team being handled is carried through async calls, like the logger's correlation ID.
+
+// Current team context: { teamId, client, botUserId, installed }
+const teamContext = new AsyncLocalStorage();
+
+// WebClients of installed teams, recreated when the team's token changes (re-install)
+const teamClients = new Map(); // teamId -> { token, client, queueClient }
+
+/**
+ * Returns the WebClients for an installation, reusing them while the token is unchanged.
+ * @param {{team_id: string, bot_token: string}} installation - Row of slack_installations.
+ * @returns {{client: WebClient, queueClient: WebClient}} The default client and the outbound queue's client.
+ */
+function getTeamClients(installation) {
+    const cached = teamClients.get(installation.team_id);
+    if (cached && cached.token === installation.bot_token) return cached;
+    const clients = {
+        token: installation.bot_token,
+        client: new WebClient(installation.bot_token),
+        queueClient: new WebClient(installation.bot_token, { rejectRateLimitedCalls: true }),
+    };
+    teamClients.set(installation.team_id, clients);
+    return clients;
+}
+
+/**
+ * Runs a function with the Slack client and bot user of a team. Teams without an OAuth installation
+ * (including the env-configured workspace) use SLACK_BOT_TOKEN / SLACK_BOT_USER_ID.
+ * @param {string | null | undefined} teamId - Slack team ID (`team_id` of the event/command, `team.id` of interactions).
+ * @param {Function} fn - Function to run (its return value is returned).
+ * @returns {Promise<*>}
+ */
+export async function withSlackTeam(teamId, fn) {
+    const installation = await getInstallation(teamId);
+    if (!installation) return withSlackClient({ teamId: teamId || null, client: slackClient, queueClient: slackQueueClient, botUserId, installed: false }, fn);
+    const { client, queueClient } = getTeamClients(installation);
+    return withSlackClient({ teamId, client, queueClient, botUserId: installation.bot_user_id, installed: true }, fn);
+}
+
+/**
+ * Runs a function with an explicit Slack client (e.g., the chat simulator's in-memory client).
+ * @param {{client: object, botUserId: string, queueClient?: object, teamId?: string | null, installed?: boolean}} context - Client
+ *   and bot user to use. `queueClient` (rejecting rate-limited calls) defaults to `client`.
+ * @param {Function} fn - Function to run (its return value is returned).
+ * @returns {*}
+ */
+export function withSlackClient(context, fn) {
+    return teamContext.run({ teamId: null, installed: false, ...context }, fn);
+}
+
+/**
+ * Returns the Slack WebClient of the current team (see withSlackTeam), or the default client.
+ * @returns {WebClient | object}
+ */
+export function getSlackClient() {
+    return teamContext.getStore()?.client || slackClient;
+}
+
+/**
+ * Returns the current team's client that rejects rate-limited calls (HTTP 429) instead of retrying them, for callers
+ * that retry themselves: the outbound queue and fetchSlackHistory.
+ * @returns {WebClient | object}
+ */
+function getQueueClient() {
+    const context = teamContext.getStore();
+    return context?.queueClient || context?.client || slackQueueClient;
+}
+
+/**
+ * Returns Orbit's bot user ID in the current team, or SLACK_BOT_USER_ID.
+ * @returns {string | undefined}
+ */
+export function getBotUserId() {
+    return teamContext.getStore()?.botUserId || botUserId;
+}
+
+/**
+ * Returns the current team and whether it installed Orbit through OAuth. Settings of installed teams are
+ * scoped to their team ID; the env-configured workspace uses scope '' (the defaults of every team).
+ * @returns {{teamId: string | null, installed: boolean}}
+ */
+export function getSlackTeam() {
+    const context = teamContext.getStore();
+    return { teamId: context?.teamId || null, installed: Boolean(context?.installed) };
+}
+
+/**
+ * =============================================================================
+ * OUTBOUND QUEUE
+ * =============================================================================
+ */
+// Slack writes (post, update, delete, ephemeral) go through one queue per channel: calls run one at a time in the
+// order they were made, a rate-limited call (HTTP 429) pauses the channel for Retry-After and is retried, and a
+// chat.update still waiting behind other calls absorbs later updates of the same message (only the latest is sent).
+
+// channel -> { ops: Array<{method, args, client, attempts, started, waiters}>, running: boolean }
+const outboundQueues = new Map();
+
+/**
+ * Returns how long to wait before retrying a rate-limited call, or null if the error isn't a rate limit.
+ * @param {Error} error - Error thrown by the WebClient.
+ * @returns {number | null} Milliseconds to wait.
+ */
+function getRetryAfterMs(error) {
+    if (error?.code === 'slack_webapi_rate_limited_error') return (Number(error.retryAfter) || 1) * 1000;
+    if (error?.data?.error === 'ratelimited') return 1000;
+    return null;
+}
+
+/**
+ * Runs the queued calls of a channel until the queue is empty.
+ * @param {string} channel - Channel ID (queue key).
+ * @param {{ops: object[], running: boolean}} queue - The channel's queue.
+ */
+async function drainOutboundQueue(channel, queue) {
+    if (queue.running) return;
+    queue.running = true;
+    while (queue.ops.length > 0) {
+        const op = queue.ops[0];
+        op.started = true; // Later updates no longer merge into it
+        try {
+            const [group, name] = op.method.split('.');
+            const result = await op.client[group][name](op.args);
+            queue.ops.shift();
+            await op.commitJob(); // Recorded before the caller continues, so the job is not re-run after this write
+            op.waiters.forEach(({ resolve }) => resolve(result));
+        } catch (error) {
+            const retryAfterMs = getRetryAfterMs(error);
+            if (retryAfterMs !== null && op.attempts < SLACK_OUTBOUND_MAX_RETRIES) {
+                op.attempts += 1;
+                op.started = false;
+                queueLog.warn(`${op.method} rate limited in ${channel}. Retrying in ${retryAfterMs}ms (attempt ${op.attempts}/${SLACK_OUTBOUND_MAX_RETRIES}).`);
+                await new Promise(resolve => setTimeout(resolve, retryAfterMs));
+                continue;
+            }
+            queue.ops.shift();
+            op.waiters.forEach(({ reject }) => reject(error));
+        }
+    }
+    queue.running = false;
+    if (outboundQueues.get(channel) === queue) outboundQueues.delete(channel);
+}
+
+/**
+ * Queues a Slack write for its channel, using the Slack client of the current team.
+ * Once the call succeeds, the job that queued it is marked committed, so it is not re-run (and this write repeated)
+ * after a failure or crash.
+ * @param {string} method - 'chat.postMessage', 'chat.update', 'chat.delete' or 'chat.postEphemeral'.
+ * @param {object} args - API arguments (must include `channel`).
+ * @param {boolean} [coalesce=false] - Merge into a waiting call of the same method for the same message (`args.ts`).
+ * @returns {Promise<object>} The API response, like calling the client directly.
+ * @throws {Error} The client's error once retries are exhausted (or immediately for other errors).
+ */
+function enqueueSlackCall(method, args, coalesce = false) {
+    const client = getQueueClient();
+    const commitJob = captureJobCommit();
+    const channel = args?.channel || '';
+    return new Promise((resolve, reject) => {
+        let queue = outboundQueues.get(channel);
+        if (!queue) {
+            queue = { ops: [], running: false };
+            outboundQueues.set(channel, queue);
+        }
+        if (coalesce && args.ts) {
+            const previous = queue.ops.findLast(op => op.args.ts === args.ts);
+            if (previous && !previous.started && previous.method === method && previous.client === client) {
+                previous.args = args;
+                previous.waiters.push({ resolve, reject });
+                return;
+            }
+        }
+        queue.ops.push({ method, args, client, commitJob, attempts: 0, started: false, waiters: [{ resolve, reject }] });
+        drainOutboundQueue(channel, queue);
+    });
+}
+
+/**
+ * Posts a message (chat.postMessage) through the channel's outbound queue.
+ * @param {object} args - chat.postMessage arguments (channel, text, blocks, thread_ts, ...).
+ * @returns {Promise<object>} The API response (incl. `ts`).
+ */
+export function enqueueSlackPost(args) {
+    return enqueueSlackCall('chat.postMessage', args);
+}
+
+/**
+ * Updates a message (chat.update) through the channel's outbound queue. If an update of the same message is still
+ * waiting, it is replaced by this one and both callers get the result of the single call.
+ * @param {object} args - chat.update arguments (channel, ts, text, blocks, ...).
+ * @returns {Promise<object>} The API response.
+ */
+export function enqueueSlackUpdate(args) {
+    return enqueueSlackCall('chat.update', args, true);
+}
+
+/**
+ * Deletes a message (chat.delete) through the channel's outbound queue.
+ * @param {{channel: string, ts: string}} args - chat.delete arguments.
+ * @returns {Promise<object>} The API response.
+ */
+export function enqueueSlackDelete(args) {
+    return enqueueSlackCall('chat.delete', args);
+}
+
+/**
+ * Posts an ephemeral message (chat.postEphemeral) through the channel's outbound queue.
+ * @param {object} args - chat.postEphemeral arguments (channel, user, text, ...).
+ * @returns {Promise<object>} The API response.
+ */
+export function enqueueSlackEphemeral(args) {
+    return enqueueSlackCall('chat.postEphemeral', args);
+}
+
+/**
+ * Posts several messages to a channel/thread in order (e.g., the chunks of a long answer).
+ * @param {string} channelId - Channel ID.
+ * @param {string | null} threadTs - Thread to reply in (null for the channel).
+ * @param {object[]} messages - chat.postMessage arguments without channel/thread_ts (text, blocks, ...).
+ * @returns {Promise<string[]>} Timestamps of the posted messages, in order.
+ * @throws {Error} If a message could not be posted (the others are still sent).
+ */
+export async function postSlackMessages(channelId, threadTs, messages) {
+    const results = await Promise.all(messages.map(message =>
+        enqueueSlackPost({ channel: channelId, ...(threadTs ? { thread_ts: threadTs } : {}), ...message })));
+    return results.map(result => result?.ts);
+}
+
 // --- Slack API Helper Functions ---
 
 /**
- * Posts a message to Slack, handling potential errors.
+ * Posts a message to Slack (through the outbound queue), handling potential errors.
  * @param {string} channelId - Channel ID or User ID (for DM).
  * @param {string} text - Fallback text content for notifications.
  * @param {Array} [blocks] - Optional Slack Blocks array for rich formatting.
@@ -66,12 +318,13 @@ if (botToken && signingSecret) {
  * @returns {Promise<object|null>} The Slack API response object (incl. ts) or null on failure.
  */
 export async function postSlackMessage(channelId, text, blocks = null, threadTs = null) {
+    const slackClient = getSlackClient();
     if (!slackClient || typeof slackClient.chat?.postMessage !== 'function') {
-        console.error("[Slack Service/Post] Slack client invalid or postMessage unavailable.");
+        postLog.error("Slack client invalid or postMessage unavailable.");
         return null;
     }
     if (!channelId || !text) {
-        console.error("[Slack Service/Post] Missing channelId or text for postSlackMessage.");
+        postLog.error("Missing channelId or text for postSlackMessage.");
         return null;
     }
 
@@ -80,23 +333,23 @@ export async function postSlackMessage(channelId, text, blocks = null, threadTs
         if (blocks && Array.isArray(blocks)) args.blocks = blocks;
         if (threadTs) args.thread_ts = threadTs;
 
-        const result = await slackClient.chat.postMessage(args);
+        const result = await enqueueSlackPost(args);
 
         if (result.ok) {
             // console.log(`[Slack Service/Post] Message posted to ${channelId}${threadTs ? ` (in thread ${threadTs})` : ''} (ts: ${result.ts})`);
             return result; // Contains { ok: true, ts: '...', message: { ... } }
         } else {
-            console.error(`[Slack Service/Post] Error posting to ${channelId}: ${result.error}`);
+            postLog.error(`Error posting to ${channelId}: ${result.error}`);
             return null;
         }
     } catch (error) {
-        console.error(`[Slack Service/Post] API/Network error posting to ${channelId}:`, error.data?.error || error.message);
+        postLog.error(`API/Network error posting to ${channelId}: ${error.data?.error || error.message}`);
         return null;
     }
 }
 
 /**
- * Updates an existing Slack message.
+ * Updates an existing Slack message (through the outbound queue).
  * @param {string} channelId - Channel where the message exists.
  * @param {string} ts - Timestamp of the message to update.
  * @param {string} text - New fallback text content.
@@ -104,12 +357,13 @@ export async function postSlackMessage(channelId, text, blocks = null, threadTs
  * @returns {Promise<object|null>} The Slack API response object or null on failure.
  */
 export async function updateSlackMessage(channelId, ts, text, blocks = null) {
+     const slackClient = getSlackClient();
      if (!slackClient || typeof slackClient.chat?.update !== 'function') {
-        console.error("[Slack Service/Update] Slack client invalid or update unavailable.");
+        updateLog.error("Slack client invalid or update unavailable.");
         return null;
     }
      if (!channelId || !ts || !text) {
-        console.error("[Slack Service/Update] Missing channelId, ts, or text for updateSlackMessage.");
+        updateLog.error("Missing channelId, ts, or text for updateSlackMessage.");
         return null;
     }
 
@@ -123,48 +377,49 @@ export async function updateSlackMessage(channelId, ts, text, blocks = null) {
             args.blocks = [];
         }
 
-        const result = await slackClient.chat.update(args);
+        const result = await enqueueSlackUpdate(args);
 
         if (result.ok) {
             // console.log(`[Slack Service/Update] Message ${ts} updated in ${channelId}.`);
             return result; // Contains { ok: true, ts: '...', ... }
         } else {
-            console.error(`[Slack Service/Update] Error updating ${ts} in ${channelId}: ${result.error}`);
+            updateLog.error(`Error updating ${ts} in ${channelId}: ${result.error}`);
             return null;
         }
      } catch (error) {
-         console.error(`[Slack Service/Update] API/Network error updating ${ts} in ${channelId}:`, error.data?.error || error.message);
+         updateLog.error(`API/Network error updating ${ts} in ${channelId}: ${error.data?.error || error.message}`);
          return null;
      }
 }
 
 /**
- * Deletes a Slack message.
+ * Deletes a Slack message (through the outbound queue).
  * @param {string} channelId - Channel where the message exists.
  * @param {string} ts - Timestamp of the message to delete.
  * @returns {Promise<object|null>} The Slack API response object or null on failure.
  */
 export async function deleteSlackMessage(channelId, ts) {
+    const slackClient = getSlackClient();
     if (!slackClient || typeof slackClient.chat?.delete !== 'function') {
-        console.error("[Slack Service/Delete] Slack client invalid or delete unavailable.");
+        deleteLog.error("Slack client invalid or delete unavailable.");
         return null;
     }
      if (!channelId || !ts) {
-        console.error("[Slack Service/Delete] Missing channelId or ts for deleteSlackMessage.");
+        deleteLog.error("Missing channelId or ts for deleteSlackMessage.");
         return null;
     }
 
     try {
-        const result = await slackClient.chat.delete({ channel: channelId, ts: ts });
+        const result = await enqueueSlackDelete({ channel: channelId, ts: ts });
         if (result.ok) {
             // console.log(`[Slack Service/Delete] Message ${ts} deleted from ${channelId}.`);
             return result; // Contains { ok: true, ts: '...' }
         } else {
-            console.error(`[Slack Service/Delete] Error deleting ${ts} from ${channelId}: ${result.error}`);
+            deleteLog.error(`Error deleting ${ts} from ${channelId}: ${result.error}`);
             return null;
         }
     } catch (error) {
-        console.error(`[Slack Service/Delete] API/Network error deleting ${ts} from ${channelId}:`, error.data?.error || error.message);
+        deleteLog.error(`API/Network error deleting ${ts} from ${channelId}: ${error.data?.error || error.message}`);
         return null;
     }
 }
@@ -176,11 +431,13 @@ export async function deleteSlackMessage(channelId, ts) {
  * @param {string} [latest] - Optional 'latest' timestamp boundary for channel history.
  * @param {number} [limit=20] - Max messages to return per page (API default is 100, max 1000).
  * @param {boolean} [fetchAll=false] - If true, attempts to fetch all pages (use with caution!).
+ * @param {number} [maxMessages=Infinity] - With fetchAll, stops paginating once this many messages were fetched.
  * @returns {Promise<Array|null>} Array of message objects or null on failure.
  */
-export async function fetchSlackHistory(channelId, threadTs = null, latest = null, limit = 100, fetchAll = false) {
-    if (!slackClient) { console.error("[Slack Service/History] Slack client not initialized."); return null; }
-    if (!channelId) { console.error("[Slack Service/History] Missing channelId."); return null; }
+export async function fetchSlackHistory(channelId, threadTs = null, latest = null, limit = 100, fetchAll = false, maxMessages = Infinity) {
+    const slackClient = getQueueClient(); // Rate limits are retried below, with the outbound queue's limit
+    if (!slackClient) { historyLog.error("Slack client not initialized."); return null; }
+    if (!channelId) { historyLog.error("Missing channelId."); return null; }
 
     const messages = [];
     let cursor = undefined;
@@ -190,29 +447,40 @@ export async function fetchSlackHistory(channelId, threadTs = null, latest = nul
         ? { channel: channelId, ts: threadTs, limit: Math.min(limit, 1000) } // replies limit max 1000
         : { channel: channelId, latest: latest, limit: Math.min(limit, 1000), inclusive: false }; // history limit max 1000
 
-    console.log(`[Slack Service/History] Fetching ${method} for ${channelId}${threadTs ? '/'+threadTs : ''}`);
+    historyLog.info(`Fetching ${method} for ${channelId}${threadTs ? '/'+threadTs : ''}`);
 
     try {
         while (hasMore) {
             if (cursor) args.cursor = cursor;
 
-            const result = threadTs
-                ? await slackClient.conversations.replies(args)
-                : await slackClient.conversations.history(args);
+            let result;
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    result = threadTs
+                        ? await slackClient.conversations.replies(args)
+                        : await slackClient.conversations.history(args);
+                    break;
+                } catch (error) {
+                    const retryAfterMs = getRetryAfterMs(error);
+                    if (retryAfterMs === null || attempt >= SLACK_OUTBOUND_MAX_RETRIES) throw error;
+                    historyLog.warn(`Rate limited. Retrying in ${retryAfterMs}ms.`);
+                    await new Promise(resolve => setTimeout(resolve, retryAfterMs));
+                }
+            }
 
             if (result.ok && result.messages) {
                 messages.push(...result.messages);
                 // Check for pagination
-                if (fetchAll && result.response_metadata?.next_cursor) {
+                if (fetchAll && result.response_metadata?.next_cursor && messages.length < maxMessages) {
                     cursor = result.response_metadata.next_cursor;
                     hasMore = true;
-                     console.log(`[Slack Service/History] Fetched page, next cursor: ${cursor}`);
+                     historyLog.info(`Fetched page, next cursor: ${cursor}`);
                      await new Promise(resolve => setTimeout(resolve, 1100)); // Slack Tier 2 rate limit (50+/min) -> ~1.1s delay
                 } else {
                     hasMore = false; // No more pages or fetchAll is false
                 }
             } else {
-                console.error(`[Slack Service/History] API Error fetching history: ${result.error || 'Unknown error'}`);
+                historyLog.error(`API Error fetching history: ${result.error || 'Unknown error'}`);
                 return null; // Return null on API error
             }
             // Safety break if fetchAll is true but something goes wrong
@@ -220,14 +488,36 @@ export async function fetchSlackHistory(channelId, threadTs = null, latest = nul
              if (!fetchAll) break; // Exit loop if not fetching all pages
         }
 
-        console.log(`[Slack Service/History] Fetched total ${messages.length} messages.`);
+        historyLog.info(`Fetched total ${messages.length} messages.`);
         return messages;
 
     } catch (error) {
-        console.error(`[Slack Service/History] Network/API error fetching history:`, error.data?.error || error.message);
+        historyLog.error(`Network/API error fetching history: ${error.data?.error || error.message}`);
         return null;
     }
 }
 
+/**
+ * Downloads a file shared in Slack with the bot token (needs the files:read scope).
+ * @param {object} file - File object from a message event (`url_private_download` / `url_private`).
+ * @param {number} maxBytes - Download size limit.
+ * @returns {Promise<Buffer>} File content.
+ * @throws {Error} If the file has no download URL, exceeds maxBytes, or the download fails.
+ */
+export async function downloadSlackFile(file, maxBytes) {
+    const url = file.url_private_download || file.url_private;
+    if (!url) throw new Error('No download URL.');
+    const response = await axios.get(url, {
+        headers: { Authorization: `Bearer ${getSlackClient()?.token}` },
+        responseType: 'arraybuffer',
+        maxContentLength: maxBytes,
+        timeout: 15000,
+    });
+    // Without access Slack answers with its sign-in page instead of an error status
+    const contentType = String(response.headers?.['content-type'] || '');
+    if (contentType.startsWith('text/html') && file.filetype !== 'html') throw new Error('Slack returned a sign-in page (is the files:read scope granted?).');
+    return Buffer.from(response.data);
+}
+
 
-console.log(`[Slack Service] Initialized. Client: ${slackClient ? 'OK' : 'FAIL'}, Events: ${slackEvents ? 'OK' : 'FAIL'}`);
+log.info(`Initialized. Transport: ${slackTransport}, Client: ${slackClient ? 'OK' : 'FAIL'}, Events: ${slackEvents ? 'OK' : (slackTransport === 'http' ? 'FAIL' : 'N/A')}`);
@@ -88,10 +88,25 @@ const getWorkplaceThinkingString = (finalWorkspaceSlug) => {
 };
 
 /**
- * A service that provides coding-related thinking statements.
+ * Shown instead of an answer while the LLM backend's circuit breaker is open (see llmService.isLlmAvailable).
+ * @type {string}
+ */
+const llmUnavailableMessage = ":construction: The knowledge base is unavailable right now. Please try again in a few minutes.";
+
+/**
+ * Shown instead of an answer when an earlier message in the same Slack thread is still being answered after
+ * THREAD_LOCK_MAX_WAIT_MS (see threadLockService.acquireThreadLock).
+ * @type {string}
+ */
+const threadBusyMessage = ":hourglass_flowing_sand: I'm still working on your previous question in this thread. Please ask again once it's answered.";
+
+/**
+ * A service that provides coding-related thinking statements and other user-facing strings.
  */
 const strings = {
   getWorkplaceThinkingString,
+  llmUnavailableMessage,
+  threadBusyMessage,
 };
 
 export default strings;
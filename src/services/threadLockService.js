@@ -0,0 +1,163 @@
+// src/services/threadLockService.js
+// Per-Slack-thread locks (keyed by channel + thread_ts), so messages in one thread resolve their AnythingLLM thread
+// mapping and query the LLM one at a time, in arrival order. An in-memory queue serializes handlers on this instance;
+// a Redis lock (SET NX PX, renewed while held) extends that across instances when Redis is available.
+// A message that can't get the lock in time is never run concurrently: its job is deferred so it doesn't hold a
+// worker while it waits, and once it can't be deferred any longer callers reply that the thread is still busy.
+
+import { randomUUID } from 'crypto';
+import { THREAD_LOCK_TTL_MS, THREAD_LOCK_WAIT_MS, THREAD_LOCK_MAX_WAIT_MS, THREAD_LOCK_REDIS_PREFIX } from '../config.js';
+import { redisClient, isRedisReady } from './redisService.js';
+import { JobDeferredError, canDeferJob } from './jobQueueService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Thread Lock');
+
+const REDIS_RETRY_INTERVAL_MS = 200;
+const DEFER_DELAY_MS = 3000; // Delay before a deferred message tries the lock again
+
+/** Deletes the lock only if it still holds our token. KEYS: lock key. ARGV: token. */
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0
+`;
+
+/** Extends the lock only if it still holds our token. KEYS: lock key. ARGV: token, TTL (ms). */
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) end
+return 0
+`;
+
+// Local queues: lock key -> promise settling when the last queued holder releases
+const localQueues = new Map();
+
+/**
+ * =============================================================================
+ * LOCAL QUEUE
+ * =============================================================================
+ */
+
+/**
+ * Waits for the previous holders of a key on this instance (FIFO), up to the deadline.
+ * @param {string} key - Lock key.
+ * @param {number} deadline - Epoch ms after which waiting stops.
+ * @returns {Promise<{acquired: boolean, release: Function}>} `acquired` is false if the wait timed out.
+ */
+async function acquireLocal(key, deadline) {
+    const previous = localQueues.get(key) || Promise.resolve();
+    let releaseCurrent;
+    const current = new Promise(resolve => { releaseCurrent = resolve; });
+    const tail = previous.then(() => current);
+    localQueues.set(key, tail);
+    // Drop the entry once the queue has drained, not when a waiter times out while earlier holders still run
+    tail.then(() => { if (localQueues.get(key) === tail) localQueues.delete(key); });
+
+    let timer;
+    const acquired = await Promise.race([
+        previous.then(() => true),
+        new Promise(resolve => { timer = setTimeout(() => resolve(false), Math.max(0, deadline - Date.now())); })
+    ]);
+    clearTimeout(timer);
+
+    return { acquired, release: releaseCurrent };
+}
+
+/**
+ * =============================================================================
+ * REDIS LOCK
+ * =============================================================================
+ */
+
+/**
+ * Takes the Redis lock for a key, retrying until the deadline, and keeps renewing it while held.
+ * @param {string} key - Lock key.
+ * @param {number} deadline - Epoch ms after which retrying stops.
+ * @returns {Promise<{acquired: boolean, failed?: boolean, release: Function}>} `acquired` is false on timeout or Redis
+ *   errors (`failed` set for errors).
+ */
+async function acquireRedis(key, deadline) {
+    const redisKey = `${THREAD_LOCK_REDIS_PREFIX}${key}`;
+    const token = randomUUID();
+    try {
+        while (true) {
+            const result = await redisClient.set(redisKey, token, { NX: true, PX: THREAD_LOCK_TTL_MS });
+            if (result === 'OK') break;
+            if (Date.now() + REDIS_RETRY_INTERVAL_MS > deadline) return { acquired: false, release: () => {} };
+            await new Promise(resolve => setTimeout(resolve, REDIS_RETRY_INTERVAL_MS));
+        }
+    } catch (error) {
+        log.error(`Redis lock failed for ${key}, using the local lock only: ${error.message}`);
+        return { acquired: false, failed: true, release: () => {} };
+    }
+
+    const renewTimer = setInterval(() => {
+        redisClient.eval(RENEW_SCRIPT, { keys: [redisKey], arguments: [token, String(THREAD_LOCK_TTL_MS)] })
+            .then(renewed => { if (renewed !== 1) log.warn(`Lost Redis lock for ${key} before release.`); })
+            .catch(error => log.warn(`Failed to renew Redis lock for ${key}: ${error.message}`));
+    }, Math.max(1000, Math.floor(THREAD_LOCK_TTL_MS / 3)));
+    renewTimer.unref();
+
+    const release = async () => {
+        clearInterval(renewTimer);
+        try {
+            await redisClient.eval(RELEASE_SCRIPT, { keys: [redisKey], arguments: [token] });
+        } catch (error) {
+            log.warn(`Failed to release Redis lock for ${key} (expires in ${THREAD_LOCK_TTL_MS}ms): ${error.message}`);
+        }
+    };
+    return { acquired: true, release };
+}
+
+/**
+ * =============================================================================
+ * PUBLIC API
+ * =============================================================================
+ */
+
+/**
+ * Acquires the lock of a Slack thread, waiting up to THREAD_LOCK_WAIT_MS for earlier messages in the same thread.
+ * If the lock isn't free by then, nothing is held: a job that hasn't written to Slack yet and is younger than
+ * THREAD_LOCK_MAX_WAIT_MS is deferred (JobDeferredError, so call this before posting anything), otherwise null is
+ * returned and the caller must not run (reply with strings.threadBusyMessage instead). Redis errors fall back to
+ * the local lock alone.
+ * @param {string} channelId - Slack channel ID.
+ * @param {string} threadTs - Thread root TS (the reply target).
+ * @param {object} [options={}] - Options.
+ * @param {number} [options.waitMs=THREAD_LOCK_WAIT_MS] - How long to wait for the lock.
+ * @returns {Promise<Function | null>} Async release function (safe to call more than once), or null if the thread
+ *   is still busy.
+ * @throws {JobDeferredError} If the thread is busy and the current job can try again later.
+ */
+export async function acquireThreadLock(channelId, threadTs, { waitMs = THREAD_LOCK_WAIT_MS } = {}) {
+    const key = `${channelId}:${threadTs}`;
+    const startedAt = Date.now();
+    const deadline = startedAt + waitMs;
+
+    const local = await acquireLocal(key, deadline);
+    const remote = local.acquired && isRedisReady && redisClient
+        ? await acquireRedis(key, deadline)
+        : { acquired: false, release: () => {} };
+
+    const waitedMs = Date.now() - startedAt;
+    if (!local.acquired || (!remote.acquired && !remote.failed && isRedisReady && redisClient)) {
+        local.release(); // Gives up its place in the queue without waiting for the earlier holders
+        if (canDeferJob(THREAD_LOCK_MAX_WAIT_MS)) {
+            throw new JobDeferredError(`Thread ${key} still busy after ${waitedMs}ms`, DEFER_DELAY_MS);
+        }
+        log.warn(`${key} still busy after ${waitedMs}ms. Not running this message.`);
+        return null;
+    }
+    if (waitedMs > REDIS_RETRY_INTERVAL_MS) {
+        log.info(`Acquired ${key} after waiting ${waitedMs}ms.`);
+    }
+
+    let released = false;
+    return async () => {
+        if (released) return;
+        released = true;
+        await remote.release();
+        local.release();
+    };
+}
+
+createLogger('Thread Lock Service').info(`Initialized. Lock TTL: ${THREAD_LOCK_TTL_MS}ms, wait: ${THREAD_LOCK_WAIT_MS}ms, max wait: ${THREAD_LOCK_MAX_WAIT_MS}ms.`);
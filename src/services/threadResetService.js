@@ -0,0 +1,54 @@
+// src/services/threadResetService.js
+// Remembers when a Slack thread's conversation was reset (`reset conversation`), so history gathered for the LLM
+// later in that thread skips the messages before the reset. Markers live in Redis (shared by all instances) with
+// an in-memory fallback, and expire after RESET_HISTORY_TTL.
+
+import { RESET_HISTORY_TTL, RESET_HISTORY_REDIS_PREFIX } from '../config.js';
+import { redisClient, isRedisReady } from './redisService.js';
+
+// Fallback when Redis is unavailable: "channel:thread_ts" -> { resetTs, expiresAt }
+const memoryMarkers = new Map();
+
+/**
+ * Records that a thread's conversation was reset.
+ * @param {string} channelId - Slack channel ID.
+ * @param {string} threadTs - Thread root TS.
+ * @param {string} resetTs - TS of the reset message; messages up to it are left out of LLM history.
+ * @returns {Promise<void>}
+ */
+export async function markThreadReset(channelId, threadTs, resetTs) {
+    const key = `${channelId}:${threadTs}`;
+    const now = Date.now();
+    for (const [markerKey, marker] of memoryMarkers) if (marker.expiresAt <= now) memoryMarkers.delete(markerKey);
+    memoryMarkers.set(key, { resetTs, expiresAt: now + RESET_HISTORY_TTL * 1000 });
+    if (!isRedisReady || !redisClient) return;
+    try {
+        await redisClient.set(`${RESET_HISTORY_REDIS_PREFIX}${key}`, resetTs, { EX: RESET_HISTORY_TTL });
+    } catch (error) {
+        console.error(`[Thread Reset] Failed to store reset marker for ${key} in Redis (kept in memory):`, error.message);
+    }
+}
+
+/**
+ * TS of the last reset of a thread.
+ * @param {string} channelId - Slack channel ID.
+ * @param {string} threadTs - Thread root TS.
+ * @returns {Promise<string | null>} Reset message TS, or null if the thread wasn't reset (or the marker expired).
+ */
+export async function getThreadResetTs(channelId, threadTs) {
+    const key = `${channelId}:${threadTs}`;
+    if (isRedisReady && redisClient) {
+        try {
+            const resetTs = await redisClient.get(`${RESET_HISTORY_REDIS_PREFIX}${key}`);
+            if (resetTs) return resetTs;
+        } catch (error) {
+            console.error(`[Thread Reset] Failed to read reset marker for ${key} from Redis:`, error.message);
+        }
+    }
+    const marker = memoryMarkers.get(key);
+    if (!marker) return null;
+    if (marker.expiresAt <= Date.now()) { memoryMarkers.delete(key); return null; }
+    return marker.resetTs;
+}
+
+console.log(`[Thread Reset Service] Initialized. Reset markers kept for ${RESET_HISTORY_TTL}s.`);
@@ -0,0 +1,85 @@
+// src/services/workspaceHistoryService.js
+// Remembers the workspaces (and their AnythingLLM threads) a Slack thread used before routing moved it elsewhere,
+// newest first, so `#previous` can rebind the thread to them. Kept in Redis (shared by all instances) with an
+// in-memory fallback; a thread's history expires WORKSPACE_HISTORY_TTL after its last change.
+
+import { WORKSPACE_HISTORY_TTL, WORKSPACE_HISTORY_MAX, WORKSPACE_HISTORY_REDIS_PREFIX } from '../config.js';
+import { redisClient, isRedisReady } from './redisService.js';
+
+// Fallback when Redis is unavailable: "channel:thread_ts" -> { entries (newest first), expiresAt }
+const memoryHistories = new Map();
+
+/**
+ * In-memory history of a thread, dropping expired ones.
+ * @param {string} key - "channel:thread_ts".
+ * @returns {Array<{workspaceSlug: string, threadSlug: string, leftAt: string}>} Entries, newest first (mutable).
+ */
+function getMemoryEntries(key) {
+    const now = Date.now();
+    for (const [historyKey, history] of memoryHistories) if (history.expiresAt <= now) memoryHistories.delete(historyKey);
+    return memoryHistories.get(key)?.entries || [];
+}
+
+/**
+ * Records the workspace/AnythingLLM thread a Slack thread is leaving.
+ * @param {string} channelId - Slack channel ID.
+ * @param {string} threadTs - Thread root TS.
+ * @param {{workspaceSlug: string, threadSlug: string}} entry - The mapping being replaced.
+ * @returns {Promise<void>}
+ */
+export async function pushThreadWorkspace(channelId, threadTs, { workspaceSlug, threadSlug }) {
+    const key = `${channelId}:${threadTs}`;
+    const entry = { workspaceSlug, threadSlug, leftAt: new Date().toISOString() };
+    const entries = [entry, ...getMemoryEntries(key)].slice(0, WORKSPACE_HISTORY_MAX);
+    memoryHistories.set(key, { entries, expiresAt: Date.now() + WORKSPACE_HISTORY_TTL * 1000 });
+    if (!isRedisReady || !redisClient) return;
+    try {
+        const redisKey = `${WORKSPACE_HISTORY_REDIS_PREFIX}${key}`;
+        await redisClient.multi()
+            .lPush(redisKey, JSON.stringify(entry))
+            .lTrim(redisKey, 0, WORKSPACE_HISTORY_MAX - 1)
+            .expire(redisKey, WORKSPACE_HISTORY_TTL)
+            .exec();
+    } catch (error) {
+        console.error(`[Workspace History] Failed to store workspace history for ${key} in Redis (kept in memory):`, error.message);
+    }
+}
+
+/**
+ * Removes and returns the workspace a Slack thread used before the current one.
+ * @param {string} channelId - Slack channel ID.
+ * @param {string} threadTs - Thread root TS.
+ * @returns {Promise<{workspaceSlug: string, threadSlug: string, leftAt: string} | null>} The entry, or null if there is none.
+ */
+export async function popThreadWorkspace(channelId, threadTs) {
+    const key = `${channelId}:${threadTs}`;
+    const memoryEntry = getMemoryEntries(key).shift() || null;
+    if (isRedisReady && redisClient) {
+        try {
+            const stored = await redisClient.lPop(`${WORKSPACE_HISTORY_REDIS_PREFIX}${key}`);
+            if (stored) return JSON.parse(stored);
+        } catch (error) {
+            console.error(`[Workspace History] Failed to read workspace history for ${key} from Redis:`, error.message);
+        }
+    }
+    return memoryEntry;
+}
+
+/**
+ * Forgets a Slack thread's workspace history (e.g., after `reset conversation`).
+ * @param {string} channelId - Slack channel ID.
+ * @param {string} threadTs - Thread root TS.
+ * @returns {Promise<void>}
+ */
+export async function clearThreadWorkspaceHistory(channelId, threadTs) {
+    const key = `${channelId}:${threadTs}`;
+    memoryHistories.delete(key);
+    if (!isRedisReady || !redisClient) return;
+    try {
+        await redisClient.del(`${WORKSPACE_HISTORY_REDIS_PREFIX}${key}`);
+    } catch (error) {
+        console.error(`[Workspace History] Failed to clear workspace history for ${key} in Redis:`, error.message);
+    }
+}
+
+console.log(`[Workspace History Service] Initialized. Up to ${WORKSPACE_HISTORY_MAX} workspaces kept per thread for ${WORKSPACE_HISTORY_TTL}s.`);
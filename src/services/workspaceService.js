@@ -1,19 +1,17 @@
 // src/services/workspaceService.js
 // Handles retrieval and determination of AnythingLLM workspaces.
 
-import axios from 'axios';
 import {
-    anythingLLMBaseUrl,
-    anythingLLMApiKey,
     WORKSPACE_LIST_CACHE_KEY,
     WORKSPACE_LIST_CACHE_TTL,
     redisUrl, // Needed for checking if Redis is configured
     enableUserWorkspaces,
-    userWorkspaceMapping,
-    workspaceMapping,
     fallbackWorkspace
 } from '../config.js';
 import { redisClient, isRedisReady } from './redisService.js'; // Needed for cache operations
+import { listLlmWorkspaces } from './llmService.js';
+import { recordRoutingOutcome } from './metricsService.js';
+import { getSetting } from './settingsService.js';
 
 // In-memory cache for available workspace slugs
 let availableWorkspacesCache = null;
@@ -26,7 +24,7 @@ let cacheTimestamp = 0;
  */
 
 /**
- * Fetches the list of available workspace slugs from AnythingLLM API.
+ * Fetches the list of available workspace slugs from the configured LLM backend.
  * Implements in-memory and Redis caching.
  * @param {boolean} [useCache=true] - Whether to use cache or force refresh.
  * @returns {Promise<string[]>} An array of available workspace slugs.
@@ -54,42 +52,23 @@ export async function getWorkspaces(useCache = true) {
         } catch (err) { console.error(`[Redis Error] Get workspace cache failed:`, err); }
     }
 
-    // 3. Fetch from API
-    if (!anythingLLMBaseUrl || !anythingLLMApiKey) {
-        console.error("[Workspace Service/getWorkspaces] LLM API URL or Key not configured.");
-        return []; // Cannot fetch without config
-    }
-
-    console.log(`[Workspace Service/getWorkspaces] Fetching workspaces from API: ${anythingLLMBaseUrl}/api/v1/workspaces`);
+    // 3. Fetch from the LLM backend
+    console.log(`[Workspace Service/getWorkspaces] Fetching workspaces from LLM backend...`);
     try {
-        const response = await axios.get(`${anythingLLMBaseUrl}/api/v1/workspaces`, {
-            headers: { 'Accept': 'application/json', Authorization: `Bearer ${anythingLLMApiKey}` },
-            timeout: 10000, // 10 second timeout
-        });
-
-        // Validate response structure
-        if (response.data?.workspaces && Array.isArray(response.data.workspaces)) {
-            const slugs = response.data.workspaces
-                .map(ws => ws.slug)
-                .filter(slug => typeof slug === 'string' && slug.trim()); // Ensure slugs are valid strings
-
-            console.log(`[Workspace Service/getWorkspaces] API returned ${slugs.length} slugs.`);
-            availableWorkspacesCache = slugs; cacheTimestamp = now; // Update memory cache
-
-            // Update Redis cache async (only if redis is ready and slugs exist)
-            if (isRedisReady && redisClient && slugs.length > 0) {
-                redisClient.set(WORKSPACE_LIST_CACHE_KEY, JSON.stringify(slugs), { EX: WORKSPACE_LIST_CACHE_TTL })
-                    .then(() => console.log(`[Workspace Service/getWorkspaces] Updated Redis cache.`))
-                    .catch(cacheErr => console.error(`[Redis Error] Set workspace cache failed:`, cacheErr));
-            }
-            return slugs;
-        } else {
-            console.error('[Workspace Service/getWorkspaces] Invalid API response structure received:', response.data);
-            return []; // Return empty on invalid structure
+        const slugs = await listLlmWorkspaces();
+
+        console.log(`[Workspace Service/getWorkspaces] Backend returned ${slugs.length} slugs.`);
+        availableWorkspacesCache = slugs; cacheTimestamp = now; // Update memory cache
+
+        // Update Redis cache async (only if redis is ready and slugs exist)
+        if (isRedisReady && redisClient && slugs.length > 0) {
+            redisClient.set(WORKSPACE_LIST_CACHE_KEY, JSON.stringify(slugs), { EX: WORKSPACE_LIST_CACHE_TTL })
+                .then(() => console.log(`[Workspace Service/getWorkspaces] Updated Redis cache.`))
+                .catch(cacheErr => console.error(`[Redis Error] Set workspace cache failed:`, cacheErr));
         }
+        return slugs;
     } catch (error) {
-        const errorMsg = error.response?.data?.message || error.response?.statusText || error.message;
-        console.error(`[Workspace Service/getWorkspaces] API fetch failed: ${errorMsg}`);
+        console.error(`[Workspace Service/getWorkspaces] Backend fetch failed: ${error.message}`);
         return []; // Return empty on API error
     }
 }
@@ -108,12 +87,17 @@ export async function getWorkspaces(useCache = true) {
 export async function determineWorkspace({ suggestedWorkspace, userId, channelId, useCache = true }) {
     console.log(`[Workspace Service/determine] Starting determination for User=${userId}, Chan=${channelId}, Suggested=${suggestedWorkspace || 'None'}`);
     let targetWorkspace = null;
+    let routingSource = 'none'; // Rule that picked targetWorkspace (reported to metrics)
+    // Mappings are runtime settings (/orbit-config); the env values are their defaults
+    const userWorkspaceMapping = await getSetting('SLACK_USER_WORKSPACE_MAPPING');
+    const workspaceMapping = await getSetting('WORKSPACE_MAPPING');
     const available = await getWorkspaces(useCache); // Get currently available workspaces
     const availableSet = new Set(available); // Use Set for efficient O(1) lookup
 
     // If no workspaces are available at all, we cannot determine one.
     if (available.length === 0) {
         console.error("[Workspace Service/determine] No available workspaces found from API or cache. Cannot determine workspace.");
+        recordRoutingOutcome(null, 'none');
         return null;
     }
 
@@ -122,6 +106,7 @@ export async function determineWorkspace({ suggestedWorkspace, userId, channelId
         const trimmedSuggestion = suggestedWorkspace.trim();
         if (trimmedSuggestion && availableSet.has(trimmedSuggestion)) {
             console.log(`[Workspace Service/determine] Using valid suggested workspace: ${trimmedSuggestion}`);
+            recordRoutingOutcome(trimmedSuggestion, 'suggested');
             return trimmedSuggestion; // Return early if suggested is valid and available
         } else if (trimmedSuggestion) {
             // Log if suggestion was provided but invalid/unavailable
@@ -136,6 +121,7 @@ export async function determineWorkspace({ suggestedWorkspace, userId, channelId
             const trimmedUserMap = userMapped.trim();
             if (trimmedUserMap && availableSet.has(trimmedUserMap)) {
                 targetWorkspace = trimmedUserMap;
+                routingSource = 'user_map';
                 console.log(`[Workspace Service/determine] User map ${userId} found valid workspace: ${targetWorkspace}`);
             } else if (trimmedUserMap) {
                 // Log if user map points to an invalid/unavailable workspace
@@ -154,6 +140,7 @@ export async function determineWorkspace({ suggestedWorkspace, userId, channelId
              const trimmedChannelMap = channelMapped.trim();
              if (trimmedChannelMap && availableSet.has(trimmedChannelMap)) {
                  targetWorkspace = trimmedChannelMap;
+                 routingSource = 'channel_map';
                  console.log(`[Workspace Service/determine] Channel map ${channelId} found valid workspace: ${targetWorkspace}`);
              } else if (trimmedChannelMap) {
                   // Log if channel map points to an invalid/unavailable workspace
@@ -171,6 +158,7 @@ export async function determineWorkspace({ suggestedWorkspace, userId, channelId
             const trimmedFallback = fallbackWorkspace.trim();
              if (trimmedFallback && availableSet.has(trimmedFallback)) {
                  targetWorkspace = trimmedFallback;
+                 routingSource = 'fallback';
                  console.log(`[Workspace Service/determine] Using valid fallback workspace: ${targetWorkspace}`);
              } else if (trimmedFallback) {
                  // This is a critical configuration error if fallback is set but invalid/unavailable
@@ -192,6 +180,7 @@ export async function determineWorkspace({ suggestedWorkspace, userId, channelId
     }
 
     console.log(`[Workspace Service/determine] Final determined workspace: ${targetWorkspace || 'None'}`);
+    recordRoutingOutcome(targetWorkspace, targetWorkspace ? routingSource : 'none');
     return targetWorkspace; // Returns the slug string or null
 }
 
@@ -0,0 +1,166 @@
+// src/sim/renderBlocks.js
+// Renders Slack messages (rich_text and Block Kit blocks) as plain terminal text for the chat simulator.
+// Styles are shown with markdown-like markers (*bold*, _italic_, ~strike~, `code`).
+
+/**
+ * =============================================================================
+ * RICH TEXT
+ * =============================================================================
+ */
+
+/**
+ * Renders a rich_text element (text, link, emoji, user, channel, ...).
+ * @param {object} element - Rich text element.
+ * @returns {string}
+ */
+function renderRichTextElement(element) {
+    let text;
+    switch (element.type) {
+        case 'text':
+            text = element.text || '';
+            break;
+        case 'link':
+            text = element.text && element.text !== element.url ? `${element.text} <${element.url}>` : `<${element.url}>`;
+            break;
+        case 'emoji':
+            text = element.unicode ? String.fromCodePoint(...element.unicode.split('-').map(code => parseInt(code, 16))) : `:${element.name}:`;
+            break;
+        case 'user':
+            text = `@${element.user_id}`;
+            break;
+        case 'usergroup':
+            text = `@${element.usergroup_id}`;
+            break;
+        case 'channel':
+            text = `#${element.channel_id}`;
+            break;
+        case 'broadcast':
+            text = `@${element.range}`;
+            break;
+        default:
+            text = element.text || `[${element.type}]`;
+    }
+
+    const style = element.style || {};
+    if (style.code) text = `\`${text}\``;
+    if (style.strike) text = `~${text}~`;
+    if (style.italic) text = `_${text}_`;
+    if (style.bold) text = `*${text}*`;
+    return text;
+}
+
+/**
+ * Renders the elements of a rich_text sub-block (section, preformatted, quote).
+ * @param {object[]} [elements=[]] - Rich text elements.
+ * @returns {string}
+ */
+function renderRichTextElements(elements = []) {
+    return elements.map(renderRichTextElement).join('');
+}
+
+/**
+ * Renders one child of a rich_text block.
+ * @param {object} part - rich_text_section / rich_text_preformatted / rich_text_quote / rich_text_list.
+ * @returns {string}
+ */
+function renderRichTextPart(part) {
+    switch (part.type) {
+        case 'rich_text_section':
+            return renderRichTextElements(part.elements);
+        case 'rich_text_preformatted': {
+            const code = renderRichTextElements(part.elements).replace(/\n$/, '');
+            return ['```', ...code.split('\n').map(line => `  ${line}`), '```'].join('\n');
+        }
+        case 'rich_text_quote':
+            return renderRichTextElements(part.elements).split('\n').map(line => `> ${line}`).join('\n');
+        case 'rich_text_list': {
+            const indent = '  '.repeat(part.indent || 0);
+            return (part.elements || []).map((item, index) => {
+                const marker = part.style === 'ordered' ? `${(part.offset || 0) + index + 1}.` : '•';
+                return `${indent}${marker} ${renderRichTextElements(item.elements)}`;
+            }).join('\n');
+        }
+        default:
+            return `[${part.type}]`;
+    }
+}
+
+/**
+ * =============================================================================
+ * BLOCK KIT
+ * =============================================================================
+ */
+
+/**
+ * Renders a text object (plain_text or mrkdwn, shown as-is).
+ * @param {{text?: string} | undefined} textObject - Text object.
+ * @returns {string}
+ */
+function renderTextObject(textObject) {
+    return textObject?.text || '';
+}
+
+/**
+ * Renders an interactive element (button, select, ...) as a bracketed label.
+ * @param {object} element - Block element.
+ * @returns {string}
+ */
+function renderInteractiveElement(element) {
+    if (element.type === 'button') return `[${renderTextObject(element.text)}]`;
+    if (element.type === 'image') return `[image: ${element.alt_text || element.image_url}]`;
+    return `[${element.placeholder ? renderTextObject(element.placeholder) : element.type}]`;
+}
+
+/**
+ * Renders one Block Kit block.
+ * @param {object} block - Block.
+ * @returns {string}
+ */
+function renderBlock(block) {
+    switch (block.type) {
+        case 'rich_text':
+            return (block.elements || []).map(renderRichTextPart).join('\n');
+        case 'section': {
+            const lines = [];
+            if (block.text) lines.push(renderTextObject(block.text));
+            if (block.fields?.length) lines.push(block.fields.map(renderTextObject).join('   '));
+            if (block.accessory) lines.push(renderInteractiveElement(block.accessory));
+            return lines.join('\n');
+        }
+        case 'header':
+            return `# ${renderTextObject(block.text)}`;
+        case 'divider':
+            return '─'.repeat(40);
+        case 'context':
+            return (block.elements || []).map(element => element.type === 'image' ? renderInteractiveElement(element) : renderTextObject(element)).join(' · ');
+        case 'actions':
+            return (block.elements || []).map(renderInteractiveElement).join(' ');
+        case 'image':
+            return `[image: ${block.alt_text || block.image_url}]`;
+        case 'input':
+            return `${renderTextObject(block.label)}: ${renderInteractiveElement(block.element || {})}`;
+        default:
+            return `[${block.type} block]`;
+    }
+}
+
+/**
+ * Renders a list of blocks, one block per paragraph.
+ * @param {object[]} blocks - Block Kit blocks.
+ * @returns {string}
+ */
+export function renderBlocks(blocks) {
+    return blocks.map(renderBlock).filter(Boolean).join('\n');
+}
+
+/**
+ * Renders a message: its blocks if there are any (like Slack), otherwise its text.
+ * @param {{text?: string, blocks?: object[]}} message - Message or chat.postMessage/update arguments.
+ * @returns {string}
+ */
+export function renderMessage(message) {
+    if (Array.isArray(message?.blocks) && message.blocks.length > 0) return renderBlocks(message.blocks);
+    return message?.text || '';
+}
+
+console.log("[Sim Render] Initialized.");
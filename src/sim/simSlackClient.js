@@ -0,0 +1,221 @@
+// src/sim/simSlackClient.js
+// In-memory stand-in for the Slack WebClient, used by the chat simulator (scripts/orbitSim.js).
+// Keeps per-channel message history and records every API call so the simulator can render what Orbit posted.
+
+/**
+ * Builds a Slack platform error shaped like the ones thrown by @slack/web-api.
+ * @param {string} method - API method (e.g., 'chat.update').
+ * @param {string} code - Slack error code (e.g., 'message_not_found').
+ * @returns {Error}
+ */
+function slackError(method, code) {
+    const error = new Error(`An API error occurred: ${code}`);
+    error.code = 'slack_webapi_platform_error';
+    error.data = { ok: false, error: code, method };
+    return error;
+}
+
+/**
+ * Creates an in-memory Slack client implementing the Web API methods Orbit uses.
+ * Messages get increasing `ts` values; threads work like in Slack (replies carry the parent's `thread_ts`).
+ * @param {object} [options={}] - Options.
+ * @param {string} [options.botUserId='USIMORBIT'] - User ID of the bot (messages posted through the client are its messages).
+ * @param {string} [options.botId='BSIMORBIT'] - Bot ID set on the bot's messages.
+ * @param {string} [options.teamId='TSIM'] - Team ID returned by auth.test.
+ * @param {(call: {method: string, args: object, result: object | null, error: Error | null}) => void} [options.onCall] -
+ *   Called after every API call (e.g., to render posted messages as they appear).
+ * @returns {object} WebClient-compatible object, plus `calls`, `addUserMessage(message)`, `getMessage(channel, ts)`
+ *   and `getThread(channel, threadTs)`.
+ */
+export function createSimSlackClient({ botUserId = 'USIMORBIT', botId = 'BSIMORBIT', teamId = 'TSIM', onCall = null } = {}) {
+    const channels = new Map(); // channelId -> messages, oldest first
+    const calls = [];
+    let lastTsMicros = 0;
+
+    /** Next message timestamp ('seconds.micros', strictly increasing). */
+    function nextTs() {
+        lastTsMicros = Math.max(lastTsMicros + 1, Date.now() * 1000);
+        return `${Math.floor(lastTsMicros / 1e6)}.${String(lastTsMicros % 1e6).padStart(6, '0')}`;
+    }
+
+    function channelMessages(channel) {
+        if (!channels.has(channel)) channels.set(channel, []);
+        return channels.get(channel);
+    }
+
+    function getMessage(channel, ts) {
+        return channelMessages(channel).find(message => message.ts === ts) || null;
+    }
+
+    /**
+     * Wraps an API method: records the call and reports it through onCall.
+     * @param {string} method - API method name.
+     * @param {(args: object) => object} implementation - Returns the response body (without `ok`).
+     */
+    function api(method, implementation) {
+        return async (args = {}) => {
+            let result = null;
+            let error = null;
+            try {
+                result = { ok: true, ...implementation(args) };
+                return result;
+            } catch (caught) {
+                error = caught;
+                throw caught;
+            } finally {
+                const call = { method, args, result, error };
+                calls.push(call);
+                try { onCall?.(call); } catch (callbackError) { console.error('[Sim Slack] onCall error:', callbackError.message); }
+            }
+        };
+    }
+
+    function requireChannel(method, args) {
+        if (!args.channel) throw slackError(method, 'channel_not_found');
+    }
+
+    /**
+     * Adds a message from a user (the simulator's input), like Slack does before sending the event.
+     * @param {{channel: string, user: string, text: string, thread_ts?: string, files?: object[]}} message - Message fields.
+     * @returns {object} The stored message (with its `ts`).
+     */
+    function addUserMessage({ channel, user, text, thread_ts, files }) {
+        const message = { type: 'message', ts: nextTs(), user, text, ...(thread_ts ? { thread_ts } : {}), ...(files?.length ? { files } : {}) };
+        channelMessages(channel).push(message);
+        if (thread_ts) markReply(channel, thread_ts);
+        return message;
+    }
+
+    function markReply(channel, threadTs) {
+        const parent = getMessage(channel, threadTs);
+        if (!parent) return;
+        parent.thread_ts = threadTs;
+        parent.reply_count = (parent.reply_count || 0) + 1;
+    }
+
+    const client = {
+        token: 'xoxb-sim', // Sent with file downloads (sim files are data: URLs, see orbitSim.js /file)
+        calls,
+        addUserMessage,
+        getMessage,
+        /**
+         * Returns a thread (parent first) as stored by the client.
+         * @param {string} channel - Channel ID.
+         * @param {string} threadTs - Parent message ts.
+         * @returns {object[]}
+         */
+        getThread(channel, threadTs) {
+            return channelMessages(channel).filter(message => message.ts === threadTs || message.thread_ts === threadTs);
+        },
+
+        auth: {
+            test: api('auth.test', () => ({ user_id: botUserId, bot_id: botId, team_id: teamId, team: 'Orbit Simulator', user: 'orbit' })),
+        },
+
+        chat: {
+            postMessage: api('chat.postMessage', (args) => {
+                requireChannel('chat.postMessage', args);
+                if (!args.text && !args.blocks?.length) throw slackError('chat.postMessage', 'no_text');
+                const message = {
+                    type: 'message', ts: nextTs(), user: botUserId, bot_id: botId, text: args.text || '',
+                    ...(args.blocks ? { blocks: args.blocks } : {}),
+                    ...(args.thread_ts ? { thread_ts: args.thread_ts } : {}),
+                };
+                channelMessages(args.channel).push(message);
+                if (args.thread_ts) markReply(args.channel, args.thread_ts);
+                return { channel: args.channel, ts: message.ts, message };
+            }),
+            update: api('chat.update', (args) => {
+                requireChannel('chat.update', args);
+                const message = getMessage(args.channel, args.ts);
+                if (!message) throw slackError('chat.update', 'message_not_found');
+                if (message.user !== botUserId) throw slackError('chat.update', 'cant_update_message');
+                if (args.text !== undefined) message.text = args.text;
+                if (args.blocks !== undefined) message.blocks = args.blocks;
+                message.edited = { user: botUserId, ts: nextTs() };
+                return { channel: args.channel, ts: args.ts, text: message.text, message };
+            }),
+            delete: api('chat.delete', (args) => {
+                requireChannel('chat.delete', args);
+                const messages = channelMessages(args.channel);
+                const index = messages.findIndex(message => message.ts === args.ts);
+                if (index === -1) throw slackError('chat.delete', 'message_not_found');
+                if (messages[index].user !== botUserId) throw slackError('chat.delete', 'cant_delete_message');
+                const [deleted] = messages.splice(index, 1);
+                if (deleted.thread_ts && deleted.thread_ts !== deleted.ts) {
+                    const parent = getMessage(args.channel, deleted.thread_ts);
+                    if (parent?.reply_count) parent.reply_count -= 1;
+                }
+                return { channel: args.channel, ts: args.ts };
+            }),
+            postEphemeral: api('chat.postEphemeral', (args) => {
+                requireChannel('chat.postEphemeral', args);
+                if (!args.user) throw slackError('chat.postEphemeral', 'user_not_found');
+                return { message_ts: nextTs() }; // Ephemeral messages are not part of the history
+            }),
+        },
+
+        conversations: {
+            replies: api('conversations.replies', (args) => {
+                requireChannel('conversations.replies', args);
+                const parent = getMessage(args.channel, args.ts);
+                if (!parent) throw slackError('conversations.replies', 'thread_not_found');
+                const threadTs = parent.thread_ts || parent.ts;
+                let messages = client.getThread(args.channel, threadTs);
+                if (args.oldest) messages = messages.filter(message => Number(message.ts) >= Number(args.oldest));
+                if (args.latest) messages = messages.filter(message => Number(message.ts) <= Number(args.latest));
+                const limit = args.limit || 1000;
+                return { messages: messages.slice(0, limit), has_more: messages.length > limit };
+            }),
+            history: api('conversations.history', (args) => {
+                requireChannel('conversations.history', args);
+                let messages = channelMessages(args.channel).filter(message => !message.thread_ts || message.thread_ts === message.ts);
+                if (args.oldest) messages = messages.filter(message => Number(message.ts) >= Number(args.oldest));
+                if (args.latest) messages = messages.filter(message => Number(message.ts) <= Number(args.latest));
+                messages = [...messages].reverse(); // Newest first, like Slack
+                const limit = args.limit || 100;
+                return { messages: messages.slice(0, limit), has_more: messages.length > limit };
+            }),
+            info: api('conversations.info', (args) => {
+                requireChannel('conversations.info', args);
+                const isIm = args.channel.startsWith('D');
+                return { channel: { id: args.channel, name: isIm ? null : args.channel.toLowerCase(), is_channel: !isIm, is_im: isIm, is_private: args.channel.startsWith('G') } };
+            }),
+        },
+
+        users: {
+            info: api('users.info', (args) => {
+                if (!args.user) throw slackError('users.info', 'user_not_found');
+                const isBot = args.user === botUserId;
+                const name = isBot ? 'orbit' : `sim-${args.user.toLowerCase()}`;
+                return { user: { id: args.user, name, real_name: name, is_bot: isBot, profile: { display_name: name, real_name: name } } };
+            }),
+        },
+
+        reactions: {
+            add: api('reactions.add', (args) => {
+                requireChannel('reactions.add', args);
+                const message = getMessage(args.channel, args.timestamp);
+                if (!message) throw slackError('reactions.add', 'message_not_found');
+                message.reactions = [...(message.reactions || []), { name: args.name, users: [botUserId], count: 1 }];
+                return {};
+            }),
+            remove: api('reactions.remove', (args) => {
+                requireChannel('reactions.remove', args);
+                const message = getMessage(args.channel, args.timestamp);
+                if (!message) throw slackError('reactions.remove', 'message_not_found');
+                message.reactions = (message.reactions || []).filter(reaction => reaction.name !== args.name);
+                return {};
+            }),
+        },
+
+        views: {
+            open: api('views.open', (args) => ({ view: { id: `VSIM${calls.length}`, ...args.view } })),
+            publish: api('views.publish', (args) => ({ view: { id: `VSIM${calls.length}`, ...args.view } })),
+        },
+    };
+
+    return client;
+}
+
+console.log("[Sim Slack Client] Initialized.");
@@ -0,0 +1,278 @@
+// src/sim/standIns.js
+// Offline stand-ins for the chat simulator: an LLM backend that echoes prompts (replaces AnythingLLM/OpenAI)
+// and an Octokit-compatible GitHub client that serves generated fixtures.
+
+/**
+ * =============================================================================
+ * ECHO LLM BACKEND
+ * =============================================================================
+ */
+
+/**
+ * Extracts the JSON of a ```json fence (the `gh: api` formatter prompt).
+ * @param {string} text - Prompt text.
+ * @returns {*} Parsed JSON, or null.
+ */
+function parseFencedJson(text) {
+    const match = text.match(/```json\s*([\s\S]*?)\s*```/);
+    if (!match) return null;
+    try { return JSON.parse(match[1]); } catch { return null; }
+}
+
+/**
+ * Builds the API call the GitHub workspace would generate for a `gh: api` request.
+ * @param {string} request - The user's API request.
+ * @param {string} owner - Default repository owner.
+ * @returns {{endpoint: string, method: string, parameters: object}}
+ */
+function buildApiCall(request, owner) {
+    const repoMatch = request.match(/([\w.-]+)\/([\w.-]+)/);
+    const repoPath = repoMatch ? `/repos/${repoMatch[1]}/${repoMatch[2]}` : `/repos/${owner}/backlog`;
+    if (/\b(pr|prs|pull)/i.test(request)) return { endpoint: `${repoPath}/pulls`, method: 'GET', parameters: { state: 'open', per_page: 5 } };
+    if (/\bissues?\b/i.test(request)) return { endpoint: `${repoPath}/issues`, method: 'GET', parameters: { state: 'open', per_page: 5 } };
+    if (/\breleases?\b/i.test(request)) return { endpoint: `${repoPath}/releases/latest`, method: 'GET', parameters: {} };
+    return { endpoint: repoPath, method: 'GET', parameters: {} };
+}
+
+/**
+ * Formats an API response as the formatter workspace would (a markdown list).
+ * @param {*} data - API response.
+ * @returns {string}
+ */
+function formatApiResponse(data) {
+    if (Array.isArray(data)) {
+        if (data.length === 0) return '**No results.**';
+        const items = data.map(item => `- ${item.number ? `#${item.number} ` : ''}${item.title || item.name || item.tag_name || JSON.stringify(item)}${item.html_url ? ` ([link](${item.html_url}))` : ''}`);
+        return `**${data.length} result(s)**\n\n${items.join('\n')}`;
+    }
+    if (data && typeof data === 'object') {
+        const fields = Object.entries(data)
+            .filter(([, value]) => value === null || typeof value !== 'object')
+            .slice(0, 10)
+            .map(([key, value]) => `- **${key}**: \`${value}\``);
+        return `**${data.full_name || data.title || data.name || data.tag_name || 'Response'}**\n\n${fields.join('\n')}`;
+    }
+    return `\`${String(data)}\``;
+}
+
+/**
+ * Creates an LLM backend (see services/llmService.js for the interface) that answers without a model:
+ * the GitHub workspace returns a `gh: api` call, the formatter workspace a markdown list of the response,
+ * and every other workspace echoes the prompt. Answers are streamed word by word.
+ * @param {object} [options={}] - Options.
+ * @param {string[]} [options.workspaces=[]] - Workspace slugs returned by listWorkspaces.
+ * @param {string} [options.githubWorkspace='github'] - Workspace answering `gh: api` requests.
+ * @param {string} [options.formatterWorkspace='formatter'] - Workspace formatting `gh: api` responses.
+ * @param {string} [options.githubOwner='sim-org'] - Owner used in generated API calls.
+ * @returns {object} Backend object, plus `documents` (everything passed to ingestDocument).
+ */
+export function createEchoLlmBackend({ workspaces = [], githubWorkspace = 'github', formatterWorkspace = 'formatter', githubOwner = 'sim-org' } = {}) {
+    let threadCount = 0;
+    const documents = [];
+    const threads = new Map(); // threadSlug -> [{role, content}]
+
+    /**
+     * Builds the answer for a prompt.
+     * @param {{workspaceSlug: string, threadSlug: string | null, message: string, mode: string}} params - Chat parameters.
+     * @returns {string}
+     */
+    function answer({ workspaceSlug, threadSlug, message, mode }) {
+        if (workspaceSlug === githubWorkspace) {
+            const request = message.replace(/^[\s\S]*Request:\s*/, '');
+            return `\`\`\`json\n${JSON.stringify(buildApiCall(request, githubOwner), null, 2)}\n\`\`\``;
+        }
+        if (workspaceSlug === formatterWorkspace) {
+            const data = parseFencedJson(message);
+            if (data !== null) return formatApiResponse(data);
+        }
+        const question = message.length > 500 ? `${message.slice(0, 500)}…` : message;
+        return [
+            `**Echo** from workspace \`${workspaceSlug}\` (thread \`${threadSlug || 'none'}\`, mode \`${mode}\`).`,
+            '',
+            ...question.split('\n').map(line => `> ${line}`),
+            '',
+            `_${message.length} characters received. Run with \`--llm live\` to ask the configured backend._`,
+        ].join('\n');
+    }
+
+    return {
+        name: 'sim-echo',
+        documents,
+        isConfigured: () => true,
+        async chat(params) {
+            const reply = answer({ mode: 'chat', ...params });
+            threads.get(params.threadSlug)?.push({ role: 'user', content: params.message }, { role: 'assistant', content: reply });
+            return reply;
+        },
+        async streamChat({ onChunk, ...params }) {
+            const reply = answer({ mode: 'chat', ...params });
+            threads.get(params.threadSlug)?.push({ role: 'user', content: params.message }, { role: 'assistant', content: reply });
+            let fullText = '';
+            for (const word of reply.match(/\S+\s*/g) || []) {
+                fullText += word;
+                onChunk?.(word, fullText);
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            return reply;
+        },
+        async createThread(workspaceSlug) {
+            threadCount += 1;
+            const threadSlug = `${workspaceSlug}-sim-thread-${threadCount}`;
+            threads.set(threadSlug, []);
+            return threadSlug;
+        },
+        async getThreadHistory({ threadSlug }) {
+            return threads.get(threadSlug) || [];
+        },
+        async listWorkspaces() {
+            return [...new Set([...workspaces, githubWorkspace, formatterWorkspace].filter(Boolean))];
+        },
+        async ingestDocument({ content, filename, workspaceSlug }) {
+            documents.push({ content, filename, workspaceSlug });
+            return { workspace: workspaceSlug, chunks: Math.max(1, Math.ceil(content.length / 1000)), documentPath: `sim/${filename}` };
+        },
+        async ping() {},
+    };
+}
+
+/**
+ * =============================================================================
+ * FIXTURE GITHUB CLIENT
+ * =============================================================================
+ */
+
+/**
+ * Builds an Octokit-style RequestError.
+ * @param {number} status - HTTP status.
+ * @param {string} message - Error message.
+ * @returns {Error}
+ */
+function requestError(status, message) {
+    const error = new Error(message);
+    error.name = 'HttpError';
+    error.status = status;
+    return error;
+}
+
+/**
+ * Creates an Octokit-compatible client serving generated data for any repository, offline.
+ * Issue/PR numbers >= 9000 and the repository name 'missing' return 404 (to try the not-found paths).
+ * @param {object} [options={}] - Options.
+ * @param {string} [options.login='orbit-sim'] - Login of the authenticated user.
+ * @returns {object} Client with the `rest` methods Orbit uses and `request(route, parameters)` for `gh: api`.
+ */
+export function createFixtureGithubClient({ login = 'orbit-sim' } = {}) {
+    const createdAt = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    const url = (owner, repo, path = '') => `https://github.com/${owner}/${repo}${path}`;
+
+    function checkRepo(owner, repo) {
+        if (repo === 'missing') throw requestError(404, `Not Found: ${owner}/${repo}`);
+    }
+    function checkNumber(number) {
+        if (Number(number) >= 9000) throw requestError(404, `Not Found: #${number}`);
+    }
+
+    const fixtures = {
+        repo: (owner, repo) => {
+            checkRepo(owner, repo);
+            return { name: repo, full_name: `${owner}/${repo}`, html_url: url(owner, repo), description: `Fixture repository ${owner}/${repo}`, default_branch: 'main', open_issues_count: 3, stargazers_count: 42 };
+        },
+        latestRelease: (owner, repo) => {
+            checkRepo(owner, repo);
+            return { tag_name: 'v1.2.3', name: 'v1.2.3', published_at: createdAt, html_url: url(owner, repo, '/releases/tag/v1.2.3') };
+        },
+        issue: (owner, repo, number) => {
+            checkRepo(owner, repo);
+            checkNumber(number);
+            return {
+                number: Number(number), title: `Fixture issue #${number} in ${owner}/${repo}`, state: 'open',
+                body: `Steps to reproduce:\n1. Open the settings page\n2. Click save\n\nExpected the settings to be saved, got a 500 error.`,
+                html_url: url(owner, repo, `/issues/${number}`), user: { login: 'reporter' },
+                labels: [{ name: 'bug' }, { name: 'needs-triage' }], assignees: [{ login }], created_at: createdAt,
+            };
+        },
+        issues: (owner, repo) => [1, 2, 3].map(number => fixtures.issue(owner, repo, number)),
+        comments: (owner, repo, number) => {
+            checkRepo(owner, repo);
+            checkNumber(number);
+            return [
+                { user: { login: 'maintainer' }, body: 'Thanks, I can reproduce this on main.', created_at: createdAt },
+                { user: { login: 'reporter' }, body: 'It only happens for admins.', created_at: createdAt },
+            ];
+        },
+        pull: (owner, repo, number) => {
+            checkRepo(owner, repo);
+            checkNumber(number);
+            return {
+                number: Number(number), title: `Fixture PR #${number}: fix settings save`, state: 'open',
+                body: 'Validates the settings payload before saving it.', html_url: url(owner, repo, `/pull/${number}`),
+                user: { login: 'contributor' }, assignees: [{ login }], labels: [{ name: 'bug' }], created_at: createdAt,
+            };
+        },
+        pulls: (owner, repo) => [10, 11].map(number => fixtures.pull(owner, repo, number)),
+        files: (owner, repo, number) => {
+            checkRepo(owner, repo);
+            checkNumber(number);
+            return [{
+                filename: 'src/settings.js', status: 'modified', additions: 3, deletions: 1, changes: 4,
+                patch: "@@ -10,7 +10,9 @@ export function saveSettings(payload) {\n-    return db.save(payload);\n+    if (!payload || typeof payload !== 'object') throw new Error('Invalid settings');\n+    return db.save(payload);\n+}",
+            }];
+        },
+        user: () => ({ login, id: 1, type: 'User' }),
+    };
+
+    // Routes for `request()` (generic `gh: api` calls): [pattern, handler(match)]
+    const routes = [
+        [/^GET \/repos\/([^/]+)\/([^/]+)$/, ([, owner, repo]) => fixtures.repo(owner, repo)],
+        [/^GET \/repos\/([^/]+)\/([^/]+)\/releases\/latest$/, ([, owner, repo]) => fixtures.latestRelease(owner, repo)],
+        [/^GET \/repos\/([^/]+)\/([^/]+)\/issues$/, ([, owner, repo]) => fixtures.issues(owner, repo)],
+        [/^GET \/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)$/, ([, owner, repo, number]) => fixtures.issue(owner, repo, number)],
+        [/^GET \/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/comments$/, ([, owner, repo, number]) => fixtures.comments(owner, repo, number)],
+        [/^GET \/repos\/([^/]+)\/([^/]+)\/pulls$/, ([, owner, repo]) => fixtures.pulls(owner, repo)],
+        [/^GET \/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)$/, ([, owner, repo, number]) => fixtures.pull(owner, repo, number)],
+        [/^GET \/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/files$/, ([, owner, repo, number]) => fixtures.files(owner, repo, number)],
+        [/^GET \/user$/, () => fixtures.user()],
+    ];
+
+    /**
+     * Wraps fixture data in an Octokit response.
+     * @param {() => *} load - Returns the data (may throw a RequestError).
+     * @returns {Promise<{status: number, headers: object, data: *}>}
+     */
+    async function respond(load) {
+        return { status: 200, headers: {}, data: load() };
+    }
+
+    return {
+        async request(route, parameters = {}) {
+            const normalized = route.trim().replace(/\/+$/, '');
+            for (const [pattern, handler] of routes) {
+                const match = normalized.match(pattern);
+                if (match) return respond(() => handler(match, parameters));
+            }
+            throw requestError(404, `No fixture for ${normalized}`);
+        },
+        rest: {
+            repos: {
+                get: ({ owner, repo }) => respond(() => fixtures.repo(owner, repo)),
+                getLatestRelease: ({ owner, repo }) => respond(() => fixtures.latestRelease(owner, repo)),
+            },
+            issues: {
+                get: ({ owner, repo, issue_number }) => respond(() => fixtures.issue(owner, repo, issue_number)),
+                listComments: ({ owner, repo, issue_number }) => respond(() => fixtures.comments(owner, repo, issue_number)),
+            },
+            pulls: {
+                get: ({ owner, repo, pull_number }) => respond(() => fixtures.pull(owner, repo, pull_number)),
+                listFiles: ({ owner, repo, pull_number }) => respond(() => fixtures.files(owner, repo, pull_number)),
+            },
+            users: {
+                getAuthenticated: () => respond(() => fixtures.user()),
+            },
+            rateLimit: {
+                get: () => respond(() => ({ resources: { core: { limit: 5000, remaining: 5000, reset: Math.floor(Date.now() / 1000) + 3600 } } })),
+            },
+        },
+    };
+}
+
+console.log("[Sim Stand-ins] Initialized.");
@@ -0,0 +1,7 @@
+// src/utils/consoleBridge.js
+// Imported first by the server entry point: routes the `console.*` output of modules not yet using createLogger
+// through the logger (levels, format, secret redaction, correlation IDs). See installConsoleBridge in logger.js.
+
+import { installConsoleBridge } from './logger.js';
+
+installConsoleBridge();
@@ -6,6 +6,7 @@ import {
     MAX_SLACK_BLOCK_TEXT_LENGTH,
     MAX_SLACK_BLOCK_CODE_LENGTH
 } from '../config.js'; // Assuming config.js is in the parent directory
+import { logContent } from './logger.js';
 
 /**
  * =============================================================================
@@ -103,7 +104,7 @@ export function splitMessageIntoChunks(message, maxLength = MAX_SLACK_BLOCK_TEXT
 
     const segments = extractTextAndCode(message);
     if (segments.length === 0) {
-         console.warn("[Formatting Service] extractTextAndCode returned no segments for non-empty input. Input (start):", message.substring(0, 100));
+         console.warn("[Formatting Service] extractTextAndCode returned no segments for non-empty input. Input:", logContent(message));
         // If extraction yielded nothing from non-empty trimmed input, split the original message directly
         // This could happen if the message has unusual formatting not matching the code block regex
          return splitByCharCount(message.trim(), maxLength);
@@ -120,7 +121,7 @@ export function splitMessageIntoChunks(message, maxLength = MAX_SLACK_BLOCK_TEXT
             if (splitText.length > 0) {
                 finalChunks.push(...splitText);
             } else {
-                 console.warn("[Formatting Service] splitByCharCount resulted in zero chunks from non-empty trimmed accumulator:", trimmedAccumulator.substring(0,100));
+                 console.warn("[Formatting Service] splitByCharCount resulted in zero chunks from non-empty trimmed accumulator:", logContent(trimmedAccumulator));
             }
         }
         currentTextAccumulator = '';
@@ -147,7 +148,7 @@ export function splitMessageIntoChunks(message, maxLength = MAX_SLACK_BLOCK_TEXT
              if (splitCode.length > 0) {
                  finalChunks.push(...splitCode);
              } else {
-                 console.warn("[Formatting Service] splitByCharCount resulted in zero chunks from code block:", codeBlockText.substring(0,100));
+                 console.warn("[Formatting Service] splitByCharCount resulted in zero chunks from code block:", logContent(codeBlockText));
              }
 
         } else { // segment.type === 'text'
@@ -201,7 +202,6 @@ export function splitMessageIntoChunks(message, maxLength = MAX_SLACK_BLOCK_TEXT
  * @returns {Array<{type: 'text' | 'code', content: string, language?: string}>}
  */
 export function extractTextAndCode(rawText) {
-	console.log( `[Msg Handler] LLM Raw response: ${rawText}`)
     // Return empty array for null/undefined input immediately
     if (rawText === null || rawText === undefined) return [];
     // Allow empty string input to proceed, might contain only code blocks later
@@ -415,7 +415,7 @@ function parseInlineFormatting(text) {
 export function markdownToRichTextBlock(markdown, blockId = `block_${Date.now()}_${Math.random().toString(16).slice(2)}`) {
     // Enhanced Input Validation
     if (!markdown || typeof markdown !== 'string' || markdown.trim().length === 0) {
-        console.warn(`[Formatting Service] markdownToRichTextBlock called with empty or invalid input. Type: ${typeof markdown}. Input(start): "${String(markdown).substring(0, 50)}..."`);
+        console.warn(`[Formatting Service] markdownToRichTextBlock called with empty or invalid input. Type: ${typeof markdown}. Input: ${logContent(String(markdown))}`);
         return null; // Cannot create a block from empty content
     }
 
@@ -496,7 +496,7 @@ export function markdownToRichTextBlock(markdown, blockId = `block_${Date.now()}
         });
 
         if (sectionElements.length === 0) {
-            console.warn(`[Formatting Service] No valid rich text elements generated or remained after filtering for markdownToRichTextBlock section. Input: "${markdown.substring(0,100)}..."`);
+            console.warn(`[Formatting Service] No valid rich text elements generated or remained after filtering for markdownToRichTextBlock section. Input: ${logContent(markdown)}`);
             return null;
         }
 
@@ -0,0 +1,212 @@
+// src/utils/logger.js
+// Leveled logger with JSON output, secret/content redaction and a correlation ID carried through async calls.
+// Entry points can also route the remaining `console.*` calls (with their "[Module]" prefixes) through the same
+// pipeline (installConsoleBridge); modules handling user or LLM content log through createLogger and logContent.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import util from 'util';
+import {
+    LOG_LEVEL,
+    LOG_FORMAT,
+    LOG_REDACT_CONTENT,
+    botToken,
+    appToken,
+    signingSecret,
+    anythingLLMApiKey,
+    githubToken,
+    geminiApiKey,
+    slackClientSecret
+} from '../config.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[LOG_LEVEL] ?? LEVELS.info;
+
+// Original console methods (installConsoleBridge replaces the global ones)
+const rawConsole = {
+    log: console.log.bind(console),
+    warn: console.warn.bind(console),
+    error: console.error.bind(console),
+};
+
+// Custom output for formatted lines (setLogWriter), null = console
+let logWriter = null;
+
+// Correlation context for the current async call chain: { correlationId }
+const logContext = new AsyncLocalStorage();
+
+/**
+ * =============================================================================
+ * REDACTION
+ * =============================================================================
+ */
+
+// Token shapes that must never reach the logs, whatever their origin
+const SECRET_PATTERNS = [
+    /\bxox[abposr]-[A-Za-z0-9-]+/g,           // Slack bot/user tokens
+    /\bxapp-[A-Za-z0-9-]+/g,                  // Slack app-level tokens
+    /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{20,}/g, // GitHub tokens
+    /\bgithub_pat_[A-Za-z0-9_]{20,}/g,
+    /\bAIza[0-9A-Za-z_-]{30,}/g,              // Google API keys
+    /\bsk-[A-Za-z0-9_-]{20,}/g,               // OpenAI-style keys
+    /(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi,       // Authorization headers
+];
+
+// Configured secrets (exact values), longest first so overlapping values are fully replaced
+const SECRET_VALUES = [botToken, appToken, signingSecret, anythingLLMApiKey, githubToken, geminiApiKey, slackClientSecret]
+    .filter(value => typeof value === 'string' && value.length >= 8)
+    .sort((a, b) => b.length - a.length);
+
+// Structured-log keys whose values are user/LLM content (redacted unless LOG_REDACT_CONTENT=false)
+const CONTENT_KEYS = new Set(['text', 'message', 'prompt', 'query', 'inputText', 'textResponse', 'response', 'content', 'blocks', 'history']);
+
+/**
+ * Replaces tokens and configured secret values in a string.
+ * @param {string} text - Text to scrub.
+ * @returns {string}
+ */
+export function redactSecrets(text) {
+    if (typeof text !== 'string' || !text) return text;
+    let result = text;
+    for (const secret of SECRET_VALUES) result = result.split(secret).join('[REDACTED]');
+    for (const pattern of SECRET_PATTERNS) {
+        result = result.replace(pattern, (match, bearerPrefix) => typeof bearerPrefix === 'string' ? `${bearerPrefix}[REDACTED]` : '[REDACTED]');
+    }
+    return result;
+}
+
+/**
+ * Returns a log-safe representation of message content (user questions, prompts, LLM answers).
+ * With LOG_REDACT_CONTENT (default) only the length is kept.
+ * @param {*} value - The content.
+ * @returns {string}
+ */
+export function logContent(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value) ?? '';
+    return LOG_REDACT_CONTENT ? `[redacted ${text.length} chars]` : redactSecrets(text);
+}
+
+/**
+ * JSON.stringify replacer that redacts content keys and serializes errors.
+ * @param {string} key - Property name.
+ * @param {*} value - Property value.
+ * @returns {*}
+ */
+function metaReplacer(key, value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: redactSecrets(value.message), code: value.code || value.data?.error, stack: redactSecrets(value.stack) };
+    }
+    if (LOG_REDACT_CONTENT && CONTENT_KEYS.has(key) && value !== null && value !== undefined) {
+        return `[redacted ${(typeof value === 'string' ? value : JSON.stringify(value) ?? '').length} chars]`;
+    }
+    return typeof value === 'string' ? redactSecrets(value) : value;
+}
+
+/**
+ * =============================================================================
+ * CORRELATION CONTEXT
+ * =============================================================================
+ */
+
+/**
+ * Runs a function with a correlation ID attached to every log line it (and anything it awaits) produces.
+ * @template T
+ * @param {string | null | undefined} correlationId - Slack event_id / trigger_id (or job ID).
+ * @param {() => T} fn - Function to run.
+ * @returns {T}
+ */
+export function withCorrelationId(correlationId, fn) {
+    return logContext.run({ correlationId: correlationId || null }, fn);
+}
+
+/**
+ * Returns the correlation ID of the current async call chain.
+ * @returns {string | null}
+ */
+export function getCorrelationId() {
+    return logContext.getStore()?.correlationId || null;
+}
+
+/**
+ * =============================================================================
+ * OUTPUT
+ * =============================================================================
+ */
+
+/**
+ * Writes one log entry in the configured format.
+ * @param {'debug' | 'info' | 'warn' | 'error'} level - Log level.
+ * @param {string | null} scope - Module name (e.g., 'Dispatcher/Event').
+ * @param {string} message - Already formatted message.
+ * @param {object | null} [meta=null] - Structured fields.
+ */
+function emit(level, scope, message, meta = null) {
+    if (LEVELS[level] < minLevel) return;
+    const correlationId = getCorrelationId();
+    const write = logWriter ? (line) => logWriter(level, line)
+        : level === 'error' ? rawConsole.error : level === 'warn' ? rawConsole.warn : rawConsole.log;
+
+    if (LOG_FORMAT === 'json') {
+        const entry = { time: new Date().toISOString(), level, scope: scope || undefined, correlationId: correlationId || undefined, msg: redactSecrets(message), ...(meta || {}) };
+        write(JSON.stringify(entry, metaReplacer));
+        return;
+    }
+    const prefix = correlationId ? `(${correlationId}) ` : '';
+    const scopeText = scope ? `[${scope}] ` : '';
+    const metaText = meta && Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta, metaReplacer)}` : '';
+    write(`${prefix}${scopeText}${redactSecrets(message)}${metaText}`);
+}
+
+/**
+ * Sends formatted log lines to a custom writer instead of the console (e.g., the chat simulator keeps
+ * them out of the conversation). Pass null to restore console output.
+ * @param {((level: string, line: string) => void) | null} writer - Receives the level and the formatted line.
+ */
+export function setLogWriter(writer) {
+    logWriter = writer;
+}
+
+/**
+ * Creates a logger bound to a module scope.
+ * @param {string} scope - Module name shown in brackets (e.g., 'Dispatcher').
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: (subScope: string) => object}}
+ *   Each method takes `(message, meta?)`; `meta` fields are redacted (content keys, secrets) before output.
+ */
+export function createLogger(scope) {
+    const log = (level) => (message, meta = null) => {
+        if (meta instanceof Error) meta = { err: meta };
+        emit(level, scope, String(message), meta);
+    };
+    return {
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        child: (subScope) => createLogger(`${scope}/${subScope}`),
+    };
+}
+
+/**
+ * Routes legacy `console.*` calls through the logger so they get levels, format, secret redaction and correlation IDs.
+ * A leading "[Module] " prefix in the first argument becomes the scope. Called by entry points (utils/consoleBridge.js,
+ * the chat simulator), never on import. Content can't be told apart in a formatted console line, so only secrets are
+ * masked here: code logging questions, prompts or answers must use createLogger with logContent.
+ */
+export function installConsoleBridge() {
+    const bridge = (level) => (...args) => {
+        let message = util.format(...args);
+        let scope = null;
+        const scopeMatch = message.match(/^\[([^\]]{1,60})\]:?\s*/);
+        if (scopeMatch) {
+            scope = scopeMatch[1];
+            message = message.slice(scopeMatch[0].length);
+        }
+        emit(level, scope, message);
+    };
+    console.debug = bridge('debug');
+    console.log = bridge('info');
+    console.info = bridge('info');
+    console.warn = bridge('warn');
+    console.error = bridge('error');
+}
+
+createLogger('Logger').info(`Initialized. Level: ${LOG_LEVEL}, Format: ${LOG_FORMAT}, Content redaction: ${LOG_REDACT_CONTENT}`);
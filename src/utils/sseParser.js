@@ -0,0 +1,83 @@
+// src/utils/sseParser.js
+// Minimal Server-Sent Events reader for streaming LLM responses (AnythingLLM stream-chat, OpenAI-compatible streams).
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('SSE Parser');
+
+/**
+ * Reads an SSE stream and calls `onData` with the payload of every `data:` event.
+ * Multi-line data fields are joined with "\n" per the SSE spec; comments and other fields are ignored.
+ * @param {import('stream').Readable} stream - Readable stream of the HTTP response body.
+ * @param {(data: string) => (void | boolean)} onData - Called per event. Return `false` to stop reading early.
+ * @param {object} [options={}] - Options.
+ * @param {number} [options.idleTimeoutMs] - Destroys the stream and rejects when no data arrives for this long.
+ * @returns {Promise<void>} Resolves when the stream ends (or onData returns false). Rejects on stream error, idle
+ *   timeout, or when the stream closes before it ended (a dropped connection must not look like a complete answer).
+ */
+export function readSseStream(stream, onData, { idleTimeoutMs } = {}) {
+    return new Promise((resolve, reject) => {
+        let buffer = '';
+        let dataLines = [];
+        let finished = false;
+        let idleTimer = null;
+
+        const finish = (error) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(idleTimer);
+            if (error) reject(error); else resolve();
+        };
+
+        const resetIdleTimer = () => {
+            if (!idleTimeoutMs) return;
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                stream.destroy?.();
+                finish(new Error(`Stream stalled: no data for ${idleTimeoutMs}ms`));
+            }, idleTimeoutMs);
+        };
+
+        const dispatch = () => {
+            if (dataLines.length === 0) return true;
+            const data = dataLines.join('\n');
+            dataLines = [];
+            return onData(data) !== false;
+        };
+
+        const processLine = (line) => {
+            if (line === '') return dispatch(); // Blank line terminates an event
+            if (line.startsWith(':')) return true; // Comment / keep-alive
+            if (line.startsWith('data:')) dataLines.push(line.slice(5).replace(/^ /, ''));
+            return true;
+        };
+
+        stream.setEncoding?.('utf8');
+        resetIdleTimer();
+        stream.on('data', (chunk) => {
+            if (finished) return;
+            resetIdleTimer();
+            buffer += chunk;
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+                buffer = buffer.slice(newlineIndex + 1);
+                let keepReading;
+                try { keepReading = processLine(line); } catch (err) { stream.destroy?.(); return finish(err); }
+                if (!keepReading) { stream.destroy?.(); return finish(); }
+            }
+        });
+        stream.on('end', () => {
+            if (finished) return; // Stopped early: 'end' can still follow destroy() once the body was fully read
+            try {
+                if (buffer) processLine(buffer.replace(/\r$/, ''));
+                dispatch(); // Flush a final event without trailing blank line
+                finish();
+            } catch (err) { finish(err); }
+        });
+        stream.on('error', (err) => finish(err));
+        stream.on('close', () => finish(new Error('Stream closed before it ended')));
+    });
+}
+
+log.info("Initialized.");
@@ -0,0 +1,110 @@
+// test/commandRegistry.test.js
+// Command registry: keyword matching (longest keyword first), argument parsing, usage errors and runCommand.
+
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'warn'; // The unknown command warning is checked below
+const { setLogWriter } = await import('../src/utils/logger.js');
+const {
+    registerCommand, matchTextCommand, matchSlashCommand, getCommandUsage, getTextCommandRateLimitClass,
+    getSlashCommandRateLimitClass, runCommand,
+} = await import('../src/core/commandRegistry.js');
+
+// Log lines of this file, kept out of the test output
+const logLines = [];
+setLogWriter((level, line) => logLines.push(`${level} ${line}`));
+
+const handler = async (args, context) => ({ args, source: context.source });
+
+// Registered shortest first, so the match order can't come from registration order
+const review = registerCommand({
+    name: 'test_review', description: 'Review a repo', keywords: ['review'], args: [{ name: 'repo', type: 'repo' }], handler,
+});
+const reviewPr = registerCommand({
+    name: 'test_review_pr', description: 'Review a PR', keywords: ['review pr'], slash: '/test-review',
+    args: [{ name: 'pr', type: 'pullRef' }], rateLimitClass: 'github_write', handler,
+});
+const analyze = registerCommand({
+    name: 'test_analyze', description: 'Analyze an issue', keywords: ['analyze issue', 'analyze'], slash: '/test-analyze',
+    args: [{ name: 'issue', type: 'issueRef' }, { name: 'workspace', type: 'workspace', optional: true }, { name: 'prompt', type: 'text', optional: true }],
+    rateLimitClass: 'llm', handler,
+});
+registerCommand({ name: 'test_settings', description: 'Change settings', slash: '/test-settings', permissions: ['admin'], handler });
+
+test('ignores text without the command prefix', () => {
+    assert.equal(matchTextCommand('how do I review a pr?'), null);
+    assert.equal(matchTextCommand(''), null);
+    assert.equal(matchTextCommand(undefined), null);
+});
+
+test('prefers the longest matching keyword', () => {
+    const match = matchTextCommand('gh: review pr gravityforms/gravityforms#12');
+    assert.equal(match.command, reviewPr);
+    assert.deepEqual(match.args, { pr: { owner: 'gravityforms', repo: 'gravityforms', number: 12 } });
+
+    assert.equal(matchTextCommand('gh: review gravityforms/core').command, review);
+    assert.equal(matchTextCommand('gh: analyze issue #7').command, analyze);
+    assert.equal(matchTextCommand('gh: analyze #7').command, analyze);
+});
+
+test('matches keywords case-insensitively, on whole words, with any spacing', () => {
+    assert.equal(matchTextCommand('GH: Review   PR owner/repo#3').command, reviewPr);
+    assert.equal(matchTextCommand('gh:review pr owner/repo#3').command, reviewPr);
+    assert.deepEqual(matchTextCommand('gh: reviewing owner/repo'), { command: null, source: 'text', args: null, error: null });
+});
+
+test('parses optional arguments, the workspace suffix and free text', () => {
+    assert.deepEqual(matchTextCommand('gh: analyze issue #123').args, { issue: { owner: null, repo: null, number: 123 }, workspace: null, prompt: null });
+    assert.deepEqual(matchTextCommand('gh: analyze issue owner/repo#45#gf-core').args, { issue: { owner: 'owner', repo: 'repo', number: 45 }, workspace: 'gf-core', prompt: null });
+    assert.deepEqual(matchTextCommand('gh: analyze issue #45 #gf-core  why does it fail?\nsee logs ').args, { issue: { owner: null, repo: null, number: 45 }, workspace: 'gf-core', prompt: 'why does it fail?\nsee logs' });
+    assert.deepEqual(matchTextCommand('gh: review pr owner/repo#9 ?').args, { pr: { owner: 'owner', repo: 'repo', number: 9 } });
+});
+
+test('reports usage errors with the entry point syntax', () => {
+    assert.equal(matchTextCommand('gh: review pr #12').error, '❌ Usage: `gh: review pr <owner/repo#number>`');
+    assert.equal(matchSlashCommand('/test-analyze', 'issue 12').error, '❌ Usage: `/test-analyze [owner/repo]#<number> [#<workspace>] [<text>]`');
+    assert.equal(getCommandUsage(analyze, 'text'), 'gh: analyze issue [owner/repo]#<number> [#<workspace>] [<text>]');
+});
+
+test('resolves slash commands and rate limit classes', () => {
+    assert.deepEqual(matchSlashCommand('/test-review', ' owner/repo#5 ').args, { pr: { owner: 'owner', repo: 'repo', number: 5 } });
+    assert.equal(matchSlashCommand('/nope').command, null);
+    assert.equal(getSlashCommandRateLimitClass('/test-analyze'), 'llm');
+    assert.equal(getSlashCommandRateLimitClass('/nope'), null);
+    assert.equal(getTextCommandRateLimitClass('gh: review pr owner/repo#1'), 'github_write');
+    assert.equal(getTextCommandRateLimitClass('gh: review owner/repo'), null);
+    assert.equal(getTextCommandRateLimitClass('gh: bogus'), 'github_read');
+    assert.equal(getTextCommandRateLimitClass('hello'), undefined);
+});
+
+test('rejects invalid and clashing definitions', () => {
+    assert.throws(() => registerCommand({ name: 'test_bad_type', keywords: ['bad'], args: [{ name: 'x', type: 'date' }], handler }), /unknown type 'date'/);
+    assert.throws(() => registerCommand({ name: 'test_bad_permission', keywords: ['bad'], permissions: ['root'], handler }), /unknown permission 'root'/);
+    assert.throws(() => registerCommand({ name: 'test_no_syntax', handler }), /no keywords or slash command/);
+    assert.throws(() => registerCommand({ name: 'test_clash', slash: '/test-review', handler }), /already registered/);
+});
+
+test('runCommand replies to unknown commands and logs only the command word', async () => {
+    logLines.length = 0;
+    const replies = [];
+    const text = 'gh: bogus please look at customer@example.com order 4411';
+    assert.equal(await runCommand(matchTextCommand(text), { name: text, reply: async message => replies.push(message) }), undefined);
+    assert.deepEqual(replies, ['❓ Unknown command. Type `@Orbit help` for options.']);
+    assert.deepEqual(logLines, ['warn [Command Registry] Unknown text command: bogus']);
+});
+
+test('runCommand reports usage errors, checks permissions and runs handlers', async () => {
+    const replies = [];
+    const context = { userId: 'U999', channelId: 'C1', reply: async message => replies.push(message) };
+
+    assert.equal(await runCommand(matchTextCommand('gh: review pr nope'), context), undefined);
+    assert.equal(await runCommand(matchSlashCommand('/test-settings'), context), undefined);
+    assert.deepEqual(replies, ['❌ Usage: `gh: review pr <owner/repo#number>`', ':lock: `/test-settings` is limited to Orbit admins.']);
+
+    assert.deepEqual(await runCommand(matchSlashCommand('/test-analyze', '#8'), context), {
+        args: { issue: { owner: null, repo: null, number: 8 }, workspace: null, prompt: null },
+        source: 'slash',
+    });
+});
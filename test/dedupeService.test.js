@@ -0,0 +1,54 @@
+// test/dedupeService.test.js
+// In-memory event deduplication (no Redis): duplicates within the TTL, LRU eviction beyond the memory limit,
+// forgetting events that couldn't be queued.
+
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DUPLICATE_EVENT_MEMORY_MAX = '100';
+const { isDuplicateEvent, forgetEvent } = await import('../src/services/dedupeService.js');
+const { DUPLICATE_EVENT_TTL } = await import('../src/config.js');
+
+test('flags redeliveries of the same event', async () => {
+    assert.equal(await isDuplicateEvent('EvSame'), false);
+    assert.equal(await isDuplicateEvent('EvSame'), true);
+    assert.equal(await isDuplicateEvent('EvSame'), true);
+    assert.equal(await isDuplicateEvent('EvOther'), false);
+});
+
+test('processes a redelivery of a forgotten event', async () => {
+    assert.equal(await isDuplicateEvent('EvNotQueued'), false);
+    await forgetEvent('EvNotQueued');
+    assert.equal(await isDuplicateEvent('EvNotQueued'), false);
+    assert.equal(await isDuplicateEvent('EvNotQueued'), true);
+    await forgetEvent(undefined); // No-op
+});
+
+test('never flags events without an ID', async () => {
+    assert.equal(await isDuplicateEvent(undefined), false);
+    assert.equal(await isDuplicateEvent(undefined), false);
+});
+
+test('forgets events after the TTL, counted from the first delivery', async (t) => {
+    const start = Date.now();
+    let now = start;
+    t.mock.method(Date, 'now', () => now);
+
+    assert.equal(await isDuplicateEvent('EvTtl'), false);
+    now = start + (DUPLICATE_EVENT_TTL * 1000) - 1;
+    assert.equal(await isDuplicateEvent('EvTtl'), true); // Seen again, but the expiry is not extended
+    now = start + DUPLICATE_EVENT_TTL * 1000;
+    assert.equal(await isDuplicateEvent('EvTtl'), false);
+});
+
+test('evicts the least recently seen events beyond the memory limit', async () => {
+    assert.equal(await isDuplicateEvent('EvKept'), false);
+    assert.equal(await isDuplicateEvent('EvEvicted'), false);
+    for (let index = 0; index < 98; index += 1) await isDuplicateEvent(`EvFill${index}`);
+    assert.equal(await isDuplicateEvent('EvKept'), true); // Now the most recently seen
+
+    for (let index = 0; index < 5; index += 1) await isDuplicateEvent(`EvMore${index}`);
+    assert.equal(await isDuplicateEvent('EvKept'), true);
+    assert.equal(await isDuplicateEvent('EvEvicted'), false);
+});
@@ -0,0 +1,100 @@
+// test/fileContext.test.js
+// Shared file context: which files are read or skipped (binary content, size, file limit) and how the character
+// budget is split between files. Files are served from data: URLs, like the chat simulator does.
+
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+Object.assign(process.env, { FILE_CONTEXT_MAX_FILES: '3', FILE_CONTEXT_MAX_CHARS: '1000' });
+const { buildFileContext, describeFileContext } = await import('../src/features/fileContext.js');
+
+let fileCount = 0;
+
+/**
+ * Builds a Slack file object whose download URL serves the given content.
+ * @param {string} name - File name.
+ * @param {string | Buffer} content - File content.
+ * @param {object} [overrides={}] - Extra file fields.
+ * @returns {object}
+ */
+function sharedFile(name, content, overrides = {}) {
+    const buffer = Buffer.from(content);
+    fileCount += 1;
+    return {
+        id: `FTEST${fileCount}`, name, mimetype: 'text/plain', filetype: 'text', size: buffer.length, mode: 'hosted',
+        url_private_download: `data:text/plain;base64,${buffer.toString('base64')}`,
+        ...overrides,
+    };
+}
+
+test('reads text files into labelled sections', async () => {
+    const context = await buildFileContext([sharedFile('debug.log', '﻿  PHP Fatal error: boom\n')]);
+    assert.deepEqual(context.used, [{ name: 'debug.log', size: 27, truncated: false }]);
+    assert.deepEqual(context.skipped, []);
+    assert.equal(context.text, 'Files shared with this message:\n\n--- File: debug.log (text) ---\nPHP Fatal error: boom\n--- End of debug.log ---');
+});
+
+test('skips binary content, binary mimetypes, oversized, empty and inaccessible files', async () => {
+    const context = await buildFileContext([
+        sharedFile('nul.bin', Buffer.from([0x50, 0x4b, 0x00, 0x03])),
+        sharedFile('latin1.txt', Buffer.alloc(200, 0xe9)),
+        sharedFile('control.txt', `${'\x01\x02'.repeat(20)}text`),
+    ]);
+    assert.deepEqual(context.skipped.map(({ reason }) => reason), ['not a text file', 'not a text file', 'not a text file']);
+    assert.equal(context.text, '');
+
+    // Rejected from the file object alone: there is nothing to download
+    const unread = await buildFileContext([
+        { id: 'F1', name: 'screenshot.png', mimetype: 'image/png', size: 10 },
+        { id: 'F2', name: 'dump.sql', mimetype: 'text/plain', size: 5 * 1024 * 1024 },
+        { id: 'F3', name: 'gone.txt', mode: 'tombstone' },
+    ]);
+    assert.deepEqual(unread.skipped, [
+        { name: 'screenshot.png', reason: 'not a text file' },
+        { name: 'dump.sql', reason: 'larger than 1.0 MB' },
+        { name: 'gone.txt', reason: 'not accessible' },
+    ]);
+
+    const empty = await buildFileContext([sharedFile('blank.txt', ' \n\t\n')]);
+    assert.deepEqual(empty.skipped, [{ name: 'blank.txt', reason: 'empty' }]);
+});
+
+test('accepts UTF-8 text with a multi-byte character cut at the end of the sample', async () => {
+    const context = await buildFileContext([sharedFile('accents.txt', `${'a'.repeat(8191)}é and more`)]);
+    assert.deepEqual(context.skipped, []);
+    assert.equal(context.used.length, 1);
+});
+
+test('reads at most FILE_CONTEXT_MAX_FILES files per message', async () => {
+    const files = ['one', 'two', 'three', 'four'].map(name => sharedFile(`${name}.txt`, name));
+    const context = await buildFileContext(files);
+    assert.deepEqual(context.used.map(({ name }) => name), ['one.txt', 'two.txt', 'three.txt']);
+    assert.deepEqual(context.skipped, [{ name: 'four.txt', reason: 'only 3 files are read per message' }]);
+});
+
+test('splits the character budget, giving what short files leave to the longer ones', async () => {
+    const long = `START${'x'.repeat(4990)}END!!`;
+    const context = await buildFileContext([sharedFile('big.log', long), sharedFile('small.php', 's'.repeat(100), { filetype: 'php' })]);
+
+    assert.deepEqual(context.used.map(({ name, truncated }) => ({ name, truncated })), [
+        { name: 'big.log', truncated: true },
+        { name: 'small.php', truncated: false },
+    ]);
+    const [, bigText] = context.text.match(/--- File: big\.log \(text\), shortened ---\n([\s\S]*)\n--- End of big\.log ---/);
+    const [head, omitted, tail] = bigText.split('\n');
+    assert.equal(head.length, 360); // 40% of the 900 characters left by small.php
+    assert.ok(head.startsWith('START'));
+    assert.equal(omitted, '… 4100 characters omitted …');
+    assert.equal(tail.length, 540);
+    assert.ok(tail.endsWith('END!!'));
+    assert.ok(context.text.includes(`--- File: small.php (php) ---\n${'s'.repeat(100)}\n--- End of small.php ---`));
+});
+
+test('describes used and skipped files', () => {
+    assert.equal(
+        describeFileContext({ used: [{ name: 'big.log', size: 5000, truncated: true }], skipped: [{ name: 'a.png', reason: 'not a text file' }] }),
+        ':paperclip: Reading `big.log` (4.9 KB, shortened); skipped `a.png` (not a text file).',
+    );
+    assert.equal(describeFileContext({ used: [], skipped: [{ name: 'a.png', reason: 'not a text file' }] }), ':paperclip: Couldn\'t read `a.png` (not a text file).');
+});
@@ -0,0 +1,15 @@
+// test/helpers/env.js
+// Minimal environment for importing Orbit modules in tests. Modules read their configuration on import, so test
+// files import this first; values already set (e.g., by a test that checks config parsing) are kept.
+// SLACK_BOT_TOKEN is left unset on purpose: slackService then uses its offline dummy client instead of calling
+// auth.test on import (whose network retries would keep the test process alive).
+
+const TEST_ENV = {
+    SLACK_SIGNING_SECRET: 'test-signing-secret',
+    SLACK_BOT_USER_ID: 'UORBIT',
+    LLM_API_BASE_URL: 'http://127.0.0.1:9',
+    LLM_API_KEY: 'test-key',
+    LOG_LEVEL: 'error',
+};
+
+for (const [key, value] of Object.entries(TEST_ENV)) process.env[key] ??= value;
@@ -0,0 +1,115 @@
+// test/helpers/fakeRedis.js
+// Minimal in-process Redis server (RESP2 over TCP) for tests of code using the real `redis` client: strings with
+// expiry (GET, SET NX/PX, DEL, PEXPIRE) and EVAL of the compare-and-delete / compare-and-expire scripts used by
+// the thread lock. Commands listed in `failing` answer with an error, to exercise fallbacks.
+
+import net from 'net';
+
+/**
+ * Starts the server on a random local port.
+ * @returns {Promise<{url: string, store: Map<string, {value: string, expiresAt: number | null}>, failing: Set<string>, calls: string[], close: () => Promise<void>}>}
+ */
+export async function startFakeRedis() {
+    const store = new Map();
+    const failing = new Set();
+    const calls = [];
+    const sockets = new Set();
+
+    const get = (key) => {
+        const entry = store.get(key);
+        if (entry?.expiresAt && entry.expiresAt <= Date.now()) store.delete(key);
+        return store.get(key) || null;
+    };
+    const bulk = (value) => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+
+    const run = ([name, ...args]) => {
+        const command = name.toUpperCase();
+        calls.push(command);
+        if (failing.has(command)) return `-ERR ${command} failed (test)\r\n`;
+        switch (command) {
+            case 'PING': return '+PONG\r\n';
+            case 'GET': return bulk(get(args[0])?.value ?? null);
+            case 'DEL': return `:${args.filter(key => get(key) && store.delete(key)).length}\r\n`;
+            case 'PEXPIRE': {
+                const entry = get(args[0]);
+                if (!entry) return ':0\r\n';
+                entry.expiresAt = Date.now() + Number(args[1]);
+                return ':1\r\n';
+            }
+            case 'SET': {
+                const [key, value, ...options] = args;
+                const upper = options.map(option => option.toUpperCase());
+                if (upper.includes('NX') && get(key)) return '$-1\r\n';
+                const px = upper.indexOf('PX');
+                store.set(key, { value, expiresAt: px === -1 ? null : Date.now() + Number(options[px + 1]) });
+                return '+OK\r\n';
+            }
+            case 'EVAL': {
+                const [script, , key, token, ttl] = args;
+                const entry = get(key);
+                if (!entry || entry.value !== token) return ':0\r\n';
+                if (script.includes('PEXPIRE')) entry.expiresAt = Date.now() + Number(ttl);
+                else store.delete(key);
+                return ':1\r\n';
+            }
+            default: return '+OK\r\n'; // CLIENT SETINFO, SELECT, ...
+        }
+    };
+
+    /**
+     * Parses complete RESP arrays from the buffer.
+     * @param {Buffer} buffer - Unparsed input.
+     * @returns {{commands: string[][], rest: Buffer}}
+     */
+    const parse = (buffer) => {
+        const commands = [];
+        let offset = 0;
+        while (offset < buffer.length) {
+            const start = offset;
+            const readLine = () => {
+                const end = buffer.indexOf('\r\n', offset);
+                if (end === -1) return null;
+                const line = buffer.toString('utf8', offset, end);
+                offset = end + 2;
+                return line;
+            };
+            const header = readLine();
+            if (header === null) { offset = start; break; }
+            const count = Number(header.slice(1));
+            const parts = [];
+            let complete = true;
+            for (let index = 0; index < count; index += 1) {
+                const length = readLine();
+                if (length === null || offset + Number(length.slice(1)) + 2 > buffer.length) { complete = false; break; }
+                parts.push(buffer.toString('utf8', offset, offset + Number(length.slice(1))));
+                offset += Number(length.slice(1)) + 2;
+            }
+            if (!complete) { offset = start; break; }
+            commands.push(parts);
+        }
+        return { commands, rest: buffer.subarray(offset) };
+    };
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        let pending = Buffer.alloc(0);
+        socket.on('data', (chunk) => {
+            const { commands, rest } = parse(Buffer.concat([pending, chunk]));
+            pending = rest;
+            for (const command of commands) socket.write(run(command));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `redis://127.0.0.1:${server.address().port}`,
+        store,
+        failing,
+        calls,
+        close: () => new Promise(resolve => {
+            sockets.forEach(socket => socket.destroy());
+            server.close(() => resolve());
+        }),
+    };
+}
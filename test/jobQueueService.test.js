@@ -0,0 +1,98 @@
+// test/jobQueueService.test.js
+// In-memory job queue: retries before a job replied, no retry or recovery after it replied, idempotency keys.
+
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.JOB_BACKOFF_BASE_MS = '0'; // Retry right away (read when the config is imported below)
+const { registerJobHandler, enqueueJob, markJobCommitted, abandonCommittedJobs, startJobWorkers, drainJobWorkers } = await import('../src/services/jobQueueService.js');
+
+/**
+ * Waits until a condition holds.
+ * @param {() => boolean} condition - Checked every few ms.
+ * @param {number} [timeoutMs=2000] - Fails the test after this long.
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the job queue');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/** Lets the queue run whatever it would run next (retries are scheduled with a 0ms backoff). */
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+before(() => startJobWorkers());
+after(() => drainJobWorkers(1000));
+
+test('retries a job that failed before replying', async () => {
+    const attempts = [];
+    const failures = [];
+    registerJobHandler('test_transient', async (data, { attempt }) => {
+        attempts.push(attempt);
+        if (attempt === 1) throw new Error('Slack timed out');
+    }, { maxAttempts: 3, onFailure: (data, error) => failures.push(error) });
+
+    await enqueueJob('test_transient', {});
+    await waitFor(() => attempts.length === 2);
+    await settle();
+    assert.deepEqual(attempts, [1, 2]);
+    assert.equal(failures.length, 0);
+});
+
+test('dead-letters a job that failed after replying, without retry or onFailure', async () => {
+    let runs = 0;
+    const failures = [];
+    registerJobHandler('test_committed', async () => {
+        runs += 1;
+        await markJobCommitted(); // As after the thinking message was posted
+        throw new Error('LLM request failed');
+    }, { maxAttempts: 3, onFailure: (data, error) => failures.push(error) });
+
+    await enqueueJob('test_committed', {});
+    await waitFor(() => runs === 1);
+    await settle();
+    assert.equal(runs, 1);
+    assert.equal(failures.length, 0);
+});
+
+test('runs work enqueued twice under the same idempotency key once', async () => {
+    let runs = 0;
+    registerJobHandler('test_idempotent', async () => { runs += 1; });
+
+    await enqueueJob('test_idempotent', {}, { idempotencyKey: 'Ev0001' });
+    await waitFor(() => runs === 1);
+    await settle();
+    await enqueueJob('test_idempotent', {}, { idempotencyKey: 'Ev0001' }); // Slack redelivery
+    await enqueueJob('test_idempotent', {}, { idempotencyKey: 'Ev0002' });
+    await waitFor(() => runs === 2);
+    await settle();
+    assert.equal(runs, 2);
+});
+
+test('abandons only running jobs that already replied', async () => {
+    const runs = { replied: 0, silent: 0 };
+    let releaseJobs;
+    const released = new Promise(resolve => { releaseJobs = resolve; });
+    registerJobHandler('test_abandon', async ({ name }) => {
+        runs[name] += 1;
+        if (runs[name] > 1) return;
+        if (name === 'replied') await markJobCommitted();
+        await released;
+        throw new Error('Shutting down');
+    }, { concurrency: 2, maxAttempts: 3 });
+
+    await enqueueJob('test_abandon', { name: 'replied' });
+    await enqueueJob('test_abandon', { name: 'silent' });
+    await waitFor(() => runs.replied === 1 && runs.silent === 1);
+
+    assert.equal(await abandonCommittedJobs('Abandoned at shutdown'), 1);
+    assert.equal(await abandonCommittedJobs('Abandoned at shutdown'), 0); // Already abandoned
+    releaseJobs();
+    await waitFor(() => runs.silent === 2);
+    await settle();
+    assert.deepEqual(runs, { replied: 1, silent: 2 });
+});
@@ -0,0 +1,53 @@
+// test/llmService.test.js
+// One-off prompts in throwaway threads (queryLlmInScratchThread), against a fake backend: asked in a new thread that
+// is deleted afterwards, never sent to the workspace chat.
+
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { queryLlmInScratchThread, setLlmBackendOverride } = await import('../src/services/llmService.js');
+
+/**
+ * Fake backend recording its calls.
+ * @param {object} [overrides={}] - Methods replacing the defaults.
+ * @returns {{backend: object, calls: string[]}}
+ */
+function fakeBackend(overrides = {}) {
+    const calls = [];
+    const backend = {
+        name: 'fake',
+        isConfigured: () => true,
+        createThread: async (workspaceSlug) => { calls.push(`create ${workspaceSlug}`); return 'scratch-1'; },
+        chat: async ({ workspaceSlug, threadSlug }) => { calls.push(`chat ${workspaceSlug}:${threadSlug}`); return 'summary'; },
+        deleteThread: async ({ workspaceSlug, threadSlug }) => { calls.push(`delete ${workspaceSlug}:${threadSlug}`); },
+        ...overrides,
+    };
+    return { backend, calls };
+}
+
+afterEach(() => setLlmBackendOverride(null));
+
+test('asks in a new thread and deletes it afterwards', async () => {
+    const { backend, calls } = fakeBackend();
+    setLlmBackendOverride(backend);
+    assert.equal(await queryLlmInScratchThread('support', 'Summarize this'), 'summary');
+    assert.deepEqual(calls, ['create support', 'chat support:scratch-1', 'delete support:scratch-1']);
+});
+
+test('deletes the thread when the query fails, and a failed delete is only logged', async () => {
+    const { backend, calls } = fakeBackend({
+        chat: async () => { calls.push('chat'); throw new Error('boom'); },
+        deleteThread: async () => { calls.push('delete'); throw new Error('gone'); },
+    });
+    setLlmBackendOverride(backend);
+    assert.equal(await queryLlmInScratchThread('support', 'Summarize this'), '');
+    assert.deepEqual(calls, ['create support', 'chat', 'delete']);
+});
+
+test("doesn't fall back to the workspace chat when no thread can be created", async () => {
+    const { backend, calls } = fakeBackend({ createThread: async () => { throw new Error('nope'); } });
+    setLlmBackendOverride(backend);
+    assert.equal(await queryLlmInScratchThread('support', 'Summarize this'), '');
+    assert.deepEqual(calls, []);
+});
@@ -0,0 +1,99 @@
+// test/slackRequestVerifier.test.js
+// Slack request signing: valid signatures, tampering, the replay window and malformed headers.
+
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { computeSlackSignature, verifySlackSignature, slackSignatureMiddleware } from '../src/core/slackRequestVerifier.js';
+
+const SECRET = 'test-signing-secret';
+const NOW = 1_700_000_000;
+const BODY = 'token=x&team_id=T1&command=%2Fgh-api&text=list+repos';
+
+/** Signs BODY (or rawBody) at `timestamp` like Slack does. */
+function signed({ timestamp = String(NOW), rawBody = BODY } = {}) {
+    return { signature: computeSlackSignature(SECRET, timestamp, rawBody), timestamp, rawBody, secret: SECRET, maxAgeSeconds: 300, nowSeconds: NOW };
+}
+
+test('computeSlackSignature matches the v0 HMAC-SHA256 scheme', () => {
+    const expected = `v0=${crypto.createHmac('sha256', SECRET).update(`v0:${NOW}:${BODY}`).digest('hex')}`;
+    assert.equal(computeSlackSignature(SECRET, String(NOW), BODY), expected);
+});
+
+test('accepts a valid signature', () => {
+    assert.deepEqual(verifySlackSignature(signed()), { valid: true });
+});
+
+test('rejects a tampered body or the wrong secret', () => {
+    assert.deepEqual(verifySlackSignature({ ...signed(), rawBody: `${BODY}&admin=1` }), { valid: false, reason: 'signature mismatch' });
+    assert.deepEqual(verifySlackSignature({ ...signed(), secret: 'other-secret' }), { valid: false, reason: 'signature mismatch' });
+});
+
+test('rejects a signature of a different length without throwing', () => {
+    const request = signed();
+    assert.deepEqual(verifySlackSignature({ ...request, signature: request.signature.slice(0, -1) }), { valid: false, reason: 'signature mismatch' });
+    assert.deepEqual(verifySlackSignature({ ...request, signature: `${request.signature}00` }), { valid: false, reason: 'signature mismatch' });
+    assert.deepEqual(verifySlackSignature({ ...request, signature: 'v0=é' }), { valid: false, reason: 'signature mismatch' });
+});
+
+test('enforces the replay window in both directions', () => {
+    assert.equal(verifySlackSignature(signed({ timestamp: String(NOW - 300) })).valid, true);
+    assert.equal(verifySlackSignature(signed({ timestamp: String(NOW + 300) })).valid, true);
+
+    const stale = verifySlackSignature(signed({ timestamp: String(NOW - 301) }));
+    assert.equal(stale.valid, false);
+    assert.match(stale.reason, /^stale timestamp \(301s old, window 300s\)$/);
+
+    const future = verifySlackSignature(signed({ timestamp: String(NOW + 301) }));
+    assert.equal(future.valid, false);
+    assert.match(future.reason, /^stale timestamp/);
+});
+
+test('rejects missing headers, an invalid timestamp and a missing secret', () => {
+    assert.deepEqual(verifySlackSignature({ ...signed(), signature: undefined }), { valid: false, reason: 'missing signature headers' });
+    assert.deepEqual(verifySlackSignature({ ...signed(), timestamp: '' }), { valid: false, reason: 'missing signature headers' });
+    assert.deepEqual(verifySlackSignature(signed({ timestamp: 'yesterday' })), { valid: false, reason: 'invalid timestamp "yesterday"' });
+    assert.deepEqual(verifySlackSignature({ ...signed(), secret: '' }), { valid: false, reason: 'signing secret not configured' });
+});
+
+test('middleware passes signed requests and answers 401 otherwise', () => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const request = (signature, rawBody = BODY) => ({
+        method: 'POST',
+        originalUrl: '/slack/commands',
+        ip: '127.0.0.1',
+        rawBody,
+        get: name => ({ 'X-Slack-Signature': signature, 'X-Slack-Request-Timestamp': timestamp })[name],
+    });
+    const response = () => {
+        const res = { statusCode: null, body: null };
+        res.status = (code) => { res.statusCode = code; return res; };
+        res.send = (body) => { res.body = body; return res; };
+        return res;
+    };
+
+    let nextCalls = 0;
+    const next = () => { nextCalls += 1; };
+
+    const ok = response();
+    slackSignatureMiddleware(request(computeSlackSignature(SECRET, timestamp, BODY)), ok, next);
+    assert.equal(nextCalls, 1);
+    assert.equal(ok.statusCode, null);
+
+    const rejected = response();
+    slackSignatureMiddleware(request('v0=deadbeef'), rejected, next);
+    assert.equal(nextCalls, 1);
+    assert.equal(rejected.statusCode, 401);
+
+    // No raw body (content type the parser skipped): verified as an empty body
+    const noRawBody = response();
+    slackSignatureMiddleware(request(computeSlackSignature(SECRET, timestamp, BODY), null), noRawBody, next);
+    assert.equal(nextCalls, 1);
+    assert.equal(noRawBody.statusCode, 401);
+
+    const emptyBody = response();
+    slackSignatureMiddleware(request(computeSlackSignature(SECRET, timestamp, ''), null), emptyBody, next);
+    assert.equal(nextCalls, 2);
+    assert.equal(emptyBody.statusCode, null);
+});
@@ -0,0 +1,54 @@
+// test/slackService.test.js
+// Slack clients: the outbound queue uses the client that rejects rate-limited calls and retries them itself; other
+// calls use the default client (which retries 429s internally).
+
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withSlackClient, getSlackClient, enqueueSlackPost, fetchSlackHistory } from '../src/services/slackService.js';
+
+/**
+ * Fake client recording its calls; the first `rateLimited` calls fail like a WebClient with rejectRateLimitedCalls.
+ * @param {number} [rateLimited=0] - Calls to reject with a rate limit error.
+ * @returns {object}
+ */
+function fakeClient(rateLimited = 0) {
+    const calls = [];
+    const call = (method, result) => async (args) => {
+        calls.push(method);
+        if (calls.length <= rateLimited) throw Object.assign(new Error('rate limited'), { code: 'slack_webapi_rate_limited_error', retryAfter: 0.01 });
+        return { ok: true, ...result };
+    };
+    return {
+        calls,
+        chat: { postMessage: call('chat.postMessage', { ts: '1.000' }) },
+        conversations: { replies: call('conversations.replies', { messages: [{ ts: '1.000' }] }) },
+    };
+}
+
+test('queued writes use the queue client and retry rate-limited calls', async () => {
+    const client = fakeClient();
+    const queueClient = fakeClient(1);
+    const result = await withSlackClient({ client, queueClient, botUserId: 'UORBIT' }, () => {
+        assert.equal(getSlackClient(), client);
+        return enqueueSlackPost({ channel: 'C1', text: 'hi' });
+    });
+    assert.equal(result.ts, '1.000');
+    assert.deepEqual(queueClient.calls, ['chat.postMessage', 'chat.postMessage']);
+    assert.deepEqual(client.calls, []);
+});
+
+test('thread history reads use the queue client', async () => {
+    const client = fakeClient();
+    const queueClient = fakeClient(1);
+    const messages = await withSlackClient({ client, queueClient, botUserId: 'UORBIT' }, () => fetchSlackHistory('C1', '1.000'));
+    assert.deepEqual(messages, [{ ts: '1.000' }]);
+    assert.deepEqual(queueClient.calls, ['conversations.replies', 'conversations.replies']);
+    assert.deepEqual(client.calls, []);
+});
+
+test('an explicit client without a queue client is used for both', async () => {
+    const client = fakeClient();
+    await withSlackClient({ client, botUserId: 'UORBIT' }, () => enqueueSlackPost({ channel: 'C2', text: 'hi' }));
+    assert.deepEqual(client.calls, ['chat.postMessage']);
+});
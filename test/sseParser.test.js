@@ -0,0 +1,95 @@
+// test/sseParser.test.js
+// SSE parsing of streamed LLM responses: events split across chunks, multi-byte characters split across buffers,
+// CRLF line endings, multi-line data, comments, early stop, dropped connections and the idle timeout.
+
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { readSseStream } from '../src/utils/sseParser.js';
+
+/**
+ * Reads a stream made of the given chunks and collects the events.
+ * @param {Array<string | Buffer>} chunks - Raw body chunks, in order.
+ * @param {(data: string) => (void | boolean)} [onData] - Optional callback run after collecting each event.
+ * @returns {Promise<string[]>} Event payloads.
+ */
+async function collect(chunks, onData = () => {}) {
+    const events = [];
+    await readSseStream(Readable.from(chunks.map(chunk => Buffer.from(chunk)), { objectMode: false }), (data) => {
+        events.push(data);
+        return onData(data);
+    });
+    return events;
+}
+
+test('reads events split at arbitrary chunk boundaries', async () => {
+    const body = 'data: {"textResponse":"Hel"}\n\ndata: {"textResponse":"lo"}\n\ndata: [DONE]\n\n';
+    const expected = ['{"textResponse":"Hel"}', '{"textResponse":"lo"}', '[DONE]'];
+    for (let size = 1; size <= body.length; size += 1) {
+        const chunks = [];
+        for (let index = 0; index < body.length; index += size) chunks.push(body.slice(index, index + size));
+        assert.deepEqual(await collect(chunks), expected, `chunk size ${size}`);
+    }
+});
+
+test('keeps multi-byte characters split across buffers intact', async () => {
+    const bytes = Buffer.from('data: héllo ✓ 🚀\n\n');
+    const chunks = [];
+    for (let index = 0; index < bytes.length; index += 1) chunks.push(bytes.subarray(index, index + 1));
+    assert.deepEqual(await collect(chunks), ['héllo ✓ 🚀']);
+});
+
+test('handles CRLF line endings, including a CR and LF in different chunks', async () => {
+    assert.deepEqual(await collect(['data: one\r', '\n\r\ndata: two\r\n', '\r\n']), ['one', 'two']);
+});
+
+test('joins multi-line data and ignores comments and other fields', async () => {
+    const body = ': keep-alive\n\nevent: message\nid: 7\ndata: first line\ndata:second line\ndata:  indented\n\n';
+    assert.deepEqual(await collect([body]), ['first line\nsecond line\n indented']);
+});
+
+test('flushes a final event without a trailing blank line', async () => {
+    assert.deepEqual(await collect(['data: one\n\ndata: last']), ['one', 'last']);
+    assert.deepEqual(await collect(['data: last\n']), ['last']);
+});
+
+test('stops reading when onData returns false', async () => {
+    const events = await collect(['data: one\n\ndata: two\n\ndata: three\n\n'], data => data !== 'two');
+    assert.deepEqual(events, ['one', 'two']);
+});
+
+test('rejects when onData throws or the stream fails', async () => {
+    await assert.rejects(collect(['data: one\n\n'], () => { throw new Error('bad chunk'); }), /bad chunk/);
+
+    const failing = new Readable({ read() { this.destroy(new Error('socket hang up')); } });
+    await assert.rejects(readSseStream(failing, () => {}), /socket hang up/);
+});
+
+test('rejects when the connection closes before the stream ended', async () => {
+    const events = [];
+    const cut = new Readable({ read() {} });
+    cut.push('data: partial answer\n\ndata: more');
+    setTimeout(() => cut.destroy(), 10);
+    await assert.rejects(readSseStream(cut, data => { events.push(data); }), /closed before it ended/);
+    assert.deepEqual(events, ['partial answer']);
+});
+
+test('rejects and destroys a stream that stalls longer than the idle timeout', async () => {
+    const stalled = new Readable({ read() {} });
+    stalled.push('data: first\n\n');
+    const started = Date.now();
+    await assert.rejects(readSseStream(stalled, () => {}, { idleTimeoutMs: 50 }), /Stream stalled: no data for 50ms/);
+    assert.ok(Date.now() - started >= 45);
+    assert.equal(stalled.destroyed, true);
+});
+
+test('restarts the idle timeout on every chunk', async () => {
+    const slow = new Readable({ read() {} });
+    const chunks = ['data: one\n\n', 'data: two\n\n', 'data: three\n\n'];
+    const timer = setInterval(() => slow.push(chunks.length > 0 ? chunks.shift() : null), 30);
+    const events = [];
+    await readSseStream(slow, data => { events.push(data); }, { idleTimeoutMs: 80 });
+    clearInterval(timer);
+    assert.deepEqual(events, ['one', 'two', 'three']);
+});
@@ -0,0 +1,78 @@
+// test/threadLockRedis.test.js
+// Thread lock across instances: the Redis lock against an in-process fake server (timeout while another instance
+// holds it, renewal while held, token-checked release, fallback to the local lock on Redis errors).
+
+import './helpers/env.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeRedis } from './helpers/fakeRedis.js';
+
+const fakeRedis = await startFakeRedis();
+process.env.REDIS_URL = fakeRedis.url;
+process.env.THREAD_LOCK_TTL_MS = '3000'; // Renewed every 1000ms
+
+const { THREAD_LOCK_REDIS_PREFIX } = await import('../src/config.js');
+const redisService = await import('../src/services/redisService.js');
+const { acquireThreadLock } = await import('../src/services/threadLockService.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const readyDeadline = Date.now() + 5000;
+while (!redisService.isRedisReady && Date.now() < readyDeadline) await sleep(20);
+
+after(async () => {
+    await redisService.redisClient.quit().catch(() => {});
+    await fakeRedis.close();
+});
+
+test('connects to the fake server', () => {
+    assert.equal(redisService.isRedisReady, true);
+});
+
+test('sets the Redis key while held and deletes it on release', async () => {
+    const release = await acquireThreadLock('C1', '1.000');
+    assert.ok(fakeRedis.store.has(`${THREAD_LOCK_REDIS_PREFIX}C1:1.000`));
+    await release();
+    assert.equal(fakeRedis.store.has(`${THREAD_LOCK_REDIS_PREFIX}C1:1.000`), false);
+});
+
+test('returns null when another instance holds the thread past the wait', async () => {
+    fakeRedis.store.set(`${THREAD_LOCK_REDIS_PREFIX}C1:2.000`, { value: 'other-instance', expiresAt: Date.now() + 10000 });
+    const started = Date.now();
+    assert.equal(await acquireThreadLock('C1', '2.000', { waitMs: 500 }), null);
+    assert.ok(Date.now() - started >= 300);
+    assert.equal(fakeRedis.store.get(`${THREAD_LOCK_REDIS_PREFIX}C1:2.000`).value, 'other-instance');
+
+    // The local queue was given up too: once the other instance is done, the thread is free here
+    fakeRedis.store.delete(`${THREAD_LOCK_REDIS_PREFIX}C1:2.000`);
+    const release = await acquireThreadLock('C1', '2.000', { waitMs: 500 });
+    assert.equal(typeof release, 'function');
+    await release();
+});
+
+test('renews the key while held, past its TTL', async () => {
+    const release = await acquireThreadLock('C1', '3.000');
+    await sleep(3500);
+    assert.ok(fakeRedis.store.get(`${THREAD_LOCK_REDIS_PREFIX}C1:3.000`)?.expiresAt > Date.now());
+    await release();
+    assert.equal(fakeRedis.store.has(`${THREAD_LOCK_REDIS_PREFIX}C1:3.000`), false);
+});
+
+test("doesn't delete a key that another instance took over", async () => {
+    const release = await acquireThreadLock('C1', '4.000');
+    fakeRedis.store.set(`${THREAD_LOCK_REDIS_PREFIX}C1:4.000`, { value: 'other-instance', expiresAt: Date.now() + 10000 });
+    await release();
+    assert.equal(fakeRedis.store.get(`${THREAD_LOCK_REDIS_PREFIX}C1:4.000`).value, 'other-instance');
+    fakeRedis.store.delete(`${THREAD_LOCK_REDIS_PREFIX}C1:4.000`);
+});
+
+test('falls back to the local lock when Redis fails', async () => {
+    fakeRedis.failing.add('SET');
+    try {
+        const release = await acquireThreadLock('C1', '5.000', { waitMs: 100 });
+        assert.equal(typeof release, 'function');
+        assert.equal(await acquireThreadLock('C1', '5.000', { waitMs: 50 }), null); // Still serialized locally
+        await release();
+    } finally {
+        fakeRedis.failing.delete('SET');
+    }
+});
@@ -0,0 +1,99 @@
+// test/threadLockService.test.js
+// Thread lock without Redis: FIFO order per thread, timeouts that give up their place, and deferral of jobs while
+// the thread is busy (so a waiting message doesn't hold a job worker).
+
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.THREAD_LOCK_MAX_WAIT_MS = '4000';
+const { acquireThreadLock } = await import('../src/services/threadLockService.js');
+const { registerJobHandler, enqueueJob, markJobCommitted, startJobWorkers, drainJobWorkers } = await import('../src/services/jobQueueService.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+before(() => startJobWorkers());
+after(() => drainJobWorkers(1000));
+
+test('runs holders of the same thread one at a time, in arrival order', async () => {
+    const events = [];
+    const hold = async (name) => {
+        const release = await acquireThreadLock('C1', '1.000', { waitMs: 2000 });
+        events.push(`start ${name}`);
+        await sleep(20);
+        events.push(`end ${name}`);
+        await release();
+    };
+    await Promise.all([hold('a'), hold('b'), hold('c')]);
+    assert.deepEqual(events, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+});
+
+test("doesn't hold up other threads", async () => {
+    const release = await acquireThreadLock('C1', '2.000');
+    const other = await acquireThreadLock('C1', '3.000', { waitMs: 0 });
+    assert.equal(typeof other, 'function');
+    await other();
+    await release();
+});
+
+test('returns null outside a job when the thread stays busy, giving up its place in the queue', async () => {
+    const release = await acquireThreadLock('C1', '4.000');
+    const started = Date.now();
+    assert.equal(await acquireThreadLock('C1', '4.000', { waitMs: 50 }), null);
+    assert.ok(Date.now() - started >= 45);
+
+    const next = acquireThreadLock('C1', '4.000', { waitMs: 1000 });
+    await release();
+    const releaseNext = await next;
+    assert.equal(typeof releaseNext, 'function');
+    await releaseNext();
+    await releaseNext(); // Safe to call twice
+    const again = await acquireThreadLock('C1', '4.000', { waitMs: 0 });
+    assert.equal(typeof again, 'function');
+    await again();
+});
+
+test('defers a job while its thread is busy instead of blocking a worker, then runs it', async () => {
+    const release = await acquireThreadLock('C2', '1.000');
+    const outcomes = [];
+    registerJobHandler('test_lock_deferred', async () => {
+        const releaseLock = await acquireThreadLock('C2', '1.000', { waitMs: 50 });
+        outcomes.push(releaseLock ? 'ran' : 'busy');
+        await releaseLock?.();
+    }, { concurrency: 1 });
+    let otherRan = false;
+    registerJobHandler('test_lock_other', async () => { otherRan = true; }, { concurrency: 1 });
+
+    await enqueueJob('test_lock_deferred', {});
+    await sleep(200);
+    assert.deepEqual(outcomes, []); // Deferred: the handler gave up without an outcome
+    await enqueueJob('test_lock_other', {});
+    await sleep(50);
+    assert.equal(otherRan, true);
+
+    await release();
+    const deadline = Date.now() + 5000;
+    while (outcomes.length === 0 && Date.now() < deadline) await sleep(50);
+    assert.deepEqual(outcomes, ['ran']);
+});
+
+test('answers busy once the job waited THREAD_LOCK_MAX_WAIT_MS, or right away after it replied', async () => {
+    const release = await acquireThreadLock('C3', '1.000');
+    const outcomes = [];
+    registerJobHandler('test_lock_busy', async ({ replied }) => {
+        if (replied) await markJobCommitted(); // Like gh: analyze issue after its thinking message
+        const releaseLock = await acquireThreadLock('C3', '1.000', { waitMs: 50 });
+        outcomes.push(`${replied ? 'replied' : 'fresh'}: ${releaseLock ? 'ran' : 'busy'}`);
+        await releaseLock?.();
+    }, { concurrency: 2 });
+
+    const started = Date.now();
+    await enqueueJob('test_lock_busy', { replied: true });
+    await enqueueJob('test_lock_busy', { replied: false });
+    const deadline = Date.now() + 10000;
+    while (outcomes.length < 2 && Date.now() < deadline) await sleep(50);
+    await release();
+
+    assert.deepEqual(outcomes, ['replied: busy', 'fresh: busy']);
+    assert.ok(Date.now() - started >= 4000); // Deferred until it was THREAD_LOCK_MAX_WAIT_MS old
+});